@@ -0,0 +1,67 @@
+const express = require("express");
+const { authRouter } = require("./routes/authRoutes");
+const categoryRouter = require("./routes/categoryRoutes");
+const productRouter = require("./routes/productRoutes");
+const userRouter = require("./routes/userRoutes");
+const inventoryRouter = require("./routes/inventoryRoutes");
+const cartRouter = require("./routes/cartRoutes");
+const orderRouter = require("./routes/orderRoutes");
+const wishlistRouter = require("./routes/wishlistRoutes");
+const watchRouter = require("./routes/watchRoutes");
+const paymentRouter = require("./routes/paymentRoutes");
+const promotionRouter = require("./routes/promotionRoutes");
+const pricingRouter = require("./routes/pricingRoutes");
+const { requestId } = require("./middlewares/requestIdMiddleware");
+const { accessLog } = require("./middlewares/accessLogMiddleware");
+const { notFound, errorHandler } = require("./middlewares/errorMiddleware");
+const { getDriver } = require("./storage");
+const swaggerUi = require("swagger-ui-express");
+const swaggerSpec = require("./swagger");
+
+// Build the Express app with every route mounted. It does not listen on a
+// port, so tests can drive it through supertest; index.js starts the server.
+const createApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(accessLog);
+  // Webhook signatures are computed over the exact bytes sent, so that route
+  // keeps its raw body instead of the parsed JSON
+  app.use("/payments/webhook", express.raw({ type: "*/*" }));
+  app.use(express.json());
+
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  // Storage drivers that keep uploads on this server serve them from here
+  const storage = getDriver();
+  if (storage.handler) app.use(storage.mountPath, storage.handler);
+
+  app.get("/", (req, res) => {
+    res.send(`
+        <h1>Welcome to my App</h1>
+        <p>I'm glad you're here!.</p>
+        <a href="https://allsportsmoke.el.r.appspot.com/api-docs">Swagger Documentation.</a>
+        `);
+  });
+
+  app.use("/auth", authRouter);
+  app.use("/categories", categoryRouter);
+  app.use("/products", productRouter);
+  app.use("/users", userRouter);
+  app.use("/inventory", inventoryRouter);
+  app.use("/cart", cartRouter);
+  app.use("/orders", orderRouter);
+  app.use("/wishlists", wishlistRouter);
+  app.use("/watches", watchRouter);
+  app.use("/payments", paymentRouter);
+  app.use("/promotions", promotionRouter);
+  app.use("/pricing", pricingRouter);
+
+  // Unknown routes and every error, including request bodies that are not
+  // valid JSON, are answered with the JSON error envelope
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -1,18 +1,64 @@
 const mysql = require("mysql2");
+const { logger } = require("../utils/logger");
 require("dotenv").config();
-const connection = mysql.createConnection({
+
+// Every query goes through this pool. A connection that breaks, e.g. because
+// MySQL restarted, is dropped from the pool and a new one is opened for the
+// next query, so an outage only fails the requests made while it lasts.
+const pool = mysql.createPool({
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASS,
   database: process.env.DB_NAME,
+  connectionLimit: Number(process.env.DB_POOL_SIZE) || 10,
+  enableKeepAlive: true,
 });
 
-connection.connect((err) => {
-  if (err) {
-    console.error("Database connection failed:", err.stack);
-    return;
-  }
-  console.log("Connected to MySQL database.");
+pool.on("connection", (conn) => {
+  conn.on("error", (err) => {
+    logger.error("Database connection lost", { err });
+  });
 });
 
-module.exports = connection;
+const promisePool = pool.promise();
+
+// Run a query on a free connection of the pool. Resolves to [rows, fields].
+const query = (sql, params) => promisePool.query(sql, params);
+
+// Start a query whose rows are read as a stream, for results too large to
+// hold in memory
+const streamQuery = (sql, params) => pool.query(sql, params);
+
+// Run work in a transaction on a connection of its own. work receives the
+// connection, which has the same query method as this module. The transaction
+// is committed when work resolves, with its result, and rolled back when it
+// throws.
+const transaction = async (work) => {
+  const conn = await promisePool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback().catch(() => {});
+    throw err;
+  } finally {
+    conn.release();
+  }
+};
+
+// Check that the database can be reached
+const ping = async () => {
+  const conn = await promisePool.getConnection();
+  try {
+    await conn.ping();
+  } finally {
+    conn.release();
+  }
+};
+
+// Close every connection once the queries in progress have finished
+const close = () => promisePool.end();
+
+module.exports = { query, streamQuery, transaction, ping, close };
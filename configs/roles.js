@@ -0,0 +1,27 @@
+// Roles a user can hold. New accounts are created as customers.
+const ROLES = {
+  ADMIN: "admin",
+  STAFF: "staff",
+  CUSTOMER: "customer",
+};
+
+// Roles allowed to perform each protected action.
+const PERMISSIONS = {
+  "category:create": [ROLES.ADMIN, ROLES.STAFF],
+  "category:update": [ROLES.ADMIN, ROLES.STAFF],
+  "category:delete": [ROLES.ADMIN],
+  "product:create": [ROLES.ADMIN, ROLES.STAFF],
+  "product:update": [ROLES.ADMIN, ROLES.STAFF],
+  "product:delete": [ROLES.ADMIN],
+  "catalog:import": [ROLES.ADMIN, ROLES.STAFF],
+  "catalog:export": [ROLES.ADMIN, ROLES.STAFF],
+  "inventory:view": [ROLES.ADMIN, ROLES.STAFF],
+  "inventory:adjust": [ROLES.ADMIN, ROLES.STAFF],
+  "order:viewAny": [ROLES.ADMIN, ROLES.STAFF],
+  "payment:manage": [ROLES.ADMIN, ROLES.STAFF],
+  "promotion:manage": [ROLES.ADMIN],
+  "review:moderate": [ROLES.ADMIN, ROLES.STAFF],
+  "user:manageRoles": [ROLES.ADMIN],
+};
+
+module.exports = { ROLES, PERMISSIONS };
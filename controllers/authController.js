@@ -1,6 +1,93 @@
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const connection = require("../configs/db");
+const db = require("../configs/db");
+const userRepository = require("../repositories/userRepository");
+const { ROLES } = require("../configs/roles");
+const {
+  signAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  refreshTokenExpiry,
+} = require("../utils/tokens");
+const { CART_TOKEN_HEADER, mergeCart } = require("../utils/cart");
+const { sendMail } = require("../mail");
+const { verificationEmail, passwordResetEmail } = require("../mail/messages");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { logger } = require("../utils/logger");
+const {
+  ForbiddenError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../utils/errors");
+
+const TOKEN_TYPES = {
+  EMAIL_VERIFICATION: "email_verification",
+  PASSWORD_RESET: "password_reset",
+};
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+// Helper function to store a new refresh token for a session
+const issueRefreshToken = async (sessionId) => {
+  const refreshToken = generateOpaqueToken();
+  await db.query(
+    "INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)",
+    [sessionId, hashToken(refreshToken), refreshTokenExpiry()]
+  );
+  return refreshToken;
+};
+
+// Helper function to revoke a session and, with it, every token in its family
+const revokeSession = async (sessionId) => {
+  await db.query(
+    "UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL",
+    [sessionId]
+  );
+};
+
+// Helper function to issue a single-use token of the given type, replacing
+// any unused token of that type the user still holds
+const issueUserToken = async (userId, type, ttlMs) => {
+  const token = generateOpaqueToken();
+  await db.query(
+    "UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND type = ? AND used_at IS NULL",
+    [userId, type]
+  );
+  await db.query(
+    "INSERT INTO user_tokens (user_id, type, token_hash, expires_at) VALUES (?, ?, ?, ?)",
+    [userId, type, hashToken(token), new Date(Date.now() + ttlMs)]
+  );
+  return token;
+};
+
+// Helper function to redeem a single-use token. Returns the owning user ID, or
+// null if the token is unknown, expired or already used.
+const consumeUserToken = async (token, type) => {
+  const [tokens] = await db.query(
+    "SELECT id, user_id, expires_at FROM user_tokens WHERE token_hash = ? AND type = ? AND used_at IS NULL",
+    [hashToken(token), type]
+  );
+  if (!tokens.length || new Date(tokens[0].expires_at) <= new Date()) {
+    return null;
+  }
+
+  // Guard against two requests redeeming the same token concurrently
+  const [result] = await db.query(
+    "UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [tokens[0].id]
+  );
+  return result.affectedRows ? tokens[0].user_id : null;
+};
+
+// Helper function to email a fresh verification link to a user
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(
+    user.id,
+    TOKEN_TYPES.EMAIL_VERIFICATION,
+    EMAIL_VERIFICATION_TTL_MS
+  );
+  await sendMail(verificationEmail(user, token));
+};
 
 // Register a new user
 /**
@@ -9,7 +96,7 @@ const connection = require("../configs/db");
  *   /auth/register:
  *     post:
  *       summary: Register a new user
- *       description: Registers a new user by providing name, email, and password. Returns a success message if the registration is successful.
+ *       description: Registers a new user by providing name, email, and password. Returns a success message if the registration is successful and emails a verification link that must be followed before the user can log in.
  *       tags:
  *         - User
  *       requestBody:
@@ -17,21 +104,7 @@ const connection = require("../configs/db");
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               required:
- *                 - name
- *                 - email
- *                 - pass
- *               properties:
- *                 name:
- *                   type: string
- *                   description: User's name
- *                 email:
- *                   type: string
- *                   description: User's email address
- *                 pass:
- *                   type: string
- *                   description: User's password
+ *               $ref: '#/components/schemas/RegisterInput'
  *       responses:
  *         '201':
  *           description: User registered successfully
@@ -44,55 +117,55 @@ const connection = require("../configs/db");
  *                     type: string
  *                     example: User registered successfully
  *         '400':
- *           description: Bad request, e.g., email already registered
+ *           description: Invalid request body, e.g. an invalid email address or a password shorter than 8 characters, or email already registered
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Email already registered
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Email already registered
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.register = async (req, res) => {
+exports.register = asyncHandler(async (req, res) => {
   const { name, email, pass } = req.body;
 
-  try {
-    // Check if the user already exists
-    const [users] = await connection
-      .promise()
-      .query("SELECT * FROM users WHERE email = ?", [email]);
-    if (users.length) {
-      return res.status(400).json({ error: "Email already registered" });
-    }
+  // Check if the user already exists
+  if (await userRepository.findByEmail(email)) {
+    throw new ValidationError("Email already registered");
+  }
+
+  // Hash the password
+  const hashedPassword = await bcrypt.hash(pass, 10);
 
-    // Hash the password
-    const hashedPassword = await bcrypt.hash(pass, 10);
-
-    // Insert the new user into the database
-    await connection
-      .promise()
-      .query("INSERT INTO users (name, email, pass) VALUES (?, ?, ?)", [
-        name,
-        email,
-        hashedPassword,
-      ]);
-    res.status(201).json({ message: "User registered successfully" });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
+  // Insert the new user into the database
+  const userId = await userRepository.create({
+    name,
+    email,
+    pass: hashedPassword,
+    role: ROLES.CUSTOMER,
+  });
+
+  // A failed delivery should not undo the registration; the user can ask
+  // for a new link from /auth/resend-verification
+  try {
+    await sendVerificationEmail({ id: userId, name, email });
+  } catch (mailErr) {
+    logger.error("Error sending verification email", { err: mailErr });
   }
-};
+
+  res.status(201).json({ message: "User registered successfully" });
+});
 
 // Login user
 /**
@@ -101,7 +174,7 @@ exports.register = async (req, res) => {
  *   /auth/login:
  *     post:
  *       summary: Login user
- *       description: Authenticates a user with the provided email and password. Returns a JWT token if the credentials are valid.
+ *       description: Authenticates a user with the provided email and password. Returns a JWT token if the credentials are valid and the email address has been verified.
  *       tags:
  *         - User
  *       requestBody:
@@ -109,17 +182,7 @@ exports.register = async (req, res) => {
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               required:
- *                 - email
- *                 - pass
- *               properties:
- *                 email:
- *                   type: string
- *                   description: User's email address
- *                 pass:
- *                   type: string
- *                   description: User's password
+ *               $ref: '#/components/schemas/LoginInput'
  *       responses:
  *         '200':
  *           description: Login successful
@@ -133,55 +196,512 @@ exports.register = async (req, res) => {
  *                     example: Login Success.
  *                   token:
  *                     type: string
- *                     description: JWT token
+ *                     description: JWT access token carrying the user's ID, role and session ID
+ *                   refreshToken:
+ *                     type: string
+ *                     description: Single-use token for obtaining a new token pair from /auth/refresh
  *         '400':
  *           description: Bad request, e.g., user not found or invalid credentials
  *           content:
  *             application/json:
  *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: User not found
+ *         '403':
+ *           description: Email address has not been verified
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: Email address has not been verified
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.login = asyncHandler(async (req, res) => {
+  const { email, pass } = req.body;
+
+  // Find the user by email
+  const user = await userRepository.findByEmail(email);
+  if (!user) {
+    throw new ValidationError("User not found");
+  }
+
+  // Compare the provided password with the stored hashed password.
+  const isMatch = await bcrypt.compare(pass, user.pass);
+  if (!isMatch) {
+    throw new ValidationError("Invalid credentials");
+  }
+
+  if (!user.email_verified_at) {
+    throw new ForbiddenError("Email address has not been verified");
+  }
+
+  // Start a new session and issue its first token pair
+  const sessionId = crypto.randomUUID();
+  await db.query("INSERT INTO sessions (id, user_id) VALUES (?, ?)", [
+    sessionId,
+    user.id,
+  ]);
+  const token = signAccessToken(user, sessionId);
+  const refreshToken = await issueRefreshToken(sessionId);
+
+  // Carry over whatever the user put in their cart before logging in. A
+  // failed merge leaves the anonymous cart in place and must not block login.
+  const cartToken = req.body.cart_token || req.get(CART_TOKEN_HEADER);
+  if (cartToken) {
+    try {
+      await mergeCart(cartToken, user.id);
+    } catch (err) {
+      logger.error("Error merging cart", { err });
+    }
+  }
+
+  res.status(200).json({ message: "Login Success.", token, refreshToken });
+});
+
+// Exchange a refresh token for a new token pair
+/**
+ * @swagger
+ * paths:
+ *   /auth/refresh:
+ *     post:
+ *       summary: Refresh the access token
+ *       description: Exchanges a refresh token for a new access token and a new refresh token. Each refresh token can be used once; presenting an already used token revokes the whole session.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The refresh token returned by login or a previous refresh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshTokenInput'
+ *       responses:
+ *         '200':
+ *           description: New token pair issued
+ *           content:
+ *             application/json:
+ *               schema:
  *                 type: object
  *                 properties:
- *                   error:
+ *                   token:
  *                     type: string
- *                     example: User not found
+ *                     description: JWT access token
+ *                   refreshToken:
+ *                     type: string
+ *                     description: Replacement refresh token
+ *         '400':
+ *           description: Refresh token missing from the request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: refreshToken
+ *                       message: is required
+ *         '401':
+ *           description: Refresh token is unknown, expired, revoked or was already used
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Invalid refresh token
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const [tokens] = await db.query(
+    `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.revoked_at,
+            u.id AS user_id, u.role
+       FROM refresh_tokens rt
+       JOIN sessions s ON s.id = rt.session_id
+       JOIN users u ON u.id = s.user_id
+      WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  if (!tokens.length) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const stored = tokens[0];
+
+  if (stored.revoked_at) {
+    throw new UnauthorizedError("Session has been revoked");
+  }
+  if (new Date(stored.expires_at) <= new Date()) {
+    throw new UnauthorizedError("Refresh token has expired");
+  }
+
+  // Mark the token as used. If another request already did, the token has
+  // been replayed, so the whole session is treated as compromised.
+  const [result] = await db.query(
+    "UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL",
+    [stored.id]
+  );
+  if (result.affectedRows === 0) {
+    await revokeSession(stored.session_id);
+    throw new UnauthorizedError(
+      "Refresh token reuse detected; session revoked"
+    );
+  }
+
+  const token = signAccessToken(
+    { id: stored.user_id, role: stored.role },
+    stored.session_id
+  );
+  const newRefreshToken = await issueRefreshToken(stored.session_id);
+
+  res.status(200).json({ token, refreshToken: newRefreshToken });
+});
+
+// Logout user
+/**
+ * @swagger
+ * paths:
+ *   /auth/logout:
+ *     post:
+ *       summary: Logout user
+ *       description: Revokes the session the refresh token belongs to. The refresh token and every access token issued for that session stop working immediately.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The current refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RefreshTokenInput'
+ *       responses:
+ *         '204':
+ *           description: Logged out successfully
+ *         '400':
+ *           description: Refresh token missing from the request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: refreshToken
+ *                       message: is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.logout = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const [tokens] = await db.query(
+    "SELECT session_id FROM refresh_tokens WHERE token_hash = ?",
+    [hashToken(refreshToken)]
+  );
+
+  // Unknown tokens are ignored so logout is safe to retry
+  if (tokens.length) {
+    await revokeSession(tokens[0].session_id);
+  }
+
+  res.status(204).end();
+});
+
+// Verify a user's email address
+/**
+ * @swagger
+ * paths:
+ *   /auth/verify-email:
+ *     post:
+ *       summary: Verify email address
+ *       description: Marks the user's email address as verified using the single-use token from the verification email.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The verification token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VerifyEmailInput'
+ *       responses:
+ *         '200':
+ *           description: Email verified
+ *           content:
+ *             application/json:
+ *               schema:
  *                 type: object
  *                 properties:
- *                   error:
+ *                   message:
  *                     type: string
- *                     example: Internal server error
+ *                     example: Email verified successfully
+ *         '400':
+ *           description: Token missing, invalid, expired or already used
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid or expired verification token
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.login = async (req, res) => {
-  const { email, pass } = req.body;
+exports.verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
 
-  try {
-    // Find the user by email
-    const [users] = await connection
-      .promise()
-      .query("SELECT * FROM users WHERE email = ?", [email]);
-    if (!users.length) {
-      return res.status(400).json({ error: "User not found" });
-    }
+  const userId = await consumeUserToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+  if (!userId) {
+    throw new ValidationError("Invalid or expired verification token");
+  }
 
-    const user = users[0];
+  await userRepository.markEmailVerified(userId);
+  res.status(200).json({ message: "Email verified successfully" });
+});
 
-    // Compare the provided password with the stored hashed password.
-    const isMatch = await bcrypt.compare(pass, user.pass);
-    if (!isMatch) {
-      return res.status(400).json({ error: "Invalid credentials" });
-    }
+// Resend the email verification link
+/**
+ * @swagger
+ * paths:
+ *   /auth/resend-verification:
+ *     post:
+ *       summary: Resend verification email
+ *       description: Sends a new verification link to an unverified user, invalidating earlier links. The response is the same whether or not the email is registered.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The email address to verify
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailInput'
+ *       responses:
+ *         '200':
+ *           description: Request accepted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   message:
+ *                     type: string
+ *                     example: If the email is registered and unverified, a verification link has been sent.
+ *         '400':
+ *           description: Email missing from the request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: email
+ *                       message: is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.resendVerification = asyncHandler(async (req, res) => {
+  const { email } = req.body;
 
-    // Generate a JWT token
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-    });
-    res.status(200).json({ message: "Login Success.", token });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Internal server error" });
+  const user = await userRepository.findByEmail(email);
+  if (user && !user.email_verified_at) {
+    await sendVerificationEmail(user);
   }
-};
+
+  res.status(200).json({
+    message:
+      "If the email is registered and unverified, a verification link has been sent.",
+  });
+});
+
+// Request a password reset
+/**
+ * @swagger
+ * paths:
+ *   /auth/forgot-password:
+ *     post:
+ *       summary: Request a password reset
+ *       description: Emails a single-use password reset link valid for one hour, invalidating earlier links. The response is the same whether or not the email is registered.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The email address of the account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/EmailInput'
+ *       responses:
+ *         '200':
+ *           description: Request accepted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   message:
+ *                     type: string
+ *                     example: If the email is registered, a password reset link has been sent.
+ *         '400':
+ *           description: Email missing from the request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: email
+ *                       message: is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await userRepository.findByEmail(email);
+  if (user) {
+    const token = await issueUserToken(
+      user.id,
+      TOKEN_TYPES.PASSWORD_RESET,
+      PASSWORD_RESET_TTL_MS
+    );
+    await sendMail(passwordResetEmail(user, token));
+  }
+
+  res.status(200).json({
+    message: "If the email is registered, a password reset link has been sent.",
+  });
+});
+
+// Reset a password
+/**
+ * @swagger
+ * paths:
+ *   /auth/reset-password:
+ *     post:
+ *       summary: Reset password
+ *       description: Sets a new password using the single-use token from the reset email. All existing sessions of the user are revoked.
+ *       tags:
+ *         - User
+ *       requestBody:
+ *         description: The reset token and the new password
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResetPasswordInput'
+ *       responses:
+ *         '200':
+ *           description: Password reset
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   message:
+ *                     type: string
+ *                     example: Password reset successfully
+ *         '400':
+ *           description: Invalid password or token missing, invalid, expired or already used
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid or expired password reset token
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.resetPassword = asyncHandler(async (req, res) => {
+  const { token, pass } = req.body;
+
+  const userId = await consumeUserToken(token, TOKEN_TYPES.PASSWORD_RESET);
+  if (!userId) {
+    throw new ValidationError("Invalid or expired password reset token");
+  }
+
+  const hashedPassword = await bcrypt.hash(pass, 10);
+
+  await userRepository.updatePassword(userId, hashedPassword);
+
+  // Sign out every device that knew the old password
+  await db.query(
+    "UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL",
+    [userId]
+  );
+
+  res.status(200).json({ message: "Password reset successfully" });
+});
@@ -0,0 +1,539 @@
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { findVariant } = require("../utils/catalog");
+const {
+  CART_TOKEN_HEADER,
+  MAX_ITEM_QUANTITY,
+  findCart,
+  createCart,
+} = require("../utils/cart");
+const { toCents, formatCents } = require("../utils/money");
+const { unitPrice } = require("../utils/pricing");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     CartToken:
+ *       name: X-Cart-Token
+ *       in: header
+ *       required: false
+ *       description: Token of an anonymous cart, as returned when the cart was created. Ignored when an access token is sent.
+ *       schema:
+ *         type: string
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           nullable: true
+ *           description: Cart ID; null while no item has been added yet
+ *         cart_token:
+ *           type: string
+ *           description: Token identifying a newly created anonymous cart. Only returned once; send it in the X-Cart-Token header from then on.
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *                 description: Cart item ID
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *                 description: Product name
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Variant SKU
+ *               options:
+ *                 type: object
+ *                 nullable: true
+ *                 description: Variant options
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Price when the item was added to the cart
+ *               line_total:
+ *                 type: string
+ *                 example: "59.98"
+ *               available:
+ *                 type: boolean
+ *                 description: False once the product has been removed from the catalog; such items do not count towards the totals
+ *         item_count:
+ *           type: integer
+ *           description: Total units of available items
+ *         subtotal:
+ *           type: string
+ *           description: Sum of the line totals of available items
+ *           example: "59.98"
+ */
+
+// Helper function to find the cart of the current request, creating one if
+// asked to. Logged-in users get their own cart; anyone else is identified by
+// the cart token header.
+const resolveCart = async (req, { create = false } = {}) => {
+  const userId = req.user ? req.user.id : null;
+  const token = userId ? null : req.get(CART_TOKEN_HEADER);
+
+  const cart = await findCart({ userId, token });
+  if (cart || !create) return cart;
+  return createCart({ userId });
+};
+
+// Helper function to load a cart with its items and recalculated totals
+const cartSummary = async (cart) => {
+  if (!cart) return { id: null, items: [], item_count: 0, subtotal: "0.00" };
+
+  const [rows] = await db.query(
+    `SELECT ci.id, ci.product_id, ci.variant_id, p.name, v.sku, v.options,
+            ci.quantity, ci.unit_price, p.deleted_at IS NULL AS available
+       FROM cart_items ci
+       JOIN products p ON p.id = ci.product_id
+       LEFT JOIN product_variants v ON v.id = ci.variant_id
+      WHERE ci.cart_id = ?
+      ORDER BY ci.id`,
+    [cart.id]
+  );
+
+  let itemCount = 0;
+  let subtotal = 0;
+  const items = rows.map((row) => {
+    const lineTotal = toCents(row.unit_price) * row.quantity;
+    const available = Boolean(row.available);
+    if (available) {
+      itemCount += row.quantity;
+      subtotal += lineTotal;
+    }
+    return { ...row, line_total: formatCents(lineTotal), available };
+  });
+
+  const summary = {
+    id: cart.id,
+    items,
+    item_count: itemCount,
+    subtotal: formatCents(subtotal),
+  };
+  return cart.token ? { cart_token: cart.token, ...summary } : summary;
+};
+
+// Retrieve the current cart
+/**
+ * @swagger
+ * paths:
+ *   /cart:
+ *     get:
+ *       summary: Retrieve the current cart
+ *       description: Returns the cart of the logged-in user, or the anonymous cart identified by the X-Cart-Token header, with totals recalculated from the stored item prices. An empty cart is returned when there is none yet.
+ *       tags:
+ *         - Cart
+ *       security:
+ *         - {}
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/CartToken'
+ *       responses:
+ *         '200':
+ *           description: The cart
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Cart'
+ *         '401':
+ *           description: Expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Invalid authentication token
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getCart = asyncHandler(async (req, res) => {
+  const cart = await resolveCart(req);
+  res.json(await cartSummary(cart));
+});
+
+// Add an item to the cart
+/**
+ * @swagger
+ *   /cart/items:
+ *     post:
+ *       summary: Add an item to the cart
+ *       description: Adds a product, or one of its variants, to the cart at its current price. Adding a product that is already in the cart increases its quantity and keeps the original price. Without an access token or cart token a new anonymous cart is created and its token returned in cart_token and the X-Cart-Token response header.
+ *       tags:
+ *         - Cart
+ *       security:
+ *         - {}
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/CartToken'
+ *       requestBody:
+ *         description: The item to add
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartItemInput'
+ *       responses:
+ *         '200':
+ *           description: Quantity of an existing item increased
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Cart'
+ *         '201':
+ *           description: Item added
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Cart'
+ *         '400':
+ *           description: Invalid request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: A variant must be selected for this product.
+ *         '401':
+ *           description: Expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Invalid authentication token
+ *         '404':
+ *           description: Product or variant not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: Not enough stock for the requested quantity
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               stock_quantity:
+ *                                 type: integer
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Insufficient stock
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.addItem = asyncHandler(async (req, res) => {
+  const { product_id, variant_id = null, quantity = 1 } = req.body;
+
+  const product = await productRepository.findById(product_id);
+  if (!product) throw new NotFoundError("Product not found");
+
+  let variant;
+  if (variant_id !== null) {
+    variant = await findVariant(product_id, variant_id);
+    if (!variant) throw new NotFoundError("Variant not found");
+  } else {
+    const [variants] = await db.query(
+      "SELECT COUNT(*) AS total FROM product_variants WHERE product_id = ?",
+      [product_id]
+    );
+    if (variants[0].total > 0) {
+      throw new ValidationError("A variant must be selected for this product.");
+    }
+  }
+
+  const stock = variant ? variant.stock_quantity : product.stock_quantity;
+
+  const cart = await resolveCart(req, { create: true });
+  // Adding an item the cart already has adds to its line, which the unique
+  // key on the line keeps to one even when the same item is added twice at
+  // once. The line stays locked until its new quantity has been checked.
+  const variantKey = variant_id === null ? 0 : variant_id;
+  const created = await db.transaction(async (conn) => {
+    const [result] = await conn.query(
+      "INSERT INTO cart_items (cart_id, product_id, variant_id, variant_key, quantity, unit_price) VALUES (?, ?, ?, ?, ?, ?) ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)",
+      [
+        cart.id,
+        product_id,
+        variant_id,
+        variantKey,
+        quantity,
+        unitPrice(product, variant),
+      ]
+    );
+    const [lines] = await conn.query(
+      "SELECT quantity FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_key = ?",
+      [cart.id, product_id, variantKey]
+    );
+    const total = lines[0].quantity;
+    if (total > MAX_ITEM_QUANTITY) {
+      throw new ValidationError(
+        `Quantity must be an integer between 1 and ${MAX_ITEM_QUANTITY}.`
+      );
+    }
+    if (total > stock) {
+      throw new ConflictError("Insufficient stock", { stock_quantity: stock });
+    }
+    // One affected row for an insert, two for an update
+    return result.affectedRows === 1;
+  });
+
+  if (cart.token) res.set(CART_TOKEN_HEADER, cart.token);
+  res.status(created ? 201 : 200).json(await cartSummary(cart));
+});
+
+// Change the quantity of a cart item
+/**
+ * @swagger
+ *   /cart/items/{id}:
+ *     patch:
+ *       summary: Change the quantity of a cart item
+ *       description: Sets the quantity of an item in the current cart. The item keeps the price it was added at.
+ *       tags:
+ *         - Cart
+ *       security:
+ *         - {}
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/CartItemId'
+ *         - $ref: '#/components/parameters/CartToken'
+ *       requestBody:
+ *         description: The new quantity
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CartItemUpdate'
+ *       responses:
+ *         '200':
+ *           description: Quantity updated
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Cart'
+ *         '400':
+ *           description: Invalid cart item ID or quantity
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: quantity
+ *                       message: must be at most 99
+ *         '401':
+ *           description: Expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Invalid authentication token
+ *         '404':
+ *           description: Cart item not found in the current cart
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Cart item not found
+ *         '409':
+ *           description: Not enough stock, or the product is no longer available
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               stock_quantity:
+ *                                 type: integer
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Insufficient stock
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.updateItem = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { quantity } = req.body;
+
+  const cart = await resolveCart(req);
+  const [items] = cart
+    ? await db.query(
+        "SELECT id, product_id, variant_id FROM cart_items WHERE id = ? AND cart_id = ?",
+        [id, cart.id]
+      )
+    : [[]];
+  if (!items.length) throw new NotFoundError("Cart item not found");
+
+  const item = items[0];
+  const product = await productRepository.findById(item.product_id);
+  if (!product) {
+    throw new ConflictError("Product is no longer available");
+  }
+  const stock =
+    item.variant_id !== null
+      ? (await findVariant(item.product_id, item.variant_id)).stock_quantity
+      : product.stock_quantity;
+  if (quantity > stock) {
+    throw new ConflictError("Insufficient stock", { stock_quantity: stock });
+  }
+
+  await db.query("UPDATE cart_items SET quantity = ? WHERE id = ?", [
+    quantity,
+    item.id,
+  ]);
+
+  res.json(await cartSummary(cart));
+});
+
+// Remove an item from the cart
+/**
+ * @swagger
+ *   /cart/items/{id}:
+ *     delete:
+ *       summary: Remove an item from the cart
+ *       tags:
+ *         - Cart
+ *       security:
+ *         - {}
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/CartItemId'
+ *         - $ref: '#/components/parameters/CartToken'
+ *       responses:
+ *         '200':
+ *           description: Item removed; the updated cart is returned
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Cart'
+ *         '400':
+ *           description: Invalid cart item ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Invalid authentication token
+ *         '404':
+ *           description: Cart item not found in the current cart
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Cart item not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.removeItem = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const cart = await resolveCart(req);
+  const [result] = cart
+    ? await db.query("DELETE FROM cart_items WHERE id = ? AND cart_id = ?", [
+        id,
+        cart.id,
+      ])
+    : [{ affectedRows: 0 }];
+  if (result.affectedRows === 0) throw new NotFoundError("Cart item not found");
+
+  res.json(await cartSummary(cart));
+});
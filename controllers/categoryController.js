@@ -1,12 +1,14 @@
-const connection = require("../configs/db");
-
-// Helper function to check if a category exists
-const categoryExists = async (name) => {
-  const [result] = await connection
-    .promise()
-    .query("SELECT * FROM categories WHERE name = ?", [name]);
-  return result.length > 0;
-};
+const db = require("../configs/db");
+const categoryRepository = require("../repositories/categoryRepository");
+const productRepository = require("../repositories/productRepository");
+const { buildTree } = require("../utils/categoryTree");
+const { streamCsv } = require("../utils/csv");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
 
 // Retrieve all categories
 /**
@@ -34,28 +36,144 @@ const categoryExists = async (name) => {
  *                     name:
  *                       type: string
  *                       description: Category name
+ *                     parent_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: ID of the parent category, or null for a top-level category
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.getCategories = async (req, res) => {
-  try {
-    const [categories] = await connection
-      .promise()
-      .query("SELECT * FROM categories");
-    res.json(categories);
-  } catch (err) {
-    console.error("Error retrieving categories:", err);
-    res.status(500).json({ error: "Internal server error" });
-  }
-};
+exports.getCategories = asyncHandler(async (req, res) => {
+  res.json(await categoryRepository.findAll());
+});
+
+// Retrieve the category tree
+/**
+ * @swagger
+ *   /categories/tree:
+ *     get:
+ *       summary: Retrieve the category tree
+ *       description: Retrieves every category nested under its parent, with top-level categories at the root.
+ *       tags:
+ *         - Category
+ *       responses:
+ *         '200':
+ *           description: The category tree
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       description: Category ID
+ *                     name:
+ *                       type: string
+ *                       description: Category name
+ *                     parent_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: ID of the parent category
+ *                     children:
+ *                       type: array
+ *                       description: Subcategories, with the same shape
+ *                       items:
+ *                         type: object
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getCategoryTree = asyncHandler(async (req, res) => {
+  res.json(buildTree(await categoryRepository.findAll({ byName: true })));
+});
+
+// Retrieve the ancestors of a category
+/**
+ * @swagger
+ *   /categories/{id}/ancestors:
+ *     get:
+ *       summary: Retrieve the ancestors of a category
+ *       description: Retrieves the chain of parent categories from the top-level category down to the direct parent, for rendering breadcrumbs. Top-level categories have no ancestors.
+ *       tags:
+ *         - Category
+ *       parameters:
+ *         - $ref: '#/components/parameters/CategoryId'
+ *       responses:
+ *         '200':
+ *           description: Ancestors ordered from the root down
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       description: Category ID
+ *                     name:
+ *                       type: string
+ *                       description: Category name
+ *                     parent_id:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: ID of the parent category
+ *         '400':
+ *           description: Invalid category ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '404':
+ *           description: Category not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Category not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getCategoryAncestors = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await categoryRepository.exists(id)))
+    throw new NotFoundError("Category not found");
+
+  res.json(await categoryRepository.findAncestors(id));
+});
 
 // Retrieve a specific category by ID
 /**
@@ -67,12 +185,7 @@ exports.getCategories = async (req, res) => {
  *       tags:
  *         - Category
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the category to retrieve
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/CategoryId'
  *       responses:
  *         '200':
  *           description: Details of the category
@@ -87,54 +200,49 @@ exports.getCategories = async (req, res) => {
  *                   name:
  *                     type: string
  *                     description: Category name
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: ID of the parent category, or null for a top-level category
  *         '400':
  *           description: Invalid category ID
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Invalid category ID
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
  *         '404':
  *           description: Category not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Category not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Category not found
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.getCategoryById = async (req, res) => {
+exports.getCategoryById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid category ID" });
-
-  try {
-    const [category] = await connection
-      .promise()
-      .query("SELECT * FROM categories WHERE id = ?", [id]);
-    if (!category.length)
-      return res.status(404).json({ error: "Category not found" });
-    res.json(category[0]);
-  } catch (err) {
-    console.error("Error retrieving category:", err);
-    res.status(500).json({ error: "Internal server error" });
-  }
-};
+  const category = await categoryRepository.findById(id);
+  if (!category) throw new NotFoundError("Category not found");
+
+  res.json(category);
+});
 
 // Create a new category
 /**
@@ -142,21 +250,17 @@ exports.getCategoryById = async (req, res) => {
  *   /categories:
  *     post:
  *       summary: Create a new category
- *       description: Creates a new category with the provided name.
+ *       description: Creates a new category with the provided name, optionally nested under a parent category. Names must be unique among siblings.
  *       tags:
  *         - Category
+ *       security:
+ *         - bearerAuth: []
  *       requestBody:
  *         description: Information for the new category
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               required:
- *                 - name
- *               properties:
- *                 name:
- *                   type: string
- *                   description: The name of the new category
+ *               $ref: '#/components/schemas/CategoryInput'
  *       responses:
  *         '201':
  *           description: Category created successfully
@@ -171,53 +275,71 @@ exports.getCategoryById = async (req, res) => {
  *                   name:
  *                     type: string
  *                     description: Name of the newly created category
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: ID of the parent category
  *         '400':
- *           description: Invalid request body or category already exists
+ *           description: Invalid request body, parent category does not exist or category already exists
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Category name is required and must be a non-empty string.
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: name
+ *                       message: is required
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.createCategory = async (req, res) => {
-  const { name } = req.body;
-
-  // Basic validation for non-empty name
-  if (!name || typeof name !== "string" || name.trim().length === 0) {
-    return res.status(400).json({
-      error: "Category name is required and must be a non-empty string.",
-    });
-  }
+exports.createCategory = asyncHandler(async (req, res) => {
+  const { name, parent_id = null } = req.body;
 
-  try {
-    // Check if the category already exists
-    if (await categoryExists(name)) {
-      return res.status(400).json({ error: "Category already exists" });
-    }
+  // Check if the parent category exists
+  if (parent_id !== null && !(await categoryRepository.exists(parent_id))) {
+    throw new ValidationError("Parent category does not exist");
+  }
 
-    // Insert the new category into the database
-    const [result] = await connection
-      .promise()
-      .query("INSERT INTO categories (name) VALUES (?)", [name]);
-    res.status(201).json({ id: result.insertId, name });
-  } catch (err) {
-    console.error("Error creating category:", err);
-    res.status(500).json({ error: "Internal server error" });
+  // Check if the category already exists
+  if (await categoryRepository.findByName(name, parent_id)) {
+    throw new ValidationError("Category already exists");
   }
-};
+
+  // Insert the new category into the database
+  const categoryId = await categoryRepository.create({ name, parent_id });
+  res.status(201).json({ id: categoryId, name, parent_id });
+});
 
 // Update an existing category by ID
 /**
@@ -225,28 +347,19 @@ exports.createCategory = async (req, res) => {
  *   /categories/{id}:
  *     put:
  *       summary: Update an existing category by ID
- *       description: Updates the name of an existing category by its ID.
+ *       description: Updates the name and/or parent of an existing category by its ID. A category cannot be moved under itself or one of its subcategories.
  *       tags:
  *         - Category
+ *       security:
+ *         - bearerAuth: []
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the category to update
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/CategoryId'
  *       requestBody:
  *         description: Updated information for the category
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               required:
- *                 - name
- *               properties:
- *                 name:
- *                   type: string
- *                   description: The new name of the category
+ *               $ref: '#/components/schemas/CategoryUpdate'
  *       responses:
  *         '200':
  *           description: Category updated successfully
@@ -261,71 +374,100 @@ exports.createCategory = async (req, res) => {
  *                   name:
  *                     type: string
  *                     description: New name of the category
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: ID of the parent category
  *         '400':
- *           description: Invalid category ID or request body
+ *           description: Invalid category ID or request body, or the move would create a cycle
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Invalid category ID or Category name is required and must be a non-empty string.
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: A category cannot be moved under itself or one of its subcategories.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
  *         '404':
  *           description: Category not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Category not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Category not found
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.updateCategory = async (req, res) => {
+exports.updateCategory = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name } = req.body;
+  const { name, parent_id } = req.body;
 
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid category ID" });
-
-  // Basic validation for non-empty name
-  if (!name || typeof name !== "string" || name.trim().length === 0) {
-    return res.status(400).json({
-      error: "Category name is required and must be a non-empty string.",
-    });
+  if (name === undefined && parent_id === undefined) {
+    throw new ValidationError("Provide a name or parent_id to update.");
   }
 
-  try {
-    // Check if the category exists
-    const [existingCategory] = await connection
-      .promise()
-      .query("SELECT * FROM categories WHERE id = ?", [id]);
-    if (!existingCategory.length)
-      return res.status(404).json({ error: "Category not found" });
-
-    // Update the category in the database
-    const [result] = await connection
-      .promise()
-      .query("UPDATE categories SET name = ? WHERE id = ?", [name, id]);
-    if (result.affectedRows === 0)
-      return res.status(404).json({ error: "Category not found" });
-
-    res.json({ id, name });
-  } catch (err) {
-    console.error("Error updating category:", err);
-    res.status(500).json({ error: "Internal server error" });
+  // Check if the category exists
+  const existingCategory = await categoryRepository.findById(id);
+  if (!existingCategory) throw new NotFoundError("Category not found");
+
+  if (parent_id !== undefined && parent_id !== null) {
+    if (!(await categoryRepository.exists(parent_id))) {
+      throw new ValidationError("Parent category does not exist");
+    }
+
+    // Moving a category under its own subtree would create a cycle
+    const subtree = await categoryRepository.findSubtreeIds(id);
+    if (subtree.includes(Number(parent_id))) {
+      throw new ValidationError(
+        "A category cannot be moved under itself or one of its subcategories."
+      );
+    }
   }
-};
+
+  // Only overwrite the fields that were provided
+  const changes = Object.fromEntries(
+    Object.entries({ name, parent_id }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+
+  // Update the category in the database
+  if (!(await categoryRepository.update(id, changes)))
+    throw new NotFoundError("Category not found");
+
+  res.json({ ...existingCategory, ...changes });
+});
 
 // Delete a category by ID
 /**
@@ -333,66 +475,352 @@ exports.updateCategory = async (req, res) => {
  *   /categories/{id}:
  *     delete:
  *       summary: Delete a category by ID
- *       description: Deletes a category by its ID.
+ *       description: Deletes a category by its ID. Categories with subcategories are only deleted when cascade=true, which deletes the whole subtree. Categories that still have products are only deleted when the products are moved elsewhere with reassign_to. Alternatively, soft=true hides the category (and with cascade, its subtree) from listings without touching its products, and it can be brought back with the restore endpoint.
  *       tags:
  *         - Category
+ *       security:
+ *         - bearerAuth: []
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the category to delete
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/CategoryId'
+ *         - $ref: '#/components/parameters/CategoryCascade'
+ *         - $ref: '#/components/parameters/CategoryReassignTo'
+ *         - $ref: '#/components/parameters/CategorySoftDelete'
  *       responses:
  *         '204':
  *           description: Category deleted successfully
  *         '400':
- *           description: Invalid category ID
+ *           description: Invalid category ID or reassign_to category
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Invalid category ID
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Category to reassign products to does not exist
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
  *         '404':
  *           description: Category not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Category not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Category not found
+ *         '409':
+ *           description: Category has subcategories and cascade was not requested, or the categories still have products
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               subcategories:
+ *                                 type: integer
+ *                                 description: Number of subcategories that would be deleted
+ *                               products:
+ *                                 type: integer
+ *                                 description: Number of products in the categories being deleted
+ *                               product_counts:
+ *                                 type: array
+ *                                 description: Number of products per affected category
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     category_id:
+ *                                       type: integer
+ *                                     name:
+ *                                       type: string
+ *                                     count:
+ *                                       type: integer
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Category still has products. Move them with reassign_to or pass soft=true.
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deleteCategory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { reassign_to } = req.query;
+  const cascade = req.query.cascade === "true";
+  const soft = req.query.soft === "true";
+
+  if (reassign_to !== undefined && soft) {
+    throw new ValidationError("reassign_to cannot be combined with soft.");
+  }
+
+  await db.transaction(async (conn) => {
+    const ids = await categoryRepository.findSubtreeIds(id, { db: conn });
+    if (!ids.length) throw new NotFoundError("Category not found");
+
+    // Refuse to silently take subcategories down with their parent
+    if (ids.length > 1 && !cascade) {
+      throw new ConflictError(
+        "Category has subcategories. Delete them first or pass cascade=true.",
+        { subcategories: ids.length - 1 }
+      );
+    }
+
+    // Soft deletes stamp the whole subtree with one timestamp so restore can
+    // bring back exactly the categories removed together
+    if (soft) {
+      if (!(await categoryRepository.softDelete(ids, { db: conn })))
+        throw new NotFoundError("Category not found");
+      return;
+    }
+
+    if (reassign_to !== undefined) {
+      if (ids.includes(Number(reassign_to))) {
+        throw new ValidationError(
+          "Products cannot be reassigned to a category that is being deleted."
+        );
+      }
+      if (!(await categoryRepository.exists(reassign_to, { db: conn }))) {
+        throw new ValidationError(
+          "Category to reassign products to does not exist"
+        );
+      }
+
+      await productRepository.reassignCategory(ids, reassign_to, {
+        db: conn,
+      });
+    } else {
+      // Products still pointing at the categories would block the delete
+      const productCounts = await productRepository.countByCategory(ids, {
+        db: conn,
+      });
+      if (productCounts.length) {
+        throw new ConflictError(
+          "Category still has products. Move them with reassign_to or pass soft=true.",
+          {
+            subcategories: ids.length - 1,
+            products: productCounts.reduce((sum, row) => sum + row.count, 0),
+            product_counts: productCounts,
+          }
+        );
+      }
+    }
+
+    // Subcategories are removed by the ON DELETE CASCADE on parent_id
+    if (!(await categoryRepository.remove(id, { db: conn })))
+      throw new NotFoundError("Category not found");
+  });
+
+  res.status(204).end(); // No content to return
+});
+
+// Restore a soft-deleted category
+/**
+ * @swagger
+ *   /categories/{id}/restore:
+ *     post:
+ *       summary: Restore a soft-deleted category
+ *       description: Restores a category removed with soft=true, together with the subcategories that were soft deleted along with it.
+ *       tags:
+ *         - Category
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/CategoryId'
+ *       responses:
+ *         '200':
+ *           description: Category restored
+ *           content:
+ *             application/json:
+ *               schema:
  *                 type: object
  *                 properties:
- *                   error:
+ *                   id:
+ *                     type: integer
+ *                     description: Category ID
+ *                   name:
  *                     type: string
- *                     example: Internal server error
+ *                     description: Category name
+ *                   parent_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: ID of the parent category
+ *                   restored:
+ *                     type: integer
+ *                     description: Number of categories restored, including subcategories
+ *         '400':
+ *           description: Invalid category ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: No soft-deleted category with this ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Deleted category not found
+ *         '409':
+ *           description: The parent category is still deleted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Restore the parent category first
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.deleteCategory = async (req, res) => {
+exports.restoreCategory = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid category ID" });
-
-  try {
-    // Check if the category exists before attempting to delete
-    const [result] = await connection
-      .promise()
-      .query("DELETE FROM categories WHERE id = ?", [id]);
-    if (result.affectedRows === 0)
-      return res.status(404).json({ error: "Category not found" });
+  const category = await categoryRepository.findDeleted(id);
+  if (!category) throw new NotFoundError("Deleted category not found");
 
-    res.status(204).end(); // No content to return
-  } catch (err) {
-    console.error("Error deleting category:", err);
-    res.status(500).json({ error: "Internal server error" });
+  if (
+    category.parent_id &&
+    !(await categoryRepository.exists(category.parent_id))
+  ) {
+    throw new ConflictError("Restore the parent category first");
   }
-};
+
+  const restored = await categoryRepository.restore(
+    await categoryRepository.findSubtreeIds(id),
+    category.deleted_at
+  );
+
+  res.json({
+    id: category.id,
+    name: category.name,
+    parent_id: category.parent_id,
+    restored,
+  });
+});
+
+// Export categories as CSV
+/**
+ * @swagger
+ *   /categories/export:
+ *     get:
+ *       summary: Export categories as CSV
+ *       description: Downloads every category that has not been deleted as CSV, streamed row by row. Category names in the parent column can be used in the category column of a product import.
+ *       tags:
+ *         - Category
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         '200':
+ *           description: The categories as CSV with the columns id, name, parent_id and parent
+ *           content:
+ *             text/csv:
+ *               schema:
+ *                 type: string
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.exportCategories = asyncHandler(async (req, res) => {
+  // Once rows have been sent the status can no longer change; a failure
+  // cuts the download short instead
+  await streamCsv(res, categoryRepository.streamExport(), {
+    filename: "categories.csv",
+    columns: ["id", "name", "parent_id", "parent"],
+  });
+});
@@ -0,0 +1,610 @@
+const crypto = require("crypto");
+const db = require("../configs/db");
+const { getDriver } = require("../storage");
+const productRepository = require("../repositories/productRepository");
+const {
+  detectImageType,
+  presentImage,
+  findImages,
+} = require("../utils/images");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { logger } = require("../utils/logger");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Image ID
+ *         product_id:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           description: Where the image can be downloaded
+ *           example: /uploads/products/1/3f2a9c0d8e7b6a5f4e3d2c1b0a998877.jpg
+ *         content_type:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp]
+ *         size_bytes:
+ *           type: integer
+ *         alt_text:
+ *           type: string
+ *           nullable: true
+ *         position:
+ *           type: integer
+ *           description: Display order, starting at 0
+ *         is_primary:
+ *           type: boolean
+ *           description: Whether this is the image shown in product listings. Every product with images has exactly one.
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to lock a product while its images change, so that
+// concurrent changes cannot leave it with two primary images or clashing
+// positions. Returns false if the product does not exist.
+const lockProduct = async (conn, productId) =>
+  Boolean(
+    await productRepository.findById(productId, { db: conn, lock: true })
+  );
+
+// Helper function to load one image of a product
+const findImage = async (conn, productId, imageId) => {
+  const [images] = await conn.query(
+    "SELECT id, product_id, storage_key, content_type, size_bytes, alt_text, position, is_primary, created_at FROM product_images WHERE id = ? AND product_id = ?",
+    [imageId, productId]
+  );
+  return images[0];
+};
+
+// Retrieve the images of a product
+/**
+ * @swagger
+ * paths:
+ *   /products/{id}/images:
+ *     get:
+ *       summary: Retrieve the images of a product
+ *       description: Lists the images of a product in display order.
+ *       tags:
+ *         - Product Images
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       responses:
+ *         '200':
+ *           description: The product's images
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductImage'
+ *         '400':
+ *           description: Invalid product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await productRepository.findById(id)))
+    throw new NotFoundError("Product not found");
+
+  res.json(await findImages(id));
+});
+
+// Upload an image of a product
+/**
+ * @swagger
+ *   /products/{id}/images:
+ *     post:
+ *       summary: Upload an image of a product
+ *       description: Stores an image and adds it after the product's other images. A product's first image becomes its primary image.
+ *       tags:
+ *         - Product Images
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       requestBody:
+ *         description: The image file and its details
+ *         content:
+ *           multipart/form-data:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ImageUploadFields'
+ *                 - type: object
+ *                   required:
+ *                     - image
+ *                   properties:
+ *                     image:
+ *                       type: string
+ *                       format: binary
+ *                       description: A JPEG, PNG or WebP file of at most IMAGE_MAX_BYTES (5 MB by default)
+ *       responses:
+ *         '201':
+ *           description: Image uploaded
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductImage'
+ *         '400':
+ *           description: Invalid product ID, missing file or unsupported file type
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Image must be a JPEG, PNG or WebP file.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '413':
+ *           description: The file is too large
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: PAYLOAD_TOO_LARGE
+ *                   message: Image must be at most 5 MB.
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createImage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { alt_text = null, is_primary } = req.body || {};
+
+  if (!req.file) {
+    throw new ValidationError("An image file is required in the image field.");
+  }
+  const type = detectImageType(req.file.buffer);
+  if (!type) {
+    throw new ValidationError("Image must be a JPEG, PNG or WebP file.");
+  }
+
+  const storage = getDriver();
+  const key = `products/${Number(id)}/${crypto
+    .randomBytes(16)
+    .toString("hex")}.${type.extension}`;
+  let stored = false;
+  try {
+    if (!(await productRepository.findById(id)))
+      throw new NotFoundError("Product not found");
+
+    await storage.put(key, req.file.buffer, { contentType: type.contentType });
+    stored = true;
+
+    // Resolves to the new image's ID, or null if the product was deleted
+    // meanwhile
+    const imageId = await db.transaction(async (conn) => {
+      if (!(await lockProduct(conn, id))) return null;
+
+      const [[{ count, next_position }]] = await conn.query(
+        "SELECT COUNT(*) AS count, COALESCE(MAX(position) + 1, 0) AS next_position FROM product_images WHERE product_id = ?",
+        [id]
+      );
+      const primary = count === 0 || is_primary === "true";
+      if (primary) {
+        await conn.query(
+          "UPDATE product_images SET is_primary = FALSE WHERE product_id = ?",
+          [id]
+        );
+      }
+      const [result] = await conn.query(
+        "INSERT INTO product_images (product_id, storage_key, content_type, size_bytes, alt_text, position, is_primary) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        [
+          id,
+          key,
+          type.contentType,
+          req.file.size,
+          alt_text,
+          next_position,
+          primary,
+        ]
+      );
+      return result.insertId;
+    });
+    if (!imageId) throw new NotFoundError("Product not found");
+
+    res.status(201).json(presentImage(await findImage(db, id, imageId)));
+  } catch (err) {
+    // Do not leave a file behind for an image that was never recorded
+    if (stored) {
+      await storage
+        .remove(key)
+        .catch((removeErr) =>
+          logger.error("Error removing stored image", { err: removeErr })
+        );
+    }
+    throw err;
+  }
+});
+
+// Reorder the images of a product
+/**
+ * @swagger
+ *   /products/{id}/images/order:
+ *     put:
+ *       summary: Reorder the images of a product
+ *       tags:
+ *         - Product Images
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       requestBody:
+ *         description: Every image of the product, in the new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImageOrder'
+ *       responses:
+ *         '200':
+ *           description: The product's images in their new order
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductImage'
+ *         '400':
+ *           description: Invalid product ID, or image_ids does not list every image of the product exactly once
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: image_ids must list every image of the product exactly once.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.reorderImages = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { image_ids } = req.body;
+
+  await db.transaction(async (conn) => {
+    if (!(await lockProduct(conn, id))) {
+      throw new NotFoundError("Product not found");
+    }
+    const [images] = await conn.query(
+      "SELECT id FROM product_images WHERE product_id = ?",
+      [id]
+    );
+    const current = new Set(images.map((image) => image.id));
+    if (
+      image_ids.length !== current.size ||
+      new Set(image_ids).size !== image_ids.length ||
+      !image_ids.every((imageId) => current.has(imageId))
+    ) {
+      throw new ValidationError(
+        "image_ids must list every image of the product exactly once."
+      );
+    }
+
+    for (const [position, imageId] of image_ids.entries()) {
+      await conn.query("UPDATE product_images SET position = ? WHERE id = ?", [
+        position,
+        imageId,
+      ]);
+    }
+  });
+
+  res.json(await findImages(id));
+});
+
+// Update an image of a product
+/**
+ * @swagger
+ *   /products/{id}/images/{imageId}:
+ *     put:
+ *       summary: Update an image of a product
+ *       description: Changes the alt text of an image or makes it the primary image. To stop an image being primary, make another image primary.
+ *       tags:
+ *         - Product Images
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/ImageId'
+ *       requestBody:
+ *         description: The fields to update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImageUpdate'
+ *       responses:
+ *         '200':
+ *           description: Image updated
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductImage'
+ *         '400':
+ *           description: Invalid ID or request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: is_primary
+ *                       message: must be true
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product or image not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Image not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.updateImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+  const { alt_text, is_primary } = req.body;
+
+  const image = await db.transaction(async (conn) => {
+    if (!(await lockProduct(conn, id))) {
+      throw new NotFoundError("Product not found");
+    }
+    const image = await findImage(conn, id, imageId);
+    if (!image) throw new NotFoundError("Image not found");
+
+    if (is_primary) {
+      await conn.query(
+        "UPDATE product_images SET is_primary = (id = ?) WHERE product_id = ?",
+        [image.id, id]
+      );
+    }
+    if (alt_text !== undefined) {
+      await conn.query("UPDATE product_images SET alt_text = ? WHERE id = ?", [
+        alt_text,
+        image.id,
+      ]);
+    }
+    return image;
+  });
+
+  res.json(presentImage(await findImage(db, id, image.id)));
+});
+
+// Delete an image of a product
+/**
+ * @swagger
+ *   /products/{id}/images/{imageId}:
+ *     delete:
+ *       summary: Delete an image of a product
+ *       description: Deletes an image and its stored file. If it was the primary image, the next image in display order becomes primary.
+ *       tags:
+ *         - Product Images
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/ImageId'
+ *       responses:
+ *         '204':
+ *           description: Image deleted
+ *         '400':
+ *           description: Invalid ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product or image not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Image not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deleteImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  const image = await db.transaction(async (conn) => {
+    if (!(await lockProduct(conn, id))) {
+      throw new NotFoundError("Product not found");
+    }
+    const image = await findImage(conn, id, imageId);
+    if (!image) throw new NotFoundError("Image not found");
+
+    await conn.query("DELETE FROM product_images WHERE id = ?", [image.id]);
+    if (image.is_primary) {
+      await conn.query(
+        "UPDATE product_images SET is_primary = TRUE WHERE product_id = ? ORDER BY position, id LIMIT 1",
+        [id]
+      );
+    }
+    return image;
+  });
+
+  // The image is gone either way; a file that cannot be removed is only logged
+  try {
+    await getDriver().remove(image.storage_key);
+  } catch (err) {
+    logger.error("Error removing stored image", { err });
+  }
+  res.status(204).end(); // No content to return
+});
@@ -0,0 +1,519 @@
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { parsePagination, pageEnvelope } = require("../utils/pagination");
+const { recordBackInStock } = require("../utils/watches");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { logger } = require("../utils/logger");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+// Helper function to work out the signed stock change of a movement. Receipts
+// and returns add stock, sales remove it, and adjustments carry their own sign.
+// The movement types and integer quantity were checked against the schema.
+// Returns { change } or { error }.
+const stockChange = (type, quantity) => {
+  if (type === "adjustment") {
+    if (quantity === 0) {
+      return {
+        error:
+          "Adjustment quantity must be a non-zero integer; use a negative number to remove stock.",
+      };
+    }
+    return { change: quantity };
+  }
+  if (quantity <= 0) {
+    return { error: "Quantity must be a positive integer." };
+  }
+  return { change: type === "sale" ? -quantity : quantity };
+};
+
+// Record a stock movement
+/**
+ * @swagger
+ * paths:
+ *   /products/{id}/stock-adjustments:
+ *     post:
+ *       summary: Record a stock movement
+ *       description: Changes the stock of a product, or of one of its variants when variant_id is given, and appends the movement to the product's stock ledger. Receipts and returns add the given quantity, sales remove it, and adjustments apply a signed quantity. Movements that would take stock below zero are rejected, even when several arrive at once.
+ *       tags:
+ *         - Inventory
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       requestBody:
+ *         description: The stock movement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovementInput'
+ *       responses:
+ *         '201':
+ *           description: Movement recorded
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: Movement ID
+ *                   product_id:
+ *                     type: integer
+ *                   variant_id:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: The variant whose stock moved, or null for the product's own stock
+ *                   type:
+ *                     type: string
+ *                   quantity_change:
+ *                     type: integer
+ *                     description: Signed change applied to the stock
+ *                   reason:
+ *                     type: string
+ *                     nullable: true
+ *                   user_id:
+ *                     type: integer
+ *                     description: ID of the user who recorded the movement
+ *                   stock_quantity:
+ *                     type: integer
+ *                     description: Stock of the product, or of the variant, after the movement
+ *         '400':
+ *           description: Invalid product ID or request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Quantity must be a positive integer.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product or variant not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: Not enough stock for the movement
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               stock_quantity:
+ *                                 type: integer
+ *                                 description: Current stock of the product or variant
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Insufficient stock
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.adjustStock = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, quantity, reason = null, variant_id = null } = req.body;
+
+  const { change, error } = stockChange(type, quantity);
+  if (error) throw new ValidationError(error);
+
+  // The product row, and the variant's when one is given, stay locked until
+  // the movement is recorded, so concurrent movements see each other's stock
+  // and can never take it below zero
+  const movement = await db.transaction(async (conn) => {
+    const product = await productRepository.findById(id, {
+      db: conn,
+      lock: true,
+    });
+    if (!product) throw new NotFoundError("Product not found");
+
+    let current = product.stock_quantity;
+    if (variant_id !== null) {
+      const [variants] = await conn.query(
+        "SELECT stock_quantity FROM product_variants WHERE id = ? AND product_id = ? FOR UPDATE",
+        [variant_id, id]
+      );
+      if (!variants.length) throw new NotFoundError("Variant not found");
+      current = variants[0].stock_quantity;
+    }
+
+    const stockQuantity = current + change;
+    if (stockQuantity < 0) {
+      throw new ConflictError("Insufficient stock", {
+        stock_quantity: current,
+      });
+    }
+
+    if (variant_id !== null) {
+      await conn.query(
+        "UPDATE product_variants SET stock_quantity = ? WHERE id = ?",
+        [stockQuantity, variant_id]
+      );
+    } else {
+      await productRepository.update(
+        id,
+        { stock_quantity: stockQuantity },
+        { db: conn }
+      );
+    }
+    const [result] = await conn.query(
+      "INSERT INTO stock_movements (product_id, variant_id, type, quantity_change, reason, user_id) VALUES (?, ?, ?, ?, ?, ?)",
+      [id, variant_id, type, change, reason, req.user.id]
+    );
+    return {
+      id: result.insertId,
+      stock_quantity: stockQuantity,
+      // Watches are on products, so only the product's own stock counts
+      back_in_stock: variant_id === null && current === 0 && stockQuantity > 0,
+    };
+  });
+
+  // Watchers are only told once the movement is committed
+  if (movement.back_in_stock) {
+    try {
+      await recordBackInStock(id);
+    } catch (err) {
+      logger.error("Error recording back-in-stock event", { err });
+    }
+  }
+
+  res.status(201).json({
+    id: movement.id,
+    product_id: Number(id),
+    variant_id,
+    type,
+    quantity_change: change,
+    reason,
+    user_id: req.user.id,
+    stock_quantity: movement.stock_quantity,
+  });
+});
+
+// Retrieve the stock history of a product
+/**
+ * @swagger
+ *   /products/{id}/stock-history:
+ *     get:
+ *       summary: Retrieve the stock history of a product
+ *       description: Retrieves the stock ledger of a product, newest movement first.
+ *       tags:
+ *         - Inventory
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *       responses:
+ *         '200':
+ *           description: A page of stock movements
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         variant_id:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: The variant whose stock moved, or null for the product's own stock
+ *                         type:
+ *                           type: string
+ *                           enum: [receipt, sale, adjustment, return]
+ *                         quantity_change:
+ *                           type: integer
+ *                         reason:
+ *                           type: string
+ *                           nullable: true
+ *                         user_id:
+ *                           type: integer
+ *                           nullable: true
+ *                         user_name:
+ *                           type: string
+ *                           nullable: true
+ *                         created_at:
+ *                           type: string
+ *                           format: date-time
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid product ID, or invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: page
+ *                       message: must be at least 1
+ *                     - field: limit
+ *                       message: must be at most 100
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getStockHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { page, limit } = parsePagination(req.query);
+
+  if (!(await productRepository.findById(id))) {
+    throw new NotFoundError("Product not found");
+  }
+
+  const [[{ total }]] = await db.query(
+    "SELECT COUNT(*) AS total FROM stock_movements WHERE product_id = ?",
+    [id]
+  );
+  const [movements] = await db.query(
+    `SELECT m.id, m.variant_id, m.type, m.quantity_change, m.reason, m.user_id,
+            u.name AS user_name, m.created_at
+       FROM stock_movements m
+       LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.product_id = ?
+      ORDER BY m.id DESC
+      LIMIT ? OFFSET ?`,
+    [id, limit, (page - 1) * limit]
+  );
+
+  res.json(pageEnvelope(req, movements, { total, page, limit }));
+});
+
+// Retrieve products and variants that need restocking
+/**
+ * @swagger
+ * paths:
+ *   /inventory/low-stock:
+ *     get:
+ *       summary: Retrieve products that need restocking
+ *       description: Retrieves products whose stock is at or below their reorder threshold, largest shortfall first. Products with variants are reported per variant, each against the product's threshold. Products with a reorder threshold of 0 are never reported.
+ *       tags:
+ *         - Inventory
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *       responses:
+ *         '200':
+ *           description: A page of low-stock products
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           description: ID of the product
+ *                         variant_id:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: ID of the variant, or null for a product without variants
+ *                         name:
+ *                           type: string
+ *                         sku:
+ *                           type: string
+ *                           nullable: true
+ *                           description: SKU of the variant, or of the product
+ *                         category_id:
+ *                           type: integer
+ *                         stock_quantity:
+ *                           type: integer
+ *                         reorder_threshold:
+ *                           type: integer
+ *                         shortfall:
+ *                           type: integer
+ *                           description: Units below the reorder threshold
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: page
+ *                       message: must be at least 1
+ *                     - field: limit
+ *                       message: must be at most 100
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getLowStock = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  const { total, products } = await productRepository.findLowStock({
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  res.json(pageEnvelope(req, products, { total, page, limit }));
+});
@@ -0,0 +1,508 @@
+const db = require("../configs/db");
+const { PERMISSIONS } = require("../configs/roles");
+const productRepository = require("../repositories/productRepository");
+const { parsePagination, pageEnvelope } = require("../utils/pagination");
+const { formatCents } = require("../utils/money");
+const {
+  parseLineItems,
+  priceLines,
+  loadCatalogRows,
+} = require("../utils/pricing");
+const { applyDiscountCode, rejectionError } = require("../utils/promotions");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Order ID
+ *         user_id:
+ *           type: integer
+ *           description: ID of the user who placed the order
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, cancelled]
+ *         subtotal:
+ *           type: number
+ *           format: decimal
+ *           description: Total of the items before discounts
+ *           example: 59.98
+ *         discount_total:
+ *           type: number
+ *           format: decimal
+ *           example: 6.00
+ *         promotion_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Promotion whose discount code was used
+ *         total:
+ *           type: number
+ *           format: decimal
+ *           description: Amount to pay
+ *           example: 53.98
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 nullable: true
+ *               product_name:
+ *                 type: string
+ *                 description: Product name at the time of the order
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Variant SKU at the time of the order
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: number
+ *                 format: decimal
+ *                 description: Price charged per unit
+ *               line_total:
+ *                 type: number
+ *                 format: decimal
+ */
+
+// Helper function to load an order with its items
+const findOrder = async (id) => {
+  const [orders] = await db.query(
+    "SELECT id, user_id, status, subtotal, discount_total, promotion_id, total, created_at FROM orders WHERE id = ?",
+    [id]
+  );
+  if (!orders.length) return undefined;
+
+  const [items] = await db.query(
+    "SELECT id, product_id, variant_id, product_name, sku, quantity, unit_price, line_total FROM order_items WHERE order_id = ? ORDER BY id",
+    [id]
+  );
+  return { ...orders[0], items };
+};
+
+// Place an order
+/**
+ * @swagger
+ * paths:
+ *   /orders:
+ *     post:
+ *       summary: Place an order
+ *       description: Creates an order for the given products at their current prices and takes the ordered units out of stock. The stock check, stock changes and the order itself are written in a single transaction, so concurrent orders can never sell more units than are in stock. Several lines for the same product and variant are combined. A discount code is checked the same way as by POST /pricing/quote and counts as one use of the code.
+ *       tags:
+ *         - Orders
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         description: The products to order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderInput'
+ *       responses:
+ *         '201':
+ *           description: Order placed
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Order'
+ *         '400':
+ *           description: Invalid request body, or the discount code cannot be used
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               reason:
+ *                                 type: string
+ *                                 description: Present when the discount code was rejected
+ *                                 enum: [not_found, not_started, expired, usage_limit_reached, min_order_not_met, not_applicable]
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Discount code has expired
+ *                   details:
+ *                     reason: expired
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: A product or variant does not exist or has been deleted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               product_id:
+ *                                 type: integer
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: Not enough stock for one or more items; nothing was ordered
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               shortages:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     product_id:
+ *                                       type: integer
+ *                                     variant_id:
+ *                                       type: integer
+ *                                       nullable: true
+ *                                     requested:
+ *                                       type: integer
+ *                                     stock_quantity:
+ *                                       type: integer
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Insufficient stock
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createOrder = asyncHandler(async (req, res) => {
+  const { items, code } = req.body;
+  const { lines, error } = parseLineItems(items);
+  if (error) throw new ValidationError(error);
+
+  const orderId = await db.transaction(async (conn) => {
+    // Lock the ordered products and variants until the order is stored, so
+    // that concurrent orders cannot sell the same units
+    const rows = await loadCatalogRows(lines, { db: conn, lock: true });
+    const priced = priceLines(lines, rows, { checkStock: true });
+
+    // The promotion stays locked until its use is counted, so a usage limit
+    // cannot be exceeded by concurrent orders
+    let applied;
+    if (code !== undefined) {
+      applied = await applyDiscountCode(code, priced, {
+        db: conn,
+        lock: true,
+      });
+      if (applied.reason) throw rejectionError(applied);
+      await conn.query(
+        "UPDATE promotions SET times_used = times_used + 1 WHERE id = ?",
+        [applied.promotion.id]
+      );
+    }
+    const discountTotal = applied ? applied.discount.amount_cents : 0;
+
+    const [order] = await conn.query(
+      "INSERT INTO orders (user_id, subtotal, discount_total, promotion_id, total) VALUES (?, ?, ?, ?, ?)",
+      [
+        req.user.id,
+        formatCents(priced.total),
+        formatCents(discountTotal),
+        applied ? applied.promotion.id : null,
+        formatCents(priced.total - discountTotal),
+      ]
+    );
+    const orderId = order.insertId;
+
+    await conn.query(
+      "INSERT INTO order_items (order_id, product_id, variant_id, product_name, sku, quantity, unit_price, line_total) VALUES ?",
+      [
+        priced.items.map((item) => [
+          orderId,
+          item.product_id,
+          item.variant_id,
+          item.product_name,
+          item.sku,
+          item.quantity,
+          formatCents(item.unit_cents),
+          formatCents(item.unit_cents * item.quantity),
+        ]),
+      ]
+    );
+
+    // Stock only changes through the stock ledger, for variants too
+    for (const item of priced.items) {
+      if (item.variant_id !== null) {
+        await conn.query(
+          "UPDATE product_variants SET stock_quantity = stock_quantity - ? WHERE id = ?",
+          [item.quantity, item.variant_id]
+        );
+      } else {
+        await productRepository.takeStock(item.product_id, item.quantity, {
+          db: conn,
+        });
+      }
+      await conn.query(
+        "INSERT INTO stock_movements (product_id, variant_id, type, quantity_change, reason, user_id) VALUES (?, ?, 'sale', ?, ?, ?)",
+        [
+          item.product_id,
+          item.variant_id,
+          -item.quantity,
+          `Order #${orderId}`,
+          req.user.id,
+        ]
+      );
+    }
+    return orderId;
+  });
+
+  res.status(201).json(await findOrder(orderId));
+});
+
+// Retrieve the order history of the current user
+/**
+ * @swagger
+ *   /orders:
+ *     get:
+ *       summary: Retrieve the current user's orders
+ *       description: Lists the orders placed by the authenticated user, newest first, without their items.
+ *       tags:
+ *         - Orders
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *       responses:
+ *         '200':
+ *           description: A page of orders
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         status:
+ *                           type: string
+ *                         total:
+ *                           type: number
+ *                           format: decimal
+ *                         item_count:
+ *                           type: integer
+ *                           description: Total units ordered
+ *                         created_at:
+ *                           type: string
+ *                           format: date-time
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: page
+ *                       message: must be at least 1
+ *                     - field: limit
+ *                       message: must be at most 100
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getOrders = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  const [[{ total }]] = await db.query(
+    "SELECT COUNT(*) AS total FROM orders WHERE user_id = ?",
+    [req.user.id]
+  );
+  const [orders] = await db.query(
+    `SELECT o.id, o.status, o.total,
+            (SELECT SUM(quantity) FROM order_items WHERE order_id = o.id) AS item_count,
+            o.created_at
+       FROM orders o
+      WHERE o.user_id = ?
+      ORDER BY o.id DESC
+      LIMIT ? OFFSET ?`,
+    [req.user.id, limit, (page - 1) * limit]
+  );
+
+  res.json(
+    pageEnvelope(
+      req,
+      orders.map((order) => ({
+        ...order,
+        item_count: Number(order.item_count),
+      })),
+      { total, page, limit }
+    )
+  );
+});
+
+// Retrieve an order by ID
+/**
+ * @swagger
+ *   /orders/{id}:
+ *     get:
+ *       summary: Retrieve an order by ID
+ *       description: Returns an order with its items. Customers can only see their own orders; staff and admins can see any order.
+ *       tags:
+ *         - Orders
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/OrderId'
+ *       responses:
+ *         '200':
+ *           description: The order
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Order'
+ *         '400':
+ *           description: Invalid order ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Order not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Order not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getOrderById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const order = await findOrder(id);
+  // Other users' orders are reported as missing rather than forbidden so
+  // that order IDs cannot be probed
+  const canView =
+    order &&
+    (order.user_id === req.user.id ||
+      PERMISSIONS["order:viewAny"].includes(req.user.role));
+  if (!canView) throw new NotFoundError("Order not found");
+
+  res.json(order);
+});
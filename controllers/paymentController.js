@@ -0,0 +1,664 @@
+const db = require("../configs/db");
+const { PERMISSIONS } = require("../configs/roles");
+const {
+  PAYMENT_STATUSES,
+  WEBHOOK_EVENTS,
+  getProvider,
+} = require("../payments");
+const { parseLineItems, priceItems } = require("../utils/pricing");
+const { toCents, formatCents } = require("../utils/money");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const CURRENCY = process.env.PAYMENT_CURRENCY || "INR";
+const INTENT_COLUMNS =
+  "id, user_id, order_id, provider, provider_intent_id, amount, currency, status, created_at";
+
+// Statuses an intent may reach each status from. Webhooks can arrive late,
+// twice or out of order; changes outside this map are ignored.
+const TRANSITIONS = {
+  [PAYMENT_STATUSES.AUTHORIZED]: [PAYMENT_STATUSES.PENDING],
+  [PAYMENT_STATUSES.CAPTURED]: [
+    PAYMENT_STATUSES.PENDING,
+    PAYMENT_STATUSES.AUTHORIZED,
+  ],
+  [PAYMENT_STATUSES.FAILED]: [
+    PAYMENT_STATUSES.PENDING,
+    PAYMENT_STATUSES.AUTHORIZED,
+  ],
+  [PAYMENT_STATUSES.REFUNDED]: [PAYMENT_STATUSES.CAPTURED],
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PaymentIntent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Payment intent ID
+ *         user_id:
+ *           type: integer
+ *         order_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The order being paid for, if any
+ *         provider:
+ *           type: string
+ *           example: fake
+ *         provider_intent_id:
+ *           type: string
+ *           description: ID of the intent at the payment provider
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *           example: 59.98
+ *         currency:
+ *           type: string
+ *           example: INR
+ *         status:
+ *           type: string
+ *           enum: [pending, authorized, captured, failed, refunded]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to load a payment intent
+const findIntent = async (id) => {
+  const [intents] = await db.query(
+    `SELECT ${INTENT_COLUMNS} FROM payment_intents WHERE id = ?`,
+    [id]
+  );
+  return intents[0];
+};
+
+// Helper function to move an intent to a new status if the transition is
+// allowed. Capturing the payment of an order marks the order as paid.
+// Returns whether the status changed.
+const applyStatus = async (conn, intent, status) => {
+  const [result] = await conn.query(
+    "UPDATE payment_intents SET status = ? WHERE id = ? AND status IN (?)",
+    [status, intent.id, TRANSITIONS[status]]
+  );
+  if (
+    result.affectedRows > 0 &&
+    status === PAYMENT_STATUSES.CAPTURED &&
+    intent.order_id
+  ) {
+    await conn.query(
+      "UPDATE orders SET status = 'paid' WHERE id = ? AND status = 'pending'",
+      [intent.order_id]
+    );
+  }
+  return result.affectedRows > 0;
+};
+
+// Helper function to run a capture or refund at the provider and record the
+// outcome
+const runProviderAction = async (req, res, action) => {
+  const { id } = req.params;
+
+  try {
+    const intent = await findIntent(id);
+    if (!intent) throw new NotFoundError("Payment intent not found");
+
+    const provider = getProvider();
+    if (intent.provider !== provider.name) {
+      throw new ConflictError(
+        `Payment intent belongs to the ${intent.provider} provider`
+      );
+    }
+
+    const result = await provider[action](intent.provider_intent_id);
+    await applyStatus(db, intent, result.status);
+
+    res.json(await findIntent(id));
+  } catch (err) {
+    if (err.code === "PAYMENT_INVALID_STATE") {
+      throw new ConflictError(err.message);
+    }
+    throw err;
+  }
+};
+
+// Create a payment intent
+/**
+ * @swagger
+ * paths:
+ *   /payments/intents:
+ *     post:
+ *       summary: Create a payment intent
+ *       description: Starts a payment with the configured provider. The amount is always computed on the server, either from the current catalog prices of the given items or from the total of one of the user's pending orders; prices sent by the client are ignored. Pass the returned client_secret to the provider's checkout.
+ *       tags:
+ *         - Payments
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         description: Either the items to pay for or the order to pay
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PaymentIntentInput'
+ *       responses:
+ *         '201':
+ *           description: Payment intent created
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/PaymentIntent'
+ *                   - type: object
+ *                     properties:
+ *                       client_secret:
+ *                         type: string
+ *                         description: Secret the client uses to complete the payment with the provider
+ *                       items:
+ *                         type: array
+ *                         description: How the amount was computed; only returned when paying for items
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             product_id:
+ *                               type: integer
+ *                             variant_id:
+ *                               type: integer
+ *                               nullable: true
+ *                             quantity:
+ *                               type: integer
+ *                             unit_price:
+ *                               type: string
+ *                             line_total:
+ *                               type: string
+ *         '400':
+ *           description: Invalid request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Provide either items or order_id.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Product, variant or order not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: The order is not awaiting payment
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Order is not awaiting payment
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createPaymentIntent = asyncHandler(async (req, res) => {
+  const { items, order_id } = req.body;
+
+  if ((items === undefined) === (order_id === undefined)) {
+    throw new ValidationError("Provide either items or order_id.");
+  }
+  let lines;
+  if (items !== undefined) {
+    const parsed = parseLineItems(items);
+    if (parsed.error) throw new ValidationError(parsed.error);
+    lines = parsed.lines;
+  }
+
+  let amount;
+  let pricedItems;
+  if (order_id !== undefined) {
+    const [orders] = await db.query(
+      "SELECT total, status FROM orders WHERE id = ? AND user_id = ?",
+      [order_id, req.user.id]
+    );
+    if (!orders.length) throw new NotFoundError("Order not found");
+    if (orders[0].status !== "pending") {
+      throw new ConflictError("Order is not awaiting payment");
+    }
+    amount = toCents(orders[0].total);
+  } else {
+    const priced = await priceItems(lines);
+    amount = priced.total;
+    pricedItems = priced.items.map((item) => ({
+      product_id: item.product_id,
+      variant_id: item.variant_id,
+      quantity: item.quantity,
+      unit_price: formatCents(item.unit_cents),
+      line_total: formatCents(item.unit_cents * item.quantity),
+    }));
+  }
+
+  const provider = getProvider();
+  const intent = await provider.createIntent({
+    amount,
+    currency: CURRENCY,
+    metadata: { user_id: req.user.id, order_id: order_id || null },
+  });
+
+  const [result] = await db.query(
+    "INSERT INTO payment_intents (user_id, order_id, provider, provider_intent_id, amount, currency, status) VALUES (?, ?, ?, ?, ?, ?, ?)",
+    [
+      req.user.id,
+      order_id || null,
+      provider.name,
+      intent.id,
+      formatCents(amount),
+      CURRENCY,
+      intent.status,
+    ]
+  );
+
+  res.status(201).json({
+    ...(await findIntent(result.insertId)),
+    client_secret: intent.client_secret,
+    ...(pricedItems && { items: pricedItems }),
+  });
+});
+
+// Retrieve a payment intent by ID
+/**
+ * @swagger
+ *   /payments/intents/{id}:
+ *     get:
+ *       summary: Retrieve a payment intent by ID
+ *       description: Customers can only see their own payment intents; staff and admins can see any.
+ *       tags:
+ *         - Payments
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PaymentIntentId'
+ *       responses:
+ *         '200':
+ *           description: The payment intent
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/PaymentIntent'
+ *         '400':
+ *           description: Invalid payment intent ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Payment intent not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Payment intent not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getPaymentIntentById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const intent = await findIntent(id);
+  const canView =
+    intent &&
+    (intent.user_id === req.user.id ||
+      PERMISSIONS["payment:manage"].includes(req.user.role));
+  if (!canView) throw new NotFoundError("Payment intent not found");
+
+  res.json(intent);
+});
+
+// Capture an authorized payment
+/**
+ * @swagger
+ *   /payments/intents/{id}/capture:
+ *     post:
+ *       summary: Capture an authorized payment
+ *       description: Collects an authorized payment through the provider. Capturing the payment of an order marks the order as paid.
+ *       tags:
+ *         - Payments
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PaymentIntentId'
+ *       responses:
+ *         '200':
+ *           description: Payment captured
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/PaymentIntent'
+ *         '400':
+ *           description: Invalid payment intent ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Payment intent not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Payment intent not found
+ *         '409':
+ *           description: The payment has not been authorized, or was already captured
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Payment intent is pending
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.capturePaymentIntent = asyncHandler((req, res) =>
+  runProviderAction(req, res, "capture")
+);
+
+// Refund a captured payment
+/**
+ * @swagger
+ *   /payments/intents/{id}/refund:
+ *     post:
+ *       summary: Refund a captured payment
+ *       description: Refunds the full amount of a captured payment through the provider.
+ *       tags:
+ *         - Payments
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PaymentIntentId'
+ *       responses:
+ *         '200':
+ *           description: Payment refunded
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/PaymentIntent'
+ *         '400':
+ *           description: Invalid payment intent ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Payment intent not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Payment intent not found
+ *         '409':
+ *           description: The payment has not been captured, or was already refunded
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Payment intent is authorized
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.refundPaymentIntent = asyncHandler((req, res) =>
+  runProviderAction(req, res, "refund")
+);
+
+// Receive a webhook from the payment provider
+/**
+ * @swagger
+ *   /payments/webhook:
+ *     post:
+ *       summary: Receive a payment provider webhook
+ *       description: Called by the payment provider when a payment changes state. The raw body must carry a valid HMAC signature in the X-Payment-Signature header ("t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>">" keyed with PAYMENT_WEBHOOK_SECRET) and be at most five minutes old. Each event ID is processed once; deliveries of an event that was already processed are acknowledged without effect.
+ *       tags:
+ *         - Payments
+ *       parameters:
+ *         - name: X-Payment-Signature
+ *           in: header
+ *           required: true
+ *           schema:
+ *             type: string
+ *       requestBody:
+ *         description: The event
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                   description: Event ID
+ *                 type:
+ *                   type: string
+ *                   enum: [payment.authorized, payment.captured, payment.failed, payment.refunded]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     intent_id:
+ *                       type: string
+ *                       description: The provider's ID of the payment intent
+ *                     amount:
+ *                       type: integer
+ *                       description: Amount of the payment in the smallest currency unit; an event whose amount differs from the intent's is rejected
+ *       responses:
+ *         '200':
+ *           description: Event received
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   received:
+ *                     type: boolean
+ *                   duplicate:
+ *                     type: boolean
+ *                     description: Present when the event had already been processed
+ *         '400':
+ *           description: Missing or invalid signature, malformed event, or an amount that does not match the payment intent
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid webhook signature
+ *         '500':
+ *           description: Internal server error; the provider should retry
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.handleWebhook = asyncHandler(async (req, res) => {
+  const provider = getProvider();
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+  let event;
+  try {
+    event = provider.parseWebhook(rawBody, req.headers);
+  } catch (err) {
+    event = null; // Signed, but not valid JSON
+  }
+  if (
+    !event ||
+    typeof event.id !== "string" ||
+    typeof event.type !== "string"
+  ) {
+    throw new ValidationError("Invalid webhook signature");
+  }
+
+  const duplicate = await db.transaction(async (conn) => {
+    // Recording the event ID in the same transaction as its effects means a
+    // failed delivery can be retried, and a repeated one is skipped
+    try {
+      await conn.query(
+        "INSERT INTO payment_events (provider, event_id, type) VALUES (?, ?, ?)",
+        [provider.name, event.id, event.type]
+      );
+    } catch (err) {
+      if (err.code !== "ER_DUP_ENTRY") throw err;
+      return true;
+    }
+
+    const status = WEBHOOK_EVENTS[event.type];
+    if (status) {
+      const [intents] = await conn.query(
+        "SELECT id, order_id, amount, status FROM payment_intents WHERE provider = ? AND provider_intent_id = ? FOR UPDATE",
+        [provider.name, event.intent_id]
+      );
+      const intent = intents[0];
+      // An event for another amount than was asked for must not settle the
+      // payment; rolling back leaves the event ID free for a correct delivery
+      if (
+        intent &&
+        event.amount !== undefined &&
+        event.amount !== toCents(intent.amount)
+      ) {
+        throw new ValidationError("Payment amount does not match the intent");
+      }
+      if (intent) await applyStatus(conn, intent, status);
+    }
+    return false;
+  });
+
+  res.json(
+    duplicate ? { received: true, duplicate: true } : { received: true }
+  );
+});
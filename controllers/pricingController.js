@@ -0,0 +1,174 @@
+const { parseLineItems, priceItems } = require("../utils/pricing");
+const { applyDiscountCode, rejectionError } = require("../utils/promotions");
+const { formatCents } = require("../utils/money");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ValidationError } = require("../utils/errors");
+
+// Get a price quote
+/**
+ * @swagger
+ * paths:
+ *   /pricing/quote:
+ *     post:
+ *       summary: Get a price quote
+ *       description: Prices the given items at the current catalog prices and applies an optional discount code, without placing an order. A code that cannot be used is rejected with the reason.
+ *       tags:
+ *         - Pricing
+ *       requestBody:
+ *         description: The items to price and an optional discount code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuoteInput'
+ *       responses:
+ *         '200':
+ *           description: The quote
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Quote'
+ *         '400':
+ *           description: Invalid request body, or the discount code cannot be used
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             type: object
+ *                             properties:
+ *                               reason:
+ *                                 type: string
+ *                                 description: Present when the discount code was rejected
+ *                                 enum: [not_found, not_started, expired, usage_limit_reached, min_order_not_met, not_applicable]
+ *                               min_order_value:
+ *                                 type: string
+ *                                 description: Present when the order is below the code's minimum
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Discount code has expired
+ *                   details:
+ *                     reason: expired
+ *         '404':
+ *           description: Product or variant not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ * components:
+ *   schemas:
+ *     Quote:
+ *       type: object
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product_id:
+ *                 type: integer
+ *               variant_id:
+ *                 type: integer
+ *                 nullable: true
+ *               name:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *                 nullable: true
+ *               quantity:
+ *                 type: integer
+ *               unit_price:
+ *                 type: string
+ *                 example: "29.99"
+ *               line_total:
+ *                 type: string
+ *                 example: "59.98"
+ *         subtotal:
+ *           type: string
+ *           example: "59.98"
+ *         discounts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: SUMMER10
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *               type:
+ *                 type: string
+ *                 enum: [percent, fixed]
+ *               value:
+ *                 type: string
+ *                 description: Percentage or fixed amount of the promotion
+ *                 example: "10.00"
+ *               amount:
+ *                 type: string
+ *                 description: Amount taken off
+ *                 example: "6.00"
+ *               product_ids:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Products the discount applied to; null when it applies to the whole order
+ *                 items:
+ *                   type: integer
+ *         discount_total:
+ *           type: string
+ *           example: "6.00"
+ *         total:
+ *           type: string
+ *           example: "53.98"
+ */
+exports.getQuote = asyncHandler(async (req, res) => {
+  const { items, code } = req.body;
+
+  const { lines, error } = parseLineItems(items);
+  if (error) throw new ValidationError(error);
+
+  const priced = await priceItems(lines);
+
+  const discounts = [];
+  let discountTotal = 0;
+  if (code !== undefined) {
+    const applied = await applyDiscountCode(code, priced);
+    if (applied.reason) throw rejectionError(applied);
+    const { amount_cents, ...discount } = applied.discount;
+    discounts.push({ ...discount, amount: formatCents(amount_cents) });
+    discountTotal += amount_cents;
+  }
+
+  res.json({
+    items: priced.items.map(({ unit_cents, product_name, ...item }) => ({
+      ...item,
+      name: product_name,
+      unit_price: formatCents(unit_cents),
+      line_total: formatCents(unit_cents * item.quantity),
+    })),
+    subtotal: formatCents(priced.total),
+    discounts,
+    discount_total: formatCents(discountTotal),
+    total: formatCents(priced.total - discountTotal),
+  });
+});
@@ -1,68 +1,529 @@
-const connection = require("../configs/db");
-
-// Helper function to check if a category exists
-const categoryExists = async (categoryId) => {
-  const [result] = await connection
-    .promise()
-    .query("SELECT * FROM categories WHERE id = ?", [categoryId]);
-  return result.length > 0;
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const categoryRepository = require("../repositories/categoryRepository");
+const {
+  parsePagination,
+  encodeCursor,
+  keyset,
+  pageEnvelope,
+  cursorEnvelope,
+} = require("../utils/pagination");
+const { extractTerms, booleanQuery, highlight } = require("../utils/search");
+const { SUBTREE_SQL } = require("../utils/categoryTree");
+const { parseBatchOperation } = require("../utils/catalog");
+const { recordPriceDrop } = require("../utils/watches");
+const { PERMISSIONS } = require("../configs/roles");
+const { findImages, withImageUrls } = require("../utils/images");
+const { getDriver } = require("../storage");
+const { parseCsv, streamCsv } = require("../utils/csv");
+const {
+  MAX_IMPORT_ROWS,
+  PRODUCT_CSV_COLUMNS,
+  parseHeader,
+  indexCategories,
+  parseProductRow,
+  planImport,
+} = require("../utils/productImport");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { logger } = require("../utils/logger");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const PRODUCT_SORT_COLUMNS = { id: "id", name: "name", price: "price" };
+const BATCH_PERMISSIONS = {
+  create: "product:create",
+  update: "product:update",
+  delete: "product:delete",
+};
+
+// Helper function to carry out one parsed operation of a batch on the
+// batch's transaction, the way createProduct, updateProduct and deleteProduct
+// do for a single product. Returns the result with the status code the single
+// endpoint would respond with. Work that has to wait for the commit is handed
+// back as priceDrop and images.
+const runBatchOperation = async (conn, { op, id, fields, soft }) => {
+  if (op === "create") {
+    if (!(await categoryRepository.exists(fields.category_id, { db: conn }))) {
+      return { status: 400, error: "Category does not exist" };
+    }
+    const productId = await productRepository.create(fields, { db: conn });
+    return {
+      status: 201,
+      id: productId,
+      product: { id: productId, ...fields, stock_quantity: 0 },
+    };
+  }
+
+  if (op === "update") {
+    const product = await productRepository.findById(id, {
+      db: conn,
+      lock: true,
+    });
+    if (!product) return { status: 404, error: "Product not found" };
+    if (
+      fields.category_id !== undefined &&
+      !(await categoryRepository.exists(fields.category_id, { db: conn }))
+    ) {
+      return { status: 400, error: "Category does not exist" };
+    }
+
+    await productRepository.update(id, fields, { db: conn });
+    const oldPrice = product.price;
+    return {
+      status: 200,
+      id,
+      product: { ...product, ...fields },
+      priceDrop:
+        fields.price !== undefined && Number(fields.price) < Number(oldPrice)
+          ? [id, oldPrice, fields.price]
+          : undefined,
+    };
+  }
+
+  // Stored image files are removed once the batch is committed
+  const imageKeys = soft
+    ? []
+    : await productRepository.findImageKeys(id, { db: conn });
+  if (!(await productRepository.remove(id, { soft, db: conn }))) {
+    return { status: 404, error: "Product not found" };
+  }
+  return { status: 204, id, imageKeys };
+};
+
+// Helper function to escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+// Helper function to turn the product listing query string, checked against
+// the parameters of GET /products, into SQL conditions. Returns { errors }
+// listing the parameters that cannot be used together.
+const parseProductQuery = (query) => {
+  const errors = [];
+  const pagination = parsePagination(query);
+  if (pagination.error) errors.push(pagination.error);
+
+  const sort = query.sort || "id";
+  const column = PRODUCT_SORT_COLUMNS[sort.replace(/^-/, "")];
+  const direction = sort.startsWith("-") ? "DESC" : "ASC";
+
+  const { cursor } = pagination;
+  if (
+    cursor &&
+    (cursor.s !== sort ||
+      !Number.isInteger(cursor.id) ||
+      !["next", "prev"].includes(cursor.d) ||
+      (column !== "id" && !["string", "number"].includes(typeof cursor.v)))
+  ) {
+    errors.push({
+      field: "cursor",
+      message: "is invalid or does not match the requested sort",
+    });
+  }
+
+  // Soft-deleted products, and those of soft-deleted categories, never
+  // appear in listings
+  const conditions = [...productRepository.LISTED];
+  const params = [];
+
+  if (query.category_id !== undefined) {
+    conditions.push(
+      query.include_subcategories === "true"
+        ? `category_id IN (${SUBTREE_SQL})`
+        : "category_id = ?"
+    );
+    params.push(Number(query.category_id));
+  } else if (query.include_subcategories !== undefined) {
+    errors.push({
+      field: "include_subcategories",
+      message: "requires category_id",
+    });
+  }
+
+  for (const [key, op] of [
+    ["min_price", ">="],
+    ["max_price", "<="],
+  ]) {
+    if (query[key] === undefined) continue;
+    conditions.push(`price ${op} ?`);
+    params.push(Number(query[key]));
+  }
+  if (
+    query.min_price !== undefined &&
+    query.max_price !== undefined &&
+    Number(query.min_price) > Number(query.max_price)
+  ) {
+    errors.push({
+      field: "min_price",
+      message: "cannot be greater than max_price",
+    });
+  }
+
+  if (query.name !== undefined) {
+    conditions.push("name LIKE ?");
+    params.push(`%${escapeLike(query.name.trim())}%`);
+  }
+
+  if (errors.length) return { errors };
+  return { pagination, sort, column, direction, conditions, params };
 };
 
-// Retrieve all products
+// Retrieve products
 /**
  * @swagger
  * paths:
  *   /products:
  *     get:
- *       summary: Retrieve all products
- *       description: Retrieves a list of all products from the database.
+ *       summary: Retrieve products
+ *       description: Retrieves a paginated, sortable and filterable list of products. Use page/limit for numbered pages, or pass a cursor from a previous response for stable cursor-based pagination. Unknown query parameters are rejected.
  *       tags:
  *         - Product
+ *       parameters:
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *         - $ref: '#/components/parameters/Cursor'
+ *         - $ref: '#/components/parameters/ProductSort'
+ *         - $ref: '#/components/parameters/ProductCategoryFilter'
+ *         - $ref: '#/components/parameters/IncludeSubcategories'
+ *         - $ref: '#/components/parameters/MinPrice'
+ *         - $ref: '#/components/parameters/MaxPrice'
+ *         - $ref: '#/components/parameters/ProductNameFilter'
  *       responses:
  *         '200':
- *           description: A list of products
- *           content:
- *             application/json:
- *               schema:
- *                 type: array
- *                 items:
- *                   type: object
- *                   properties:
- *                     id:
- *                       type: integer
- *                       description: Product ID
- *                     name:
- *                       type: string
- *                       description: Product name
- *                     price:
- *                       type: number
- *                       format: decimal
- *                       description: Product price
- *                     category_id:
- *                       type: integer
- *                       description: ID of the category associated with the product
+ *           description: A page of products
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                           description: Product ID
+ *                         sku:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Stock keeping unit
+ *                         name:
+ *                           type: string
+ *                           description: Product name
+ *                         description:
+ *                           type: string
+ *                           nullable: true
+ *                           description: Product description
+ *                         price:
+ *                           type: number
+ *                           format: decimal
+ *                           description: Product price
+ *                         category_id:
+ *                           type: integer
+ *                           description: ID of the category associated with the product
+ *                         stock_quantity:
+ *                           type: integer
+ *                           description: Units in stock, changed through stock adjustments
+ *                         reorder_threshold:
+ *                           type: integer
+ *                           description: Stock level at or below which the product shows up in the low-stock report
+ *                         rating_average:
+ *                           type: number
+ *                           format: decimal
+ *                           nullable: true
+ *                           description: Average star rating of the visible reviews; null until the product is rated
+ *                           example: 4.25
+ *                         rating_count:
+ *                           type: integer
+ *                           description: Number of visible reviews
+ *                         image_url:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL of the product's primary image
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                         description: Number of products matching the filters
+ *                       page:
+ *                         type: integer
+ *                         description: Current page (page pagination only)
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                         description: Number of pages (page pagination only)
+ *                       next_cursor:
+ *                         type: string
+ *                         nullable: true
+ *                       prev_cursor:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Cursor to the previous page (cursor pagination only)
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid, unknown or repeated query parameters, or parameters that cannot be used together
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: sort
+ *                       message: must be one of id, -id, name, -name, price, -price
+ *                     - field: min_price
+ *                       message: must be at least 0
+ *                     - field: colour
+ *                       message: is not allowed
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getProducts = asyncHandler(async (req, res) => {
+  const options = parseProductQuery(req.query);
+  if (options.errors) {
+    throw new ValidationError("Invalid request parameters", options.errors);
+  }
+
+  const { pagination, sort, column, direction, conditions, params } = options;
+  const cursorFor = (product, d) =>
+    encodeCursor({ s: sort, v: product[column], id: product.id, d });
+
+  const total = await productRepository.count(conditions, params);
+
+  const { limit, page, cursor } = pagination;
+
+  if (!cursor) {
+    const products = await productRepository.findMany({
+      conditions,
+      params,
+      orderBy: `${column} ${direction}, id ${direction}`,
+      limit,
+      offset: (page - 1) * limit,
+    });
+    const last = products[products.length - 1];
+    const nextCursor =
+      last && page * limit < total ? cursorFor(last, "next") : null;
+    return res.json(
+      pageEnvelope(req, await withImageUrls(products), {
+        total,
+        page,
+        limit,
+        nextCursor,
+      })
+    );
+  }
+
+  // Fetch one extra row to learn whether another page follows
+  const position = keyset(column, direction, cursor);
+  const rows = await productRepository.findMany({
+    conditions: [...conditions, position.sql],
+    params: [...params, ...position.params],
+    orderBy: `${column} ${position.order}, id ${position.order}`,
+    limit: limit + 1,
+  });
+  const hasMore = rows.length > limit;
+  const products = rows.slice(0, limit);
+  if (position.backwards) products.reverse();
+
+  const first = products[0];
+  const last = products[products.length - 1];
+  const nextCursor =
+    last && (position.backwards || hasMore) ? cursorFor(last, "next") : null;
+  const prevCursor =
+    first && (!position.backwards || hasMore) ? cursorFor(first, "prev") : null;
+
+  res.json(
+    cursorEnvelope(req, await withImageUrls(products), {
+      total,
+      limit,
+      cursor: req.query.cursor,
+      nextCursor,
+      prevCursor,
+    })
+  );
+});
+
+// Search products
+/**
+ * @swagger
+ *   /products/search:
+ *     get:
+ *       summary: Search products
+ *       description: Full-text search over product names and descriptions, ordered by relevance. Every word must match, and words match as prefixes so partially typed queries work for type-ahead. Matched words are wrapped in <mark> tags in the highlight field. Facet counts ignore the category_id filter. Unknown query parameters are rejected.
+ *       tags:
+ *         - Product
+ *       parameters:
+ *         - $ref: '#/components/parameters/SearchText'
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *         - $ref: '#/components/parameters/ProductCategoryFilter'
+ *         - $ref: '#/components/parameters/SearchFacets'
+ *       responses:
+ *         '200':
+ *           description: A page of matching products
+ *           content:
+ *             application/json:
+ *               schema:
  *                 type: object
  *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *                           nullable: true
+ *                         price:
+ *                           type: number
+ *                           format: decimal
+ *                         category_id:
+ *                           type: integer
+ *                         image_url:
+ *                           type: string
+ *                           nullable: true
+ *                           description: URL of the product's primary image
+ *                         relevance:
+ *                           type: number
+ *                           description: Full-text relevance score
+ *                         highlight:
+ *                           type: object
+ *                           properties:
+ *                             name:
+ *                               type: string
+ *                               example: <mark>Cricket</mark> Bat
+ *                             description:
+ *                               type: string
+ *                               nullable: true
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *                   facets:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             category_id:
+ *                               type: integer
+ *                             name:
+ *                               type: string
+ *                             count:
+ *                               type: integer
+ *         '400':
+ *           description: Missing search text, or invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: q
+ *                       message: is required
+ *                     - field: facets
+ *                       message: must be category
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.getProducts = async (req, res) => {
-  try {
-    const [products] = await connection
-      .promise()
-      .query("SELECT * FROM products");
-    res.json(products);
-  } catch (err) {
-    console.error("Error retrieving products:", err);
-    res.status(500).json({ error: "Internal server error" });
+exports.searchProducts = asyncHandler(async (req, res) => {
+  const { q, category_id, facets } = req.query;
+
+  const terms = extractTerms(q);
+  if (!terms.length) {
+    throw new ValidationError("Invalid request parameters", [
+      { field: "q", message: "must contain letters or digits" },
+    ]);
   }
-};
+  const { page, limit } = parsePagination(req.query);
+
+  const against = booleanQuery(terms);
+
+  const { total, products } = await productRepository.search(against, {
+    categoryId: category_id === undefined ? undefined : Number(category_id),
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  const body = pageEnvelope(
+    req,
+    (await withImageUrls(products)).map((product) => ({
+      ...product,
+      highlight: {
+        name: highlight(product.name, terms),
+        description: highlight(product.description, terms),
+      },
+    })),
+    { total, page, limit }
+  );
+
+  if (facets === "category") {
+    body.facets = {
+      category: await productRepository.countMatchesByCategory(against),
+    };
+  }
+
+  res.json(body);
+});
 
 // Retrieve a specific product by ID
 /**
@@ -70,16 +531,11 @@ exports.getProducts = async (req, res) => {
  *   /products/{id}:
  *     get:
  *       summary: Retrieve a specific product by ID
- *       description: Retrieves a specific product by its ID.
+ *       description: Retrieves a specific product by its ID, including its variants, images and average rating.
  *       tags:
  *         - Product
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the product to retrieve
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/ProductId'
  *       responses:
  *         '200':
  *           description: Details of the product
@@ -91,9 +547,17 @@ exports.getProducts = async (req, res) => {
  *                   id:
  *                     type: integer
  *                     description: Product ID
+ *                   sku:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Stock keeping unit
  *                   name:
  *                     type: string
  *                     description: Product name
+ *                   description:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Product description
  *                   price:
  *                     type: number
  *                     format: decimal
@@ -101,54 +565,74 @@ exports.getProducts = async (req, res) => {
  *                   category_id:
  *                     type: integer
  *                     description: ID of the category associated with the product
+ *                   stock_quantity:
+ *                     type: integer
+ *                     description: Units in stock, changed through stock adjustments
+ *                   reorder_threshold:
+ *                     type: integer
+ *                     description: Stock level at or below which the product shows up in the low-stock report
+ *                   rating_average:
+ *                     type: number
+ *                     format: decimal
+ *                     nullable: true
+ *                     description: Average star rating of the visible reviews; null until the product is rated
+ *                     example: 4.25
+ *                   rating_count:
+ *                     type: integer
+ *                     description: Number of visible reviews
+ *                   variants:
+ *                     type: array
+ *                     description: Sizes, colors and other variants of the product
+ *                     items:
+ *                       $ref: '#/components/schemas/ProductVariant'
+ *                   images:
+ *                     type: array
+ *                     description: Images of the product in display order
+ *                     items:
+ *                       $ref: '#/components/schemas/ProductImage'
  *         '400':
  *           description: Invalid product ID
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Invalid product ID
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
  *         '404':
  *           description: Product not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Product not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.getProductById = async (req, res) => {
+exports.getProductById = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID" });
+  const product = await productRepository.findById(id);
+  if (!product) throw new NotFoundError("Product not found");
 
-  try {
-    const [product] = await connection
-      .promise()
-      .query("SELECT * FROM products WHERE id = ?", [id]);
-    if (!product.length)
-      return res.status(404).json({ error: "Product not found" });
-    res.json(product[0]);
-  } catch (err) {
-    console.error("Error retrieving product:", err);
-    res.status(500).json({ error: "Internal server error" });
-  }
-};
+  const [variants] = await db.query(
+    "SELECT id, product_id, sku, options, price, stock_quantity, created_at FROM product_variants WHERE product_id = ? ORDER BY id",
+    [id]
+  );
+  res.json({ ...product, variants, images: await findImages(id) });
+});
 
 // Create a new product
 /**
@@ -159,27 +643,14 @@ exports.getProductById = async (req, res) => {
  *       description: Creates a new product with the provided name, price, and category ID.
  *       tags:
  *         - Product
+ *       security:
+ *         - bearerAuth: []
  *       requestBody:
  *         description: Information for the new product
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               required:
- *                 - name
- *                 - price
- *                 - category_id
- *               properties:
- *                 name:
- *                   type: string
- *                   description: The name of the new product
- *                 price:
- *                   type: number
- *                   format: decimal
- *                   description: The price of the new product
- *                 category_id:
- *                   type: integer
- *                   description: The ID of the category associated with the new product
+ *               $ref: '#/components/schemas/ProductInput'
  *       responses:
  *         '201':
  *           description: Product created successfully
@@ -191,9 +662,17 @@ exports.getProductById = async (req, res) => {
  *                   id:
  *                     type: integer
  *                     description: ID of the newly created product
+ *                   sku:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Stock keeping unit
  *                   name:
  *                     type: string
  *                     description: Name of the newly created product
+ *                   description:
+ *                     type: string
+ *                     nullable: true
+ *                     description: Description of the newly created product
  *                   price:
  *                     type: number
  *                     format: decimal
@@ -201,66 +680,108 @@ exports.getProductById = async (req, res) => {
  *                   category_id:
  *                     type: integer
  *                     description: ID of the category associated with the new product
+ *                   stock_quantity:
+ *                     type: integer
+ *                     description: Units in stock, changed through stock adjustments
+ *                   reorder_threshold:
+ *                     type: integer
+ *                     description: Stock level at or below which the product shows up in the low-stock report
  *         '400':
  *           description: Invalid request body or category does not exist
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Product name is required and must be a non-empty string.
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: price
+ *                       message: must be greater than 0
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '409':
+ *           description: The SKU is already used by another product
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: SKU BAT-EW-01 is already in use.
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.createProduct = async (req, res) => {
-  const { name, price, category_id } = req.body;
-
-  // Basic validation
-  if (!name || typeof name !== "string" || name.trim().length === 0) {
-    return res.status(400).json({
-      error: "Product name is required and must be a non-empty string.",
-    });
-  }
-  if (isNaN(price) || price <= 0) {
-    return res
-      .status(400)
-      .json({ error: "Product price must be a positive number." });
-  }
-  if (isNaN(category_id)) {
-    return res
-      .status(400)
-      .json({ error: "Category ID must be a valid number." });
-  }
+exports.createProduct = asyncHandler(async (req, res) => {
+  const {
+    name,
+    price,
+    category_id,
+    description = null,
+    reorder_threshold = 0,
+    sku = null,
+  } = req.body;
 
   try {
     // Check if the category exists
-    if (!(await categoryExists(category_id))) {
-      return res.status(400).json({ error: "Category does not exist" });
+    if (!(await categoryRepository.exists(category_id))) {
+      throw new ValidationError("Category does not exist");
     }
 
     // Insert the new product into the database
-    const [result] = await connection
-      .promise()
-      .query(
-        "INSERT INTO products (name, price, category_id) VALUES (?, ?, ?)",
-        [name, price, category_id]
-      );
-    res.status(201).json({ id: result.insertId, name, price, category_id });
+    const productId = await productRepository.create({
+      name,
+      description,
+      price,
+      category_id,
+      reorder_threshold,
+      sku,
+    });
+    res.status(201).json({
+      id: productId,
+      sku,
+      name,
+      description,
+      price,
+      category_id,
+      stock_quantity: 0,
+      reorder_threshold,
+    });
   } catch (err) {
-    console.error("Error creating product:", err);
-    res.status(500).json({ error: "Internal server error" });
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError(`SKU ${sku} is already in use.`);
+    }
+    throw err;
   }
-};
+});
 
 // Update an existing product by ID
 /**
@@ -268,33 +789,19 @@ exports.createProduct = async (req, res) => {
  *   /products/{id}:
  *     put:
  *       summary: Update an existing product by ID
- *       description: Updates the name, price, and category ID of an existing product by its ID.
+ *       description: Updates the name, description, price, and category ID of an existing product by its ID. Fields that are omitted keep their current value.
  *       tags:
  *         - Product
+ *       security:
+ *         - bearerAuth: []
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the product to update
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/ProductId'
  *       requestBody:
  *         description: Updated information for the product
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 name:
- *                   type: string
- *                   description: The new name of the product
- *                 price:
- *                   type: number
- *                   format: decimal
- *                   description: The new price of the product
- *                 category_id:
- *                   type: integer
- *                   description: The new category ID associated with the product
+ *               $ref: '#/components/schemas/ProductUpdate'
  *       responses:
  *         '200':
  *           description: Product updated successfully
@@ -309,6 +816,10 @@ exports.createProduct = async (req, res) => {
  *                   name:
  *                     type: string
  *                     description: New name of the product
+ *                   description:
+ *                     type: string
+ *                     nullable: true
+ *                     description: New description of the product
  *                   price:
  *                     type: number
  *                     format: decimal
@@ -316,89 +827,127 @@ exports.createProduct = async (req, res) => {
  *                   category_id:
  *                     type: integer
  *                     description: New category ID associated with the product
+ *                   stock_quantity:
+ *                     type: integer
+ *                     description: Units in stock, changed through stock adjustments
+ *                   reorder_threshold:
+ *                     type: integer
+ *                     description: Stock level at or below which the product shows up in the low-stock report
  *         '400':
  *           description: Invalid product ID or request body
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Product name must be a non-empty string or Category ID must be a valid number.
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: category_id
+ *                       message: must be an integer
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
  *         '404':
  *           description: Product not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Product not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: The SKU is already used by another product
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: SKU BAT-EW-01 is already in use.
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Internal server error
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.updateProduct = async (req, res) => {
+exports.updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, price, category_id } = req.body;
-
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID" });
-
-  // Basic validation
-  if (name && (typeof name !== "string" || name.trim().length === 0)) {
-    return res
-      .status(400)
-      .json({ error: "Product name must be a non-empty string." });
-  }
-  if (price && (isNaN(price) || price <= 0)) {
-    return res
-      .status(400)
-      .json({ error: "Product price must be a positive number." });
-  }
-  if (category_id && isNaN(category_id)) {
-    return res
-      .status(400)
-      .json({ error: "Category ID must be a valid number." });
-  }
+  const { name, description, price, category_id, reorder_threshold, sku } =
+    req.body;
 
   try {
     // Check if the product exists
-    const [existingProduct] = await connection
-      .promise()
-      .query("SELECT * FROM products WHERE id = ?", [id]);
-    if (!existingProduct.length)
-      return res.status(404).json({ error: "Product not found" });
+    const existingProduct = await productRepository.findById(id);
+    if (!existingProduct) throw new NotFoundError("Product not found");
 
     // Check if the category exists if category_id is provided
-    if (category_id && !(await categoryExists(category_id))) {
-      return res.status(400).json({ error: "Category does not exist" });
+    if (
+      category_id !== undefined &&
+      !(await categoryRepository.exists(category_id))
+    ) {
+      throw new ValidationError("Category does not exist");
     }
 
-    // Update the product in the database
-    const [result] = await connection
-      .promise()
-      .query(
-        "UPDATE products SET name = ?, price = ?, category_id = ? WHERE id = ?",
-        [name, price, category_id, id]
-      );
-    if (result.affectedRows === 0)
-      return res.status(404).json({ error: "Product not found" });
+    // Only overwrite the fields that were provided
+    const changes = Object.fromEntries(
+      Object.entries({
+        name,
+        description,
+        price,
+        category_id,
+        reorder_threshold,
+        sku,
+      }).filter(([, value]) => value !== undefined)
+    );
+    if (!(await productRepository.update(id, changes)))
+      throw new NotFoundError("Product not found");
+
+    // Let watchers know about a lower price. The update itself has already
+    // succeeded, so a failure here is only logged.
+    const oldPrice = existingProduct.price;
+    if (price !== undefined && Number(price) < Number(oldPrice)) {
+      try {
+        await recordPriceDrop(id, oldPrice, price);
+      } catch (err) {
+        logger.error("Error recording price drop", { err });
+      }
+    }
 
-    res.json({ id, name, price, category_id });
+    res.json({ ...existingProduct, ...changes });
   } catch (err) {
-    console.error("Error updating product:", err);
-    res.status(500).json({ error: "Internal server error" });
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError(`SKU ${sku} is already in use.`);
+    }
+    throw err;
   }
-};
+});
 
 // Delete a product by ID
 /**
@@ -406,16 +955,14 @@ exports.updateProduct = async (req, res) => {
  *   /products/{id}:
  *     delete:
  *       summary: Delete a product by ID
- *       description: Deletes a product by its ID.
+ *       description: Deletes a product by its ID. With soft=true the product is hidden from listings instead and can be brought back with the restore endpoint. Deleting a product removes it from all wishlists and watch lists and deletes its image files; hiding it hides it there as well.
  *       tags:
  *         - Product
+ *       security:
+ *         - bearerAuth: []
  *       parameters:
- *         - name: id
- *           in: path
- *           required: true
- *           description: The ID of the product to delete
- *           schema:
- *             type: integer
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/ProductSoftDelete'
  *       responses:
  *         '204':
  *           description: Product deleted successfully
@@ -424,48 +971,724 @@ exports.updateProduct = async (req, res) => {
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Invalid product ID
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
  *         '404':
  *           description: Product not found
  *           content:
  *             application/json:
  *               schema:
- *                 type: object
- *                 properties:
- *                   error:
- *                     type: string
- *                     example: Product not found
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: Product is still referenced by other records and can only be soft deleted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Product is still referenced by other records. Pass soft=true to hide it instead.
  *         '500':
  *           description: Internal server error
  *           content:
  *             application/json:
  *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deleteProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const soft = req.query.soft === "true";
+
+  try {
+    // Stored image files are removed once the product is really gone
+    const imageKeys = soft ? [] : await productRepository.findImageKeys(id);
+
+    // Delete the product from the database, or just hide it
+    if (!(await productRepository.remove(id, { soft })))
+      throw new NotFoundError("Product not found");
+
+    for (const key of imageKeys) {
+      await getDriver()
+        .remove(key)
+        .catch((removeErr) =>
+          logger.error("Error removing stored image", { err: removeErr })
+        );
+    }
+
+    res.status(204).end(); // No content to return
+  } catch (err) {
+    if (err.code === "ER_ROW_IS_REFERENCED_2") {
+      throw new ConflictError(
+        "Product is still referenced by other records. Pass soft=true to hide it instead."
+      );
+    }
+    throw err;
+  }
+});
+
+// Restore a soft-deleted product
+/**
+ * @swagger
+ *   /products/{id}/restore:
+ *     post:
+ *       summary: Restore a soft-deleted product
+ *       description: Restores a product removed with soft=true. The product's category must not be deleted.
+ *       tags:
+ *         - Product
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       responses:
+ *         '200':
+ *           description: Product restored
+ *           content:
+ *             application/json:
+ *               schema:
  *                 type: object
  *                 properties:
- *                   error:
+ *                   id:
+ *                     type: integer
+ *                     description: Product ID
+ *                   name:
+ *                     type: string
+ *                     description: Product name
+ *                   description:
  *                     type: string
- *                     example: Internal server error
+ *                     nullable: true
+ *                     description: Product description
+ *                   price:
+ *                     type: number
+ *                     format: decimal
+ *                     description: Product price
+ *                   category_id:
+ *                     type: integer
+ *                     description: ID of the category associated with the product
+ *                   stock_quantity:
+ *                     type: integer
+ *                     description: Units in stock, changed through stock adjustments
+ *                   reorder_threshold:
+ *                     type: integer
+ *                     description: Stock level at or below which the product shows up in the low-stock report
+ *         '400':
+ *           description: Invalid product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: No soft-deleted product with this ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Deleted product not found
+ *         '409':
+ *           description: The product's category is deleted
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Restore the product's category first
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
  */
-exports.deleteProduct = async (req, res) => {
+exports.restoreProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
-  if (isNaN(id)) return res.status(400).json({ error: "Invalid product ID" });
+  const product = await productRepository.findDeleted(id);
+  if (!product) throw new NotFoundError("Deleted product not found");
+
+  if (
+    product.category_id !== null &&
+    !(await categoryRepository.exists(product.category_id))
+  ) {
+    throw new ConflictError("Restore the product's category first");
+  }
+
+  await productRepository.restore(id);
+
+  res.json({ ...product, deleted_at: null });
+});
+
+// Import products from CSV
+/**
+ * @swagger
+ *   /products/import:
+ *     post:
+ *       summary: Import products from CSV
+ *       description: Creates and updates products from a CSV file with a header row, as produced by GET /products/export. Rows with an id update that product, rows with the SKU of an existing product update it, and other rows create a product. Empty cells keep the current value. Categories can be given by category_id or by name in the category column. Every row is checked with the same rules as creating or updating a single product. If any row is invalid, nothing is written and the report lists the errors. At most 5000 rows are accepted.
+ *       tags:
+ *         - Product
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ImportDryRun'
+ *       requestBody:
+ *         description: The products as CSV
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "sku,name,price,category,reorder_threshold\r\nBAT-EW-01,English Willow Bat,149.99,Bats,5\r\n"
+ *       responses:
+ *         '200':
+ *           description: Every row is valid. Unless dry_run is set, the products have been created and updated.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductImportReport'
+ *         '400':
+ *           description: The file cannot be read, or some rows are invalid and nothing was imported. In the latter case the details are the report of every row.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             $ref: '#/components/schemas/ProductImportReport'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Some rows are invalid. Nothing was imported.
+ *                   details:
+ *                     dry_run: false
+ *                     created: 1
+ *                     updated: 0
+ *                     failed: 1
+ *                     rows:
+ *                       - row: 2
+ *                         action: create
+ *                       - row: 3
+ *                         error: price must be greater than 0
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '409':
+ *           description: Another request took one of the file's SKUs during the import; nothing was imported
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: A SKU in the file was taken by another product during the import. Nothing was imported.
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ * components:
+ *   schemas:
+ *     ProductImportReport:
+ *       type: object
+ *       properties:
+ *         dry_run:
+ *           type: boolean
+ *         created:
+ *           type: integer
+ *           description: Number of rows that create a product
+ *         updated:
+ *           type: integer
+ *           description: Number of rows that update a product
+ *         failed:
+ *           type: integer
+ *           description: Number of invalid rows
+ *         rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: integer
+ *                 description: Row number in the file, counting the header as row 1
+ *               action:
+ *                 type: string
+ *                 enum: [create, update]
+ *               id:
+ *                 type: integer
+ *                 description: ID of the product, once known
+ *               error:
+ *                 type: string
+ *                 description: Why the row is invalid
+ */
+exports.importProducts = asyncHandler(async (req, res) => {
+  const dryRun = req.query.dry_run === "true";
+
+  if (typeof req.body !== "string" || !req.body.trim()) {
+    throw new ValidationError("Send the products as a text/csv request body.");
+  }
+  const { records, error } = parseCsv(req.body);
+  if (error) throw new ValidationError(error);
+
+  const [header, ...data] = records;
+  const { columns, error: headerError } = parseHeader(header);
+  if (headerError) throw new ValidationError(headerError);
+  if (!data.length) {
+    throw new ValidationError("The file has no product rows.");
+  }
+  if (data.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError(
+      `A file can contain at most ${MAX_IMPORT_ROWS} product rows.`
+    );
+  }
 
   try {
-    // Delete the product from the database
-    const [result] = await connection
-      .promise()
-      .query("DELETE FROM products WHERE id = ?", [id]);
-    if (result.affectedRows === 0)
-      return res.status(404).json({ error: "Product not found" });
+    const categories = indexCategories(await categoryRepository.findAll());
+    const rows = data.map((cells) =>
+      parseProductRow(columns, cells, categories)
+    );
 
-    res.status(204).end(); // No content to return
+    // Load the products the rows refer to by ID or SKU
+    const ids = rows.filter((row) => row.id !== undefined).map((row) => row.id);
+    const skus = rows
+      .filter((row) => row.sku !== undefined)
+      .map((row) => row.sku);
+    const byId = await productRepository.findByIds(ids);
+    const bySku = await productRepository.findBySkus(skus);
+
+    const plan = planImport(rows, {
+      byId: new Map(byId.map((product) => [product.id, product])),
+      bySku: new Map(bySku.map((product) => [product.sku, product])),
+    });
+    const report = plan.map((entry, index) =>
+      entry.error
+        ? { row: index + 2, error: entry.error }
+        : {
+            row: index + 2,
+            action: entry.action,
+            ...(entry.product && { id: entry.product.id }),
+          }
+    );
+    const summary = () => ({
+      dry_run: dryRun,
+      created: plan.filter((entry) => entry.action === "create").length,
+      updated: plan.filter((entry) => entry.action === "update").length,
+      failed: plan.filter((entry) => entry.error).length,
+      rows: report,
+    });
+
+    if (plan.some((entry) => entry.error)) {
+      throw new ValidationError(
+        "Some rows are invalid. Nothing was imported.",
+        summary()
+      );
+    }
+    if (dryRun) return res.json(summary());
+
+    await db.transaction(async (conn) => {
+      for (const [index, entry] of plan.entries()) {
+        if (entry.action === "create") {
+          report[index].id = await productRepository.create(entry.fields, {
+            db: conn,
+          });
+        } else {
+          await productRepository.update(entry.product.id, entry.fields, {
+            db: conn,
+          });
+        }
+      }
+    });
+
+    // Let watchers know about lower prices, as for single updates
+    for (const { action, product, fields } of plan) {
+      if (
+        action === "update" &&
+        fields.price !== undefined &&
+        Number(fields.price) < Number(product.price)
+      ) {
+        try {
+          await recordPriceDrop(product.id, product.price, fields.price);
+        } catch (err) {
+          logger.error("Error recording price drop", { err });
+        }
+      }
+    }
+
+    res.json(summary());
   } catch (err) {
-    console.error("Error deleting product:", err);
-    res.status(500).json({ error: "Internal server error" });
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError(
+        "A SKU in the file was taken by another product during the import. Nothing was imported."
+      );
+    }
+    throw err;
   }
-};
+});
+
+// Export products as CSV
+/**
+ * @swagger
+ *   /products/export:
+ *     get:
+ *       summary: Export products as CSV
+ *       description: Downloads every product that has not been deleted as CSV, in the format accepted by POST /products/import. The file is streamed, so large catalogs do not have to fit in memory.
+ *       tags:
+ *         - Product
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         '200':
+ *           description: The products as CSV with the columns id, sku, name, description, price, category_id, category, reorder_threshold and stock_quantity
+ *           content:
+ *             text/csv:
+ *               schema:
+ *                 type: string
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.exportProducts = asyncHandler(async (req, res) => {
+  // Once rows have been sent the status can no longer change; a failure
+  // cuts the download short instead
+  await streamCsv(res, productRepository.streamExport(), {
+    filename: "products.csv",
+    columns: PRODUCT_CSV_COLUMNS,
+  });
+});
+
+// Create, update and delete several products in one request
+/**
+ * @swagger
+ *   /products/batch:
+ *     post:
+ *       summary: Create, update and delete several products in one request
+ *       description: Runs up to 100 operations in order in a single transaction. Each operation is checked and carried out like the matching single-product endpoint and needs the same role. In atomic mode (the default) nothing is written if any operation fails; in partial mode the operations that succeed are kept. Either way every operation gets a result with the status code the single endpoint would have returned.
+ *       tags:
+ *         - Product
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         required: true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductBatch'
+ *       responses:
+ *         '200':
+ *           description: The batch was committed. In partial mode some operations may have failed.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductBatchResult'
+ *         '400':
+ *           description: The request body is invalid, or in atomic mode an operation failed and nothing was written. In the latter case the details are the result of every operation.
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Error'
+ *                   - type: object
+ *                     properties:
+ *                       error:
+ *                         type: object
+ *                         properties:
+ *                           details:
+ *                             $ref: '#/components/schemas/ProductBatchResult'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: An operation failed. Nothing was written.
+ *                   details:
+ *                     mode: atomic
+ *                     committed: false
+ *                     succeeded: 1
+ *                     failed: 1
+ *                     results:
+ *                       - index: 0
+ *                         status: 200
+ *                         id: 7
+ *                       - index: 1
+ *                         status: 404
+ *                         error: Product not found
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ * components:
+ *   schemas:
+ *     ProductBatchResult:
+ *       type: object
+ *       properties:
+ *         mode:
+ *           type: string
+ *           enum: [atomic, partial]
+ *         committed:
+ *           type: boolean
+ *           description: Whether the changes were written
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Position of the operation in the request
+ *               status:
+ *                 type: integer
+ *                 description: Status code the single-product endpoint would have returned
+ *                 example: 201
+ *               id:
+ *                 type: integer
+ *                 description: ID of the product
+ *               product:
+ *                 type: object
+ *                 description: The created or updated product
+ *               error:
+ *                 type: string
+ *                 description: Why the operation failed
+ */
+exports.batchProducts = asyncHandler(async (req, res) => {
+  const { mode = "atomic", operations } = req.body;
+
+  const outcomes = await db.transaction(async (conn) => {
+    // An atomic batch with a failed operation returns here, keeping none
+    // of the operations but still answering with every result
+    await conn.query("SAVEPOINT batch");
+
+    const results = [];
+    for (const operation of operations) {
+      const parsed = parseBatchOperation(operation);
+      if (parsed.error) {
+        results.push({ status: 400, error: parsed.error });
+        continue;
+      }
+      if (!PERMISSIONS[BATCH_PERMISSIONS[parsed.op]].includes(req.user.role)) {
+        results.push({
+          status: 403,
+          error: "You do not have permission to perform this action",
+        });
+        continue;
+      }
+
+      // A failed operation is undone on its own, leaving the earlier ones
+      // in place for partial mode
+      await conn.query("SAVEPOINT batch_operation");
+      let outcome;
+      try {
+        outcome = await runBatchOperation(conn, parsed);
+      } catch (err) {
+        if (err.code === "ER_DUP_ENTRY") {
+          outcome = {
+            status: 409,
+            error: `SKU ${parsed.fields.sku} is already in use.`,
+          };
+        } else if (err.code === "ER_ROW_IS_REFERENCED_2") {
+          outcome = {
+            status: 409,
+            error:
+              "Product is still referenced by other records. Pass soft=true to hide it instead.",
+          };
+        } else {
+          throw err;
+        }
+      }
+      if (outcome.error) {
+        await conn.query("ROLLBACK TO SAVEPOINT batch_operation");
+      }
+      results.push(outcome);
+    }
+
+    if (mode === "atomic" && results.some((outcome) => outcome.error)) {
+      await conn.query("ROLLBACK TO SAVEPOINT batch");
+    }
+    return results;
+  });
+
+  const failed = outcomes.filter((outcome) => outcome.error).length;
+  const committed = mode === "partial" || failed === 0;
+
+  if (committed) {
+    // As for single updates and deletes, failures here are only logged
+    for (const { priceDrop, imageKeys = [] } of outcomes) {
+      if (priceDrop) {
+        await recordPriceDrop(...priceDrop).catch((err) =>
+          logger.error("Error recording price drop", { err })
+        );
+      }
+      for (const key of imageKeys) {
+        await getDriver()
+          .remove(key)
+          .catch((removeErr) =>
+            logger.error("Error removing stored image", { err: removeErr })
+          );
+      }
+    }
+  }
+
+  const report = {
+    mode,
+    committed,
+    succeeded: outcomes.length - failed,
+    failed,
+    results: outcomes.map(({ status, id, product, error }, index) => ({
+      index,
+      status,
+      id,
+      product,
+      error,
+    })),
+  };
+  if (!committed) {
+    throw new ValidationError(
+      "An operation failed. Nothing was written.",
+      report
+    );
+  }
+  res.json(report);
+});
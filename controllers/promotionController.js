@@ -0,0 +1,663 @@
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const categoryRepository = require("../repositories/categoryRepository");
+const { parsePagination, pageEnvelope } = require("../utils/pagination");
+const { findPromotion } = require("../utils/promotions");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Promotion ID
+ *         code:
+ *           type: string
+ *           description: Discount code customers enter, stored in upper case
+ *           example: SUMMER10
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         type:
+ *           type: string
+ *           enum: [percent, fixed]
+ *         amount:
+ *           type: number
+ *           format: decimal
+ *           description: Percentage off, or fixed amount off
+ *           example: 10
+ *         min_order_value:
+ *           type: number
+ *           format: decimal
+ *           nullable: true
+ *           description: Minimum order subtotal for the code to apply
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         ends_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usage_limit:
+ *           type: integer
+ *           nullable: true
+ *           description: How many orders can use the code; null means unlimited
+ *         times_used:
+ *           type: integer
+ *         product_ids:
+ *           type: array
+ *           description: Products the code is restricted to
+ *           items:
+ *             type: integer
+ *         category_ids:
+ *           type: array
+ *           description: Categories, including their subcategories, the code is restricted to
+ *           items:
+ *             type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to turn a promotion request body, already checked against
+// the PromotionInput or PromotionUpdate schema, into column values. Returns {
+// changes, productIds, categoryIds }.
+const parsePromotion = (body) => {
+  const {
+    code,
+    description,
+    type,
+    amount,
+    min_order_value,
+    starts_at,
+    ends_at,
+    usage_limit,
+    product_ids,
+    category_ids,
+  } = body;
+
+  const changes = Object.fromEntries(
+    Object.entries({
+      code: code === undefined ? undefined : code.trim().toUpperCase(),
+      description,
+      type,
+      amount,
+      min_order_value,
+      starts_at: starts_at && new Date(starts_at),
+      ends_at: ends_at && new Date(ends_at),
+      usage_limit,
+    }).filter(([, value]) => value !== undefined)
+  );
+  return {
+    changes,
+    productIds: product_ids && [...new Set(product_ids)],
+    categoryIds: category_ids && [...new Set(category_ids)],
+  };
+};
+
+// Helper function to check the rules that span several fields of a complete
+// promotion. Returns an error message or null.
+const checkPromotion = (promotion) => {
+  if (promotion.type === "percent" && Number(promotion.amount) > 100) {
+    return "A percentage discount cannot exceed 100.";
+  }
+  if (
+    promotion.starts_at &&
+    promotion.ends_at &&
+    new Date(promotion.ends_at) <= new Date(promotion.starts_at)
+  ) {
+    return "ends_at must be after starts_at.";
+  }
+  return null;
+};
+
+// Helper function to find which of the given IDs a repository does not know
+const findMissing = async (repository, ids) => {
+  if (!ids || !ids.length) return [];
+  const found = new Set(
+    (await repository.findByIds(ids)).map((record) => record.id)
+  );
+  return ids.filter((id) => !found.has(id));
+};
+
+// Helper function to check the products and categories of a restriction.
+// Returns an error message or null.
+const checkRestrictions = async (productIds, categoryIds) => {
+  const missingProducts = await findMissing(productRepository, productIds);
+  if (missingProducts.length) {
+    return `Unknown product IDs: ${missingProducts.join(", ")}.`;
+  }
+  const missingCategories = await findMissing(categoryRepository, categoryIds);
+  if (missingCategories.length) {
+    return `Unknown category IDs: ${missingCategories.join(", ")}.`;
+  }
+  return null;
+};
+
+// Helper function to replace the restrictions of a promotion that were given
+const saveRestrictions = async (conn, promotionId, productIds, categoryIds) => {
+  if (productIds) {
+    await conn.query("DELETE FROM promotion_products WHERE promotion_id = ?", [
+      promotionId,
+    ]);
+    if (productIds.length) {
+      await conn.query(
+        "INSERT INTO promotion_products (promotion_id, product_id) VALUES ?",
+        [productIds.map((productId) => [promotionId, productId])]
+      );
+    }
+  }
+  if (categoryIds) {
+    await conn.query(
+      "DELETE FROM promotion_categories WHERE promotion_id = ?",
+      [promotionId]
+    );
+    if (categoryIds.length) {
+      await conn.query(
+        "INSERT INTO promotion_categories (promotion_id, category_id) VALUES ?",
+        [categoryIds.map((categoryId) => [promotionId, categoryId])]
+      );
+    }
+  }
+};
+
+// Retrieve all promotions
+/**
+ * @swagger
+ * paths:
+ *   /promotions:
+ *     get:
+ *       summary: Retrieve all promotions
+ *       description: Lists promotions, newest first. Restrictions are only included when retrieving a single promotion.
+ *       tags:
+ *         - Promotions
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *       responses:
+ *         '200':
+ *           description: A page of promotions
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Promotion'
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: page
+ *                       message: must be at least 1
+ *                     - field: limit
+ *                       message: must be at most 100
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getPromotions = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  const [[{ total }]] = await db.query(
+    "SELECT COUNT(*) AS total FROM promotions"
+  );
+  const [promotions] = await db.query(
+    "SELECT * FROM promotions ORDER BY id DESC LIMIT ? OFFSET ?",
+    [limit, (page - 1) * limit]
+  );
+
+  res.json(pageEnvelope(req, promotions, { total, page, limit }));
+});
+
+// Retrieve a promotion by ID
+/**
+ * @swagger
+ *   /promotions/{id}:
+ *     get:
+ *       summary: Retrieve a promotion by ID
+ *       tags:
+ *         - Promotions
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PromotionId'
+ *       responses:
+ *         '200':
+ *           description: The promotion
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Promotion'
+ *         '400':
+ *           description: Invalid promotion ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Promotion not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Promotion not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getPromotionById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const promotion = await findPromotion(id);
+  if (!promotion) throw new NotFoundError("Promotion not found");
+
+  res.json(promotion);
+});
+
+// Create a promotion
+/**
+ * @swagger
+ *   /promotions:
+ *     post:
+ *       summary: Create a promotion
+ *       tags:
+ *         - Promotions
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         description: The promotion to create. code, type and amount are required.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromotionInput'
+ *       responses:
+ *         '201':
+ *           description: Promotion created
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Promotion'
+ *         '400':
+ *           description: Invalid request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: A percentage discount cannot exceed 100.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '409':
+ *           description: A promotion with this code already exists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: A promotion with this code already exists
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createPromotion = asyncHandler(async (req, res) => {
+  const { changes, productIds, categoryIds } = parsePromotion(req.body);
+
+  const invalid = checkPromotion(changes);
+  if (invalid) throw new ValidationError(invalid);
+
+  try {
+    const unknown = await checkRestrictions(productIds, categoryIds);
+    if (unknown) throw new ValidationError(unknown);
+
+    const promotionId = await db.transaction(async (conn) => {
+      const fields = Object.keys(changes);
+      const [result] = await conn.query(
+        `INSERT INTO promotions (${fields.join(", ")}) VALUES (?)`,
+        [Object.values(changes)]
+      );
+      await saveRestrictions(conn, result.insertId, productIds, categoryIds);
+      return result.insertId;
+    });
+
+    res.status(201).json(await findPromotion(promotionId));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("A promotion with this code already exists");
+    }
+    throw err;
+  }
+});
+
+// Update a promotion
+/**
+ * @swagger
+ *   /promotions/{id}:
+ *     put:
+ *       summary: Update a promotion
+ *       description: Updates the given fields of a promotion. product_ids and category_ids, when given, replace the existing restrictions.
+ *       tags:
+ *         - Promotions
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PromotionId'
+ *       requestBody:
+ *         description: The fields to update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromotionUpdate'
+ *       responses:
+ *         '200':
+ *           description: Promotion updated
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Promotion'
+ *         '400':
+ *           description: Invalid promotion ID or request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: ends_at must be after starts_at.
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Promotion not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Promotion not found
+ *         '409':
+ *           description: A promotion with this code already exists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: A promotion with this code already exists
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.updatePromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { changes, productIds, categoryIds } = parsePromotion(req.body);
+
+  try {
+    const existing = await findPromotion(id);
+    if (!existing) throw new NotFoundError("Promotion not found");
+
+    const invalid = checkPromotion({ ...existing, ...changes });
+    if (invalid) throw new ValidationError(invalid);
+
+    const unknown = await checkRestrictions(productIds, categoryIds);
+    if (unknown) throw new ValidationError(unknown);
+
+    await db.transaction(async (conn) => {
+      const fields = Object.keys(changes);
+      if (fields.length) {
+        await conn.query(
+          `UPDATE promotions SET ${fields
+            .map((field) => `${field} = ?`)
+            .join(", ")} WHERE id = ?`,
+          [...Object.values(changes), existing.id]
+        );
+      }
+      await saveRestrictions(conn, existing.id, productIds, categoryIds);
+    });
+
+    res.json(await findPromotion(existing.id));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("A promotion with this code already exists");
+    }
+    throw err;
+  }
+});
+
+// Delete a promotion
+/**
+ * @swagger
+ *   /promotions/{id}:
+ *     delete:
+ *       summary: Delete a promotion
+ *       description: Deletes a promotion. Orders that used its code keep their discount.
+ *       tags:
+ *         - Promotions
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/PromotionId'
+ *       responses:
+ *         '204':
+ *           description: Promotion deleted
+ *         '400':
+ *           description: Invalid promotion ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Promotion not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Promotion not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deletePromotion = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [result] = await db.query("DELETE FROM promotions WHERE id = ?", [id]);
+  if (result.affectedRows === 0) throw new NotFoundError("Promotion not found");
+
+  res.status(204).end(); // No content to return
+});
@@ -0,0 +1,479 @@
+const db = require("../configs/db");
+const { parsePagination, pageEnvelope } = require("../utils/pagination");
+const productRepository = require("../repositories/productRepository");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+
+const REVIEW_SORTS = {
+  created_at: "r.created_at ASC, r.id ASC",
+  "-created_at": "r.created_at DESC, r.id DESC",
+  rating: "r.rating ASC, r.id DESC",
+  "-rating": "r.rating DESC, r.id DESC",
+};
+
+const REVIEW_COLUMNS = `r.id, r.product_id, r.user_id, u.name AS user_name,
+  r.rating, r.comment, r.hidden_at, r.hidden_reason, r.created_at`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Review ID
+ *         product_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *           description: ID of the user who wrote the review
+ *         user_name:
+ *           type: string
+ *           description: Name of the user who wrote the review
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         hidden_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a moderator hid the review; hidden reviews are not listed and do not count towards the product's rating
+ *         hidden_reason:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to load a review of a product
+const findReview = async (conn, productId, reviewId) => {
+  const [reviews] = await conn.query(
+    `SELECT ${REVIEW_COLUMNS}
+       FROM reviews r
+       JOIN users u ON u.id = r.user_id
+      WHERE r.id = ? AND r.product_id = ?`,
+    [reviewId, productId]
+  );
+  return reviews[0];
+};
+
+// Helper function to hide or unhide a review together with its rating. Does
+// nothing if the review is already in the requested state.
+const setHidden = async (productId, reviewId, hidden, moderation = {}) => {
+  const found = await db.transaction(async (conn) => {
+    const [reviews] = await conn.query(
+      "SELECT id, rating, hidden_at FROM reviews WHERE id = ? AND product_id = ? FOR UPDATE",
+      [reviewId, productId]
+    );
+    const review = reviews[0];
+    if (review && (review.hidden_at !== null) !== hidden) {
+      await conn.query(
+        "UPDATE reviews SET hidden_at = ?, hidden_by = ?, hidden_reason = ? WHERE id = ?",
+        hidden
+          ? [new Date(), moderation.userId, moderation.reason, review.id]
+          : [null, null, null, review.id]
+      );
+      await productRepository.adjustRating(
+        productId,
+        review.rating,
+        hidden ? -1 : 1,
+        { db: conn }
+      );
+    }
+    return review;
+  });
+
+  return found && findReview(db, productId, found.id);
+};
+
+// Retrieve the reviews of a product
+/**
+ * @swagger
+ * paths:
+ *   /products/{id}/reviews:
+ *     get:
+ *       summary: Retrieve the reviews of a product
+ *       description: Lists the reviews of a product that have not been hidden by a moderator. The product's average rating and number of ratings are returned with the product itself.
+ *       tags:
+ *         - Reviews
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *         - $ref: '#/components/parameters/ReviewSort'
+ *       responses:
+ *         '200':
+ *           description: A page of reviews
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/Review'
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid product ID, or invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: sort
+ *                       message: must be one of created_at, -created_at, rating, -rating
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getReviews = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { sort = "-created_at" } = req.query;
+  const { page, limit } = parsePagination(req.query);
+
+  if (!(await productRepository.findById(id)))
+    throw new NotFoundError("Product not found");
+
+  const [[{ total }]] = await db.query(
+    "SELECT COUNT(*) AS total FROM reviews WHERE product_id = ? AND hidden_at IS NULL",
+    [id]
+  );
+  const [reviews] = await db.query(
+    `SELECT ${REVIEW_COLUMNS}
+       FROM reviews r
+       JOIN users u ON u.id = r.user_id
+      WHERE r.product_id = ? AND r.hidden_at IS NULL
+      ORDER BY ${REVIEW_SORTS[sort]}
+      LIMIT ? OFFSET ?`,
+    [id, limit, (page - 1) * limit]
+  );
+
+  res.json(pageEnvelope(req, reviews, { total, page, limit }));
+});
+
+// Review a product
+/**
+ * @swagger
+ *   /products/{id}/reviews:
+ *     post:
+ *       summary: Review a product
+ *       description: Rates a product from 1 to 5 stars with a comment. Each user can review a product once.
+ *       tags:
+ *         - Reviews
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       requestBody:
+ *         description: The review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReviewInput'
+ *       responses:
+ *         '201':
+ *           description: Review created
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Review'
+ *         '400':
+ *           description: Invalid product ID or request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: rating
+ *                       message: must be at most 5
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: The user has already reviewed the product
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: You have already reviewed this product
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rating, comment } = req.body;
+
+  try {
+    const product = await productRepository.findById(id);
+    if (!product) throw new NotFoundError("Product not found");
+
+    const reviewId = await db.transaction(async (conn) => {
+      const [result] = await conn.query(
+        "INSERT INTO reviews (product_id, user_id, rating, comment) VALUES (?, ?, ?, ?)",
+        [product.id, req.user.id, rating, comment.trim()]
+      );
+      await productRepository.adjustRating(product.id, rating, 1, { db: conn });
+      return result.insertId;
+    });
+
+    res.status(201).json(await findReview(db, product.id, reviewId));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("You have already reviewed this product");
+    }
+    throw err;
+  }
+});
+
+// Hide a review
+/**
+ * @swagger
+ *   /products/{id}/reviews/{reviewId}/hide:
+ *     post:
+ *       summary: Hide a review
+ *       description: Hides a review from the product's reviews and removes its rating from the product's average. Hiding a hidden review has no effect.
+ *       tags:
+ *         - Reviews
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/ReviewId'
+ *       requestBody:
+ *         description: Why the review is hidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReviewHideInput'
+ *       responses:
+ *         '200':
+ *           description: The hidden review
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Review'
+ *         '400':
+ *           description: Invalid ID or reason
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Review not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Review not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.hideReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+  const { reason = null } = req.body || {};
+
+  const review = await setHidden(id, reviewId, true, {
+    userId: req.user.id,
+    reason,
+  });
+  if (!review) throw new NotFoundError("Review not found");
+
+  res.json(review);
+});
+
+// Unhide a review
+/**
+ * @swagger
+ *   /products/{id}/reviews/{reviewId}/hide:
+ *     delete:
+ *       summary: Unhide a review
+ *       description: Shows a hidden review again and adds its rating back to the product's average.
+ *       tags:
+ *         - Reviews
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/ReviewId'
+ *       responses:
+ *         '200':
+ *           description: The visible review
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Review'
+ *         '400':
+ *           description: Invalid ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Review not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Review not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.unhideReview = asyncHandler(async (req, res) => {
+  const { id, reviewId } = req.params;
+
+  const review = await setHidden(id, reviewId, false);
+  if (!review) throw new NotFoundError("Review not found");
+
+  res.json(review);
+});
@@ -0,0 +1,106 @@
+const userRepository = require("../repositories/userRepository");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+// Change a user's role
+/**
+ * @swagger
+ * paths:
+ *   /users/{id}/role:
+ *     put:
+ *       summary: Change a user's role
+ *       description: Promotes or demotes a user by assigning one of the admin, staff or customer roles. Only admins can call this endpoint, and admins cannot change their own role. The new role applies to the user's next request, including with tokens issued before the change.
+ *       tags:
+ *         - User
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/UserId'
+ *       requestBody:
+ *         description: The role to assign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleInput'
+ *       responses:
+ *         '200':
+ *           description: Role updated successfully
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: ID of the updated user
+ *                   role:
+ *                     type: string
+ *                     description: New role of the user
+ *         '400':
+ *           description: Invalid user ID or role
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: role
+ *                       message: must be one of admin, staff, customer
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user is not an admin
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: User not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: User not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.updateUserRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  // Stop admins from locking themselves out
+  if (Number(id) === req.user.id) {
+    throw new ValidationError("You cannot change your own role");
+  }
+
+  if (!(await userRepository.updateRole(id, role)))
+    throw new NotFoundError("User not found");
+
+  res.json({ id: Number(id), role });
+});
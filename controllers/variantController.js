@@ -0,0 +1,545 @@
+const crypto = require("crypto");
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const VARIANT_COLUMNS =
+  "id, product_id, sku, options, price, stock_quantity, created_at";
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductVariant:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Variant ID
+ *         product_id:
+ *           type: integer
+ *           description: ID of the product the variant belongs to
+ *         sku:
+ *           type: string
+ *           description: Stock keeping unit, unique across all variants
+ *           example: SHOE-RUN-42-BLK
+ *         options:
+ *           type: object
+ *           description: Option attributes distinguishing the variant
+ *           additionalProperties:
+ *             type: string
+ *           example:
+ *             size: "42"
+ *             color: black
+ *         price:
+ *           type: number
+ *           format: decimal
+ *           nullable: true
+ *           description: Price override; null means the product price applies
+ *         stock_quantity:
+ *           type: integer
+ *           description: Units in stock
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to hash a canonical form of an options object so that
+// {Color: "Red", size: "9"} and {size: "9", color: "red"} are the same variant
+const optionsKey = (options) => {
+  const canonical = Object.entries(options)
+    .map(([key, value]) => [
+      key.trim().toLowerCase(),
+      value.trim().toLowerCase(),
+    ])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical))
+    .digest("hex");
+};
+
+const describeOptions = (options) =>
+  Object.entries(options)
+    .map(([key, value]) => `${key}=${value}`)
+    .join(", ");
+
+// Helper function to check for option names that are blank. The schemas
+// check the option values but cannot describe the names.
+const hasBlankOptionName = (options) =>
+  options !== undefined && Object.keys(options).some((key) => !key.trim());
+
+// Helper function to explain which uniqueness rule a write broke. Returns
+// null if none was broken.
+const findConflict = async (productId, { sku, options }, excludeId = 0) => {
+  if (sku !== undefined) {
+    const [skus] = await db.query(
+      "SELECT id FROM product_variants WHERE sku = ? AND id <> ?",
+      [sku, excludeId]
+    );
+    if (skus.length) return `SKU ${sku} is already in use.`;
+  }
+  if (options !== undefined) {
+    const [combos] = await db.query(
+      "SELECT id FROM product_variants WHERE product_id = ? AND options_key = ? AND id <> ?",
+      [productId, optionsKey(options), excludeId]
+    );
+    if (combos.length) {
+      return `A variant with options ${describeOptions(
+        options
+      )} already exists for this product.`;
+    }
+  }
+  return null;
+};
+
+// Retrieve the variants of a product
+/**
+ * @swagger
+ * paths:
+ *   /products/{id}/variants:
+ *     get:
+ *       summary: Retrieve the variants of a product
+ *       description: Retrieves every variant (e.g. size or color) of a product.
+ *       tags:
+ *         - Product Variant
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       responses:
+ *         '200':
+ *           description: A list of variants
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductVariant'
+ *         '400':
+ *           description: Invalid product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getVariants = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!(await productRepository.findById(id)))
+    throw new NotFoundError("Product not found");
+
+  const [variants] = await db.query(
+    `SELECT ${VARIANT_COLUMNS} FROM product_variants WHERE product_id = ? ORDER BY id`,
+    [id]
+  );
+  res.json(variants);
+});
+
+// Create a variant of a product
+/**
+ * @swagger
+ *   /products/{id}/variants:
+ *     post:
+ *       summary: Create a variant of a product
+ *       description: Creates a variant with its own SKU, option attributes, optional price override and stock. SKUs must be unique across all products, and each option combination may only exist once per product (compared case-insensitively).
+ *       tags:
+ *         - Product Variant
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *       requestBody:
+ *         description: The new variant. sku and options are required.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductVariantInput'
+ *       responses:
+ *         '201':
+ *           description: Variant created successfully
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductVariant'
+ *         '400':
+ *           description: Invalid product ID or request body
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: stock_quantity
+ *                       message: must be at least 0
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: Duplicate SKU or option combination
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: A variant with options size=9, color=red already exists for this product.
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createVariant = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { sku, options, price = null, stock_quantity = 0 } = req.body;
+
+  if (hasBlankOptionName(options)) {
+    throw new ValidationError(
+      "Each variant option must have a non-empty name."
+    );
+  }
+
+  try {
+    if (!(await productRepository.findById(id)))
+      throw new NotFoundError("Product not found");
+
+    const conflict = await findConflict(id, { sku, options });
+    if (conflict) throw new ConflictError(conflict);
+
+    // The initial stock is recorded in the ledger as a receipt, like any
+    // other stock that arrives
+    const variantId = await db.transaction(async (conn) => {
+      const [result] = await conn.query(
+        "INSERT INTO product_variants (product_id, sku, options, options_key, price, stock_quantity) VALUES (?, ?, ?, ?, ?, ?)",
+        [
+          id,
+          sku,
+          JSON.stringify(options),
+          optionsKey(options),
+          price,
+          stock_quantity,
+        ]
+      );
+      if (stock_quantity > 0) {
+        await conn.query(
+          "INSERT INTO stock_movements (product_id, variant_id, type, quantity_change, reason, user_id) VALUES (?, ?, 'receipt', ?, 'Initial stock', ?)",
+          [id, result.insertId, stock_quantity, req.user.id]
+        );
+      }
+      return result.insertId;
+    });
+    const [variants] = await db.query(
+      `SELECT ${VARIANT_COLUMNS} FROM product_variants WHERE id = ?`,
+      [variantId]
+    );
+    res.status(201).json(variants[0]);
+  } catch (err) {
+    // A concurrent request won the race for the unique SKU or options key
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError(
+        "A variant with this SKU or options already exists."
+      );
+    }
+    throw err;
+  }
+});
+
+// Update a variant of a product
+/**
+ * @swagger
+ *   /products/{id}/variants/{variantId}:
+ *     put:
+ *       summary: Update a variant of a product
+ *       description: Updates the SKU, options or price override of a variant. Fields that are omitted keep their current value. Stock is changed by recording a stock adjustment with the variant_id instead.
+ *       tags:
+ *         - Product Variant
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/VariantId'
+ *       requestBody:
+ *         description: The fields to change
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductVariantUpdate'
+ *       responses:
+ *         '200':
+ *           description: Variant updated successfully
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/ProductVariant'
+ *         '400':
+ *           description: Invalid ID or request body, or stock_quantity was sent
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: price
+ *                       message: must be greater than 0
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Product or variant not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Variant not found
+ *         '409':
+ *           description: Duplicate SKU or option combination
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: SKU SHOE-RUN-42-BLK is already in use.
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.updateVariant = asyncHandler(async (req, res) => {
+  const { id, variantId } = req.params;
+  const { sku, options, price, stock_quantity } = req.body;
+
+  // Every stock change must go through the stock ledger
+  if (stock_quantity !== undefined) {
+    throw new ValidationError(
+      "stock_quantity cannot be updated directly. Record a stock adjustment with the variant_id instead."
+    );
+  }
+
+  if (hasBlankOptionName(options)) {
+    throw new ValidationError(
+      "Each variant option must have a non-empty name."
+    );
+  }
+
+  try {
+    if (!(await productRepository.findById(id)))
+      throw new NotFoundError("Product not found");
+
+    const [existing] = await db.query(
+      "SELECT id FROM product_variants WHERE id = ? AND product_id = ?",
+      [variantId, id]
+    );
+    if (!existing.length) throw new NotFoundError("Variant not found");
+
+    const conflict = await findConflict(id, { sku, options }, variantId);
+    if (conflict) throw new ConflictError(conflict);
+
+    // Only overwrite the fields that were provided
+    const changes = Object.fromEntries(
+      Object.entries({
+        sku,
+        options: options && JSON.stringify(options),
+        options_key: options && optionsKey(options),
+        price,
+      }).filter(([, value]) => value !== undefined)
+    );
+    const fields = Object.keys(changes);
+
+    if (fields.length) {
+      await db.query(
+        `UPDATE product_variants SET ${fields
+          .map((field) => `${field} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...Object.values(changes), variantId]
+      );
+    }
+
+    const [variants] = await db.query(
+      `SELECT ${VARIANT_COLUMNS} FROM product_variants WHERE id = ?`,
+      [variantId]
+    );
+    res.json(variants[0]);
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError(
+        "A variant with this SKU or options already exists."
+      );
+    }
+    throw err;
+  }
+});
+
+// Delete a variant of a product
+/**
+ * @swagger
+ *   /products/{id}/variants/{variantId}:
+ *     delete:
+ *       summary: Delete a variant of a product
+ *       description: Deletes a variant by its ID.
+ *       tags:
+ *         - Product Variant
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ProductId'
+ *         - $ref: '#/components/parameters/VariantId'
+ *       responses:
+ *         '204':
+ *           description: Variant deleted successfully
+ *         '400':
+ *           description: Invalid product or variant ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '403':
+ *           description: The authenticated user's role is not allowed to perform this action
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: FORBIDDEN
+ *                   message: You do not have permission to perform this action
+ *         '404':
+ *           description: Variant not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Variant not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deleteVariant = asyncHandler(async (req, res) => {
+  const { id, variantId } = req.params;
+
+  const [result] = await db.query(
+    "DELETE FROM product_variants WHERE id = ? AND product_id = ?",
+    [variantId, id]
+  );
+  if (result.affectedRows === 0) throw new NotFoundError("Variant not found");
+
+  res.status(204).end(); // No content to return
+});
@@ -0,0 +1,345 @@
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { parsePagination, pageEnvelope } = require("../utils/pagination");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { NotFoundError } = require("../utils/errors");
+
+// Retrieve the products the current user is watching
+/**
+ * @swagger
+ * paths:
+ *   /watches:
+ *     get:
+ *       summary: Retrieve the current user's watched products
+ *       tags:
+ *         - Watches
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         '200':
+ *           description: A list of watched products
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product_id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                     price:
+ *                       type: number
+ *                       format: decimal
+ *                     stock_quantity:
+ *                       type: integer
+ *                     watched_at:
+ *                       type: string
+ *                       format: date-time
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getWatches = asyncHandler(async (req, res) => {
+  const [watches] = await db.query(
+    `SELECT p.id AS product_id, p.name, p.price, p.stock_quantity,
+            w.created_at AS watched_at
+       FROM product_watches w
+       JOIN products p ON p.id = w.product_id
+      WHERE w.user_id = ? AND p.deleted_at IS NULL
+      ORDER BY w.id`,
+    [req.user.id]
+  );
+  res.json(watches);
+});
+
+// Watch a product
+/**
+ * @swagger
+ *   /watches:
+ *     post:
+ *       summary: Watch a product
+ *       description: Records a price_drop event for the user whenever the product's price is lowered, and a back_in_stock event whenever it is restocked after selling out. Watching an already watched product has no effect.
+ *       tags:
+ *         - Watches
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         description: The product to watch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchInput'
+ *       responses:
+ *         '204':
+ *           description: Product is being watched
+ *         '400':
+ *           description: Invalid product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: product_id
+ *                       message: must be an integer
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.watchProduct = asyncHandler(async (req, res) => {
+  const { product_id } = req.body;
+
+  if (!(await productRepository.findById(product_id)))
+    throw new NotFoundError("Product not found");
+
+  await db.query(
+    "INSERT IGNORE INTO product_watches (user_id, product_id) VALUES (?, ?)",
+    [req.user.id, product_id]
+  );
+
+  res.status(204).end(); // No content to return
+});
+
+// Stop watching a product
+/**
+ * @swagger
+ *   /watches/{productId}:
+ *     delete:
+ *       summary: Stop watching a product
+ *       tags:
+ *         - Watches
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/ListedProductId'
+ *       responses:
+ *         '204':
+ *           description: Product is no longer watched
+ *         '400':
+ *           description: Invalid product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: The user is not watching the product
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: You are not watching this product
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.unwatchProduct = asyncHandler(async (req, res) => {
+  const { productId } = req.params;
+
+  const [result] = await db.query(
+    "DELETE FROM product_watches WHERE user_id = ? AND product_id = ?",
+    [req.user.id, productId]
+  );
+  if (result.affectedRows === 0)
+    throw new NotFoundError("You are not watching this product");
+
+  res.status(204).end(); // No content to return
+});
+
+// Retrieve the watch events of the current user
+/**
+ * @swagger
+ *   /watches/events:
+ *     get:
+ *       summary: Retrieve the current user's watch events
+ *       description: Lists the price drops and restocks recorded for the products the user watches, newest first.
+ *       tags:
+ *         - Watches
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/Page'
+ *         - $ref: '#/components/parameters/Limit'
+ *       responses:
+ *         '200':
+ *           description: A page of events
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   data:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: integer
+ *                         type:
+ *                           type: string
+ *                           enum: [price_drop, back_in_stock]
+ *                         product_id:
+ *                           type: integer
+ *                         name:
+ *                           type: string
+ *                         old_price:
+ *                           type: number
+ *                           format: decimal
+ *                           nullable: true
+ *                         new_price:
+ *                           type: number
+ *                           format: decimal
+ *                           nullable: true
+ *                         created_at:
+ *                           type: string
+ *                           format: date-time
+ *                   meta:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: integer
+ *                       page:
+ *                         type: integer
+ *                       limit:
+ *                         type: integer
+ *                       total_pages:
+ *                         type: integer
+ *                   links:
+ *                     type: object
+ *                     properties:
+ *                       self:
+ *                         type: string
+ *                       next:
+ *                         type: string
+ *                         nullable: true
+ *                       prev:
+ *                         type: string
+ *                         nullable: true
+ *         '400':
+ *           description: Invalid, unknown or repeated query parameters
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *                   details:
+ *                     - field: page
+ *                       message: must be at least 1
+ *                     - field: limit
+ *                       message: must be at most 100
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getWatchEvents = asyncHandler(async (req, res) => {
+  const { page, limit } = parsePagination(req.query);
+
+  const [[{ total }]] = await db.query(
+    "SELECT COUNT(*) AS total FROM watch_events WHERE user_id = ?",
+    [req.user.id]
+  );
+  const [events] = await db.query(
+    `SELECT e.id, e.type, e.product_id, p.name, e.old_price, e.new_price,
+            e.created_at
+       FROM watch_events e
+       JOIN products p ON p.id = e.product_id
+      WHERE e.user_id = ?
+      ORDER BY e.id DESC
+      LIMIT ? OFFSET ?`,
+    [req.user.id, limit, (page - 1) * limit]
+  );
+
+  res.json(pageEnvelope(req, events, { total, page, limit }));
+});
@@ -0,0 +1,774 @@
+const crypto = require("crypto");
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Wishlist:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Wishlist ID
+ *         name:
+ *           type: string
+ *           example: Birthday
+ *         share_url:
+ *           type: string
+ *           nullable: true
+ *           description: Public read-only link, or null if the wishlist is not shared
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WishlistItem'
+ *     WishlistItem:
+ *       type: object
+ *       properties:
+ *         product_id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         price:
+ *           type: number
+ *           format: decimal
+ *         stock_quantity:
+ *           type: integer
+ *         added_at:
+ *           type: string
+ *           format: date-time
+ */
+
+// Helper function to build the public link of a shared wishlist
+const shareUrl = (req, token) =>
+  token
+    ? `${req.protocol}://${req.get("host")}/wishlists/shared/${token}`
+    : null;
+
+// Helper function to find a wishlist owned by the given user
+const findWishlist = async (id, userId) => {
+  const [wishlists] = await db.query(
+    "SELECT id, name, share_token, created_at FROM wishlists WHERE id = ? AND user_id = ?",
+    [id, userId]
+  );
+  return wishlists[0];
+};
+
+// Helper function to list the products of a wishlist. Products that have been
+// hidden with a soft delete are left out.
+const wishlistItems = async (wishlistId) => {
+  const [items] = await db.query(
+    `SELECT p.id AS product_id, p.name, p.price, p.stock_quantity,
+            wi.created_at AS added_at
+       FROM wishlist_items wi
+       JOIN products p ON p.id = wi.product_id
+      WHERE wi.wishlist_id = ? AND p.deleted_at IS NULL
+      ORDER BY wi.id`,
+    [wishlistId]
+  );
+  return items;
+};
+
+// Helper function to shape a wishlist for its owner
+const ownerView = (req, { share_token, ...wishlist }, items) => ({
+  ...wishlist,
+  share_url: shareUrl(req, share_token),
+  items,
+});
+
+// Retrieve the wishlists of the current user
+/**
+ * @swagger
+ * paths:
+ *   /wishlists:
+ *     get:
+ *       summary: Retrieve the current user's wishlists
+ *       description: Lists the wishlists of the authenticated user with the number of products in each.
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       responses:
+ *         '200':
+ *           description: A list of wishlists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     name:
+ *                       type: string
+ *                     share_url:
+ *                       type: string
+ *                       nullable: true
+ *                     item_count:
+ *                       type: integer
+ *                     created_at:
+ *                       type: string
+ *                       format: date-time
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getWishlists = asyncHandler(async (req, res) => {
+  const [wishlists] = await db.query(
+    `SELECT w.id, w.name, w.share_token, w.created_at,
+            (SELECT COUNT(*)
+               FROM wishlist_items wi
+               JOIN products p ON p.id = wi.product_id
+              WHERE wi.wishlist_id = w.id AND p.deleted_at IS NULL) AS item_count
+       FROM wishlists w
+      WHERE w.user_id = ?
+      ORDER BY w.id`,
+    [req.user.id]
+  );
+  res.json(
+    wishlists.map(({ share_token, ...wishlist }) => ({
+      ...wishlist,
+      share_url: shareUrl(req, share_token),
+    }))
+  );
+});
+
+// Create a wishlist
+/**
+ * @swagger
+ *   /wishlists:
+ *     post:
+ *       summary: Create a wishlist
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       requestBody:
+ *         description: The wishlist to create
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WishlistInput'
+ *       responses:
+ *         '201':
+ *           description: Wishlist created
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Wishlist'
+ *         '400':
+ *           description: Invalid wishlist name
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: name
+ *                       message: must be at most 100 characters long
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '409':
+ *           description: The user already has a wishlist with this name
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: You already have a wishlist with this name
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.createWishlist = asyncHandler(async (req, res) => {
+  const { name } = req.body;
+
+  try {
+    const [result] = await db.query(
+      "INSERT INTO wishlists (user_id, name) VALUES (?, ?)",
+      [req.user.id, name.trim()]
+    );
+    const wishlist = await findWishlist(result.insertId, req.user.id);
+    res.status(201).json(ownerView(req, wishlist, []));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("You already have a wishlist with this name");
+    }
+    throw err;
+  }
+});
+
+// Retrieve a shared wishlist
+/**
+ * @swagger
+ *   /wishlists/shared/{token}:
+ *     get:
+ *       summary: Retrieve a shared wishlist
+ *       description: Public, read-only view of a wishlist its owner has shared. No authentication is needed; the link stops working when the owner stops sharing.
+ *       tags:
+ *         - Wishlists
+ *       parameters:
+ *         - name: token
+ *           in: path
+ *           required: true
+ *           description: The token from the wishlist's share URL
+ *           schema:
+ *             type: string
+ *       responses:
+ *         '200':
+ *           description: The shared wishlist
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   items:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/WishlistItem'
+ *         '404':
+ *           description: No wishlist is shared under this token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Wishlist not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getSharedWishlist = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const [wishlists] = await db.query(
+    "SELECT id, name FROM wishlists WHERE share_token = ?",
+    [token]
+  );
+  if (!wishlists.length) throw new NotFoundError("Wishlist not found");
+
+  const items = await wishlistItems(wishlists[0].id);
+  res.json({ name: wishlists[0].name, items });
+});
+
+// Retrieve a wishlist by ID
+/**
+ * @swagger
+ *   /wishlists/{id}:
+ *     get:
+ *       summary: Retrieve a wishlist by ID
+ *       description: Returns one of the current user's wishlists with its products.
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *       responses:
+ *         '200':
+ *           description: The wishlist
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Wishlist'
+ *         '400':
+ *           description: Invalid wishlist ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist not found among the user's wishlists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Wishlist not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.getWishlistById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const wishlist = await findWishlist(id, req.user.id);
+  if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+  res.json(ownerView(req, wishlist, await wishlistItems(wishlist.id)));
+});
+
+// Delete a wishlist
+/**
+ * @swagger
+ *   /wishlists/{id}:
+ *     delete:
+ *       summary: Delete a wishlist
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *       responses:
+ *         '204':
+ *           description: Wishlist deleted
+ *         '400':
+ *           description: Invalid wishlist ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist not found among the user's wishlists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Wishlist not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.deleteWishlist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [result] = await db.query(
+    "DELETE FROM wishlists WHERE id = ? AND user_id = ?",
+    [id, req.user.id]
+  );
+  if (result.affectedRows === 0) throw new NotFoundError("Wishlist not found");
+
+  res.status(204).end(); // No content to return
+});
+
+// Add a product to a wishlist
+/**
+ * @swagger
+ *   /wishlists/{id}/items:
+ *     post:
+ *       summary: Add a product to a wishlist
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *       requestBody:
+ *         description: The product to add
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WishlistItemInput'
+ *       responses:
+ *         '201':
+ *           description: Product added; the updated wishlist is returned
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Wishlist'
+ *         '400':
+ *           description: Invalid wishlist ID or product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request body
+ *                   details:
+ *                     - field: product_id
+ *                       message: is required
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist or product not found
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product not found
+ *         '409':
+ *           description: The product is already on the wishlist
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: CONFLICT
+ *                   message: Product is already on this wishlist
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.addWishlistItem = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { product_id } = req.body;
+
+  try {
+    const wishlist = await findWishlist(id, req.user.id);
+    if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+    if (!(await productRepository.findById(product_id)))
+      throw new NotFoundError("Product not found");
+
+    await db.query(
+      "INSERT INTO wishlist_items (wishlist_id, product_id) VALUES (?, ?)",
+      [wishlist.id, product_id]
+    );
+
+    res
+      .status(201)
+      .json(ownerView(req, wishlist, await wishlistItems(wishlist.id)));
+  } catch (err) {
+    if (err.code === "ER_DUP_ENTRY") {
+      throw new ConflictError("Product is already on this wishlist");
+    }
+    throw err;
+  }
+});
+
+// Remove a product from a wishlist
+/**
+ * @swagger
+ *   /wishlists/{id}/items/{productId}:
+ *     delete:
+ *       summary: Remove a product from a wishlist
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *         - $ref: '#/components/parameters/ListedProductId'
+ *       responses:
+ *         '204':
+ *           description: Product removed
+ *         '400':
+ *           description: Invalid wishlist ID or product ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist not found, or the product is not on it
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Product is not on this wishlist
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.removeWishlistItem = asyncHandler(async (req, res) => {
+  const { id, productId } = req.params;
+
+  const wishlist = await findWishlist(id, req.user.id);
+  if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+  const [result] = await db.query(
+    "DELETE FROM wishlist_items WHERE wishlist_id = ? AND product_id = ?",
+    [wishlist.id, productId]
+  );
+  if (result.affectedRows === 0)
+    throw new NotFoundError("Product is not on this wishlist");
+
+  res.status(204).end(); // No content to return
+});
+
+// Share a wishlist
+/**
+ * @swagger
+ *   /wishlists/{id}/share:
+ *     post:
+ *       summary: Share a wishlist
+ *       description: Creates a public read-only link to the wishlist. Sharing an already shared wishlist returns the existing link.
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *       responses:
+ *         '200':
+ *           description: The share link
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 type: object
+ *                 properties:
+ *                   share_url:
+ *                     type: string
+ *         '400':
+ *           description: Invalid wishlist ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist not found among the user's wishlists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Wishlist not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.shareWishlist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const wishlist = await findWishlist(id, req.user.id);
+  if (!wishlist) throw new NotFoundError("Wishlist not found");
+
+  if (!wishlist.share_token) {
+    wishlist.share_token = crypto.randomBytes(16).toString("base64url");
+    await db.query("UPDATE wishlists SET share_token = ? WHERE id = ?", [
+      wishlist.share_token,
+      wishlist.id,
+    ]);
+  }
+
+  res.json({ share_url: shareUrl(req, wishlist.share_token) });
+});
+
+// Stop sharing a wishlist
+/**
+ * @swagger
+ *   /wishlists/{id}/share:
+ *     delete:
+ *       summary: Stop sharing a wishlist
+ *       description: Disables the public link. Sharing the wishlist again creates a new link.
+ *       tags:
+ *         - Wishlists
+ *       security:
+ *         - bearerAuth: []
+ *       parameters:
+ *         - $ref: '#/components/parameters/WishlistId'
+ *       responses:
+ *         '204':
+ *           description: Sharing disabled
+ *         '400':
+ *           description: Invalid wishlist ID
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: VALIDATION_ERROR
+ *                   message: Invalid request parameters
+ *         '401':
+ *           description: Missing, expired or invalid authentication token
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: UNAUTHORIZED
+ *                   message: Authentication token is required
+ *         '404':
+ *           description: Wishlist not found among the user's wishlists
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: NOT_FOUND
+ *                   message: Wishlist not found
+ *         '500':
+ *           description: Internal server error
+ *           content:
+ *             application/json:
+ *               schema:
+ *                 $ref: '#/components/schemas/Error'
+ *               example:
+ *                 error:
+ *                   code: INTERNAL_ERROR
+ *                   message: Internal server error
+ */
+exports.unshareWishlist = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [result] = await db.query(
+    "UPDATE wishlists SET share_token = NULL WHERE id = ? AND user_id = ?",
+    [id, req.user.id]
+  );
+  if (result.affectedRows === 0) throw new NotFoundError("Wishlist not found");
+
+  res.status(204).end(); // No content to return
+});
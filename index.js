@@ -1,32 +1,49 @@
-const express = require("express");
-const connection = require("./configs/db");
-const { authRouter } = require("./routes/authRoutes");
-const categoryRouter = require("./routes/categoryRoutes");
-const productRouter = require("./routes/productRoutes");
-const swaggerUi = require("swagger-ui-express");
-const swaggerSpec = require("./swagger");
+const db = require("./configs/db");
+const { pendingMigrations } = require("./migrations");
+const { createApp } = require("./app");
+const { logger } = require("./utils/logger");
 
 require("dotenv").config();
 
-const app = express();
-app.use(express.json());
+const app = createApp();
 
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+let server;
 
-app.get("/", (req, res) => {
-  res.send(`
-        <h1>Welcome to my App</h1>
-        <p>I'm glad you're here!.</p>
-        <a href="https://allsportsmoke.el.r.appspot.com/api-docs">Swagger Documentation.</a>
-        `);
-});
+// Check the database before accepting requests. A schema that is behind the
+// code would fail requests in confusing ways, so pending migrations stop the
+// server from starting.
+const start = async () => {
+  try {
+    await db.ping();
+    logger.info("Connected to MySQL database");
+    const pending = await pendingMigrations(db);
+    if (pending.length) {
+      logger.error(
+        'Pending migrations; run "npm run migrate" before starting the server',
+        { pending }
+      );
+      await db.close();
+      process.exit(1);
+    }
+  } catch (err) {
+    logger.error("Database connection failed", { err });
+  }
 
-app.use("/auth", authRouter);
-app.use("/categories", categoryRouter);
-app.use("/products", productRouter);
+  const port = process.env.PORT || 3000;
+  server = app.listen(port, () => {
+    logger.info("Server is running", { port: Number(port) });
+  });
+};
 
-app.listen(process.env.PORT || 3000, async () => {
-  console.log(`Server is running on port: ${process.env.PORT}`);
-});
+start();
 
-module.exports = app
\ No newline at end of file
+// Let the requests in progress finish, then close the database connections
+process.on("SIGTERM", () => {
+  logger.info("Shutting down");
+  const exit = async () => {
+    await db.close();
+    process.exit(0);
+  };
+  if (server) server.close(exit);
+  else exit();
+});
\ No newline at end of file
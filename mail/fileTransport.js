@@ -0,0 +1,21 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// Write each message as a JSON file under MAIL_OUTBOX_DIR so mail can be
+// inspected locally without an SMTP server.
+const createFileTransport = () => {
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "outbox");
+
+  return {
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const fileName = `${Date.now()}-${message.to}.json`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+      );
+    },
+  };
+};
+
+module.exports = createFileTransport;
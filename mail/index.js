@@ -0,0 +1,36 @@
+const createSmtpTransport = require("./smtpTransport");
+const createFileTransport = require("./fileTransport");
+const createMemoryTransport = require("./memoryTransport");
+
+// Every transport implements send({ to, subject, text }) and returns a promise.
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+let transport;
+
+// Pick the transport named by MAIL_TRANSPORT, defaulting to the in-memory one
+// under test and SMTP everywhere else.
+const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "test" ? "memory" : "smtp");
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a stub in tests
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) => getTransport().send(message);
+
+module.exports = { getTransport, setTransport, sendMail };
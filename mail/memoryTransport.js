@@ -0,0 +1,17 @@
+// Keep sent messages in memory. Used by the test suite to read the links
+// that would otherwise be emailed.
+const createMemoryTransport = () => {
+  const sent = [];
+
+  return {
+    sent,
+    send: async (message) => {
+      sent.push({ ...message, sentAt: new Date() });
+    },
+    clear: () => {
+      sent.length = 0;
+    },
+  };
+};
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,25 @@
+const appUrl = () => process.env.APP_URL || "http://localhost:3000";
+
+exports.verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: "Verify your email address",
+  text: `Hi ${user.name},
+
+Please confirm your email address by opening the link below:
+
+${appUrl()}/verify-email?token=${token}
+
+The link expires in 24 hours.`,
+});
+
+exports.passwordResetEmail = (user, token) => ({
+  to: user.email,
+  subject: "Reset your password",
+  text: `Hi ${user.name},
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+${appUrl()}/reset-password?token=${token}
+
+The link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.`,
+});
@@ -0,0 +1,20 @@
+const nodemailer = require("nodemailer");
+
+// Deliver mail through an SMTP server configured by the SMTP_* variables.
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    send: (message) =>
+      transporter.sendMail({ from: process.env.MAIL_FROM, ...message }),
+  };
+};
+
+module.exports = createSmtpTransport;
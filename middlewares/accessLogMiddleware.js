@@ -0,0 +1,35 @@
+const { logger } = require("../utils/logger");
+
+// The route that handled the request, e.g. /products/:id. Express resets
+// req.baseUrl once an error leaves a router, so the part of the URL in front
+// of the route's own path is taken from the URL instead.
+const matchedRoute = (req, path) => {
+  if (!req.route || typeof req.route.path !== "string") return undefined;
+  const segments = path.split("/").filter(Boolean);
+  const routeSegments = req.route.path.split("/").filter(Boolean);
+  const mount = segments.slice(0, segments.length - routeSegments.length);
+  return `/${[...mount, ...routeSegments].join("/")}`;
+};
+
+// Log a line for every request once its response has been sent, with how
+// long it took. Mounted right after requestId.
+exports.accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const path = req.originalUrl.split("?")[0];
+    // The response finishes outside the request's log context, so the
+    // request ID is passed explicitly
+    logger.info("Request completed", {
+      request_id: req.id,
+      method: req.method,
+      route: matchedRoute(req, path),
+      path,
+      status: res.statusCode,
+      duration_ms:
+        Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      user_id: req.user ? req.user.id : undefined,
+    });
+  });
+  next();
+};
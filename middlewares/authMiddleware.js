@@ -0,0 +1,54 @@
+const jwt = require("jsonwebtoken");
+const db = require("../configs/db");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { UnauthorizedError } = require("../utils/errors");
+
+// Verify the Bearer token issued by authController.login and attach the
+// decoded claims to req.user. Tokens whose session has been revoked by
+// logout or refresh-token reuse are rejected. The role is read from the
+// users table rather than the token, so a role change applies to tokens
+// that were issued before it.
+exports.authenticate = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith("Bearer ")) {
+    throw new UnauthorizedError("Authentication token is required");
+  }
+
+  const token = header.slice(7).trim();
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      throw new UnauthorizedError("Authentication token has expired");
+    }
+    throw new UnauthorizedError("Invalid authentication token");
+  }
+
+  if (!decoded.sid) {
+    throw new UnauthorizedError("Invalid authentication token");
+  }
+
+  const [sessions] = await db.query(
+    `SELECT s.revoked_at, u.role
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = ?`,
+    [decoded.sid]
+  );
+  if (!sessions.length || sessions[0].revoked_at) {
+    throw new UnauthorizedError("Session has been revoked");
+  }
+
+  req.user = { ...decoded, role: sessions[0].role };
+  next();
+});
+
+// Like authenticate, but lets requests without an Authorization header through
+// anonymously. A header that is present must still carry a valid token.
+exports.optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  return exports.authenticate(req, res, next);
+};
@@ -0,0 +1,34 @@
+const { NotFoundError, toAppError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+// Answer requests that matched no route. Mounted after every router.
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Answer every error passed to next, or thrown in a handler wrapped with
+// asyncHandler, with the error envelope. Unexpected errors are logged and
+// reported as a 500 without their details. Mounted last.
+exports.errorHandler = (err, req, res, next) => {
+  const error = toAppError(err);
+  if (error.status >= 500 || res.headersSent) {
+    logger.error("Request failed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      err,
+    });
+  }
+
+  // The response is already on its way, e.g. a CSV export that failed
+  // halfway; all that can be done is to cut the connection
+  if (res.headersSent) return res.destroy();
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      request_id: req.id,
+    },
+  });
+};
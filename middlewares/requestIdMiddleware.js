@@ -0,0 +1,17 @@
+const crypto = require("crypto");
+const { requestContext } = require("../utils/logger");
+
+// Request IDs accepted from clients and proxies; anything else is replaced
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Give every request an ID, taken from the X-Request-Id header when a client
+// or proxy sent a usable one, so a failed request can be matched with the
+// logs. The ID is echoed back in the X-Request-Id response header, and the
+// rest of the request is handled in a context that adds it to every log line.
+exports.requestId = (req, res, next) => {
+  const header = req.get("X-Request-Id");
+  req.id =
+    header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  requestContext.run({ requestId: req.id }, next);
+};
@@ -0,0 +1,19 @@
+const { PERMISSIONS } = require("../configs/roles");
+const { ForbiddenError, UnauthorizedError } = require("../utils/errors");
+
+// Allow the request through only if the authenticated user's role is granted
+// the given permission. Must run after authenticate.
+exports.authorize = (permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) return next(new UnauthorizedError());
+    if (!allowedRoles.includes(req.user.role)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+};
@@ -0,0 +1,36 @@
+const multer = require("multer");
+const { MAX_IMAGE_BYTES } = require("../utils/images");
+const { AppError, ValidationError } = require("../utils/errors");
+
+// The upload limit in the units people read it in, e.g. "5 MB" or "500 KB"
+const MAX_IMAGE_SIZE =
+  MAX_IMAGE_BYTES >= 1024 * 1024
+    ? `${+(MAX_IMAGE_BYTES / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.floor(MAX_IMAGE_BYTES / 1024)} KB`;
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+}).single("image");
+
+// Parse a multipart body with a single file in the image field into req.file,
+// rejecting oversized or extra files before they reach the handler
+exports.uploadImage = (req, res, next) => {
+  imageUpload(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return next(
+        new AppError(`Image must be at most ${MAX_IMAGE_SIZE}.`, {
+          status: 413,
+          code: "PAYLOAD_TOO_LARGE",
+        })
+      );
+    }
+    if (err instanceof multer.MulterError) {
+      return next(
+        new ValidationError("Upload a single file in the image field.")
+      );
+    }
+    next(err);
+  });
+};
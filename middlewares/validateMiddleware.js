@@ -0,0 +1,56 @@
+const schemas = require("../schemas");
+const parameters = require("../schemas/parameters");
+const {
+  validateValue,
+  validateParameter,
+  checkUnknownParameters,
+} = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+// Check the request against the named path and query parameters in
+// schemas/parameters.js and body schema in schemas/, e.g.
+// validate("ProductId", "ProductUpdate"). Invalid requests are rejected with a
+// ValidationError listing every problem in its details, e.g.
+// [{ field: "price", message: "must be a number" }]; parameters are checked
+// first, as a body is meaningless for a record that cannot exist. Routes that
+// name query parameters accept no others in the query string.
+// Must run after authenticate and authorize, so unauthenticated requests are
+// still answered with 401.
+exports.validate = (...names) => {
+  for (const name of names) {
+    if (!parameters[name] && !schemas[name]) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+  }
+  const checkedParameters = names
+    .filter((name) => parameters[name])
+    .map((name) => parameters[name]);
+  const queryNames = checkedParameters
+    .filter((parameter) => parameter.in === "query")
+    .map((parameter) => parameter.name);
+  const bodySchemas = names
+    .filter((name) => !parameters[name])
+    .map((name) => schemas[name]);
+
+  return (req, res, next) => {
+    const invalidParameters = checkedParameters.flatMap((parameter) =>
+      validateParameter(parameter, req)
+    );
+    if (queryNames.length) {
+      invalidParameters.push(...checkUnknownParameters(queryNames, req.query));
+    }
+    if (invalidParameters.length) {
+      return next(
+        new ValidationError("Invalid request parameters", invalidParameters)
+      );
+    }
+
+    const details = bodySchemas.flatMap((schema) =>
+      validateValue(schema, req.body === undefined ? {} : req.body)
+    );
+    if (details.length) {
+      return next(new ValidationError("Invalid request body", details));
+    }
+    next();
+  };
+};
@@ -0,0 +1,53 @@
+// Users and their sign-in state: email and password reset tokens, sessions
+// and the refresh tokens that keep them alive
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      email VARCHAR(255) NOT NULL UNIQUE,
+      pass VARCHAR(255) NOT NULL,
+      role ENUM('admin', 'staff', 'customer') NOT NULL DEFAULT 'customer',
+      email_verified_at TIMESTAMP NULL
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS user_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      type ENUM('email_verification', 'password_reset') NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id CHAR(36) PRIMARY KEY,
+      user_id INT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      session_id CHAR(36) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(
+    "DROP TABLE IF EXISTS refresh_tokens, sessions, user_tokens, users"
+  );
+};
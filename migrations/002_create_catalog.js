@@ -0,0 +1,68 @@
+// The catalog: nested categories, products with their stock ledger, and
+// product variants
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS categories (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      parent_id INT NULL,
+      deleted_at TIMESTAMP NULL,
+      FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS products (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      sku VARCHAR(64) NULL UNIQUE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      price DECIMAL(10, 2) NOT NULL,
+      category_id INT,
+      stock_quantity INT NOT NULL DEFAULT 0,
+      reorder_threshold INT NOT NULL DEFAULT 0,
+      rating_count INT NOT NULL DEFAULT 0,
+      rating_total INT NOT NULL DEFAULT 0,
+      rating_average DECIMAL(3, 2) AS (IF(rating_count = 0, NULL, rating_total / rating_count)) STORED,
+      deleted_at TIMESTAMP NULL,
+      FOREIGN KEY (category_id) REFERENCES categories(id),
+      CHECK (stock_quantity >= 0),
+      FULLTEXT INDEX ft_products_name_description (name, description)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS stock_movements (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      type ENUM('receipt', 'sale', 'adjustment', 'return') NOT NULL,
+      quantity_change INT NOT NULL,
+      reason VARCHAR(255) NULL,
+      user_id INT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+      INDEX idx_stock_movements_product (product_id, id)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS product_variants (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      sku VARCHAR(64) NOT NULL,
+      options JSON NOT NULL,
+      options_key CHAR(64) NOT NULL,
+      price DECIMAL(10, 2) NULL,
+      stock_quantity INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_variant_sku (sku),
+      UNIQUE KEY uq_variant_options (product_id, options_key)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(
+    "DROP TABLE IF EXISTS product_variants, stock_movements, products, categories"
+  );
+};
@@ -0,0 +1,34 @@
+// Carts of signed-in users and of guests, who are known by a cart token
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS carts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NULL,
+      token_hash CHAR(64) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_cart_user (user_id),
+      UNIQUE KEY uq_cart_token (token_hash)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS cart_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      cart_id INT NOT NULL,
+      product_id INT NOT NULL,
+      variant_id INT NULL,
+      quantity INT NOT NULL,
+      unit_price DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cart_id) REFERENCES carts(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+      CHECK (quantity > 0)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS cart_items, carts");
+};
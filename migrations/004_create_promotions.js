@@ -0,0 +1,43 @@
+// Discount codes and the products and categories they are restricted to
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS promotions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(32) NOT NULL UNIQUE,
+      description VARCHAR(255) NULL,
+      type ENUM('percent', 'fixed') NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      min_order_value DECIMAL(10, 2) NULL,
+      starts_at DATETIME NULL,
+      ends_at DATETIME NULL,
+      usage_limit INT NULL,
+      times_used INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS promotion_products (
+      promotion_id INT NOT NULL,
+      product_id INT NOT NULL,
+      PRIMARY KEY (promotion_id, product_id),
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS promotion_categories (
+      promotion_id INT NOT NULL,
+      category_id INT NOT NULL,
+      PRIMARY KEY (promotion_id, category_id),
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE CASCADE,
+      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(
+    "DROP TABLE IF EXISTS promotion_categories, promotion_products, promotions"
+  );
+};
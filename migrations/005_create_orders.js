@@ -0,0 +1,39 @@
+// Orders with a snapshot of each ordered item
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS orders (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      status ENUM('pending', 'paid', 'cancelled') NOT NULL DEFAULT 'pending',
+      subtotal DECIMAL(10, 2) NOT NULL,
+      discount_total DECIMAL(10, 2) NOT NULL DEFAULT 0,
+      promotion_id INT NULL,
+      total DECIMAL(10, 2) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE SET NULL,
+      INDEX idx_orders_user (user_id, id)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS order_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      order_id INT NOT NULL,
+      product_id INT NOT NULL,
+      variant_id INT NULL,
+      product_name VARCHAR(255) NOT NULL,
+      sku VARCHAR(64) NULL,
+      quantity INT NOT NULL,
+      unit_price DECIMAL(10, 2) NOT NULL,
+      line_total DECIMAL(10, 2) NOT NULL,
+      FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id),
+      FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS order_items, orders");
+};
@@ -0,0 +1,31 @@
+// Wishlists, which can be shared through a link
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS wishlists (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      share_token VARCHAR(32) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_wishlist_name (user_id, name),
+      UNIQUE KEY uq_wishlist_share_token (share_token)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS wishlist_items (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      wishlist_id INT NOT NULL,
+      product_id INT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (wishlist_id) REFERENCES wishlists(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_wishlist_product (wishlist_id, product_id)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS wishlist_items, wishlists");
+};
@@ -0,0 +1,34 @@
+// Price drop and back in stock watches, and the events they raised
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS product_watches (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      product_id INT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      UNIQUE KEY uq_watch (user_id, product_id),
+      INDEX idx_watches_product (product_id)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS watch_events (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      product_id INT NOT NULL,
+      type ENUM('price_drop', 'back_in_stock') NOT NULL,
+      old_price DECIMAL(10, 2) NULL,
+      new_price DECIMAL(10, 2) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      INDEX idx_watch_events_user (user_id, id)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS watch_events, product_watches");
+};
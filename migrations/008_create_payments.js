@@ -0,0 +1,33 @@
+// Payment intents and the provider webhook events already handled
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payment_intents (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      user_id INT NOT NULL,
+      order_id INT NULL,
+      provider VARCHAR(32) NOT NULL,
+      provider_intent_id VARCHAR(255) NOT NULL,
+      amount DECIMAL(10, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      status ENUM('pending', 'authorized', 'captured', 'failed', 'refunded') NOT NULL DEFAULT 'pending',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (order_id) REFERENCES orders(id),
+      UNIQUE KEY uq_provider_intent (provider, provider_intent_id)
+    )
+  `);
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS payment_events (
+      provider VARCHAR(32) NOT NULL,
+      event_id VARCHAR(255) NOT NULL,
+      type VARCHAR(64) NOT NULL,
+      received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (provider, event_id)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS payment_events, payment_intents");
+};
@@ -0,0 +1,27 @@
+// Product reviews. Ratings are also kept as running totals on products.
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      user_id INT NOT NULL,
+      rating TINYINT NOT NULL,
+      comment TEXT NOT NULL,
+      hidden_at TIMESTAMP NULL,
+      hidden_by INT NULL,
+      hidden_reason VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id),
+      FOREIGN KEY (hidden_by) REFERENCES users(id),
+      UNIQUE KEY uq_review_user (product_id, user_id),
+      INDEX idx_reviews_product (product_id, hidden_at, created_at),
+      CHECK (rating BETWEEN 1 AND 5)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS reviews");
+};
@@ -0,0 +1,23 @@
+// Product images. The files themselves live in the storage driver.
+
+exports.up = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS product_images (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      product_id INT NOT NULL,
+      storage_key VARCHAR(255) NOT NULL UNIQUE,
+      content_type VARCHAR(32) NOT NULL,
+      size_bytes INT NOT NULL,
+      alt_text VARCHAR(255) NULL,
+      position INT NOT NULL DEFAULT 0,
+      is_primary BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      INDEX idx_product_images_product (product_id, position)
+    )
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query("DROP TABLE IF EXISTS product_images");
+};
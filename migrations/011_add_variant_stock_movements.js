@@ -0,0 +1,19 @@
+// Stock movements of variants. Movements of a deleted variant stay in the
+// product's ledger without it.
+
+exports.up = async (db) => {
+  await db.query(`
+    ALTER TABLE stock_movements
+      ADD COLUMN variant_id INT NULL AFTER product_id,
+      ADD CONSTRAINT fk_stock_movements_variant
+        FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE SET NULL
+  `);
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    ALTER TABLE stock_movements
+      DROP FOREIGN KEY fk_stock_movements_variant,
+      DROP COLUMN variant_id
+  `);
+};
@@ -0,0 +1,40 @@
+// One line per product or variant in a cart, so that concurrent additions of
+// the same item add up in that line. NULLs never clash in a unique key, so the
+// key uses variant_key: the variant_id, or 0 for a product without variants.
+
+exports.up = async (db) => {
+  // Merge the lines that concurrent additions already duplicated
+  await db.query(`
+    UPDATE cart_items ci
+      JOIN (SELECT MIN(id) AS id, SUM(quantity) AS quantity
+              FROM cart_items
+             GROUP BY cart_id, product_id, variant_id
+            HAVING COUNT(*) > 1) merged ON merged.id = ci.id
+       SET ci.quantity = merged.quantity
+  `);
+  await db.query(`
+    DELETE ci FROM cart_items ci
+      JOIN cart_items kept
+        ON kept.cart_id = ci.cart_id
+       AND kept.product_id = ci.product_id
+       AND kept.variant_id <=> ci.variant_id
+       AND kept.id < ci.id
+  `);
+  await db.query(
+    "ALTER TABLE cart_items ADD COLUMN variant_key INT NOT NULL DEFAULT 0 AFTER variant_id"
+  );
+  await db.query(
+    "UPDATE cart_items SET variant_key = variant_id WHERE variant_id IS NOT NULL"
+  );
+  await db.query(
+    "ALTER TABLE cart_items ADD UNIQUE KEY uq_cart_item (cart_id, product_id, variant_key)"
+  );
+};
+
+exports.down = async (db) => {
+  await db.query(`
+    ALTER TABLE cart_items
+      DROP INDEX uq_cart_item,
+      DROP COLUMN variant_key
+  `);
+};
@@ -0,0 +1,129 @@
+// Bring tables set up by hand from earlier versions of the README up to the
+// schema of the migrations. Those tables were created as the README stood at
+// the time, so they may lack columns that later features added. Each missing
+// column is added with the definition the migrations give it; tables that do
+// not exist yet are left to the migrations, which create them in full.
+// Running it again on an adopted database changes nothing.
+
+// Columns added to hand-made tables over time, oldest first. constraint is
+// added along with the column, and backfill runs once the column is added.
+const COLUMNS = [
+  {
+    table: "users",
+    column: "role",
+    definition:
+      "ENUM('admin', 'staff', 'customer') NOT NULL DEFAULT 'customer'",
+  },
+  {
+    table: "users",
+    column: "email_verified_at",
+    definition: "TIMESTAMP NULL",
+    // Accounts made before email verification could log in without it, so
+    // they count as verified rather than being locked out
+    backfill:
+      "UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL",
+  },
+  {
+    table: "products",
+    column: "description",
+    definition: "TEXT AFTER name",
+  },
+  {
+    table: "categories",
+    column: "parent_id",
+    definition: "INT NULL",
+    constraint:
+      "FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE CASCADE",
+  },
+  { table: "categories", column: "deleted_at", definition: "TIMESTAMP NULL" },
+  { table: "products", column: "deleted_at", definition: "TIMESTAMP NULL" },
+  {
+    table: "products",
+    column: "stock_quantity",
+    definition: "INT NOT NULL DEFAULT 0",
+  },
+  {
+    table: "products",
+    column: "reorder_threshold",
+    definition: "INT NOT NULL DEFAULT 0",
+  },
+  {
+    table: "orders",
+    column: "subtotal",
+    definition: "DECIMAL(10, 2) NOT NULL AFTER status",
+    // Orders placed before discount codes were never discounted
+    backfill: "UPDATE orders SET subtotal = total",
+  },
+  {
+    table: "orders",
+    column: "discount_total",
+    definition: "DECIMAL(10, 2) NOT NULL DEFAULT 0 AFTER subtotal",
+  },
+  {
+    table: "orders",
+    column: "promotion_id",
+    definition: "INT NULL AFTER discount_total",
+    constraint:
+      "FOREIGN KEY (promotion_id) REFERENCES promotions(id) ON DELETE SET NULL",
+  },
+  {
+    table: "products",
+    column: "rating_count",
+    definition: "INT NOT NULL DEFAULT 0",
+  },
+  {
+    table: "products",
+    column: "rating_total",
+    definition: "INT NOT NULL DEFAULT 0",
+  },
+  {
+    table: "products",
+    column: "rating_average",
+    definition:
+      "DECIMAL(3, 2) AS (IF(rating_count = 0, NULL, rating_total / rating_count)) STORED",
+  },
+  {
+    table: "products",
+    column: "sku",
+    definition: "VARCHAR(64) NULL UNIQUE AFTER id",
+  },
+];
+
+// Add the columns and indexes that the existing tables lack. Run it once the
+// migrations have created the tables that do not exist, as the added foreign
+// keys refer to them. Resolves to the changes made, e.g. "products.sku".
+const adoptTables = async (db) => {
+  const [columns] = await db.query(
+    "SELECT table_name AS table_name, column_name AS column_name FROM information_schema.columns WHERE table_schema = DATABASE()"
+  );
+  const tables = new Set(columns.map((column) => column.table_name));
+  const existing = new Set(
+    columns.map((column) => `${column.table_name}.${column.column_name}`)
+  );
+
+  const changes = [];
+  for (const { table, column, definition, constraint, backfill } of COLUMNS) {
+    if (!tables.has(table) || existing.has(`${table}.${column}`)) continue;
+    await db.query(
+      `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}${
+        constraint ? `, ADD ${constraint}` : ""
+      }`
+    );
+    if (backfill) await db.query(backfill);
+    changes.push(`${table}.${column}`);
+  }
+
+  // Product search needs the full-text index, whatever it was named
+  const [fullText] = await db.query(
+    "SELECT index_name AS name FROM information_schema.statistics WHERE table_schema = DATABASE() AND table_name = 'products' AND index_type = 'FULLTEXT'"
+  );
+  if (tables.has("products") && !fullText.length) {
+    await db.query(
+      "ALTER TABLE products ADD FULLTEXT INDEX ft_products_name_description (name, description)"
+    );
+    changes.push("products.ft_products_name_description");
+  }
+  return changes;
+};
+
+module.exports = { adoptTables };
@@ -0,0 +1,190 @@
+const fs = require("fs");
+const path = require("path");
+const { adoptTables } = require("./adopt");
+
+// Migrations are the numbered files in this directory, applied in order. Each
+// exports up(db) and down(db), which receive a connection to run queries on.
+// Applied migrations are recorded in schema_migrations together with the batch
+// they ran in, so that a rollback undoes the last `npm run migrate` as a whole.
+//
+// MySQL commits schema changes as soon as they run, so a migration that fails
+// halfway is not undone; keep each one to changes that can safely be retried.
+const MIGRATION_FILE = /^\d+_\w+\.js$/;
+
+const TRACKING_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    name VARCHAR(255) PRIMARY KEY,
+    batch INT NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Load the migrations of a directory, oldest first
+const loadMigrations = (dir = __dirname) =>
+  fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+    .map((file) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== "function" || typeof down !== "function") {
+        throw new Error(`Migration ${file} must export up and down`);
+      }
+      return { name: path.basename(file, ".js"), up, down };
+    });
+
+// List the migrations recorded as applied, oldest first. Empty if no
+// migration has ever run.
+const appliedMigrations = async (db) => {
+  try {
+    const [rows] = await db.query(
+      "SELECT name, batch, applied_at FROM schema_migrations ORDER BY name"
+    );
+    return rows;
+  } catch (err) {
+    if (err.code === "ER_NO_SUCH_TABLE") return [];
+    throw err;
+  }
+};
+
+// List the tables of the database other than schema_migrations
+const existingTables = async (db) => {
+  const [tables] = await db.query(
+    "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name <> 'schema_migrations' ORDER BY table_name"
+  );
+  return tables.map((table) => table.name);
+};
+
+// List the names of the migrations that have not been applied yet
+const pendingMigrations = async (db, migrations = loadMigrations()) => {
+  const applied = new Set(
+    (await appliedMigrations(db)).map((migration) => migration.name)
+  );
+  return migrations
+    .map((migration) => migration.name)
+    .filter((name) => !applied.has(name));
+};
+
+// Apply the migrations that have not been recorded yet as one new batch. Each
+// one is recorded as soon as it succeeds, so a failure leaves the earlier ones
+// applied.
+const applyPending = async (db, migrations, applied) => {
+  const done = new Set(applied.map((migration) => migration.name));
+  const batch = Math.max(0, ...applied.map((migration) => migration.batch)) + 1;
+
+  const names = [];
+  for (const migration of migrations) {
+    if (done.has(migration.name)) continue;
+    await db.transaction(async (conn) => {
+      await migration.up(conn);
+      await conn.query(
+        "INSERT INTO schema_migrations (name, batch) VALUES (?, ?)",
+        [migration.name, batch]
+      );
+    });
+    names.push(migration.name);
+  }
+  return names;
+};
+
+// Apply the pending migrations as one new batch. Resolves to the names of the
+// migrations applied.
+const migrate = async (db, migrations = loadMigrations()) => {
+  await db.query(TRACKING_TABLE_SQL);
+  const applied = await appliedMigrations(db);
+
+  // The migrations create their tables only if they do not exist, so that a
+  // failed one can be retried. On a database set up by hand from an older
+  // README they would skip tables that lack later columns and still record
+  // themselves as applied; such databases are adopted with baseline instead.
+  if (!applied.length) {
+    const tables = await existingTables(db);
+    if (tables.length) {
+      throw new Error(
+        `The database already has tables (${tables.join(
+          ", "
+        )}) but no applied migrations. Tables set up by hand may lack columns that the migrations add: run "npm run migrate:baseline" to add them and bring the database under migrations.`
+      );
+    }
+  }
+
+  return applyPending(db, migrations, applied);
+};
+
+// Bring a database set up by hand under migrations: apply the pending
+// migrations, which create the tables it does not have yet, then add the
+// columns its existing tables lack (see adopt.js). Safe to run again if it
+// fails halfway. Resolves to { applied, adopted } with the names of the
+// migrations applied and of the columns and indexes added.
+const baseline = async (db, migrations = loadMigrations()) => {
+  await db.query(TRACKING_TABLE_SQL);
+  const applied = await applyPending(
+    db,
+    migrations,
+    await appliedMigrations(db)
+  );
+  const adopted = await adoptTables(db);
+  return { applied, adopted };
+};
+
+// Undo the migrations of the last batch, newest first. Resolves to the names
+// of the migrations rolled back.
+const rollback = async (db, migrations = loadMigrations()) => {
+  const applied = await appliedMigrations(db);
+  if (!applied.length) return [];
+  const batch = Math.max(...applied.map((migration) => migration.batch));
+  const byName = new Map(
+    migrations.map((migration) => [migration.name, migration])
+  );
+
+  const names = [];
+  for (const { name } of applied
+    .filter((migration) => migration.batch === batch)
+    .reverse()) {
+    const migration = byName.get(name);
+    if (!migration) throw new Error(`Migration file for ${name} is missing`);
+    await db.transaction(async (conn) => {
+      await migration.down(conn);
+      await conn.query("DELETE FROM schema_migrations WHERE name = ?", [name]);
+    });
+    names.push(name);
+  }
+  return names;
+};
+
+// Report every migration with when it was applied, or null if it is pending.
+// Applied migrations whose file is gone are reported too.
+const migrationStatus = async (db, migrations = loadMigrations()) => {
+  const applied = new Map(
+    (await appliedMigrations(db)).map((migration) => [
+      migration.name,
+      migration,
+    ])
+  );
+  const known = migrations.map(({ name }) => ({
+    name,
+    batch: applied.has(name) ? applied.get(name).batch : null,
+    applied_at: applied.has(name) ? applied.get(name).applied_at : null,
+  }));
+  const missing = [...applied.values()]
+    .filter(
+      ({ name }) => !migrations.some((migration) => migration.name === name)
+    )
+    .map(({ name, batch, applied_at }) => ({
+      name,
+      batch,
+      applied_at,
+      missing: true,
+    }));
+  return [...known, ...missing];
+};
+
+module.exports = {
+  loadMigrations,
+  appliedMigrations,
+  pendingMigrations,
+  migrate,
+  baseline,
+  rollback,
+  migrationStatus,
+};
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("./signature");
+
+const SIGNATURE_HEADER = "x-payment-signature";
+
+// Helper function to build an error the payments controller can map to a
+// response
+const providerError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+// In-process stand-in for a payment gateway. Intents live in memory, and the
+// customer's side of a payment is simulated with authorize() and decline(),
+// which return the signed webhook the gateway would send. This makes the whole
+// flow testable offline.
+const createFakeProvider = ({
+  secret = process.env.PAYMENT_WEBHOOK_SECRET ||
+    crypto.randomBytes(32).toString("hex"),
+} = {}) => {
+  const intents = new Map();
+
+  const transition = (id, from, to) => {
+    const intent = intents.get(id);
+    if (!intent) {
+      throw providerError("PAYMENT_INTENT_NOT_FOUND", "Unknown payment intent");
+    }
+    if (!from.includes(intent.status)) {
+      throw providerError(
+        "PAYMENT_INVALID_STATE",
+        `Payment intent is ${intent.status}`
+      );
+    }
+    intent.status = to;
+    return { id, status: to };
+  };
+
+  // The event carries the amount of the intent unless one is given
+  const buildWebhook = (type, intentId, eventId, amount) => {
+    const intent = intents.get(intentId);
+    const body = JSON.stringify({
+      id: eventId || `fake_evt_${crypto.randomBytes(12).toString("hex")}`,
+      type,
+      data: {
+        intent_id: intentId,
+        amount: amount === undefined && intent ? intent.amount : amount,
+      },
+    });
+    return { body, headers: { [SIGNATURE_HEADER]: signPayload(body, secret) } };
+  };
+
+  return {
+    name: "fake",
+    intents,
+
+    createIntent: async ({ amount, currency }) => {
+      const id = `fake_pi_${crypto.randomBytes(12).toString("hex")}`;
+      const intent = {
+        id,
+        amount,
+        currency,
+        status: "pending",
+        client_secret: `${id}_secret_${crypto.randomBytes(12).toString("hex")}`,
+      };
+      intents.set(id, intent);
+      return { ...intent };
+    },
+    capture: async (id) => transition(id, ["authorized"], "captured"),
+    refund: async (id) => transition(id, ["captured"], "refunded"),
+
+    parseWebhook: (rawBody, headers) => {
+      if (!verifySignature(rawBody, headers[SIGNATURE_HEADER], secret)) {
+        return null;
+      }
+      const event = JSON.parse(rawBody);
+      return {
+        id: event.id,
+        type: event.type,
+        intent_id: event.data && event.data.intent_id,
+        amount: event.data && event.data.amount,
+      };
+    },
+
+    authorize: (id) => {
+      transition(id, ["pending"], "authorized");
+      return buildWebhook("payment.authorized", id);
+    },
+    decline: (id) => {
+      transition(id, ["pending"], "failed");
+      return buildWebhook("payment.failed", id);
+    },
+    buildWebhook,
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,51 @@
+const createFakeProvider = require("./fakeProvider");
+
+// Every provider has a name and implements
+//   createIntent({ amount, currency, metadata }) -> { id, status, client_secret }
+//   capture(intentId) -> { id, status }
+//   refund(intentId) -> { id, status }
+//   parseWebhook(rawBody, headers) -> { id, type, intent_id, amount }, or null
+//     if the signature does not verify. amount is undefined for events that
+//     carry none.
+// Amounts are in the smallest currency unit. Statuses and webhook event types
+// use the names in PAYMENT_STATUSES and WEBHOOK_EVENTS.
+const providers = {
+  fake: createFakeProvider,
+};
+
+const PAYMENT_STATUSES = {
+  PENDING: "pending",
+  AUTHORIZED: "authorized",
+  CAPTURED: "captured",
+  FAILED: "failed",
+  REFUNDED: "refunded",
+};
+
+// Webhook event types and the status each one moves an intent to
+const WEBHOOK_EVENTS = {
+  "payment.authorized": PAYMENT_STATUSES.AUTHORIZED,
+  "payment.captured": PAYMENT_STATUSES.CAPTURED,
+  "payment.failed": PAYMENT_STATUSES.FAILED,
+  "payment.refunded": PAYMENT_STATUSES.REFUNDED,
+};
+
+let provider;
+
+// Pick the provider named by PAYMENT_PROVIDER, defaulting to the fake one
+const getProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || "fake";
+    if (!providers[name]) {
+      throw new Error(`Unknown payment provider: ${name}`);
+    }
+    provider = providers[name]();
+  }
+  return provider;
+};
+
+// Replace the active provider, e.g. with a stub in tests
+const setProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+module.exports = { PAYMENT_STATUSES, WEBHOOK_EVENTS, getProvider, setProvider };
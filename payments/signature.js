@@ -0,0 +1,42 @@
+const crypto = require("crypto");
+
+// Webhooks older than this are rejected so that captured requests cannot be
+// replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("hex");
+
+// Sign a webhook payload. The header has the form "t=<unix time>,v1=<hex>",
+// where the HMAC covers both the timestamp and the payload.
+const signPayload = (
+  payload,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => `t=${timestamp},v1=${hmac(`${timestamp}.${payload}`, secret)}`;
+
+// Check a signature header produced by signPayload against the raw payload
+const verifySignature = (
+  payload,
+  header,
+  secret,
+  now = Math.floor(Date.now() / 1000)
+) => {
+  if (typeof header !== "string") return false;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(hmac(`${timestamp}.${payload}`, secret));
+  const received = Buffer.from(parts.v1);
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+module.exports = { SIGNATURE_TOLERANCE_SECONDS, signPayload, verifySignature };
@@ -0,0 +1,148 @@
+const database = require("../configs/db");
+const { SUBTREE_SQL, ANCESTORS_SQL } = require("../utils/categoryTree");
+
+// Queries on the categories table. Functions that take a db option run on the
+// given transaction connection instead of the pool.
+
+// Look up a category by ID, ignoring soft-deleted ones
+const findById = async (id, { db = database } = {}) => {
+  const [categories] = await db.query(
+    "SELECT * FROM categories WHERE id = ? AND deleted_at IS NULL",
+    [id]
+  );
+  return categories[0];
+};
+
+// Check whether a category exists and is not soft deleted
+const exists = async (id, { db = database } = {}) =>
+  Boolean(await findById(id, { db }));
+
+// Load the categories with the given IDs that are not soft deleted
+const findByIds = async (ids) => {
+  if (!ids.length) return [];
+  const [categories] = await database.query(
+    "SELECT * FROM categories WHERE id IN (?) AND deleted_at IS NULL",
+    [ids]
+  );
+  return categories;
+};
+
+// Look up a soft-deleted category by ID
+const findDeleted = async (id) => {
+  const [categories] = await database.query(
+    "SELECT * FROM categories WHERE id = ? AND deleted_at IS NOT NULL",
+    [id]
+  );
+  return categories[0];
+};
+
+// Look up a category by name among the children of a parent, or among the
+// top-level categories when parentId is null
+const findByName = async (name, parentId) => {
+  const [categories] = await database.query(
+    "SELECT * FROM categories WHERE name = ? AND parent_id <=> ? AND deleted_at IS NULL",
+    [name, parentId]
+  );
+  return categories[0];
+};
+
+// List the categories that are not soft deleted, by ID or, with byName, by
+// name
+const findAll = async ({ byName = false } = {}) => {
+  const [categories] = await database.query(
+    `SELECT * FROM categories WHERE deleted_at IS NULL ORDER BY ${
+      byName ? "name" : "id"
+    }`
+  );
+  return categories;
+};
+
+// List the ancestors of a category, root first
+const findAncestors = async (id) => {
+  const [ancestors] = await database.query(
+    `${ANCESTORS_SQL} ORDER BY depth DESC`,
+    [id]
+  );
+  return ancestors.map(({ depth, ...category }) => category);
+};
+
+// List the IDs of a category and all of its descendants, soft deleted or not.
+// Empty if the category does not exist.
+const findSubtreeIds = async (id, { db = database } = {}) => {
+  const [subtree] = await db.query(SUBTREE_SQL, [id]);
+  return subtree.map((row) => row.id);
+};
+
+// Insert a category. Returns its ID.
+const create = async ({ name, parent_id }) => {
+  const [result] = await database.query(
+    "INSERT INTO categories (name, parent_id) VALUES (?, ?)",
+    [name, parent_id]
+  );
+  return result.insertId;
+};
+
+// Change the given columns of a category. Returns whether it was found.
+const update = async (id, changes) => {
+  const [result] = await database.query(
+    `UPDATE categories SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")} WHERE id = ?`,
+    [...Object.values(changes), id]
+  );
+  return result.affectedRows > 0;
+};
+
+// Hide categories, stamping them all with the same time. Returns how many
+// were hidden.
+const softDelete = async (ids, { db = database } = {}) => {
+  const [result] = await db.query(
+    "UPDATE categories SET deleted_at = NOW() WHERE id IN (?) AND deleted_at IS NULL",
+    [ids]
+  );
+  return result.affectedRows;
+};
+
+// Bring back the given categories that were hidden at deletedAt. Returns how
+// many were restored.
+const restore = async (ids, deletedAt) => {
+  const [result] = await database.query(
+    "UPDATE categories SET deleted_at = NULL WHERE id IN (?) AND deleted_at = ?",
+    [ids, deletedAt]
+  );
+  return result.affectedRows;
+};
+
+// Delete a category. Returns whether it was found.
+const remove = async (id, { db = database } = {}) => {
+  const [result] = await db.query("DELETE FROM categories WHERE id = ?", [id]);
+  return result.affectedRows > 0;
+};
+
+// Start a query streaming the categories that are not soft deleted, with
+// their parent's name, for CSV exports
+const streamExport = () =>
+  database.streamQuery(
+    `SELECT c.id, c.name, c.parent_id, p.name AS parent
+       FROM categories c
+       LEFT JOIN categories p ON p.id = c.parent_id
+      WHERE c.deleted_at IS NULL
+      ORDER BY c.id`
+  );
+
+module.exports = {
+  findById,
+  exists,
+  findByIds,
+  findDeleted,
+  findByName,
+  findAll,
+  findAncestors,
+  findSubtreeIds,
+  create,
+  update,
+  softDelete,
+  restore,
+  remove,
+  streamExport,
+};
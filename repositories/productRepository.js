@@ -0,0 +1,282 @@
+const database = require("../configs/db");
+
+// Queries on the products table. Functions that take a db option run on the
+// given transaction connection instead of the pool.
+
+// Helper function to build a WHERE clause from a list of conditions
+const where = (conditions) =>
+  conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+// Conditions on the products shown by listings and search: not soft deleted
+// and not in a soft-deleted category. Products hidden along with their
+// category are shown again when it is restored.
+const LISTED = [
+  "deleted_at IS NULL",
+  "NOT EXISTS (SELECT 1 FROM categories c WHERE c.id = products.category_id AND c.deleted_at IS NOT NULL)",
+];
+
+// Look up a product that has not been soft deleted. With lock, the row stays
+// locked until the transaction ends.
+const findById = async (id, { db = database, lock = false } = {}) => {
+  const [products] = await db.query(
+    `SELECT * FROM products WHERE id = ? AND deleted_at IS NULL${
+      lock ? " FOR UPDATE" : ""
+    }`,
+    [id]
+  );
+  return products[0];
+};
+
+// Look up a soft-deleted product
+const findDeleted = async (id) => {
+  const [products] = await database.query(
+    "SELECT * FROM products WHERE id = ? AND deleted_at IS NOT NULL",
+    [id]
+  );
+  return products[0];
+};
+
+// Load the products with the given IDs that are not soft deleted, by ID. With
+// lock, the rows stay locked until the transaction ends; they are locked in ID
+// order so that concurrent transactions cannot deadlock on them.
+const findByIds = async (ids, { db = database, lock = false } = {}) => {
+  if (!ids.length) return [];
+  const [products] = await db.query(
+    `SELECT * FROM products WHERE id IN (?) AND deleted_at IS NULL ORDER BY id${
+      lock ? " FOR UPDATE" : ""
+    }`,
+    [ids]
+  );
+  return products;
+};
+
+// Load the products with the given SKUs, soft deleted or not, since SKUs stay
+// taken while a product is hidden
+const findBySkus = async (skus) => {
+  if (!skus.length) return [];
+  const [products] = await database.query(
+    "SELECT * FROM products WHERE sku IN (?)",
+    [skus]
+  );
+  return products;
+};
+
+// Count the products matching SQL conditions, bound to params
+const count = async (conditions, params) => {
+  const [[{ total }]] = await database.query(
+    `SELECT COUNT(*) AS total FROM products ${where(conditions)}`,
+    params
+  );
+  return total;
+};
+
+// List the products matching SQL conditions, bound to params, in the given
+// SQL order. offset is optional.
+const findMany = async ({ conditions, params, orderBy, limit, offset }) => {
+  const [products] = await database.query(
+    `SELECT * FROM products ${where(conditions)}
+      ORDER BY ${orderBy}
+      LIMIT ?${offset === undefined ? "" : " OFFSET ?"}`,
+    [...params, limit, ...(offset === undefined ? [] : [offset])]
+  );
+  return products;
+};
+
+// Full-text search of product names and descriptions, most relevant first.
+// against is a boolean mode query. Returns { total, products }; each product
+// has its relevance.
+const search = async (against, { categoryId, limit, offset }) => {
+  const match = "MATCH (name, description) AGAINST (? IN BOOLEAN MODE)";
+  const conditions = [match, ...LISTED];
+  const params = [against];
+  if (categoryId !== undefined) {
+    conditions.push("category_id = ?");
+    params.push(categoryId);
+  }
+
+  const total = await count(conditions, params);
+  const [products] = await database.query(
+    `SELECT *, ${match} AS relevance FROM products ${where(conditions)}
+      ORDER BY relevance DESC, id ASC
+      LIMIT ? OFFSET ?`,
+    [against, ...params, limit, offset]
+  );
+  return { total, products };
+};
+
+// Count the products matching a full-text search in each category, most
+// matches first
+const countMatchesByCategory = async (against) => {
+  const [counts] = await database.query(
+    `SELECT p.category_id, c.name, COUNT(*) AS count
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+      WHERE MATCH (p.name, p.description) AGAINST (? IN BOOLEAN MODE)
+        AND p.deleted_at IS NULL
+        AND c.deleted_at IS NULL
+      GROUP BY p.category_id, c.name
+      ORDER BY count DESC, c.name ASC`,
+    [against]
+  );
+  return counts;
+};
+
+// Count the products of each of the given categories that has any, soft
+// deleted ones included
+const countByCategory = async (categoryIds, { db = database } = {}) => {
+  const [counts] = await db.query(
+    `SELECT c.id AS category_id, c.name, COUNT(*) AS count
+       FROM products p
+       JOIN categories c ON c.id = p.category_id
+      WHERE p.category_id IN (?)
+      GROUP BY c.id, c.name`,
+    [categoryIds]
+  );
+  return counts;
+};
+
+// Rows of the low-stock report: products without variants and the variants
+// of products whose stock is at or below the product's reorder threshold
+const LOW_STOCK_FROM = `FROM products p
+       LEFT JOIN product_variants v ON v.product_id = p.id
+      WHERE p.deleted_at IS NULL
+        AND p.reorder_threshold > 0
+        AND COALESCE(v.stock_quantity, p.stock_quantity) <= p.reorder_threshold`;
+
+// List the products and variants that need restocking, largest shortfall
+// first. Returns { total, products }; variant rows carry their variant_id.
+const findLowStock = async ({ limit, offset }) => {
+  const [[{ total }]] = await database.query(
+    `SELECT COUNT(*) AS total ${LOW_STOCK_FROM}`
+  );
+  const [products] = await database.query(
+    `SELECT p.id, v.id AS variant_id, p.name, COALESCE(v.sku, p.sku) AS sku,
+            p.category_id,
+            COALESCE(v.stock_quantity, p.stock_quantity) AS stock_quantity,
+            p.reorder_threshold,
+            p.reorder_threshold - COALESCE(v.stock_quantity, p.stock_quantity) AS shortfall
+       ${LOW_STOCK_FROM}
+      ORDER BY shortfall DESC, p.id ASC, v.id ASC
+      LIMIT ? OFFSET ?`,
+    [limit, offset]
+  );
+  return { total, products };
+};
+
+// Insert a product with the given columns. Returns its ID.
+const create = async (fields, { db = database } = {}) => {
+  const [result] = await db.query(
+    `INSERT INTO products (${Object.keys(fields).join(", ")}) VALUES (?)`,
+    [Object.values(fields)]
+  );
+  return result.insertId;
+};
+
+// Change the given columns of a product. Returns whether it was found.
+const update = async (id, changes, { db = database } = {}) => {
+  const fields = Object.keys(changes);
+  if (!fields.length) return true;
+  const [result] = await db.query(
+    `UPDATE products SET ${fields
+      .map((field) => `${field} = ?`)
+      .join(", ")} WHERE id = ?`,
+    [...Object.values(changes), id]
+  );
+  return result.affectedRows > 0;
+};
+
+// Take units out of the stock of a product
+const takeStock = async (id, quantity, { db = database } = {}) => {
+  await db.query(
+    "UPDATE products SET stock_quantity = stock_quantity - ? WHERE id = ?",
+    [quantity, id]
+  );
+};
+
+// Add a rating to, or with sign -1 remove it from, the running totals of a
+// product. The average is derived from them by the database, so it never has
+// to be recomputed from the reviews.
+const adjustRating = async (id, rating, sign, { db = database } = {}) => {
+  await db.query(
+    "UPDATE products SET rating_count = rating_count + ?, rating_total = rating_total + ? WHERE id = ?",
+    [sign, sign * rating, id]
+  );
+};
+
+// Move the products of some categories to another one
+const reassignCategory = async (
+  fromCategoryIds,
+  toCategoryId,
+  { db = database } = {}
+) => {
+  await db.query(
+    "UPDATE products SET category_id = ? WHERE category_id IN (?)",
+    [toCategoryId, fromCategoryIds]
+  );
+};
+
+// Delete a product, or with soft just hide it. Wishlist entries, watches and
+// images of a deleted product go with it (ON DELETE CASCADE); those of a
+// hidden product are hidden too and come back if it is restored. Returns
+// whether it was found.
+const remove = async (id, { soft = false, db = database } = {}) => {
+  const [result] = await db.query(
+    soft
+      ? "UPDATE products SET deleted_at = NOW() WHERE id = ? AND deleted_at IS NULL"
+      : "DELETE FROM products WHERE id = ?",
+    [id]
+  );
+  return result.affectedRows > 0;
+};
+
+// List the storage keys of the images of a product, e.g. to remove the stored
+// files once the product is deleted
+const findImageKeys = async (id, { db = database } = {}) => {
+  const [images] = await db.query(
+    "SELECT storage_key FROM product_images WHERE product_id = ?",
+    [id]
+  );
+  return images.map((image) => image.storage_key);
+};
+
+// Bring back a soft-deleted product
+const restore = async (id) => {
+  await database.query("UPDATE products SET deleted_at = NULL WHERE id = ?", [
+    id,
+  ]);
+};
+
+// Start a query streaming the products that are not soft deleted, with their
+// category's name, in the import format of CSV exports
+const streamExport = () =>
+  database.streamQuery(
+    `SELECT p.id, p.sku, p.name, p.description, p.price, p.category_id,
+            c.name AS category, p.reorder_threshold, p.stock_quantity
+       FROM products p
+       LEFT JOIN categories c ON c.id = p.category_id
+      WHERE p.deleted_at IS NULL
+      ORDER BY p.id`
+  );
+
+module.exports = {
+  LISTED,
+  findById,
+  findDeleted,
+  findByIds,
+  findBySkus,
+  count,
+  findMany,
+  search,
+  countMatchesByCategory,
+  countByCategory,
+  findLowStock,
+  create,
+  update,
+  takeStock,
+  adjustRating,
+  reassignCategory,
+  remove,
+  findImageKeys,
+  restore,
+  streamExport,
+};
@@ -0,0 +1,54 @@
+const database = require("../configs/db");
+
+// Queries on the users table
+
+// Look up a user by email address
+const findByEmail = async (email) => {
+  const [users] = await database.query("SELECT * FROM users WHERE email = ?", [
+    email,
+  ]);
+  return users[0];
+};
+
+// Insert a user. pass is the password hash. Returns the user's ID.
+const create = async ({ name, email, pass, role }) => {
+  const [result] = await database.query(
+    "INSERT INTO users (name, email, pass, role) VALUES (?, ?, ?, ?)",
+    [name, email, pass, role]
+  );
+  return result.insertId;
+};
+
+// Record that a user proved they own their email address
+const markEmailVerified = async (id) => {
+  await database.query(
+    "UPDATE users SET email_verified_at = NOW() WHERE id = ? AND email_verified_at IS NULL",
+    [id]
+  );
+};
+
+// Replace a user's password hash. Resetting a password through an emailed
+// link also proves the address, so it counts as verified from then on.
+const updatePassword = async (id, pass) => {
+  await database.query(
+    "UPDATE users SET pass = ?, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?",
+    [pass, id]
+  );
+};
+
+// Change a user's role. Returns whether the user was found.
+const updateRole = async (id, role) => {
+  const [result] = await database.query(
+    "UPDATE users SET role = ? WHERE id = ?",
+    [role, id]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  findByEmail,
+  create,
+  markEmailVerified,
+  updatePassword,
+  updateRole,
+};
@@ -1,8 +1,32 @@
 const express = require("express");
-const { register, login } = require("../controllers/authController");
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} = require("../controllers/authController");
+const { validate } = require("../middlewares/validateMiddleware");
 const authRouter = express.Router();
 
-authRouter.post("/register", register);
-authRouter.post("/login", login);
+authRouter.post("/register", validate("RegisterInput"), register);
+authRouter.post("/login", validate("LoginInput"), login);
+authRouter.post("/refresh", validate("RefreshTokenInput"), refresh);
+authRouter.post("/logout", validate("RefreshTokenInput"), logout);
+authRouter.post("/verify-email", validate("VerifyEmailInput"), verifyEmail);
+authRouter.post(
+  "/resend-verification",
+  validate("EmailInput"),
+  resendVerification
+);
+authRouter.post("/forgot-password", validate("EmailInput"), forgotPassword);
+authRouter.post(
+  "/reset-password",
+  validate("ResetPasswordInput"),
+  resetPassword
+);
 
 module.exports = { authRouter };
@@ -0,0 +1,33 @@
+const express = require("express");
+const {
+  getCart,
+  addItem,
+  updateItem,
+  removeItem,
+} = require("../controllers/cartController");
+const { optionalAuthenticate } = require("../middlewares/authMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const cartRouter = express.Router();
+
+cartRouter.get("/", optionalAuthenticate, getCart);
+cartRouter.post(
+  "/items",
+  optionalAuthenticate,
+  validate("CartItemInput"),
+  addItem
+);
+cartRouter.patch(
+  "/items/:id",
+  optionalAuthenticate,
+  validate("CartItemId", "CartItemUpdate"),
+  updateItem
+);
+cartRouter.delete(
+  "/items/:id",
+  optionalAuthenticate,
+  validate("CartItemId"),
+  removeItem
+);
+
+module.exports = cartRouter;
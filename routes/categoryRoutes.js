@@ -2,18 +2,67 @@
 const express = require("express");
 const {
   getCategories,
+  getCategoryTree,
+  getCategoryAncestors,
   getCategoryById,
   createCategory,
   updateCategory,
   deleteCategory,
+  restoreCategory,
+  exportCategories,
 } = require("../controllers/categoryController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
 
 const categoryRouter = express.Router();
 
 categoryRouter.get("/", getCategories);
-categoryRouter.get("/:id", getCategoryById);
-categoryRouter.post("/", createCategory);
-categoryRouter.put("/:id", updateCategory);
-categoryRouter.delete("/:id", deleteCategory);
+categoryRouter.get("/tree", getCategoryTree);
+categoryRouter.get(
+  "/export",
+  authenticate,
+  authorize("catalog:export"),
+  exportCategories
+);
+categoryRouter.get("/:id", validate("CategoryId"), getCategoryById);
+categoryRouter.get(
+  "/:id/ancestors",
+  validate("CategoryId"),
+  getCategoryAncestors
+);
+categoryRouter.post(
+  "/",
+  authenticate,
+  authorize("category:create"),
+  validate("CategoryInput"),
+  createCategory
+);
+categoryRouter.put(
+  "/:id",
+  authenticate,
+  authorize("category:update"),
+  validate("CategoryId", "CategoryUpdate"),
+  updateCategory
+);
+categoryRouter.delete(
+  "/:id",
+  authenticate,
+  authorize("category:delete"),
+  validate(
+    "CategoryId",
+    "CategoryCascade",
+    "CategoryReassignTo",
+    "CategorySoftDelete"
+  ),
+  deleteCategory
+);
+categoryRouter.post(
+  "/:id/restore",
+  authenticate,
+  authorize("category:delete"),
+  validate("CategoryId"),
+  restoreCategory
+);
 
 module.exports = categoryRouter;
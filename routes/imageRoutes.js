@@ -0,0 +1,48 @@
+const express = require("express");
+const {
+  getImages,
+  createImage,
+  reorderImages,
+  updateImage,
+  deleteImage,
+} = require("../controllers/imageController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { uploadImage } = require("../middlewares/uploadMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+// Mounted under /products/:id, so :id is the product ID
+const imageRouter = express.Router({ mergeParams: true });
+
+imageRouter.get("/", validate("ProductId"), getImages);
+imageRouter.post(
+  "/",
+  authenticate,
+  authorize("product:update"),
+  uploadImage,
+  validate("ProductId", "ImageUploadFields"),
+  createImage
+);
+imageRouter.put(
+  "/order",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "ImageOrder"),
+  reorderImages
+);
+imageRouter.put(
+  "/:imageId",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "ImageId", "ImageUpdate"),
+  updateImage
+);
+imageRouter.delete(
+  "/:imageId",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "ImageId"),
+  deleteImage
+);
+
+module.exports = imageRouter;
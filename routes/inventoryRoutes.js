@@ -0,0 +1,17 @@
+const express = require("express");
+const { getLowStock } = require("../controllers/inventoryController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const inventoryRouter = express.Router();
+
+inventoryRouter.get(
+  "/low-stock",
+  authenticate,
+  authorize("inventory:view"),
+  validate("Page", "Limit"),
+  getLowStock
+);
+
+module.exports = inventoryRouter;
@@ -0,0 +1,16 @@
+const express = require("express");
+const {
+  createOrder,
+  getOrders,
+  getOrderById,
+} = require("../controllers/orderController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const orderRouter = express.Router();
+
+orderRouter.get("/", authenticate, validate("Page", "Limit"), getOrders);
+orderRouter.get("/:id", authenticate, validate("OrderId"), getOrderById);
+orderRouter.post("/", authenticate, validate("OrderInput"), createOrder);
+
+module.exports = orderRouter;
@@ -0,0 +1,43 @@
+const express = require("express");
+const {
+  createPaymentIntent,
+  getPaymentIntentById,
+  capturePaymentIntent,
+  refundPaymentIntent,
+  handleWebhook,
+} = require("../controllers/paymentController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const paymentRouter = express.Router();
+
+paymentRouter.post(
+  "/intents",
+  authenticate,
+  validate("PaymentIntentInput"),
+  createPaymentIntent
+);
+paymentRouter.get(
+  "/intents/:id",
+  authenticate,
+  validate("PaymentIntentId"),
+  getPaymentIntentById
+);
+paymentRouter.post(
+  "/intents/:id/capture",
+  authenticate,
+  authorize("payment:manage"),
+  validate("PaymentIntentId"),
+  capturePaymentIntent
+);
+paymentRouter.post(
+  "/intents/:id/refund",
+  authenticate,
+  authorize("payment:manage"),
+  validate("PaymentIntentId"),
+  refundPaymentIntent
+);
+paymentRouter.post("/webhook", handleWebhook);
+
+module.exports = paymentRouter;
@@ -0,0 +1,9 @@
+const express = require("express");
+const { getQuote } = require("../controllers/pricingController");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const pricingRouter = express.Router();
+
+pricingRouter.post("/quote", validate("QuoteInput"), getQuote);
+
+module.exports = pricingRouter;
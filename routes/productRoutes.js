@@ -1,18 +1,121 @@
 const express = require("express");
 const {
   getProducts,
+  searchProducts,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
+  restoreProduct,
+  importProducts,
+  exportProducts,
+  batchProducts,
 } = require("../controllers/productController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const {
+  adjustStock,
+  getStockHistory,
+} = require("../controllers/inventoryController");
+const variantRouter = require("./variantRoutes");
+const reviewRouter = require("./reviewRoutes");
+const imageRouter = require("./imageRoutes");
+const { validate } = require("../middlewares/validateMiddleware");
 
 const productRouter = express.Router();
 
-productRouter.get("/", getProducts);
-productRouter.get("/:id", getProductById);
-productRouter.post("/", createProduct);
-productRouter.put("/:id", updateProduct);
-productRouter.delete("/:id", deleteProduct);
+productRouter.get(
+  "/",
+  validate(
+    "Page",
+    "Limit",
+    "Cursor",
+    "ProductSort",
+    "ProductCategoryFilter",
+    "IncludeSubcategories",
+    "MinPrice",
+    "MaxPrice",
+    "ProductNameFilter"
+  ),
+  getProducts
+);
+productRouter.get(
+  "/search",
+  validate(
+    "SearchText",
+    "Page",
+    "Limit",
+    "ProductCategoryFilter",
+    "SearchFacets"
+  ),
+  searchProducts
+);
+productRouter.get(
+  "/export",
+  authenticate,
+  authorize("catalog:export"),
+  exportProducts
+);
+productRouter.get("/:id", validate("ProductId"), getProductById);
+productRouter.post(
+  "/",
+  authenticate,
+  authorize("product:create"),
+  validate("ProductInput"),
+  createProduct
+);
+productRouter.post(
+  "/import",
+  authenticate,
+  authorize("catalog:import"),
+  validate("ImportDryRun"),
+  express.text({ type: "text/csv", limit: "10mb" }),
+  importProducts
+);
+productRouter.post(
+  "/batch",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductBatch"),
+  batchProducts
+);
+productRouter.put(
+  "/:id",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "ProductUpdate"),
+  updateProduct
+);
+productRouter.delete(
+  "/:id",
+  authenticate,
+  authorize("product:delete"),
+  validate("ProductId", "ProductSoftDelete"),
+  deleteProduct
+);
+productRouter.post(
+  "/:id/restore",
+  authenticate,
+  authorize("product:delete"),
+  validate("ProductId"),
+  restoreProduct
+);
+productRouter.post(
+  "/:id/stock-adjustments",
+  authenticate,
+  authorize("inventory:adjust"),
+  validate("ProductId", "StockMovementInput"),
+  adjustStock
+);
+productRouter.get(
+  "/:id/stock-history",
+  authenticate,
+  authorize("inventory:view"),
+  validate("ProductId", "Page", "Limit"),
+  getStockHistory
+);
+productRouter.use("/:id/variants", variantRouter);
+productRouter.use("/:id/reviews", reviewRouter);
+productRouter.use("/:id/images", imageRouter);
 
 module.exports = productRouter;
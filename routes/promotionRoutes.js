@@ -0,0 +1,51 @@
+const express = require("express");
+const {
+  getPromotions,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require("../controllers/promotionController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const promotionRouter = express.Router();
+
+promotionRouter.get(
+  "/",
+  authenticate,
+  authorize("promotion:manage"),
+  validate("Page", "Limit"),
+  getPromotions
+);
+promotionRouter.get(
+  "/:id",
+  authenticate,
+  authorize("promotion:manage"),
+  validate("PromotionId"),
+  getPromotionById
+);
+promotionRouter.post(
+  "/",
+  authenticate,
+  authorize("promotion:manage"),
+  validate("PromotionInput"),
+  createPromotion
+);
+promotionRouter.put(
+  "/:id",
+  authenticate,
+  authorize("promotion:manage"),
+  validate("PromotionId", "PromotionUpdate"),
+  updatePromotion
+);
+promotionRouter.delete(
+  "/:id",
+  authenticate,
+  authorize("promotion:manage"),
+  validate("PromotionId"),
+  deletePromotion
+);
+
+module.exports = promotionRouter;
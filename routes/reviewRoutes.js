@@ -0,0 +1,41 @@
+const express = require("express");
+const {
+  getReviews,
+  createReview,
+  hideReview,
+  unhideReview,
+} = require("../controllers/reviewController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+// Mounted under /products/:id, so :id is the product ID
+const reviewRouter = express.Router({ mergeParams: true });
+
+reviewRouter.get(
+  "/",
+  validate("ProductId", "Page", "Limit", "ReviewSort"),
+  getReviews
+);
+reviewRouter.post(
+  "/",
+  authenticate,
+  validate("ProductId", "ReviewInput"),
+  createReview
+);
+reviewRouter.post(
+  "/:reviewId/hide",
+  authenticate,
+  authorize("review:moderate"),
+  validate("ProductId", "ReviewId", "ReviewHideInput"),
+  hideReview
+);
+reviewRouter.delete(
+  "/:reviewId/hide",
+  authenticate,
+  authorize("review:moderate"),
+  validate("ProductId", "ReviewId"),
+  unhideReview
+);
+
+module.exports = reviewRouter;
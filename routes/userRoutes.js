@@ -0,0 +1,17 @@
+const express = require("express");
+const { updateUserRole } = require("../controllers/userController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const userRouter = express.Router();
+
+userRouter.put(
+  "/:id/role",
+  authenticate,
+  authorize("user:manageRoles"),
+  validate("UserId", "RoleInput"),
+  updateUserRole
+);
+
+module.exports = userRouter;
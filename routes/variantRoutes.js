@@ -0,0 +1,38 @@
+const express = require("express");
+const {
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+} = require("../controllers/variantController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/roleMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+// Mounted under /products/:id, so :id is the product ID
+const variantRouter = express.Router({ mergeParams: true });
+
+variantRouter.get("/", validate("ProductId"), getVariants);
+variantRouter.post(
+  "/",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "ProductVariantInput"),
+  createVariant
+);
+variantRouter.put(
+  "/:variantId",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "VariantId", "ProductVariantUpdate"),
+  updateVariant
+);
+variantRouter.delete(
+  "/:variantId",
+  authenticate,
+  authorize("product:update"),
+  validate("ProductId", "VariantId"),
+  deleteVariant
+);
+
+module.exports = variantRouter;
@@ -0,0 +1,28 @@
+const express = require("express");
+const {
+  getWatches,
+  watchProduct,
+  unwatchProduct,
+  getWatchEvents,
+} = require("../controllers/watchController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const watchRouter = express.Router();
+
+watchRouter.get("/", authenticate, getWatches);
+watchRouter.post("/", authenticate, validate("WatchInput"), watchProduct);
+watchRouter.get(
+  "/events",
+  authenticate,
+  validate("Page", "Limit"),
+  getWatchEvents
+);
+watchRouter.delete(
+  "/:productId",
+  authenticate,
+  validate("ListedProductId"),
+  unwatchProduct
+);
+
+module.exports = watchRouter;
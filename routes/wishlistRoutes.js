@@ -0,0 +1,63 @@
+const express = require("express");
+const {
+  getWishlists,
+  createWishlist,
+  getSharedWishlist,
+  getWishlistById,
+  deleteWishlist,
+  addWishlistItem,
+  removeWishlistItem,
+  shareWishlist,
+  unshareWishlist,
+} = require("../controllers/wishlistController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { validate } = require("../middlewares/validateMiddleware");
+
+const wishlistRouter = express.Router();
+
+wishlistRouter.get("/", authenticate, getWishlists);
+wishlistRouter.post(
+  "/",
+  authenticate,
+  validate("WishlistInput"),
+  createWishlist
+);
+wishlistRouter.get("/shared/:token", getSharedWishlist);
+wishlistRouter.get(
+  "/:id",
+  authenticate,
+  validate("WishlistId"),
+  getWishlistById
+);
+wishlistRouter.delete(
+  "/:id",
+  authenticate,
+  validate("WishlistId"),
+  deleteWishlist
+);
+wishlistRouter.post(
+  "/:id/items",
+  authenticate,
+  validate("WishlistId", "WishlistItemInput"),
+  addWishlistItem
+);
+wishlistRouter.delete(
+  "/:id/items/:productId",
+  authenticate,
+  validate("WishlistId", "ListedProductId"),
+  removeWishlistItem
+);
+wishlistRouter.post(
+  "/:id/share",
+  authenticate,
+  validate("WishlistId"),
+  shareWishlist
+);
+wishlistRouter.delete(
+  "/:id/share",
+  authenticate,
+  validate("WishlistId"),
+  unshareWishlist
+);
+
+module.exports = wishlistRouter;
@@ -0,0 +1,98 @@
+// Request bodies of the /auth endpoints
+module.exports = {
+  RegisterInput: {
+    type: "object",
+    required: ["name", "email", "pass"],
+    properties: {
+      name: {
+        type: "string",
+        format: "non-blank",
+        maxLength: 255,
+        description: "User's name",
+      },
+      email: {
+        type: "string",
+        format: "email",
+        maxLength: 255,
+        description: "User's email address",
+      },
+      pass: {
+        type: "string",
+        minLength: 8,
+        maxLength: 72,
+        description: "User's password, 8 to 72 characters",
+      },
+    },
+  },
+  LoginInput: {
+    type: "object",
+    required: ["email", "pass"],
+    properties: {
+      email: {
+        type: "string",
+        minLength: 1,
+        description: "User's email address",
+      },
+      pass: {
+        type: "string",
+        minLength: 1,
+        description: "User's password",
+      },
+      cart_token: {
+        type: "string",
+        description:
+          "Token of an anonymous cart to merge into the user's cart. May also be sent in the X-Cart-Token header.",
+      },
+    },
+  },
+  RefreshTokenInput: {
+    type: "object",
+    required: ["refreshToken"],
+    properties: {
+      refreshToken: {
+        type: "string",
+        minLength: 1,
+        description: "The current refresh token",
+      },
+    },
+  },
+  VerifyEmailInput: {
+    type: "object",
+    required: ["token"],
+    properties: {
+      token: {
+        type: "string",
+        minLength: 1,
+        description: "Token from the verification email",
+      },
+    },
+  },
+  EmailInput: {
+    type: "object",
+    required: ["email"],
+    properties: {
+      email: {
+        type: "string",
+        minLength: 1,
+        description: "The account's email address",
+      },
+    },
+  },
+  ResetPasswordInput: {
+    type: "object",
+    required: ["token", "pass"],
+    properties: {
+      token: {
+        type: "string",
+        minLength: 1,
+        description: "Token from the password reset email",
+      },
+      pass: {
+        type: "string",
+        minLength: 8,
+        maxLength: 72,
+        description: "The new password, 8 to 72 characters",
+      },
+    },
+  },
+};
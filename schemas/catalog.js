@@ -0,0 +1,266 @@
+// Request bodies of the category, product, variant, image, stock and review
+// endpoints
+const { MAX_AMOUNT } = require("../utils/money");
+
+// SKUs of products and variants
+const SKU_PATTERN = "^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$";
+
+const categoryProperties = {
+  name: {
+    type: "string",
+    format: "non-blank",
+    maxLength: 255,
+    description: "The name of the category",
+  },
+  parent_id: {
+    type: "integer",
+    nullable: true,
+    description:
+      "The ID of the parent category, or null for a top-level category",
+  },
+};
+
+const productProperties = {
+  name: {
+    type: "string",
+    format: "non-blank",
+    maxLength: 255,
+    description: "The name of the product",
+  },
+  description: {
+    type: "string",
+    nullable: true,
+    description: "Optional description of the product",
+  },
+  price: {
+    type: "number",
+    format: "decimal",
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: MAX_AMOUNT,
+    description: "The price of the product",
+  },
+  category_id: {
+    type: "integer",
+    description: "The ID of the category the product belongs to",
+  },
+  reorder_threshold: {
+    type: "integer",
+    minimum: 0,
+    description:
+      "Stock level at or below which the product is reported as low on stock. 0 disables the alert.",
+  },
+  sku: {
+    type: "string",
+    nullable: true,
+    pattern: SKU_PATTERN,
+    description:
+      "Optional stock keeping unit, unique among products. Letters, digits, dots, dashes and underscores, up to 64 characters.",
+  },
+};
+
+const variantProperties = {
+  sku: {
+    type: "string",
+    pattern: SKU_PATTERN,
+    description:
+      "Stock keeping unit, unique across all variants. Letters, digits, dots, dashes and underscores, up to 64 characters.",
+  },
+  options: {
+    type: "object",
+    minProperties: 1,
+    description: "At least one option attribute, e.g. size or color",
+    additionalProperties: { type: "string", format: "non-blank" },
+    example: { size: "42", color: "black" },
+  },
+  price: {
+    type: "number",
+    format: "decimal",
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: MAX_AMOUNT,
+    nullable: true,
+    description:
+      "Optional price override; null means the product price applies",
+  },
+  stock_quantity: {
+    type: "integer",
+    minimum: 0,
+    description:
+      "Units in stock when the variant is created, 0 by default, recorded in the stock ledger as a receipt. Later changes are recorded as stock adjustments with the variant_id.",
+  },
+};
+
+const altText = { type: "string", nullable: true, maxLength: 255 };
+
+module.exports = {
+  CategoryInput: {
+    type: "object",
+    required: ["name"],
+    properties: categoryProperties,
+  },
+  CategoryUpdate: {
+    type: "object",
+    properties: categoryProperties,
+  },
+  ProductInput: {
+    type: "object",
+    required: ["name", "price", "category_id"],
+    properties: productProperties,
+  },
+  ProductUpdate: {
+    type: "object",
+    properties: productProperties,
+  },
+  ProductBatch: {
+    type: "object",
+    required: ["operations"],
+    properties: {
+      mode: {
+        type: "string",
+        enum: ["atomic", "partial"],
+        default: "atomic",
+      },
+      operations: {
+        type: "array",
+        minItems: 1,
+        maxItems: 100,
+        description:
+          "The product fields of each operation are validated on their own, so in partial mode an invalid product fails only its operation",
+        items: {
+          type: "object",
+          required: ["op"],
+          properties: {
+            op: { type: "string", enum: ["create", "update", "delete"] },
+            id: {
+              type: "integer",
+              description: "Product to update or delete; required for those",
+            },
+            product: {
+              type: "object",
+              description:
+                "For create, a ProductInput; for update, a ProductUpdate",
+            },
+            soft: {
+              type: "boolean",
+              description:
+                "For delete, hide the product instead of deleting it",
+            },
+          },
+        },
+      },
+    },
+    example: {
+      mode: "partial",
+      operations: [
+        {
+          op: "create",
+          product: {
+            name: "English Willow Bat",
+            price: 149.99,
+            category_id: 2,
+          },
+        },
+        { op: "update", id: 7, product: { price: 19.99 } },
+        { op: "delete", id: 9, soft: true },
+      ],
+    },
+  },
+  ProductVariantInput: {
+    type: "object",
+    required: ["sku", "options"],
+    properties: variantProperties,
+  },
+  ProductVariantUpdate: {
+    type: "object",
+    // Stock only changes through stock adjustments once the variant exists
+    properties: {
+      sku: variantProperties.sku,
+      options: variantProperties.options,
+      price: variantProperties.price,
+    },
+  },
+  // Form fields sent along with an uploaded image; the file itself is checked
+  // by the upload middleware
+  ImageUploadFields: {
+    type: "object",
+    properties: {
+      alt_text: altText,
+      is_primary: {
+        type: "string",
+        enum: ["true", "false"],
+        description: "Make this the primary image",
+      },
+    },
+  },
+  ImageOrder: {
+    type: "object",
+    required: ["image_ids"],
+    properties: {
+      image_ids: {
+        type: "array",
+        description: "Every image of the product, in the new order",
+        items: { type: "integer" },
+      },
+    },
+  },
+  ImageUpdate: {
+    type: "object",
+    properties: {
+      alt_text: altText,
+      is_primary: {
+        type: "boolean",
+        enum: [true],
+        description:
+          "Make this the primary image. To change the primary image, make another image primary.",
+      },
+    },
+  },
+  StockMovementInput: {
+    type: "object",
+    required: ["type", "quantity"],
+    properties: {
+      type: {
+        type: "string",
+        enum: ["receipt", "sale", "adjustment", "return"],
+        description: "Kind of movement",
+      },
+      quantity: {
+        type: "integer",
+        description:
+          "Units moved. Positive, except for adjustments, which may be negative but not 0.",
+      },
+      reason: {
+        type: "string",
+        nullable: true,
+        maxLength: 255,
+        description:
+          'Free-text note, e.g. a delivery number or "damaged in storage"',
+      },
+      variant_id: {
+        type: "integer",
+        description:
+          "Move the stock of this variant of the product instead of the product's own stock",
+      },
+    },
+  },
+  ReviewInput: {
+    type: "object",
+    required: ["rating", "comment"],
+    properties: {
+      rating: { type: "integer", minimum: 1, maximum: 5 },
+      comment: { type: "string", format: "non-blank", maxLength: 5000 },
+    },
+  },
+  ReviewHideInput: {
+    type: "object",
+    properties: {
+      reason: {
+        type: "string",
+        nullable: true,
+        maxLength: 255,
+        description: "Why the review is hidden",
+      },
+    },
+  },
+};
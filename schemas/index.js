@@ -0,0 +1,10 @@
+// Schemas of the request bodies, keyed by name. They are written in the
+// subset of OpenAPI 3.0 understood by utils/validation.js: the validate
+// middleware checks requests against them and swagger.js publishes them as
+// components, so the docs and the checks cannot disagree.
+module.exports = {
+  ...require("./auth"),
+  ...require("./catalog"),
+  ...require("./orders"),
+  ...require("./users"),
+};
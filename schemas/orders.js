@@ -0,0 +1,130 @@
+// Request bodies of the cart, order, payment, pricing and promotion endpoints
+const { MAX_AMOUNT } = require("../utils/money");
+
+const quantity = { type: "integer", minimum: 1, maximum: 99 };
+
+const variantId = {
+  type: "integer",
+  nullable: true,
+  description: "Required for products that have variants",
+};
+
+const lineItems = {
+  type: "array",
+  minItems: 1,
+  maxItems: 50,
+  items: { $ref: "#/components/schemas/LineItem" },
+};
+
+const discountCode = {
+  type: "string",
+  format: "non-blank",
+  description: "Discount code, case-insensitive",
+};
+
+const promotionProperties = {
+  code: {
+    type: "string",
+    pattern: "^\\s*[A-Za-z0-9_-]{3,32}\\s*$",
+    description:
+      "3 to 32 letters, digits, dashes or underscores; case-insensitive",
+  },
+  description: { type: "string", nullable: true, maxLength: 255 },
+  type: { type: "string", enum: ["percent", "fixed"] },
+  amount: {
+    type: "number",
+    format: "decimal",
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: MAX_AMOUNT,
+    description: "Percentage (at most 100) or fixed amount off",
+  },
+  min_order_value: {
+    type: "number",
+    format: "decimal",
+    nullable: true,
+    minimum: 0,
+    maximum: MAX_AMOUNT,
+  },
+  starts_at: { type: "string", format: "date-time", nullable: true },
+  ends_at: {
+    type: "string",
+    format: "date-time",
+    nullable: true,
+    description: "Must be after starts_at",
+  },
+  usage_limit: {
+    type: "integer",
+    nullable: true,
+    minimum: 1,
+    description: "How many orders can use the code; null means unlimited",
+  },
+  product_ids: {
+    type: "array",
+    description:
+      "Restrict the code to these products. Together with category_ids, an item qualifies if it matches either; leave both empty for the whole order.",
+    items: { type: "integer", minimum: 1 },
+  },
+  category_ids: {
+    type: "array",
+    description:
+      "Restrict the code to these categories and their subcategories",
+    items: { type: "integer", minimum: 1 },
+  },
+};
+
+module.exports = {
+  LineItem: {
+    type: "object",
+    required: ["product_id", "quantity"],
+    properties: {
+      product_id: { type: "integer" },
+      variant_id: variantId,
+      quantity,
+    },
+  },
+  CartItemInput: {
+    type: "object",
+    required: ["product_id"],
+    properties: {
+      product_id: { type: "integer" },
+      variant_id: variantId,
+      quantity: { ...quantity, default: 1 },
+    },
+  },
+  CartItemUpdate: {
+    type: "object",
+    required: ["quantity"],
+    properties: { quantity },
+  },
+  OrderInput: {
+    type: "object",
+    required: ["items"],
+    properties: { items: lineItems, code: discountCode },
+  },
+  PaymentIntentInput: {
+    type: "object",
+    description: "Either the items to pay for or the order to pay",
+    properties: {
+      items: lineItems,
+      order_id: {
+        type: "integer",
+        description: "A pending order of the current user",
+      },
+    },
+  },
+  QuoteInput: {
+    type: "object",
+    required: ["items"],
+    properties: { items: lineItems, code: discountCode },
+  },
+  PromotionInput: {
+    type: "object",
+    required: ["code", "type", "amount"],
+    properties: promotionProperties,
+  },
+  PromotionUpdate: {
+    type: "object",
+    properties: promotionProperties,
+  },
+};
@@ -0,0 +1,138 @@
+// Path and query parameters, keyed by name, as OpenAPI 3.0 parameter objects.
+// The validate middleware checks requests against them and swagger.js
+// publishes them as components, which the route docs refer to with $ref.
+
+const { DEFAULT_LIMIT, MAX_LIMIT } = require("../utils/pagination");
+
+// Helper function to describe the ID of a record in the path
+const pathId = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: { type: "integer", minimum: 1 },
+});
+
+// Helper function to describe an optional parameter of the query string
+const query = (name, description, schema) => ({
+  name,
+  in: "query",
+  required: false,
+  description,
+  schema,
+});
+
+// Helper function to describe a true or false switch in the query string
+const flag = (name, description) =>
+  query(name, description, { type: "boolean", default: false });
+
+module.exports = {
+  CartItemId: pathId("id", "ID of the cart item"),
+  CategoryId: pathId("id", "ID of the category"),
+  ImageId: pathId("imageId", "ID of the image"),
+  OrderId: pathId("id", "ID of the order"),
+  PaymentIntentId: pathId("id", "ID of the payment intent"),
+  ProductId: pathId("id", "ID of the product"),
+  PromotionId: pathId("id", "ID of the promotion"),
+  ReviewId: pathId("reviewId", "ID of the review"),
+  UserId: pathId("id", "ID of the user"),
+  VariantId: pathId("variantId", "ID of the variant"),
+  WishlistId: pathId("id", "ID of the wishlist"),
+  // Products on a wishlist or watch list
+  ListedProductId: pathId("productId", "ID of the product"),
+
+  CategoryCascade: flag(
+    "cascade",
+    "Set to true to also delete every subcategory"
+  ),
+  CategoryReassignTo: query(
+    "reassign_to",
+    "Move the products of the deleted categories to this category before deleting",
+    { type: "integer", minimum: 1 }
+  ),
+  CategorySoftDelete: flag(
+    "soft",
+    "Set to true to soft delete instead. The products of the categories are hidden from product listings and search until the category is restored. Cannot be combined with reassign_to."
+  ),
+  ProductSoftDelete: flag("soft", "Set to true to soft delete the product"),
+  ImportDryRun: flag(
+    "dry_run",
+    "Set to true to validate the file and get the report without writing anything"
+  ),
+
+  // Pagination of listings
+  Page: query("page", "Page number, starting at 1", {
+    type: "integer",
+    minimum: 1,
+    default: 1,
+  }),
+  Limit: query("limit", "Number of records per page", {
+    type: "integer",
+    minimum: 1,
+    maximum: MAX_LIMIT,
+    default: DEFAULT_LIMIT,
+  }),
+  Cursor: query(
+    "cursor",
+    "Opaque cursor taken from meta.next_cursor or meta.prev_cursor of a previous response. Cannot be combined with page.",
+    { type: "string", minLength: 1 }
+  ),
+
+  // Filters and order of product listings and search
+  ProductSort: query(
+    "sort",
+    "Field to sort by. Prefix with - for descending order.",
+    {
+      type: "string",
+      enum: ["id", "-id", "name", "-name", "price", "-price"],
+      default: "id",
+    }
+  ),
+  ProductCategoryFilter: query(
+    "category_id",
+    "Only include products of this category",
+    { type: "integer", minimum: 1 }
+  ),
+  IncludeSubcategories: flag(
+    "include_subcategories",
+    "Set to true to also include products of the subcategories of category_id. Requires category_id."
+  ),
+  MinPrice: query("min_price", "Only include products costing at least this", {
+    type: "number",
+    minimum: 0,
+    format: "decimal",
+  }),
+  MaxPrice: query(
+    "max_price",
+    "Only include products costing at most this. Cannot be less than min_price.",
+    { type: "number", minimum: 0, format: "decimal" }
+  ),
+  ProductNameFilter: query(
+    "name",
+    "Only include products whose name contains this text, case-insensitively",
+    { type: "string", format: "non-blank" }
+  ),
+  SearchText: {
+    ...query(
+      "q",
+      "Text to search product names and descriptions for. Must contain letters or digits.",
+      { type: "string", minLength: 1, maxLength: 200 }
+    ),
+    required: true,
+  },
+  SearchFacets: query(
+    "facets",
+    "Set to category to also count the matches in each category",
+    { type: "string", enum: ["category"] }
+  ),
+
+  ReviewSort: query(
+    "sort",
+    "Field to sort by. Prefix with - for descending order.",
+    {
+      type: "string",
+      enum: ["created_at", "-created_at", "rating", "-rating"],
+      default: "-created_at",
+    }
+  ),
+};
@@ -0,0 +1,42 @@
+// Request bodies of the user, wishlist and watch endpoints
+const { ROLES } = require("../configs/roles");
+
+module.exports = {
+  RoleInput: {
+    type: "object",
+    required: ["role"],
+    properties: {
+      role: {
+        type: "string",
+        enum: Object.values(ROLES),
+        description: "The new role of the user",
+      },
+    },
+  },
+  WishlistInput: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: {
+        type: "string",
+        format: "non-blank",
+        maxLength: 100,
+        description: "Name of the wishlist, unique among the user's wishlists",
+      },
+    },
+  },
+  WishlistItemInput: {
+    type: "object",
+    required: ["product_id"],
+    properties: {
+      product_id: { type: "integer" },
+    },
+  },
+  WatchInput: {
+    type: "object",
+    required: ["product_id"],
+    properties: {
+      product_id: { type: "integer" },
+    },
+  },
+};
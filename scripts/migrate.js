@@ -0,0 +1,51 @@
+const db = require("../configs/db");
+const {
+  migrate,
+  baseline,
+  rollback,
+  migrationStatus,
+} = require("../migrations");
+
+// Command line for the migrations:
+// node scripts/migrate.js [up|baseline|rollback|status]
+const commands = {
+  up: async () => {
+    const names = await migrate(db);
+    if (!names.length) return console.log("Nothing to migrate.");
+    names.forEach((name) => console.log(`Applied ${name}`));
+  },
+  baseline: async () => {
+    const { applied, adopted } = await baseline(db);
+    applied.forEach((name) => console.log(`Applied ${name}`));
+    adopted.forEach((name) => console.log(`Added ${name}`));
+    if (!applied.length && !adopted.length) console.log("Nothing to adopt.");
+  },
+  rollback: async () => {
+    const names = await rollback(db);
+    if (!names.length) return console.log("Nothing to roll back.");
+    names.forEach((name) => console.log(`Rolled back ${name}`));
+  },
+  status: async () => {
+    for (const migration of await migrationStatus(db)) {
+      const state = migration.missing
+        ? "applied, file missing"
+        : migration.applied_at
+        ? `applied in batch ${migration.batch}`
+        : "pending";
+      console.log(`${migration.name}: ${state}`);
+    }
+  },
+};
+
+const command = commands[process.argv[2] || "up"];
+if (!command) {
+  console.error("Usage: node scripts/migrate.js [up|baseline|rollback|status]");
+  process.exit(1);
+}
+
+command()
+  .catch((err) => {
+    console.error("Migration failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
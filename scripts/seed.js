@@ -0,0 +1,22 @@
+const db = require("../configs/db");
+const { pendingMigrations } = require("../migrations");
+const { seed } = require("../seeds");
+
+// Command line for loading the sample catalog: node scripts/seed.js
+const run = async () => {
+  const pending = await pendingMigrations(db);
+  if (pending.length) {
+    throw new Error(
+      `${pending.length} migration(s) pending; run "npm run migrate" first`
+    );
+  }
+  const created = await seed(db);
+  console.log(`Seeded the sample catalog; ${created} product(s) created.`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Seeding failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
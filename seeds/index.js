@@ -0,0 +1,170 @@
+const categoryRepository = require("../repositories/categoryRepository");
+const productRepository = require("../repositories/productRepository");
+
+// Sample sports catalog for development databases. Categories are nested by
+// their children; products name their category by path.
+const CATEGORIES = [
+  { name: "Cricket", children: ["Bats", "Balls", "Protective Gear"] },
+  { name: "Football", children: ["Balls", "Boots"] },
+  { name: "Tennis", children: ["Rackets", "Balls"] },
+  { name: "Badminton", children: ["Rackets", "Shuttlecocks"] },
+  { name: "Running", children: ["Shoes", "Accessories"] },
+];
+
+const PRODUCTS = [
+  {
+    sku: "CRK-BAT-EW-01",
+    category: ["Cricket", "Bats"],
+    name: "English Willow Cricket Bat",
+    description:
+      "Grade 1 English willow bat with a full profile and thick edges.",
+    price: 14999,
+    stock: 12,
+  },
+  {
+    sku: "CRK-BAT-KW-01",
+    category: ["Cricket", "Bats"],
+    name: "Kashmir Willow Cricket Bat",
+    description:
+      "Lightweight Kashmir willow bat for club and practice matches.",
+    price: 3499,
+    stock: 40,
+  },
+  {
+    sku: "CRK-BALL-LTH-01",
+    category: ["Cricket", "Balls"],
+    name: "Leather Cricket Ball",
+    description: "Four-piece hand-stitched leather ball, 156 g.",
+    price: 899,
+    stock: 150,
+  },
+  {
+    sku: "CRK-PAD-01",
+    category: ["Cricket", "Protective Gear"],
+    name: "Batting Pads",
+    description: "Lightweight batting pads with moulded knee rolls.",
+    price: 2499,
+    stock: 25,
+  },
+  {
+    sku: "FTB-BALL-5",
+    category: ["Football", "Balls"],
+    name: "Match Football, Size 5",
+    description: "Thermally bonded match ball for grass and turf.",
+    price: 1799,
+    stock: 60,
+  },
+  {
+    sku: "FTB-BOOT-FG-01",
+    category: ["Football", "Boots"],
+    name: "Firm Ground Football Boots",
+    description: "Synthetic upper boots with a firm ground stud plate.",
+    price: 4299,
+    stock: 30,
+  },
+  {
+    sku: "TEN-RKT-300",
+    category: ["Tennis", "Rackets"],
+    name: "Graphite Tennis Racket, 300 g",
+    description: "Strung graphite racket with a 100 sq in head.",
+    price: 8999,
+    stock: 15,
+  },
+  {
+    sku: "TEN-BALL-CAN3",
+    category: ["Tennis", "Balls"],
+    name: "Tennis Balls, Can of 3",
+    description: "Pressurised all-court tennis balls.",
+    price: 449,
+    stock: 200,
+  },
+  {
+    sku: "BDM-RKT-CF-01",
+    category: ["Badminton", "Rackets"],
+    name: "Carbon Fibre Badminton Racket",
+    description: "Head-heavy carbon fibre racket for attacking play.",
+    price: 2999,
+    stock: 35,
+  },
+  {
+    sku: "BDM-SHT-FTH-12",
+    category: ["Badminton", "Shuttlecocks"],
+    name: "Feather Shuttlecocks, Tube of 12",
+    description: "Goose feather shuttlecocks, speed 77.",
+    price: 1199,
+    stock: 80,
+  },
+  {
+    sku: "RUN-SHOE-RD-01",
+    category: ["Running", "Shoes"],
+    name: "Cushioned Road Running Shoes",
+    description: "Neutral road shoes with a breathable mesh upper.",
+    price: 5499,
+    stock: 45,
+  },
+  {
+    sku: "RUN-ACC-BTL-750",
+    category: ["Running", "Accessories"],
+    name: "Insulated Water Bottle, 750 ml",
+    description: "Stainless steel bottle that keeps drinks cold for 24 hours.",
+    price: 999,
+    stock: 0,
+  },
+];
+
+// Find a category by name under a parent, creating it if needed. Resolves to
+// its ID.
+const ensureCategory = async (name, parentId) => {
+  const existing = await categoryRepository.findByName(name, parentId);
+  if (existing) return existing.id;
+  return categoryRepository.create({ name, parent_id: parentId });
+};
+
+// Load the sample catalog. Categories and products that already exist, going
+// by name and SKU, are left alone, so seeding twice adds nothing. Initial
+// stock is recorded as a receipt in the stock ledger. Resolves to the number
+// of products created.
+const seed = async (db) => {
+  const categoryIds = new Map();
+  for (const { name, children } of CATEGORIES) {
+    const parentId = await ensureCategory(name, null);
+    categoryIds.set(name, parentId);
+    for (const child of children) {
+      categoryIds.set(
+        `${name}/${child}`,
+        await ensureCategory(child, parentId)
+      );
+    }
+  }
+
+  const existing = new Set(
+    (await productRepository.findBySkus(PRODUCTS.map(({ sku }) => sku))).map(
+      (product) => product.sku
+    )
+  );
+  let created = 0;
+  for (const { category, stock, ...fields } of PRODUCTS) {
+    if (existing.has(fields.sku)) continue;
+    await db.transaction(async (conn) => {
+      const id = await productRepository.create(
+        {
+          ...fields,
+          category_id: categoryIds.get(category.join("/")),
+          stock_quantity: stock,
+        },
+        { db: conn }
+      );
+      if (stock > 0) {
+        await conn.query(
+          "INSERT INTO stock_movements (product_id, type, quantity_change, reason) VALUES (?, 'receipt', ?, 'Seed data')",
+          [id, stock]
+        );
+      }
+    });
+    created++;
+  }
+
+  return created;
+};
+
+module.exports = { seed, CATEGORIES, PRODUCTS };
@@ -0,0 +1,33 @@
+const createLocalDriver = require("./localDriver");
+
+// Every driver has a name and implements
+//   put(key, data, { contentType }) -> promise, storing a Buffer under key
+//   remove(key) -> promise, succeeding if the key does not exist
+//   url(key) -> the public URL of the stored file
+// Drivers that serve files from this app also provide a handler, which is
+// mounted at their mountPath. An S3-compatible driver would upload to a bucket
+// and return bucket or CDN URLs instead.
+const drivers = {
+  local: createLocalDriver,
+};
+
+let driver;
+
+// Pick the driver named by STORAGE_DRIVER, defaulting to local disk
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Replace the active driver, e.g. with a stub in tests
+const setDriver = (newDriver) => {
+  driver = newDriver;
+};
+
+module.exports = { getDriver, setDriver };
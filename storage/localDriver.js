@@ -0,0 +1,43 @@
+const fs = require("fs/promises");
+const path = require("path");
+const express = require("express");
+
+// Keep files on this server's disk under UPLOAD_DIR and serve them from
+// /uploads. UPLOAD_BASE_URL can point the URLs elsewhere, e.g. at a CDN in
+// front of the app.
+const createLocalDriver = ({
+  dir = process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads"),
+  baseUrl = process.env.UPLOAD_BASE_URL || "/uploads",
+} = {}) => {
+  const root = path.resolve(dir);
+
+  // Keys are generated by the app, but never let one escape the upload dir
+  const fileFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: "local",
+    mountPath: "/uploads",
+    handler: express.static(root),
+    put: async (key, data) => {
+      const file = fileFor(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, data);
+    },
+    remove: async (key) => {
+      try {
+        await fs.unlink(fileFor(key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+    url: (key) => `${baseUrl.replace(/\/$/, "")}/${key}`,
+  };
+};
+
+module.exports = createLocalDriver;
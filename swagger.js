@@ -1,4 +1,6 @@
 const swaggerJSDoc = require("swagger-jsdoc");
+const schemas = require("./schemas");
+const parameters = require("./schemas/parameters");
 
 const options = {
   swaggerDefinition: {
@@ -14,6 +16,50 @@ const options = {
         url: "https://allsportsmoke.el.r.appspot.com/",
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      parameters,
+      schemas: {
+        ...schemas,
+        Error: {
+          type: "object",
+          properties: {
+            error: {
+              type: "object",
+              properties: {
+                code: {
+                  type: "string",
+                  description:
+                    "Machine-readable error code, e.g. VALIDATION_ERROR, INVALID_JSON, UNAUTHORIZED, FORBIDDEN, NOT_FOUND, CONFLICT, DUPLICATE_ENTRY, RECORD_IN_USE or INTERNAL_ERROR",
+                  example: "VALIDATION_ERROR",
+                },
+                message: {
+                  type: "string",
+                  example: "Invalid request body",
+                },
+                details: {
+                  description:
+                    "More about the error when there is more to say. A request whose body or parameters fail validation lists every problem found as { field, message } objects.",
+                  example: [{ field: "price", message: "must be a number" }],
+                },
+                request_id: {
+                  type: "string",
+                  description:
+                    "ID of the request, also sent in the X-Request-Id header",
+                  example: "7f9c2b1e-4a3d-4e8f-9b6a-2c1d0e5f8a7b",
+                },
+              },
+            },
+          },
+        },
+      },
+    },
   },
   apis: ["./routes/**/*.js", "./controllers/**/*.js"],
 };
@@ -1,6 +1,33 @@
 const request = require("supertest");
-const app = require("../index");
-require("../setup");
+const jwt = require("jsonwebtoken");
+const { createApp } = require("../app");
+const { getTransport } = require("../mail");
+const { useTestDatabase } = require("./support/database");
+
+useTestDatabase();
+
+const app = createApp();
+
+beforeEach(() => {
+  getTransport().clear();
+});
+
+// Pull the token out of the link in the most recent email
+const tokenFromLastEmail = () => {
+  const { sent } = getTransport();
+  return sent[sent.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+};
+
+const registerVerifiedUser = async () => {
+  await request(app).post("/auth/register").send({
+    name: "Test User",
+    email: "test@example.com",
+    pass: "password123",
+  });
+  await request(app)
+    .post("/auth/verify-email")
+    .send({ token: tokenFromLastEmail() });
+};
 
 describe("POST /auth/register", () => {
   test("should register a new user", async () => {
@@ -11,6 +38,7 @@ describe("POST /auth/register", () => {
     });
     expect(res.statusCode).toEqual(201);
     expect(res.body).toHaveProperty("message", "User registered successfully");
+    expect(getTransport().sent[0]).toHaveProperty("to", "johndoe@example.com");
   });
 
   test("should not register an existing user", async () => {
@@ -29,18 +57,16 @@ describe("POST /auth/register", () => {
     });
 
     expect(res.statusCode).toEqual(400);
-    expect(res.body).toHaveProperty("error", "Email already registered");
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Email already registered",
+    });
   });
 });
 
 describe("POST /auth/login", () => {
   test("should login an existing user", async () => {
-    // Register the user first
-    await request(app).post("/auth/register").send({
-      name: "Test User",
-      email: "test@example.com",
-      pass: "password123",
-    });
+    await registerVerifiedUser();
 
     const res = await request(app).post("/auth/login").send({
       email: "test@example.com",
@@ -51,18 +77,138 @@ describe("POST /auth/login", () => {
     expect(res.body).toHaveProperty("token");
   });
 
-  test("should not login with wrong credentials", async () => {
-    // Register the user first
+  test("should not login before the email is verified", async () => {
     await request(app).post("/auth/register").send({
       name: "Test User",
       email: "test@example.com",
       pass: "password123",
     });
+
+    const res = await request(app).post("/auth/login").send({
+      email: "test@example.com",
+      pass: "password123",
+    });
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should embed the customer role in the token", async () => {
+    await registerVerifiedUser();
+
+    const res = await request(app).post("/auth/login").send({
+      email: "test@example.com",
+      pass: "password123",
+    });
+    const claims = jwt.verify(res.body.token, process.env.JWT_SECRET);
+    expect(claims).toHaveProperty("role", "customer");
+  });
+
+  test("should not login with wrong credentials", async () => {
+    await registerVerifiedUser();
     const res = await request(app).post("/auth/login").send({
       email: "test@example.com",
       pass: "wrongPassword",
     });
     expect(res.statusCode).toEqual(400);
-    expect(res.body).toHaveProperty("error", "Invalid credentials");
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Invalid credentials",
+    });
+  });
+});
+
+describe("POST /auth/refresh", () => {
+  const login = async () => {
+    await registerVerifiedUser();
+    const res = await request(app).post("/auth/login").send({
+      email: "test@example.com",
+      pass: "password123",
+    });
+    return res.body;
+  };
+
+  test("should rotate the refresh token", async () => {
+    const { refreshToken } = await login();
+
+    const res = await request(app).post("/auth/refresh").send({ refreshToken });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty("token");
+    expect(res.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("should revoke the session when a refresh token is reused", async () => {
+    const { refreshToken } = await login();
+
+    const first = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    const reuse = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(reuse.statusCode).toEqual(401);
+
+    // The token issued by the legitimate refresh is revoked as well
+    const res = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken: first.body.refreshToken });
+    expect(res.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /auth/logout", () => {
+  test("should revoke the refresh token and its access tokens", async () => {
+    await registerVerifiedUser();
+    const login = await request(app).post("/auth/login").send({
+      email: "test@example.com",
+      pass: "password123",
+    });
+    const { token, refreshToken } = login.body;
+
+    const res = await request(app).post("/auth/logout").send({ refreshToken });
+    expect(res.statusCode).toEqual(204);
+
+    const refresh = await request(app)
+      .post("/auth/refresh")
+      .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+
+    const create = await request(app)
+      .post("/categories")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ name: "Cricket" });
+    expect(create.statusCode).toEqual(401);
+  });
+});
+
+describe("POST /auth/reset-password", () => {
+  test("should reset the password with a single-use token", async () => {
+    await registerVerifiedUser();
+    await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "test@example.com" });
+    const token = tokenFromLastEmail();
+
+    const res = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, pass: "newPassword456" });
+    expect(res.statusCode).toEqual(200);
+
+    const login = await request(app).post("/auth/login").send({
+      email: "test@example.com",
+      pass: "newPassword456",
+    });
+    expect(login.statusCode).toEqual(200);
+
+    const reuse = await request(app)
+      .post("/auth/reset-password")
+      .send({ token, pass: "anotherPassword789" });
+    expect(reuse.statusCode).toEqual(400);
+  });
+
+  test("should not reveal whether an email is registered", async () => {
+    const res = await request(app)
+      .post("/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+    expect(res.statusCode).toEqual(200);
+    expect(getTransport().sent).toHaveLength(0);
   });
 });
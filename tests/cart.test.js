@@ -0,0 +1,281 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Put an item in a new anonymous cart. Resolves to the cart token.
+const guestCartWith = async (product, quantity) => {
+  const res = await request(app)
+    .post("/cart/items")
+    .send({ product_id: product.id, quantity });
+  return res.body.cart_token;
+};
+
+// Log a user in, merging the anonymous cart of cartToken. Resolves to the
+// user with the token of the new session.
+const login = async (user, cartToken) => {
+  const res = await request(app)
+    .post("/auth/login")
+    .send({ email: user.email, pass: user.pass, cart_token: cartToken });
+  return { ...user, token: res.body.token };
+};
+
+// The quantity of each product in a user's cart
+const quantities = async (user) => {
+  const res = await request(app).get("/cart").set(authHeader(user));
+  return res.body.items.map((item) => [item.product_id, item.quantity]);
+};
+
+describe("POST /cart/items", () => {
+  test("should give guests an anonymous cart", async () => {
+    const ball = await createProduct({ price: "4.50", stock_quantity: 10 });
+
+    const res = await request(app)
+      .post("/cart/items")
+      .send({ product_id: ball.id, quantity: 2 });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.cart_token).toEqual(expect.any(String));
+    expect(res.headers["x-cart-token"]).toEqual(res.body.cart_token);
+    expect(res.body).toMatchObject({ item_count: 2, subtotal: "9.00" });
+
+    const get = await request(app)
+      .get("/cart")
+      .set("X-Cart-Token", res.body.cart_token);
+    expect(get.body.items).toEqual([
+      expect.objectContaining({
+        product_id: ball.id,
+        quantity: 2,
+        unit_price: "4.50",
+        line_total: "9.00",
+      }),
+    ]);
+  });
+
+  test("should add to the line of the same product", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 2 });
+    const res = await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 3 });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.items).toHaveLength(1);
+    expect(res.body.items[0]).toHaveProperty("quantity", 5);
+  });
+
+  test("should keep one line when the same product is added at once", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ stock_quantity: 10 });
+    const ball = await createProduct({ stock_quantity: 10 });
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: bat.id, quantity: 1 });
+
+    const add = () =>
+      request(app)
+        .post("/cart/items")
+        .set(authHeader(user))
+        .send({ product_id: ball.id, quantity: 2 });
+    const responses = await Promise.all([add(), add()]);
+    expect(responses.map((res) => res.statusCode).sort()).toEqual([200, 201]);
+
+    expect(await quantities(user)).toEqual([
+      [bat.id, 1],
+      [ball.id, 4],
+    ]);
+  });
+
+  test("should not add more than is in stock", async () => {
+    const ball = await createProduct({ stock_quantity: 1 });
+
+    const res = await request(app)
+      .post("/cart/items")
+      .send({ product_id: ball.id, quantity: 2 });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.details).toEqual({ stock_quantity: 1 });
+  });
+
+  test("should not let a line hold more than 99 units", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 500 });
+
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 60 });
+    const res = await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 40 });
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("should require a variant for products that have them", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct({ stock_quantity: 5 });
+    await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-42", options: { size: "42" }, stock_quantity: 5 });
+
+    const res = await request(app)
+      .post("/cart/items")
+      .send({ product_id: shoe.id });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual(
+      "A variant must be selected for this product."
+    );
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const res = await request(app)
+      .post("/cart/items")
+      .send({ product_id: 999 });
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("PATCH /cart/items/:id", () => {
+  test("should change the quantity of an item", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const add = await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id });
+
+    const res = await request(app)
+      .patch(`/cart/items/${add.body.items[0].id}`)
+      .set(authHeader(user))
+      .send({ quantity: 4 });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.item_count).toEqual(4);
+  });
+
+  test("should not find the items of another cart", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const add = await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id });
+
+    const res = await request(app)
+      .patch(`/cart/items/${add.body.items[0].id}`)
+      .set(authHeader(other))
+      .send({ quantity: 4 });
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /cart/items/:id", () => {
+  test("should remove an item", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const add = await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id });
+
+    const res = await request(app)
+      .delete(`/cart/items/${add.body.items[0].id}`)
+      .set(authHeader(user));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ items: [], subtotal: "0.00" });
+  });
+});
+
+describe("merging the anonymous cart on login", () => {
+  test("should hand the anonymous cart to a user without one", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const cartToken = await guestCartWith(ball, 2);
+
+    expect(await quantities(await login(user, cartToken))).toEqual([
+      [ball.id, 2],
+    ]);
+  });
+
+  test("should combine lines and use up the anonymous cart", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const bat = await createProduct({ stock_quantity: 10 });
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 1 });
+    const cartToken = await guestCartWith(ball, 2);
+    await request(app)
+      .post("/cart/items")
+      .set("X-Cart-Token", cartToken)
+      .send({ product_id: bat.id, quantity: 1 });
+
+    const loggedIn = await login(user, cartToken);
+    expect(await quantities(loggedIn)).toEqual([
+      [ball.id, 3],
+      [bat.id, 1],
+    ]);
+
+    const guest = await request(app)
+      .get("/cart")
+      .set("X-Cart-Token", cartToken);
+    expect(guest.body).toMatchObject({ id: null, items: [] });
+
+    // Logging in again with the spent token changes nothing
+    expect(await quantities(await login(user, cartToken))).toEqual([
+      [ball.id, 3],
+      [bat.id, 1],
+    ]);
+  });
+
+  test("should cap combined lines at the stock left", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 5 });
+    const bat = await createProduct({ stock_quantity: 5 });
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 4 });
+    const cartToken = await guestCartWith(ball, 3);
+    await request(app)
+      .post("/cart/items")
+      .set("X-Cart-Token", cartToken)
+      .send({ product_id: bat.id, quantity: 2 });
+
+    // The bat sells out before the guest logs in
+    const staff = await createUser({ role: "staff" });
+    await request(app)
+      .post(`/products/${bat.id}/stock-adjustments`)
+      .set(authHeader(staff))
+      .send({ type: "sale", quantity: 5 });
+
+    expect(await quantities(await login(user, cartToken))).toEqual([
+      [ball.id, 5],
+    ]);
+  });
+
+  test("should cap combined lines at 99 units", async () => {
+    const user = await createUser();
+    const ball = await createProduct({ stock_quantity: 500 });
+    await request(app)
+      .post("/cart/items")
+      .set(authHeader(user))
+      .send({ product_id: ball.id, quantity: 60 });
+    const cartToken = await guestCartWith(ball, 60);
+
+    expect(await quantities(await login(user, cartToken))).toEqual([
+      [ball.id, 99],
+    ]);
+  });
+});
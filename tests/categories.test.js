@@ -0,0 +1,351 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const {
+  createUser,
+  createCategory,
+  createProduct,
+  authHeader,
+} = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+describe("GET /categories", () => {
+  test("should list the categories that are not deleted", async () => {
+    const cricket = await createCategory({ name: "Cricket" });
+    const hidden = await createCategory({ name: "Hidden" });
+    const admin = await createUser({ role: "admin" });
+    await request(app)
+      .delete(`/categories/${hidden.id}?soft=true`)
+      .set(authHeader(admin));
+
+    const res = await request(app).get("/categories");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((category) => category.name)).toEqual(["Cricket"]);
+    expect(res.body[0]).toHaveProperty("id", cricket.id);
+  });
+
+  test("should nest the category tree by name", async () => {
+    const sports = await createCategory({ name: "Sports" });
+    await createCategory({ name: "Tennis", parent_id: sports.id });
+    await createCategory({ name: "Cricket", parent_id: sports.id });
+
+    const res = await request(app).get("/categories/tree");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].children.map((child) => child.name)).toEqual([
+      "Cricket",
+      "Tennis",
+    ]);
+  });
+});
+
+describe("GET /categories/:id", () => {
+  test("should return a category", async () => {
+    const cricket = await createCategory({ name: "Cricket" });
+
+    const res = await request(app).get(`/categories/${cricket.id}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ name: "Cricket", parent_id: null });
+  });
+
+  test("should answer 404 for an unknown category", async () => {
+    const res = await request(app).get("/categories/999");
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error).toMatchObject({
+      code: "NOT_FOUND",
+      message: "Category not found",
+    });
+  });
+
+  test("should reject an ID that is not a number", async () => {
+    const res = await request(app).get("/categories/abc");
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("should list the ancestors root first", async () => {
+    const sports = await createCategory({ name: "Sports" });
+    const cricket = await createCategory({
+      name: "Cricket",
+      parent_id: sports.id,
+    });
+    const bats = await createCategory({ name: "Bats", parent_id: cricket.id });
+
+    const res = await request(app).get(`/categories/${bats.id}/ancestors`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((category) => category.name)).toEqual([
+      "Sports",
+      "Cricket",
+    ]);
+  });
+});
+
+describe("POST /categories", () => {
+  test("should create a category", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/categories")
+      .set(authHeader(staff))
+      .send({ name: "Cricket" });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({ name: "Cricket", parent_id: null });
+
+    const get = await request(app).get(`/categories/${res.body.id}`);
+    expect(get.statusCode).toEqual(200);
+  });
+
+  test("should require a login and permission", async () => {
+    const customer = await createUser();
+
+    const anonymous = await request(app)
+      .post("/categories")
+      .send({ name: "Cricket" });
+    expect(anonymous.statusCode).toEqual(401);
+
+    const res = await request(app)
+      .post("/categories")
+      .set(authHeader(customer))
+      .send({ name: "Cricket" });
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should reject an invalid body", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/categories")
+      .set(authHeader(staff))
+      .send({});
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual([
+      { field: "name", message: "is required" },
+    ]);
+  });
+
+  test("should reject a duplicate name under the same parent", async () => {
+    const staff = await createUser({ role: "staff" });
+    const sports = await createCategory({ name: "Sports" });
+    await createCategory({ name: "Balls", parent_id: sports.id });
+
+    const res = await request(app)
+      .post("/categories")
+      .set(authHeader(staff))
+      .send({ name: "Balls", parent_id: sports.id });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Category already exists",
+    });
+
+    const elsewhere = await request(app)
+      .post("/categories")
+      .set(authHeader(staff))
+      .send({ name: "Balls" });
+    expect(elsewhere.statusCode).toEqual(201);
+  });
+
+  test("should reject an unknown parent", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/categories")
+      .set(authHeader(staff))
+      .send({ name: "Bats", parent_id: 999 });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Parent category does not exist",
+    });
+  });
+});
+
+describe("PUT /categories/:id", () => {
+  test("should rename and move a category", async () => {
+    const staff = await createUser({ role: "staff" });
+    const sports = await createCategory({ name: "Sports" });
+    const cricket = await createCategory({ name: "Crickett" });
+
+    const res = await request(app)
+      .put(`/categories/${cricket.id}`)
+      .set(authHeader(staff))
+      .send({ name: "Cricket", parent_id: sports.id });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ name: "Cricket", parent_id: sports.id });
+  });
+
+  test("should not move a category under its own subtree", async () => {
+    const staff = await createUser({ role: "staff" });
+    const sports = await createCategory({ name: "Sports" });
+    const cricket = await createCategory({
+      name: "Cricket",
+      parent_id: sports.id,
+    });
+
+    const res = await request(app)
+      .put(`/categories/${sports.id}`)
+      .set(authHeader(staff))
+      .send({ parent_id: cricket.id });
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("should answer 404 for an unknown category", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .put("/categories/999")
+      .set(authHeader(staff))
+      .send({ name: "Cricket" });
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /categories/:id", () => {
+  test("should delete an empty category", async () => {
+    const admin = await createUser({ role: "admin" });
+    const cricket = await createCategory();
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(204);
+
+    const get = await request(app).get(`/categories/${cricket.id}`);
+    expect(get.statusCode).toEqual(404);
+  });
+
+  test("should be reserved to admins", async () => {
+    const staff = await createUser({ role: "staff" });
+    const cricket = await createCategory();
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should only take subcategories along with cascade", async () => {
+    const admin = await createUser({ role: "admin" });
+    const sports = await createCategory();
+    const cricket = await createCategory({ parent_id: sports.id });
+
+    const refused = await request(app)
+      .delete(`/categories/${sports.id}`)
+      .set(authHeader(admin));
+    expect(refused.statusCode).toEqual(409);
+    expect(refused.body.error.details).toHaveProperty("subcategories", 1);
+
+    const res = await request(app)
+      .delete(`/categories/${sports.id}?cascade=true`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(204);
+
+    const get = await request(app).get(`/categories/${cricket.id}`);
+    expect(get.statusCode).toEqual(404);
+  });
+
+  test("should refuse to delete a category with products", async () => {
+    const admin = await createUser({ role: "admin" });
+    const cricket = await createCategory();
+    await createProduct({ category_id: cricket.id });
+    await createProduct({ category_id: cricket.id });
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.details).toHaveProperty("products", 2);
+  });
+
+  test("should move the products to reassign_to", async () => {
+    const admin = await createUser({ role: "admin" });
+    const cricket = await createCategory();
+    const other = await createCategory();
+    const bat = await createProduct({ category_id: cricket.id });
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}?reassign_to=${other.id}`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(204);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("category_id", other.id);
+  });
+
+  test("should hide the products of a soft-deleted category", async () => {
+    const admin = await createUser({ role: "admin" });
+    const cricket = await createCategory();
+    const bat = await createProduct({ name: "Bat", category_id: cricket.id });
+    await createProduct({ name: "Ball" });
+
+    await request(app)
+      .delete(`/categories/${cricket.id}?soft=true`)
+      .set(authHeader(admin));
+    const hidden = await request(app).get("/products");
+    expect(hidden.body.data.map((product) => product.name)).toEqual(["Ball"]);
+    expect((await request(app).get(`/products/${bat.id}`)).statusCode).toEqual(
+      200
+    );
+
+    await request(app)
+      .post(`/categories/${cricket.id}/restore`)
+      .set(authHeader(admin));
+    const shown = await request(app).get("/products");
+    expect(shown.body.data.map((product) => product.name)).toEqual([
+      "Bat",
+      "Ball",
+    ]);
+  });
+
+  test("should restore a soft-deleted subtree together", async () => {
+    const admin = await createUser({ role: "admin" });
+    const sports = await createCategory();
+    const cricket = await createCategory({ parent_id: sports.id });
+
+    const del = await request(app)
+      .delete(`/categories/${sports.id}?soft=true&cascade=true`)
+      .set(authHeader(admin));
+    expect(del.statusCode).toEqual(204);
+    expect(
+      (await request(app).get(`/categories/${cricket.id}`)).statusCode
+    ).toEqual(404);
+
+    const child = await request(app)
+      .post(`/categories/${cricket.id}/restore`)
+      .set(authHeader(admin));
+    expect(child.statusCode).toEqual(409);
+
+    const res = await request(app)
+      .post(`/categories/${sports.id}/restore`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty("restored", 2);
+    expect(
+      (await request(app).get(`/categories/${cricket.id}`)).statusCode
+    ).toEqual(200);
+  });
+});
+
+describe("GET /categories/export", () => {
+  test("should export the categories as CSV", async () => {
+    const staff = await createUser({ role: "staff" });
+    const sports = await createCategory({ name: "Sports" });
+    const cricket = await createCategory({
+      name: "Cricket",
+      parent_id: sports.id,
+    });
+
+    const res = await request(app)
+      .get("/categories/export")
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(res.text.trim().split(/\r?\n/)).toEqual([
+      "id,name,parent_id,parent",
+      `${sports.id},Sports,,`,
+      `${cricket.id},Cricket,${sports.id},Sports`,
+    ]);
+  });
+});
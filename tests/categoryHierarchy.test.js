@@ -0,0 +1,186 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const {
+  createUser,
+  createCategory,
+  createProduct,
+  authHeader,
+} = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Sports > Cricket > Bats > English Willow
+const createCricketTree = async () => {
+  const sports = await createCategory({ name: "Sports" });
+  const cricket = await createCategory({
+    name: "Cricket",
+    parent_id: sports.id,
+  });
+  const bats = await createCategory({ name: "Bats", parent_id: cricket.id });
+  const willow = await createCategory({
+    name: "English Willow",
+    parent_id: bats.id,
+  });
+  return { sports, cricket, bats, willow };
+};
+
+describe("GET /categories/tree", () => {
+  test("should nest every level under its parent", async () => {
+    await createCricketTree();
+    await createCategory({ name: "Football" });
+
+    const res = await request(app).get("/categories/tree");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((node) => node.name)).toEqual(["Football", "Sports"]);
+    const [cricket] = res.body[1].children;
+    expect(cricket.name).toEqual("Cricket");
+    expect(cricket.children[0].name).toEqual("Bats");
+    expect(cricket.children[0].children).toEqual([
+      expect.objectContaining({ name: "English Willow", children: [] }),
+    ]);
+  });
+
+  test("should leave out soft-deleted branches", async () => {
+    const admin = await createUser({ role: "admin" });
+    const { sports, bats } = await createCricketTree();
+
+    await request(app)
+      .delete(`/categories/${bats.id}?soft=true&cascade=true`)
+      .set(authHeader(admin));
+
+    const res = await request(app).get("/categories/tree");
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({ id: sports.id });
+    expect(res.body[0].children[0].children).toEqual([]);
+  });
+});
+
+describe("GET /categories/:id/ancestors", () => {
+  test("should return the breadcrumbs root first", async () => {
+    const { sports, cricket, bats, willow } = await createCricketTree();
+
+    const res = await request(app).get(`/categories/${willow.id}/ancestors`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual([
+      { id: sports.id, name: "Sports", parent_id: null },
+      { id: cricket.id, name: "Cricket", parent_id: sports.id },
+      { id: bats.id, name: "Bats", parent_id: cricket.id },
+    ]);
+  });
+
+  test("should return no ancestors for a top-level category", async () => {
+    const sports = await createCategory();
+
+    const res = await request(app).get(`/categories/${sports.id}/ancestors`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual([]);
+  });
+
+  test("should answer 404 for an unknown category", async () => {
+    const res = await request(app).get("/categories/999/ancestors");
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error.code).toEqual("NOT_FOUND");
+  });
+
+  test("should reject an ID that is not a number", async () => {
+    const res = await request(app).get("/categories/abc/ancestors");
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe("PUT /categories/:id with parent_id", () => {
+  test("should move a category and its subtree", async () => {
+    const staff = await createUser({ role: "staff" });
+    const { bats, willow } = await createCricketTree();
+    const equipment = await createCategory({ name: "Equipment" });
+
+    const res = await request(app)
+      .put(`/categories/${bats.id}`)
+      .set(authHeader(staff))
+      .send({ parent_id: equipment.id });
+    expect(res.statusCode).toEqual(200);
+
+    const ancestors = await request(app).get(
+      `/categories/${willow.id}/ancestors`
+    );
+    expect(ancestors.body.map((category) => category.name)).toEqual([
+      "Equipment",
+      "Bats",
+    ]);
+  });
+
+  test("should move a category back to the top level", async () => {
+    const staff = await createUser({ role: "staff" });
+    const { bats } = await createCricketTree();
+
+    const res = await request(app)
+      .put(`/categories/${bats.id}`)
+      .set(authHeader(staff))
+      .send({ parent_id: null });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ id: bats.id, parent_id: null });
+  });
+
+  test.each([
+    ["itself", ({ sports }) => sports.id],
+    ["a grandchild", ({ willow }) => willow.id],
+  ])("should not move a category under %s", async (name, target) => {
+    const staff = await createUser({ role: "staff" });
+    const tree = await createCricketTree();
+
+    const res = await request(app)
+      .put(`/categories/${tree.sports.id}`)
+      .set(authHeader(staff))
+      .send({ parent_id: target(tree) });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual(
+      "A category cannot be moved under itself or one of its subcategories."
+    );
+  });
+
+  test("should reject an unknown parent", async () => {
+    const staff = await createUser({ role: "staff" });
+    const { bats } = await createCricketTree();
+
+    const res = await request(app)
+      .put(`/categories/${bats.id}`)
+      .set(authHeader(staff))
+      .send({ parent_id: 999 });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual("Parent category does not exist");
+  });
+});
+
+describe("DELETE /categories/:id with subcategories", () => {
+  test("should delete every level with cascade", async () => {
+    const admin = await createUser({ role: "admin" });
+    const { cricket, willow } = await createCricketTree();
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}?cascade=true`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(204);
+    expect(
+      (await request(app).get(`/categories/${willow.id}`)).statusCode
+    ).toEqual(404);
+  });
+
+  test("should count the products of the whole subtree", async () => {
+    const admin = await createUser({ role: "admin" });
+    const { cricket, bats, willow } = await createCricketTree();
+    await createProduct({ category_id: bats.id });
+    await createProduct({ category_id: willow.id });
+
+    const res = await request(app)
+      .delete(`/categories/${cricket.id}?cascade=true`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.details).toMatchObject({
+      subcategories: 2,
+      products: 2,
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const { buildTree } = require("../utils/categoryTree");
+
+describe("buildTree", () => {
+  test("should nest categories under their parents", () => {
+    const tree = buildTree([
+      { id: 1, name: "Cricket", parent_id: null },
+      { id: 2, name: "Bats", parent_id: 1 },
+      { id: 3, name: "English Willow", parent_id: 2 },
+      { id: 4, name: "Football", parent_id: null },
+    ]);
+
+    expect(tree.map((node) => node.name)).toEqual(["Cricket", "Football"]);
+    expect(tree[0].children[0].name).toEqual("Bats");
+    expect(tree[0].children[0].children[0].name).toEqual("English Willow");
+    expect(tree[1].children).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+// Replace the MySQL driver with a pool whose connections record what they run
+const mockConnection = {
+  beginTransaction: jest.fn(async () => {}),
+  query: jest.fn(async () => [[]]),
+  commit: jest.fn(async () => {}),
+  rollback: jest.fn(async () => {}),
+  release: jest.fn(),
+};
+jest.mock("mysql2", () => ({
+  createPool: () => ({
+    on: () => {},
+    promise: () => ({ getConnection: async () => mockConnection }),
+  }),
+}));
+
+const db = require("../configs/db");
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("transaction", () => {
+  test("should commit and resolve with the result of the work", async () => {
+    const result = await db.transaction(async (tx) => {
+      await tx.query("UPDATE products SET price = 5 WHERE id = 1");
+      return 42;
+    });
+
+    expect(result).toEqual(42);
+    expect(mockConnection.beginTransaction).toHaveBeenCalled();
+    expect(mockConnection.commit).toHaveBeenCalled();
+    expect(mockConnection.rollback).not.toHaveBeenCalled();
+    expect(mockConnection.release).toHaveBeenCalled();
+  });
+
+  test("should roll back and rethrow when the work fails", async () => {
+    const failure = new Error("Duplicate entry");
+
+    await expect(
+      db.transaction(async () => {
+        throw failure;
+      })
+    ).rejects.toBe(failure);
+    expect(mockConnection.commit).not.toHaveBeenCalled();
+    expect(mockConnection.rollback).toHaveBeenCalled();
+    expect(mockConnection.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,150 @@
+const express = require("express");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { requestId } = require("../middlewares/requestIdMiddleware");
+const { notFound, errorHandler } = require("../middlewares/errorMiddleware");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { logger } = require("../utils/logger");
+const {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+  toAppError,
+} = require("../utils/errors");
+
+// An app whose only route fails with the given error
+const failingApp = (err) => {
+  const app = express();
+  app.use(requestId);
+  app.get(
+    "/fail",
+    asyncHandler(async () => {
+      throw err;
+    })
+  );
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+const mysqlError = (code) =>
+  Object.assign(new Error(`MySQL said ${code}`), { code });
+
+describe("toAppError", () => {
+  test("should keep typed errors", () => {
+    const err = new ConflictError("SKU BAT-1 is already in use.");
+    expect(toAppError(err)).toBe(err);
+  });
+
+  test("should map MySQL constraint errors to client errors", () => {
+    expect(toAppError(mysqlError("ER_DUP_ENTRY"))).toMatchObject({
+      status: 409,
+      code: "DUPLICATE_ENTRY",
+    });
+    expect(toAppError(mysqlError("ER_ROW_IS_REFERENCED_2"))).toMatchObject({
+      status: 409,
+      code: "RECORD_IN_USE",
+    });
+    expect(toAppError(mysqlError("ER_NO_REFERENCED_ROW_2"))).toMatchObject({
+      status: 400,
+      code: "INVALID_REFERENCE",
+    });
+    expect(toAppError(mysqlError("ER_WARN_DATA_OUT_OF_RANGE"))).toMatchObject({
+      status: 400,
+      code: "VALIDATION_ERROR",
+    });
+  });
+
+  test("should hide the cause of unexpected errors", () => {
+    expect(toAppError(mysqlError("ER_LOCK_DEADLOCK"))).toMatchObject({
+      status: 500,
+      code: "INTERNAL_ERROR",
+      message: "Internal server error",
+    });
+  });
+});
+
+describe("errorHandler", () => {
+  beforeEach(() => {
+    jest.spyOn(logger, "error");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ["ValidationError", new ValidationError("Invalid product ID"), 400],
+    ["UnauthorizedError", new UnauthorizedError(), 401],
+    ["NotFoundError", new NotFoundError("Product not found"), 404],
+    ["ConflictError", new ConflictError("Insufficient stock"), 409],
+  ])("should answer %s with its status and code", async (name, err, status) => {
+    const res = await request(failingApp(err)).get("/fail");
+    expect(res.statusCode).toEqual(status);
+    expect(res.body.error).toMatchObject({
+      code: err.code,
+      message: err.message,
+    });
+  });
+
+  test("should include details and the request ID", async () => {
+    const err = new ConflictError("Insufficient stock", { stock_quantity: 2 });
+
+    const res = await request(failingApp(err))
+      .get("/fail")
+      .set("X-Request-Id", "req-42");
+    expect(res.headers["x-request-id"]).toEqual("req-42");
+    expect(res.body).toEqual({
+      error: {
+        code: "CONFLICT",
+        message: "Insufficient stock",
+        details: { stock_quantity: 2 },
+        request_id: "req-42",
+      },
+    });
+  });
+
+  test("should answer duplicate keys with 409 instead of 500", async () => {
+    const res = await request(failingApp(mysqlError("ER_DUP_ENTRY"))).get(
+      "/fail"
+    );
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.code).toEqual("DUPLICATE_ENTRY");
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  test("should log unexpected errors and answer 500", async () => {
+    const res = await request(failingApp(new Error("boom"))).get("/fail");
+    expect(res.statusCode).toEqual(500);
+    expect(res.body.error).toMatchObject({
+      code: "INTERNAL_ERROR",
+      message: "Internal server error",
+    });
+    expect(res.body.error.request_id).toEqual(res.headers["x-request-id"]);
+    expect(logger.error).toHaveBeenCalled();
+  });
+});
+
+describe("createApp", () => {
+  const app = createApp();
+
+  test("should answer malformed JSON with a 400 in the error envelope", async () => {
+    const res = await request(app)
+      .post("/auth/login")
+      .set("Content-Type", "application/json")
+      .send('{"email": ');
+    expect(res.statusCode).toEqual(400);
+    expect(res.headers["content-type"]).toMatch(/json/);
+    expect(res.body.error.code).toEqual("INVALID_JSON");
+  });
+
+  test("should answer unknown routes with a 404 in the error envelope", async () => {
+    const res = await request(app).get("/no-such-route");
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error).toMatchObject({
+      code: "NOT_FOUND",
+      message: "Route GET /no-such-route not found",
+    });
+  });
+});
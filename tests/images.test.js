@@ -0,0 +1,65 @@
+// These helpers need no database; keep the module from connecting
+jest.mock("../configs/db", () => ({}));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { detectImageType } = require("../utils/images");
+const createLocalDriver = require("../storage/localDriver");
+
+describe("detectImageType", () => {
+  test("should recognise JPEG, PNG and WebP files by their contents", () => {
+    const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    const webp = Buffer.from("RIFF\x00\x00\x00\x00WEBPVP8 ", "latin1");
+
+    expect(detectImageType(jpeg).contentType).toEqual("image/jpeg");
+    expect(detectImageType(png).contentType).toEqual("image/png");
+    expect(detectImageType(webp).contentType).toEqual("image/webp");
+  });
+
+  test("should reject other files", () => {
+    expect(detectImageType(Buffer.from("GIF89a"))).toBeUndefined();
+    expect(detectImageType(Buffer.from("<svg></svg>"))).toBeUndefined();
+    expect(detectImageType(Buffer.alloc(0))).toBeUndefined();
+  });
+});
+
+describe("local storage driver", () => {
+  let dir;
+  let driver;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "uploads-"));
+    driver = createLocalDriver({ dir, baseUrl: "https://cdn.example.com/" });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should store and remove files under the upload directory", async () => {
+    await driver.put("products/1/a.png", Buffer.from("image"));
+    expect(fs.readFileSync(path.join(dir, "products/1/a.png"), "utf8")).toEqual(
+      "image"
+    );
+
+    await driver.remove("products/1/a.png");
+    expect(fs.existsSync(path.join(dir, "products/1/a.png"))).toBe(false);
+
+    // Removing a missing file is not an error
+    await expect(driver.remove("products/1/a.png")).resolves.toBeUndefined();
+  });
+
+  test("should build URLs from the base URL", () => {
+    expect(driver.url("products/1/a.png")).toEqual(
+      "https://cdn.example.com/products/1/a.png"
+    );
+  });
+
+  test("should refuse keys outside the upload directory", async () => {
+    await expect(
+      driver.put("../escape.png", Buffer.from("image"))
+    ).rejects.toThrow("Invalid storage key");
+  });
+});
@@ -0,0 +1,120 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+describe("GET /products/:id/stock-history", () => {
+  test("should list the movements of a product, newest first", async () => {
+    const staff = await createUser({ role: "staff", name: "Sam" });
+    const bat = await createProduct();
+    for (const body of [
+      { type: "receipt", quantity: 5, reason: "Delivery" },
+      { type: "adjustment", quantity: -1, reason: "Damaged" },
+    ]) {
+      await request(app)
+        .post(`/products/${bat.id}/stock-adjustments`)
+        .set(authHeader(staff))
+        .send(body);
+    }
+
+    const res = await request(app)
+      .get(`/products/${bat.id}/stock-history`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        type: "adjustment",
+        quantity_change: -1,
+        reason: "Damaged",
+        user_name: "Sam",
+      }),
+      expect.objectContaining({ type: "receipt", quantity_change: 5 }),
+    ]);
+  });
+
+  test("should answer 404 for a soft-deleted product", async () => {
+    const admin = await createUser({ role: "admin" });
+    const bat = await createProduct();
+    await request(app)
+      .delete(`/products/${bat.id}?soft=true`)
+      .set(authHeader(admin));
+
+    const res = await request(app)
+      .get(`/products/${bat.id}/stock-history`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("GET /inventory/low-stock", () => {
+  test("should list products and variants at or below the threshold", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct({
+      stock_quantity: 2,
+      reorder_threshold: 5,
+    });
+    // Above the threshold, without a threshold, and hidden
+    await createProduct({ stock_quantity: 10, reorder_threshold: 5 });
+    await createProduct({ stock_quantity: 0, reorder_threshold: 0 });
+    const hidden = await createProduct({
+      stock_quantity: 0,
+      reorder_threshold: 5,
+    });
+    await request(app)
+      .delete(`/products/${hidden.id}?soft=true`)
+      .set(authHeader(await createUser({ role: "admin" })));
+
+    // The stock of a product with variants is the stock of each variant
+    const shoe = await createProduct({ reorder_threshold: 3 });
+    const sizes = [];
+    for (const [size, stock] of [
+      ["42", 1],
+      ["43", 5],
+    ]) {
+      const res = await request(app)
+        .post(`/products/${shoe.id}/variants`)
+        .set(authHeader(staff))
+        .send({
+          sku: `SHOE-${size}`,
+          options: { size },
+          stock_quantity: stock,
+        });
+      sizes.push(res.body);
+    }
+
+    const res = await request(app)
+      .get("/inventory/low-stock")
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({
+        id: bat.id,
+        variant_id: null,
+        sku: bat.sku,
+        stock_quantity: 2,
+        shortfall: 3,
+      }),
+      expect.objectContaining({
+        id: shoe.id,
+        variant_id: sizes[0].id,
+        sku: "SHOE-42",
+        stock_quantity: 1,
+        shortfall: 2,
+      }),
+    ]);
+    expect(res.body.meta).toMatchObject({ total: 2 });
+  });
+
+  test("should be reserved to staff", async () => {
+    const customer = await createUser();
+
+    const res = await request(app)
+      .get("/inventory/low-stock")
+      .set(authHeader(customer));
+    expect(res.statusCode).toEqual(403);
+  });
+});
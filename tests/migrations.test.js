@@ -0,0 +1,194 @@
+const {
+  loadMigrations,
+  pendingMigrations,
+  migrate,
+  baseline,
+  rollback,
+  migrationStatus,
+} = require("../migrations");
+
+// A database that only knows the schema_migrations table, whether it has been
+// created yet, and the names and columns of any other tables. Other statements
+// are kept in db.statements.
+const createDb = (rows = null, tables = [], columns = {}) => {
+  const db = {
+    rows,
+    statements: [],
+    query: async (sql, params) => {
+      const added = /^ALTER TABLE (\w+) ADD COLUMN (\w+)/.exec(sql);
+      if (added) columns[added[1]].push(added[2]);
+
+      if (sql.includes("information_schema.tables")) {
+        return [tables.map((name) => ({ name }))];
+      } else if (sql.includes("information_schema.columns")) {
+        return [
+          Object.entries(columns).flatMap(([table_name, names]) =>
+            names.map((column_name) => ({ table_name, column_name }))
+          ),
+        ];
+      } else if (sql.includes("information_schema.statistics")) {
+        return [
+          db.statements.some((statement) => statement.includes("FULLTEXT"))
+            ? [{ name: "ft_products_name_description" }]
+            : [],
+        ];
+      } else if (sql.includes("CREATE TABLE IF NOT EXISTS schema_migrations")) {
+        db.rows = db.rows || [];
+      } else if (sql.startsWith("SELECT")) {
+        if (!db.rows)
+          throw Object.assign(new Error(), { code: "ER_NO_SUCH_TABLE" });
+        return [[...db.rows].sort((a, b) => a.name.localeCompare(b.name))];
+      } else if (sql.startsWith("INSERT")) {
+        db.rows.push({ name: params[0], batch: params[1], applied_at: "now" });
+      } else if (sql.startsWith("DELETE")) {
+        db.rows = db.rows.filter((row) => row.name !== params[0]);
+      } else {
+        db.statements.push(sql);
+      }
+      return [{}];
+    },
+    transaction: (work) => work(db),
+  };
+  return db;
+};
+
+// Migrations that record the order in which they ran
+const createMigrations = (names, log) =>
+  names.map((name) => ({
+    name,
+    up: async () => log.push(`up ${name}`),
+    down: async () => log.push(`down ${name}`),
+  }));
+
+describe("loadMigrations", () => {
+  test("should load the numbered migrations in order", () => {
+    const migrations = loadMigrations();
+
+    expect(migrations[0].name).toEqual("001_create_users");
+    expect(migrations.map((migration) => migration.name)).toEqual(
+      [...migrations.map((migration) => migration.name)].sort()
+    );
+    migrations.forEach((migration) => {
+      expect(typeof migration.up).toEqual("function");
+      expect(typeof migration.down).toEqual("function");
+    });
+  });
+});
+
+describe("migrate", () => {
+  test("should treat every migration as pending before the first run", async () => {
+    const migrations = createMigrations(["001_a", "002_b"], []);
+
+    expect(await pendingMigrations(createDb(), migrations)).toEqual([
+      "001_a",
+      "002_b",
+    ]);
+  });
+
+  test("should apply only pending migrations, as a new batch", async () => {
+    const log = [];
+    const db = createDb([{ name: "001_a", batch: 1, applied_at: "then" }]);
+    const migrations = createMigrations(["001_a", "002_b", "003_c"], log);
+
+    expect(await migrate(db, migrations)).toEqual(["002_b", "003_c"]);
+    expect(log).toEqual(["up 002_b", "up 003_c"]);
+    expect(db.rows.map((row) => row.batch)).toEqual([1, 2, 2]);
+    expect(await pendingMigrations(db, migrations)).toEqual([]);
+  });
+
+  test("should refuse a database whose tables were created by hand", async () => {
+    const log = [];
+    const db = createDb(null, ["categories", "products"]);
+    const migrations = createMigrations(["001_a", "002_b"], log);
+
+    await expect(migrate(db, migrations)).rejects.toThrow(
+      "The database already has tables (categories, products) but no applied migrations"
+    );
+    expect(log).toEqual([]);
+    expect(db.rows).toEqual([]);
+  });
+
+  test("should adopt a database whose tables were created by hand", async () => {
+    const log = [];
+    // The tables of the first README
+    const db = createDb(null, ["categories", "products"], {
+      categories: ["id", "name"],
+      products: ["id", "name", "price", "category_id"],
+    });
+    const migrations = createMigrations(["001_a", "002_b"], log);
+
+    expect(await baseline(db, migrations)).toEqual({
+      applied: ["001_a", "002_b"],
+      adopted: [
+        "products.description",
+        "categories.parent_id",
+        "categories.deleted_at",
+        "products.deleted_at",
+        "products.stock_quantity",
+        "products.reorder_threshold",
+        "products.rating_count",
+        "products.rating_total",
+        "products.rating_average",
+        "products.sku",
+        "products.ft_products_name_description",
+      ],
+    });
+    expect(log).toEqual(["up 001_a", "up 002_b"]);
+    expect(db.statements).toContain(
+      "ALTER TABLE categories ADD COLUMN parent_id INT NULL, ADD FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE CASCADE"
+    );
+    expect(await pendingMigrations(db, migrations)).toEqual([]);
+
+    // Adopting again finds nothing left to do
+    expect(await baseline(db, migrations)).toEqual({
+      applied: [],
+      adopted: [],
+    });
+  });
+
+  test("should count the accounts made before email verification as verified", async () => {
+    const db = createDb(null, ["users"], {
+      users: ["id", "name", "email", "pass", "role"],
+    });
+
+    expect((await baseline(db, [])).adopted).toEqual([
+      "users.email_verified_at",
+    ]);
+    expect(db.statements).toEqual([
+      "ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL",
+      "UPDATE users SET email_verified_at = NOW() WHERE email_verified_at IS NULL",
+    ]);
+  });
+
+  test("should roll back the last batch, newest first", async () => {
+    const log = [];
+    const db = createDb();
+    const migrations = createMigrations(["001_a", "002_b", "003_c"], log);
+    await migrate(db, migrations.slice(0, 1));
+    await migrate(db, migrations);
+
+    expect(await rollback(db, migrations)).toEqual(["003_c", "002_b"]);
+    expect(log).toEqual([
+      "up 001_a",
+      "up 002_b",
+      "up 003_c",
+      "down 003_c",
+      "down 002_b",
+    ]);
+    expect(await pendingMigrations(db, migrations)).toEqual(["002_b", "003_c"]);
+  });
+
+  test("should report pending and orphaned migrations", async () => {
+    const db = createDb([
+      { name: "001_a", batch: 1, applied_at: "then" },
+      { name: "002_gone", batch: 1, applied_at: "then" },
+    ]);
+    const migrations = createMigrations(["001_a", "003_c"], []);
+
+    expect(await migrationStatus(db, migrations)).toEqual([
+      { name: "001_a", batch: 1, applied_at: "then" },
+      { name: "003_c", batch: null, applied_at: null },
+      { name: "002_gone", batch: 1, applied_at: "then", missing: true },
+    ]);
+  });
+});
@@ -0,0 +1,267 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Place an order for a user
+const placeOrder = (user, body) =>
+  request(app).post("/orders").set(authHeader(user)).send(body);
+
+// The stock ledger of a product, newest movement first
+const stockHistory = async (product) => {
+  const staff = await createUser({ role: "staff" });
+  const res = await request(app)
+    .get(`/products/${product.id}/stock-history`)
+    .set(authHeader(staff));
+  return res.body.data;
+};
+
+describe("POST /orders", () => {
+  test("should place an order at catalog prices and take the stock", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ price: "49.99", stock_quantity: 5 });
+    const ball = await createProduct({ price: "5.00", stock_quantity: 10 });
+
+    const res = await placeOrder(user, {
+      items: [
+        { product_id: bat.id, quantity: 1 },
+        { product_id: ball.id, quantity: 3 },
+      ],
+    });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      user_id: user.id,
+      status: "pending",
+      subtotal: "64.99",
+      discount_total: "0.00",
+      total: "64.99",
+    });
+    expect(res.body.items).toEqual([
+      expect.objectContaining({
+        product_id: bat.id,
+        quantity: 1,
+        unit_price: "49.99",
+        line_total: "49.99",
+      }),
+      expect.objectContaining({
+        product_id: ball.id,
+        quantity: 3,
+        line_total: "15.00",
+      }),
+    ]);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("stock_quantity", 4);
+    expect(await stockHistory(bat)).toEqual([
+      expect.objectContaining({
+        type: "sale",
+        variant_id: null,
+        quantity_change: -1,
+        reason: `Order #${res.body.id}`,
+      }),
+    ]);
+  });
+
+  test("should record the sale of a variant in the stock ledger", async () => {
+    const staff = await createUser({ role: "staff" });
+    const user = await createUser();
+    const shoe = await createProduct({ price: "80.00" });
+    const variant = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({
+        sku: "SHOE-42",
+        options: { size: "42" },
+        price: 90,
+        stock_quantity: 3,
+      });
+
+    const res = await placeOrder(user, {
+      items: [
+        { product_id: shoe.id, variant_id: variant.body.id, quantity: 2 },
+      ],
+    });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.items[0]).toMatchObject({
+      sku: "SHOE-42",
+      unit_price: "90.00",
+    });
+
+    const variants = await request(app).get(`/products/${shoe.id}/variants`);
+    expect(variants.body[0]).toHaveProperty("stock_quantity", 1);
+    expect(await stockHistory(shoe)).toEqual([
+      expect.objectContaining({
+        type: "sale",
+        variant_id: variant.body.id,
+        quantity_change: -2,
+      }),
+      expect.objectContaining({
+        type: "receipt",
+        variant_id: variant.body.id,
+        quantity_change: 3,
+      }),
+    ]);
+  });
+
+  test("should reject the whole order when an item is short", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ stock_quantity: 5 });
+    const ball = await createProduct({ stock_quantity: 1 });
+
+    const res = await placeOrder(user, {
+      items: [
+        { product_id: bat.id, quantity: 1 },
+        { product_id: ball.id, quantity: 2 },
+      ],
+    });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.details.shortages).toEqual([
+      {
+        product_id: ball.id,
+        variant_id: null,
+        requested: 2,
+        stock_quantity: 1,
+      },
+    ]);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("stock_quantity", 5);
+  });
+
+  test("should sell the last unit only once", async () => {
+    const first = await createUser();
+    const second = await createUser();
+    const bat = await createProduct({ stock_quantity: 1 });
+    const body = { items: [{ product_id: bat.id, quantity: 1 }] };
+
+    const responses = await Promise.all([
+      placeOrder(first, body),
+      placeOrder(second, body),
+    ]);
+    expect(responses.map((res) => res.statusCode).sort()).toEqual([201, 409]);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("stock_quantity", 0);
+    expect(await stockHistory(bat)).toHaveLength(1);
+  });
+
+  test("should apply a discount code and count its use", async () => {
+    const admin = await createUser({ role: "admin" });
+    const user = await createUser();
+    const bat = await createProduct({ price: "50.00", stock_quantity: 5 });
+    await request(app)
+      .post("/promotions")
+      .set(authHeader(admin))
+      .send({ code: "SAVE10", type: "percent", amount: 10, usage_limit: 1 });
+    const body = {
+      items: [{ product_id: bat.id, quantity: 1 }],
+      code: "save10",
+    };
+
+    const res = await placeOrder(user, body);
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      subtotal: "50.00",
+      discount_total: "5.00",
+      total: "45.00",
+    });
+
+    const again = await placeOrder(user, body);
+    expect(again.statusCode).toEqual(400);
+    expect(again.body.error.details).toHaveProperty(
+      "reason",
+      "usage_limit_reached"
+    );
+  });
+
+  test("should require a variant for products that have them", async () => {
+    const staff = await createUser({ role: "staff" });
+    const user = await createUser();
+    const shoe = await createProduct();
+    await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-42", options: { size: "42" }, stock_quantity: 3 });
+
+    const res = await placeOrder(user, {
+      items: [{ product_id: shoe.id, quantity: 1 }],
+    });
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const user = await createUser();
+
+    const res = await placeOrder(user, {
+      items: [{ product_id: 999, quantity: 1 }],
+    });
+    expect(res.statusCode).toEqual(404);
+  });
+
+  test("should reject an invalid body", async () => {
+    const user = await createUser();
+
+    const res = await placeOrder(user, { items: [] });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ field: "items" }),
+    ]);
+  });
+
+  test("should require a login", async () => {
+    const res = await request(app).post("/orders").send({ items: [] });
+    expect(res.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /orders", () => {
+  test("should list the user's own orders, newest first", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const ball = await createProduct({ stock_quantity: 10 });
+    const body = { items: [{ product_id: ball.id, quantity: 2 }] };
+    const older = await placeOrder(user, body);
+    const newer = await placeOrder(user, body);
+    await placeOrder(other, body);
+
+    const res = await request(app).get("/orders").set(authHeader(user));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.map((order) => order.id)).toEqual([
+      newer.body.id,
+      older.body.id,
+    ]);
+    expect(res.body.data[0]).toHaveProperty("item_count", 2);
+    expect(res.body.meta).toMatchObject({ total: 2 });
+  });
+});
+
+describe("GET /orders/:id", () => {
+  test("should hide other users' orders from customers only", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const staff = await createUser({ role: "staff" });
+    const ball = await createProduct({ stock_quantity: 10 });
+    const order = await placeOrder(user, {
+      items: [{ product_id: ball.id, quantity: 1 }],
+    });
+
+    const own = await request(app)
+      .get(`/orders/${order.body.id}`)
+      .set(authHeader(user));
+    expect(own.statusCode).toEqual(200);
+
+    const hidden = await request(app)
+      .get(`/orders/${order.body.id}`)
+      .set(authHeader(other));
+    expect(hidden.statusCode).toEqual(404);
+
+    const viewed = await request(app)
+      .get(`/orders/${order.body.id}`)
+      .set(authHeader(staff));
+    expect(viewed.statusCode).toEqual(200);
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  keyset,
+} = require("../utils/pagination");
+
+describe("parsePagination", () => {
+  test("should default to the first page", () => {
+    expect(parsePagination({})).toEqual({ limit: 20, page: 1 });
+  });
+
+  test("should read validated values", () => {
+    expect(parsePagination({ page: "3", limit: "50" })).toEqual({
+      limit: 50,
+      page: 3,
+    });
+  });
+
+  test("should not combine page and cursor", () => {
+    const cursor = encodeCursor({ s: "id", id: 1, d: "next" });
+    expect(parsePagination({ page: "1", cursor })).toEqual({
+      error: { field: "cursor", message: "cannot be combined with page" },
+    });
+    expect(parsePagination({ cursor })).toEqual({
+      limit: 20,
+      cursor: { s: "id", id: 1, d: "next" },
+    });
+  });
+
+  test("should reject cursors that do not decode", () => {
+    expect(parsePagination({ cursor: "not-a-cursor" })).toEqual({
+      error: { field: "cursor", message: "is invalid" },
+    });
+  });
+});
+
+describe("keyset", () => {
+  test("should continue forwards with a tie-breaker on id", () => {
+    const cursor = decodeCursor(
+      encodeCursor({ s: "-price", v: "7.00", id: 3, d: "next" })
+    );
+    expect(keyset("price", "DESC", cursor)).toEqual({
+      sql: "(price < ? OR (price = ? AND id < ?))",
+      params: ["7.00", "7.00", 3],
+      order: "DESC",
+      backwards: false,
+    });
+  });
+
+  test("should flip the ordering when walking backwards", () => {
+    expect(keyset("id", "ASC", { id: 5, d: "prev" })).toEqual({
+      sql: "id < ?",
+      params: [5],
+      order: "DESC",
+      backwards: true,
+    });
+  });
+});
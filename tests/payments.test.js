@@ -0,0 +1,245 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { setProvider } = require("../payments");
+const { signPayload, verifySignature } = require("../payments/signature");
+const createFakeProvider = require("../payments/fakeProvider");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+const SECRET = "test-webhook-secret";
+
+useTestDatabase();
+
+const app = createApp();
+
+describe("verifySignature", () => {
+  const payload = JSON.stringify({ id: "evt_1", type: "payment.captured" });
+
+  test("should accept a payload signed with the secret", () => {
+    expect(verifySignature(payload, signPayload(payload, SECRET), SECRET)).toBe(
+      true
+    );
+  });
+
+  test("should reject a tampered payload", () => {
+    const header = signPayload(payload, SECRET);
+    expect(verifySignature(payload.replace("1", "2"), header, SECRET)).toBe(
+      false
+    );
+  });
+
+  test("should reject a payload signed with another secret", () => {
+    const header = signPayload(payload, "another-secret");
+    expect(verifySignature(payload, header, SECRET)).toBe(false);
+  });
+
+  test("should reject stale and malformed signatures", () => {
+    const now = Math.floor(Date.now() / 1000);
+    const stale = signPayload(payload, SECRET, now - 600);
+    expect(verifySignature(payload, stale, SECRET, now)).toBe(false);
+    expect(verifySignature(payload, "garbage", SECRET)).toBe(false);
+    expect(verifySignature(payload, undefined, SECRET)).toBe(false);
+  });
+});
+
+describe("fake payment provider", () => {
+  test("should walk an intent through authorize, capture and refund", async () => {
+    const provider = createFakeProvider({ secret: SECRET });
+    const intent = await provider.createIntent({
+      amount: 5998,
+      currency: "INR",
+    });
+    expect(intent).toMatchObject({ status: "pending", amount: 5998 });
+
+    const webhook = provider.authorize(intent.id);
+    expect(provider.parseWebhook(webhook.body, webhook.headers)).toMatchObject({
+      type: "payment.authorized",
+      intent_id: intent.id,
+    });
+
+    await expect(provider.capture(intent.id)).resolves.toEqual({
+      id: intent.id,
+      status: "captured",
+    });
+    await expect(provider.refund(intent.id)).resolves.toHaveProperty(
+      "status",
+      "refunded"
+    );
+  });
+
+  test("should refuse to capture a payment that was not authorized", async () => {
+    const provider = createFakeProvider({ secret: SECRET });
+    const intent = await provider.createIntent({
+      amount: 100,
+      currency: "INR",
+    });
+
+    await expect(provider.capture(intent.id)).rejects.toHaveProperty(
+      "code",
+      "PAYMENT_INVALID_STATE"
+    );
+  });
+
+  test("should not parse webhooks without a valid signature", () => {
+    const provider = createFakeProvider({ secret: SECRET });
+    const { body } = provider.buildWebhook("payment.captured", "fake_pi_1");
+
+    expect(provider.parseWebhook(body, {})).toBeNull();
+    expect(
+      provider.parseWebhook(body, {
+        "x-payment-signature": signPayload(body, "wrong"),
+      })
+    ).toBeNull();
+  });
+});
+
+describe("payments API", () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createFakeProvider({ secret: SECRET });
+    setProvider(provider);
+  });
+
+  // Deliver a webhook built by the fake provider
+  const deliver = ({ body, headers }) =>
+    request(app)
+      .post("/payments/webhook")
+      .set(headers)
+      .set("Content-Type", "application/json")
+      .send(body);
+
+  // Place an order for a user and start paying for it
+  const payForOrder = async (user) => {
+    const bat = await createProduct({ price: "49.99", stock_quantity: 5 });
+    const order = await request(app)
+      .post("/orders")
+      .set(authHeader(user))
+      .send({ items: [{ product_id: bat.id, quantity: 2 }] });
+    const intent = await request(app)
+      .post("/payments/intents")
+      .set(authHeader(user))
+      .send({ order_id: order.body.id });
+    return { order: order.body, intent: intent.body };
+  };
+
+  // The status of an order as its owner sees it
+  const orderStatus = async (user, order) => {
+    const res = await request(app)
+      .get(`/orders/${order.id}`)
+      .set(authHeader(user));
+    return res.body.status;
+  };
+
+  test("should price an intent on the server", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ price: "49.99" });
+
+    const res = await request(app)
+      .post("/payments/intents")
+      .set(authHeader(user))
+      .send({
+        items: [{ product_id: bat.id, quantity: 2, unit_price: 0.01 }],
+        amount: 0.02,
+      });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      amount: "99.98",
+      status: "pending",
+      client_secret: expect.any(String),
+      items: [
+        expect.objectContaining({ unit_price: "49.99", line_total: "99.98" }),
+      ],
+    });
+    expect(provider.intents.get(res.body.provider_intent_id)).toHaveProperty(
+      "amount",
+      9998
+    );
+  });
+
+  test("should mark the order paid on a signed capture", async () => {
+    const user = await createUser();
+    const { order, intent } = await payForOrder(user);
+
+    const res = await deliver(
+      provider.buildWebhook("payment.captured", intent.provider_intent_id)
+    );
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ received: true });
+
+    const get = await request(app)
+      .get(`/payments/intents/${intent.id}`)
+      .set(authHeader(user));
+    expect(get.body).toHaveProperty("status", "captured");
+    expect(await orderStatus(user, order)).toEqual("paid");
+  });
+
+  test("should apply each event ID once", async () => {
+    const user = await createUser();
+    const { intent } = await payForOrder(user);
+    const webhook = provider.buildWebhook(
+      "payment.authorized",
+      intent.provider_intent_id,
+      "evt_1"
+    );
+    await deliver(webhook);
+    await deliver(
+      provider.buildWebhook("payment.failed", intent.provider_intent_id)
+    );
+
+    const res = await deliver(webhook);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+
+    const get = await request(app)
+      .get(`/payments/intents/${intent.id}`)
+      .set(authHeader(user));
+    expect(get.body).toHaveProperty("status", "failed");
+  });
+
+  test("should reject a webhook with a bad signature", async () => {
+    const user = await createUser();
+    const { order, intent } = await payForOrder(user);
+    const { body } = provider.buildWebhook(
+      "payment.captured",
+      intent.provider_intent_id
+    );
+
+    const res = await deliver({
+      body,
+      headers: { "X-Payment-Signature": signPayload(body, "wrong") },
+    });
+    expect(res.statusCode).toEqual(400);
+    expect(await orderStatus(user, order)).toEqual("pending");
+  });
+
+  test("should reject a capture for another amount", async () => {
+    const user = await createUser();
+    const { order, intent } = await payForOrder(user);
+
+    const res = await deliver(
+      provider.buildWebhook(
+        "payment.captured",
+        intent.provider_intent_id,
+        "evt_1",
+        100
+      )
+    );
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual(
+      "Payment amount does not match the intent"
+    );
+    expect(await orderStatus(user, order)).toEqual("pending");
+
+    // The rejected event ID can still be delivered with the right amount
+    const retry = await deliver(
+      provider.buildWebhook(
+        "payment.captured",
+        intent.provider_intent_id,
+        "evt_1"
+      )
+    );
+    expect(retry.body).toEqual({ received: true });
+    expect(await orderStatus(user, order)).toEqual("paid");
+  });
+});
@@ -0,0 +1,242 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const {
+  createUser,
+  createCategory,
+  createProduct,
+  authHeader,
+} = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+const PAST = "2020-01-01T00:00:00Z";
+const FUTURE = "2099-01-01T00:00:00Z";
+
+// Create a promotion through the API as an admin
+const createPromotion = async (body) => {
+  const admin = await createUser({ role: "admin" });
+  const res = await request(app)
+    .post("/promotions")
+    .set(authHeader(admin))
+    .send({ type: "percent", amount: 10, ...body });
+  return res.body;
+};
+
+const quote = (body) => request(app).post("/pricing/quote").send(body);
+
+describe("POST /pricing/quote", () => {
+  test("should price the items at the catalog prices", async () => {
+    const bat = await createProduct({ price: "25.00" });
+
+    const res = await quote({ items: [{ product_id: bat.id, quantity: 2 }] });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      items: [
+        {
+          product_id: bat.id,
+          quantity: 2,
+          unit_price: "25.00",
+          line_total: "50.00",
+        },
+      ],
+      subtotal: "50.00",
+      discounts: [],
+      discount_total: "0.00",
+      total: "50.00",
+    });
+  });
+
+  test("should apply a discount code, case-insensitively", async () => {
+    const bat = await createProduct({ price: "25.00" });
+    await createPromotion({ code: "SUMMER10" });
+
+    const res = await quote({
+      items: [{ product_id: bat.id, quantity: 2 }],
+      code: "summer10",
+    });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      discounts: [
+        {
+          code: "SUMMER10",
+          type: "percent",
+          value: "10.00",
+          amount: "5.00",
+          product_ids: null,
+        },
+      ],
+      discount_total: "5.00",
+      total: "45.00",
+    });
+  });
+
+  test("should only discount the items of the promotion's categories", async () => {
+    const sports = await createCategory({ name: "Sports" });
+    const cricket = await createCategory({
+      name: "Cricket",
+      parent_id: sports.id,
+    });
+    const bat = await createProduct({
+      price: "30.00",
+      category_id: cricket.id,
+    });
+    const book = await createProduct({ price: "20.00" });
+    await createPromotion({
+      code: "SPORTS",
+      type: "fixed",
+      amount: 50,
+      category_ids: [sports.id],
+    });
+
+    const res = await quote({
+      items: [
+        { product_id: bat.id, quantity: 1 },
+        { product_id: book.id, quantity: 1 },
+      ],
+      code: "SPORTS",
+    });
+    expect(res.statusCode).toEqual(200);
+    // A fixed discount never exceeds the eligible items
+    expect(res.body.discounts[0]).toMatchObject({
+      amount: "30.00",
+      product_ids: [bat.id],
+    });
+    expect(res.body.total).toEqual("20.00");
+
+    const other = await quote({
+      items: [{ product_id: book.id, quantity: 1 }],
+      code: "SPORTS",
+    });
+    expect(other.statusCode).toEqual(400);
+    expect(other.body.error.details).toEqual({ reason: "not_applicable" });
+  });
+
+  test("should reject a code that cannot be used with the reason", async () => {
+    const bat = await createProduct({ price: "10.00", stock_quantity: 5 });
+    await createPromotion({ code: "OLD", ends_at: PAST });
+    await createPromotion({ code: "SOON", starts_at: FUTURE });
+    await createPromotion({ code: "BIG", min_order_value: 100 });
+    await createPromotion({ code: "ONCE", usage_limit: 1 });
+
+    // Use up the single use of ONCE
+    const customer = await createUser();
+    const order = await request(app)
+      .post("/orders")
+      .set(authHeader(customer))
+      .send({ items: [{ product_id: bat.id, quantity: 1 }], code: "ONCE" });
+    expect(order.statusCode).toEqual(201);
+
+    const items = [{ product_id: bat.id, quantity: 1 }];
+    for (const [code, message, details] of [
+      ["NOPE", "Discount code does not exist", { reason: "not_found" }],
+      ["OLD", "Discount code has expired", { reason: "expired" }],
+      ["SOON", "Discount code is not valid yet", { reason: "not_started" }],
+      [
+        "ONCE",
+        "Discount code has reached its usage limit",
+        { reason: "usage_limit_reached" },
+      ],
+      [
+        "BIG",
+        "Order subtotal is below the minimum for this code",
+        { reason: "min_order_not_met", min_order_value: "100.00" },
+      ],
+    ]) {
+      const res = await quote({ items, code });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error).toMatchObject({
+        code: "VALIDATION_ERROR",
+        message,
+        details,
+      });
+    }
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const res = await quote({ items: [{ product_id: 999, quantity: 1 }] });
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("/promotions", () => {
+  test("should let admins create, read, update and delete promotions", async () => {
+    const admin = await createUser({ role: "admin" });
+    const auth = authHeader(admin);
+
+    const created = await request(app)
+      .post("/promotions")
+      .set(auth)
+      .send({ code: " spring15 ", type: "percent", amount: 15 });
+    expect(created.statusCode).toEqual(201);
+    expect(created.body).toMatchObject({
+      code: "SPRING15",
+      type: "percent",
+      amount: "15.00",
+      times_used: 0,
+    });
+    const { id } = created.body;
+
+    const list = await request(app).get("/promotions").set(auth);
+    expect(list.statusCode).toEqual(200);
+    expect(list.body.data.map((promotion) => promotion.id)).toEqual([id]);
+
+    const updated = await request(app)
+      .put(`/promotions/${id}`)
+      .set(auth)
+      .send({ amount: 20 });
+    expect(updated.statusCode).toEqual(200);
+    expect(updated.body.amount).toEqual("20.00");
+
+    const read = await request(app).get(`/promotions/${id}`).set(auth);
+    expect(read.body.amount).toEqual("20.00");
+
+    const deleted = await request(app).delete(`/promotions/${id}`).set(auth);
+    expect(deleted.statusCode).toEqual(204);
+    const gone = await request(app).get(`/promotions/${id}`).set(auth);
+    expect(gone.statusCode).toEqual(404);
+  });
+
+  test("should be reserved to admins", async () => {
+    const promotion = await createPromotion({ code: "ADMINS" });
+
+    for (const role of ["staff", "customer"]) {
+      const auth = authHeader(await createUser({ role }));
+      const responses = [
+        await request(app).get("/promotions").set(auth),
+        await request(app).get(`/promotions/${promotion.id}`).set(auth),
+        await request(app)
+          .post("/promotions")
+          .set(auth)
+          .send({ code: "MINE", type: "percent", amount: 50 }),
+        await request(app)
+          .put(`/promotions/${promotion.id}`)
+          .set(auth)
+          .send({ amount: 90 }),
+        await request(app).delete(`/promotions/${promotion.id}`).set(auth),
+      ];
+      expect(responses.map((res) => res.statusCode)).toEqual([
+        403, 403, 403, 403, 403,
+      ]);
+    }
+
+    const anonymous = await request(app).get("/promotions");
+    expect(anonymous.statusCode).toEqual(401);
+  });
+
+  test("should answer 409 for a code that is already taken", async () => {
+    const admin = await createUser({ role: "admin" });
+    await createPromotion({ code: "TAKEN" });
+
+    const res = await request(app)
+      .post("/promotions")
+      .set(authHeader(admin))
+      .send({ code: "taken", type: "fixed", amount: 5 });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.message).toEqual(
+      "A promotion with this code already exists"
+    );
+  });
+});
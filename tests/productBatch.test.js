@@ -0,0 +1,68 @@
+// Parsing batch operations needs no database; keep the module from connecting
+jest.mock("../configs/db", () => ({}));
+
+const { parseBatchOperation } = require("../utils/catalog");
+
+describe("parseBatchOperation", () => {
+  test("should apply createProduct's defaults to a create", () => {
+    expect(
+      parseBatchOperation({
+        op: "create",
+        product: { name: "Ball", price: 5, category_id: 1 },
+      })
+    ).toEqual({
+      op: "create",
+      id: undefined,
+      fields: {
+        name: "Ball",
+        description: null,
+        price: 5,
+        category_id: 1,
+        reorder_threshold: 0,
+        sku: null,
+      },
+    });
+  });
+
+  test("should keep only the given fields of an update", () => {
+    expect(
+      parseBatchOperation({
+        op: "update",
+        id: 4,
+        product: { price: 19.99, colour: "red" },
+      })
+    ).toEqual({ op: "update", id: 4, fields: { price: 19.99 } });
+  });
+
+  test("should read a delete with its soft flag", () => {
+    expect(parseBatchOperation({ op: "delete", id: 4 })).toEqual({
+      op: "delete",
+      id: 4,
+      soft: false,
+    });
+    expect(parseBatchOperation({ op: "delete", id: 4, soft: true }).soft).toBe(
+      true
+    );
+  });
+
+  test("should require the id or product the operation needs", () => {
+    const error = (operation) => parseBatchOperation(operation).error;
+    expect(error({ op: "update", product: {} })).toEqual("id is required");
+    expect(error({ op: "delete" })).toEqual("id is required");
+    expect(error({ op: "create" })).toEqual("product is required");
+    expect(error({ op: "delete", id: 4 })).toBeUndefined();
+  });
+
+  test("should validate fields like the single-product endpoints", () => {
+    const error = (operation) => parseBatchOperation(operation).error;
+    expect(
+      error({ op: "create", product: { price: 5, category_id: 1 } })
+    ).toEqual("name is required");
+    expect(error({ op: "update", id: 4, product: { name: " " } })).toEqual(
+      "name must not be blank"
+    );
+    expect(error({ op: "update", id: 4, product: { sku: "a b" } })).toMatch(
+      /^sku must match the pattern/
+    );
+  });
+});
@@ -0,0 +1,197 @@
+// A small upload limit keeps the oversized upload small; it is read when the
+// app is loaded
+process.env.IMAGE_MAX_BYTES = "1024";
+
+const request = require("supertest");
+const db = require("../configs/db");
+const { createApp } = require("../app");
+const { setDriver } = require("../storage");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+// Keep stored files in memory, so the tests can see what is left behind
+const files = new Map();
+setDriver({
+  name: "memory",
+  put: async (key, data) => {
+    files.set(key, data);
+  },
+  remove: async (key) => {
+    files.delete(key);
+  },
+  url: (key) => `https://cdn.example.com/${key}`,
+});
+
+const app = createApp();
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+let staff;
+let bat;
+
+beforeEach(async () => {
+  files.clear();
+  staff = await createUser({ role: "staff" });
+  bat = await createProduct();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Upload an image of the bat as staff
+const upload = (file = PNG, fields = {}) => {
+  const req = request(app)
+    .post(`/products/${bat.id}/images`)
+    .set(authHeader(staff));
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, value);
+  }
+  return req.attach("image", file, {
+    filename: "bat.png",
+    contentType: "image/png",
+  });
+};
+
+const listImages = async () =>
+  (await request(app).get(`/products/${bat.id}/images`)).body;
+
+describe("POST /products/:id/images", () => {
+  test("should make the first image primary", async () => {
+    const first = await upload();
+    expect(first.statusCode).toEqual(201);
+    expect(first.body).toMatchObject({
+      product_id: bat.id,
+      content_type: "image/png",
+      position: 0,
+      is_primary: true,
+    });
+    expect(files.size).toEqual(1);
+
+    const second = await upload();
+    expect(second.body).toMatchObject({ position: 1, is_primary: false });
+  });
+
+  test("should switch the primary image when asked", async () => {
+    const first = await upload();
+    const second = await upload(PNG, { is_primary: "true" });
+    expect(second.body.is_primary).toBe(true);
+
+    expect(
+      (await listImages()).map(({ id, is_primary }) => [id, is_primary])
+    ).toEqual([
+      [first.body.id, false],
+      [second.body.id, true],
+    ]);
+  });
+
+  test("should answer 413 for a file over the size limit", async () => {
+    const res = await upload(Buffer.concat([PNG, Buffer.alloc(1024)]));
+    expect(res.statusCode).toEqual(413);
+    expect(res.body.error).toMatchObject({
+      code: "PAYLOAD_TOO_LARGE",
+      message: "Image must be at most 1 KB.",
+    });
+    expect(files.size).toEqual(0);
+  });
+
+  test("should reject a file that is not an image whatever its type says", async () => {
+    const res = await upload(Buffer.from("GIF89a not really a PNG"));
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual(
+      "Image must be a JPEG, PNG or WebP file."
+    );
+    expect(files.size).toEqual(0);
+  });
+
+  test("should remove the stored file when the image cannot be recorded", async () => {
+    jest
+      .spyOn(db, "transaction")
+      .mockRejectedValueOnce(new Error("Insert failed"));
+
+    const res = await upload();
+    expect(res.statusCode).toEqual(500);
+    expect(files.size).toEqual(0);
+    expect(await listImages()).toEqual([]);
+  });
+});
+
+describe("PUT /products/:id/images/:imageId", () => {
+  test("should move the primary flag to the given image", async () => {
+    await upload();
+    const second = await upload();
+
+    const res = await request(app)
+      .put(`/products/${bat.id}/images/${second.body.id}`)
+      .set(authHeader(staff))
+      .send({ is_primary: true });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.is_primary).toBe(true);
+
+    expect((await listImages()).map((image) => image.is_primary)).toEqual([
+      false,
+      true,
+    ]);
+  });
+});
+
+describe("PUT /products/:id/images/order", () => {
+  test("should put the images in the given order", async () => {
+    const first = await upload();
+    const second = await upload();
+
+    const res = await request(app)
+      .put(`/products/${bat.id}/images/order`)
+      .set(authHeader(staff))
+      .send({ image_ids: [second.body.id, first.body.id] });
+    expect(res.statusCode).toEqual(200);
+    expect((await listImages()).map((image) => image.id)).toEqual([
+      second.body.id,
+      first.body.id,
+    ]);
+  });
+
+  test("should reject unknown, missing or repeated image IDs", async () => {
+    const first = await upload();
+    const second = await upload();
+
+    for (const image_ids of [
+      [first.body.id, second.body.id + 100],
+      [first.body.id],
+      [first.body.id, first.body.id],
+    ]) {
+      const res = await request(app)
+        .put(`/products/${bat.id}/images/order`)
+        .set(authHeader(staff))
+        .send({ image_ids });
+      expect(res.statusCode).toEqual(400);
+      expect(res.body.error.message).toEqual(
+        "image_ids must list every image of the product exactly once."
+      );
+    }
+    expect((await listImages()).map((image) => image.id)).toEqual([
+      first.body.id,
+      second.body.id,
+    ]);
+  });
+});
+
+describe("DELETE /products/:id/images/:imageId", () => {
+  test("should remove the stored file and promote the next image", async () => {
+    const first = await upload();
+    const second = await upload();
+
+    const res = await request(app)
+      .delete(`/products/${bat.id}/images/${first.body.id}`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(204);
+    expect([...files.keys()]).toEqual([
+      second.body.url.replace("https://cdn.example.com/", ""),
+    ]);
+    expect(await listImages()).toEqual([
+      expect.objectContaining({ id: second.body.id, is_primary: true }),
+    ]);
+  });
+});
@@ -0,0 +1,169 @@
+// Import planning needs no database; keep the modules from connecting
+jest.mock("../configs/db", () => ({}));
+
+const { parseCsv, formatCsvRow } = require("../utils/csv");
+const {
+  parseHeader,
+  indexCategories,
+  parseProductRow,
+  planImport,
+} = require("../utils/productImport");
+
+describe("parseCsv", () => {
+  test("should handle quoted fields, escaped quotes and line endings", () => {
+    const text =
+      '﻿name,description\r\n"Bat, English Willow","Says ""hello""\nover two lines"\n\nPads,\n';
+    expect(parseCsv(text)).toEqual({
+      records: [
+        ["name", "description"],
+        ["Bat, English Willow", 'Says "hello"\nover two lines'],
+        ["Pads", ""],
+      ],
+    });
+  });
+
+  test("should reject an unterminated quoted field", () => {
+    expect(parseCsv('name\n"Bat').error).toBeDefined();
+  });
+
+  test("should read back what formatCsvRow writes", () => {
+    const values = ["a,b", 'say "hi"', "multi\nline", " padded", "plain"];
+    expect(parseCsv(formatCsvRow(values)).records).toEqual([values]);
+    expect(formatCsvRow([1, null, undefined, "x"])).toEqual("1,,,x\r\n");
+  });
+});
+
+describe("parseHeader", () => {
+  test("should normalise known columns", () => {
+    expect(parseHeader([" SKU", "Name", "price"])).toEqual({
+      columns: ["sku", "name", "price"],
+    });
+  });
+
+  test("should reject unknown and repeated columns", () => {
+    expect(parseHeader(["name", "colour"]).error).toMatch(/colour/);
+    expect(parseHeader(["name", "Name"]).error).toMatch(/twice/);
+    expect(parseHeader(["price"]).error).toMatch(/id, sku or name/);
+  });
+});
+
+describe("parseProductRow", () => {
+  const categories = indexCategories([
+    { id: 1, name: "Bats" },
+    { id: 2, name: "Pads" },
+    { id: 3, name: "pads" },
+  ]);
+  const columns = ["id", "sku", "name", "price", "category", "category_id"];
+
+  test("should convert cells and resolve category names", () => {
+    expect(
+      parseProductRow(
+        columns,
+        ["", "B-1", "Bat", "149.99", "bats", ""],
+        categories
+      )
+    ).toEqual({
+      id: undefined,
+      sku: "B-1",
+      fields: { sku: "B-1", name: "Bat", price: 149.99, category_id: 1 },
+    });
+  });
+
+  test("should prefer category_id over the category name", () => {
+    expect(
+      parseProductRow(columns, ["7", "", "", "", "Unknown", "2"], categories)
+        .fields
+    ).toEqual({ category_id: 2 });
+  });
+
+  test("should reject unknown or ambiguous categories and bad ids", () => {
+    const row = (cells) => parseProductRow(columns, cells, categories).error;
+    expect(row(["", "", "Bat", "5", "Balls", ""])).toMatch(/does not exist/);
+    expect(row(["", "", "Bat", "5", "Pads", ""])).toMatch(/use category_id/);
+    expect(row(["", "", "Bat", "5", "", "9"])).toEqual(
+      "Category does not exist"
+    );
+    expect(row(["x", "", "Bat", "5", "", "1"])).toMatch(/positive integer/);
+    expect(row(["", "Bat"])).toMatch(/2 cells/);
+  });
+});
+
+describe("planImport", () => {
+  const existing = { id: 4, sku: "B-4", price: "100.00", deleted_at: null };
+  const deleted = { id: 5, sku: "B-5", price: "10.00", deleted_at: new Date() };
+  const lookups = {
+    byId: new Map([[4, existing]]),
+    bySku: new Map([
+      ["B-4", existing],
+      ["B-5", deleted],
+    ]),
+  };
+
+  test("should update products matched by id or SKU and create the rest", () => {
+    const plan = planImport(
+      [
+        { id: 4, fields: { price: 90 } },
+        {
+          sku: "NEW",
+          fields: { sku: "NEW", name: "Ball", price: 5, category_id: 1 },
+        },
+      ],
+      lookups
+    );
+    expect(plan[0]).toEqual({
+      action: "update",
+      product: existing,
+      fields: { price: 90 },
+    });
+    expect(plan[1]).toEqual({
+      action: "create",
+      fields: {
+        sku: "NEW",
+        name: "Ball",
+        description: null,
+        price: 5,
+        category_id: 1,
+        reorder_threshold: 0,
+      },
+    });
+  });
+
+  test("should validate rows like createProduct and updateProduct", () => {
+    const plan = planImport(
+      [
+        { fields: { name: "Ball", category_id: 1 } },
+        { sku: "B-4", fields: { sku: "B-4", price: -1 } },
+        { id: 9, fields: { price: 1 } },
+      ],
+      lookups
+    );
+    expect(plan.map((entry) => entry.error)).toEqual([
+      "price is required",
+      "price must be greater than 0",
+      "Product 9 not found.",
+    ]);
+  });
+
+  test("should reject SKU clashes and repeated products", () => {
+    const plan = planImport(
+      [
+        { id: 4, sku: "B-5", fields: { sku: "B-5" } },
+        { sku: "B-5", fields: { sku: "B-5" } },
+        { id: 4, sku: "X", fields: { sku: "X" } },
+        { sku: "B-4", fields: { sku: "B-4", price: 2 } },
+        {
+          sku: "X",
+          fields: { sku: "X", name: "Ball", price: 5, category_id: 1 },
+        },
+      ],
+      lookups
+    );
+    expect(plan.map((entry) => entry.error)).toEqual([
+      "SKU B-5 is already in use.",
+      "SKU B-5 belongs to a deleted product.",
+      undefined,
+      "The same product appears in an earlier row.",
+      "SKU X is used by an earlier row.",
+    ]);
+  });
+});
@@ -0,0 +1,485 @@
+const request = require("supertest");
+const db = require("../configs/db");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const {
+  createUser,
+  createCategory,
+  createProduct,
+  authHeader,
+} = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+describe("GET /products", () => {
+  test("should list products in the page envelope", async () => {
+    const bat = await createProduct({ name: "Cricket Bat" });
+    await createProduct({ name: "Cricket Ball" });
+
+    const res = await request(app).get("/products?limit=1");
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0]).toMatchObject({ id: bat.id, image_url: null });
+    expect(res.body.meta).toMatchObject({ total: 2, page: 1, total_pages: 2 });
+    expect(res.body.links.next).toMatch(/page=2/);
+  });
+
+  test("should filter by category, price and name", async () => {
+    const sports = await createCategory();
+    const cricket = await createCategory({ parent_id: sports.id });
+    await createProduct({
+      name: "Bat",
+      price: "50.00",
+      category_id: cricket.id,
+    });
+    await createProduct({
+      name: "Ball",
+      price: "5.00",
+      category_id: cricket.id,
+    });
+    await createProduct({
+      name: "Net",
+      price: "20.00",
+      category_id: sports.id,
+    });
+    await createProduct({ name: "Racket", price: "30.00" });
+
+    const names = async (query) =>
+      (await request(app).get(`/products?${query}`)).body.data.map(
+        (product) => product.name
+      );
+
+    expect(await names(`category_id=${sports.id}`)).toEqual(["Net"]);
+    expect(
+      await names(`category_id=${sports.id}&include_subcategories=true`)
+    ).toEqual(["Bat", "Ball", "Net"]);
+    expect(await names("min_price=10&max_price=30")).toEqual(["Net", "Racket"]);
+    expect(await names("name=ba")).toEqual(["Bat", "Ball"]);
+    expect(await names("sort=-price")).toEqual([
+      "Bat",
+      "Racket",
+      "Net",
+      "Ball",
+    ]);
+  });
+
+  test("should page through products with cursors", async () => {
+    for (const price of ["3.00", "1.00", "2.00"]) {
+      await createProduct({ price });
+    }
+
+    const first = await request(app).get("/products?sort=price&limit=2");
+    expect(first.body.data.map((product) => product.price)).toEqual([
+      "1.00",
+      "2.00",
+    ]);
+
+    const second = await request(app).get(
+      `/products?sort=price&limit=2&cursor=${first.body.meta.next_cursor}`
+    );
+    expect(second.statusCode).toEqual(200);
+    expect(second.body.data.map((product) => product.price)).toEqual(["3.00"]);
+  });
+
+  test("should reject invalid query parameters", async () => {
+    for (const query of ["sort=stock", "min_price=-1", "colour=red"]) {
+      const res = await request(app).get(`/products?${query}`);
+      expect(res.statusCode).toEqual(400);
+    }
+  });
+
+  test("should report every invalid query parameter at once", async () => {
+    const res = await request(app).get(
+      "/products?sort=stock&min_price=-1&colour=red&include_subcategories=true"
+    );
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      message: "Invalid request parameters",
+      details: [
+        {
+          field: "sort",
+          message: "must be one of id, -id, name, -name, price, -price",
+        },
+        { field: "min_price", message: "must be at least 0" },
+        { field: "colour", message: "is not allowed" },
+      ],
+    });
+
+    const combined = await request(app).get(
+      "/products?include_subcategories=true&min_price=5&max_price=1"
+    );
+    expect(combined.body.error.details).toEqual([
+      { field: "include_subcategories", message: "requires category_id" },
+      { field: "min_price", message: "cannot be greater than max_price" },
+    ]);
+  });
+
+  test("should leave out soft-deleted products", async () => {
+    const admin = await createUser({ role: "admin" });
+    const bat = await createProduct();
+    await createProduct();
+    await request(app)
+      .delete(`/products/${bat.id}?soft=true`)
+      .set(authHeader(admin));
+
+    const res = await request(app).get("/products");
+    expect(res.body.meta.total).toEqual(1);
+    expect(res.body.data[0].id).not.toEqual(bat.id);
+  });
+});
+
+describe("GET /products/search", () => {
+  test("should find and highlight matching products", async () => {
+    await createProduct({
+      name: "English Willow Bat",
+      description: "Grade 1 willow",
+    });
+    await createProduct({ name: "Leather Ball" });
+
+    const res = await request(app).get(
+      "/products/search?q=willow&facets=category"
+    );
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].highlight.name).toEqual(
+      "English <mark>Willow</mark> Bat"
+    );
+    expect(res.body.facets.category).toHaveLength(1);
+  });
+
+  test("should require search text", async () => {
+    const res = await request(app).get("/products/search");
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual([
+      { field: "q", message: "is required" },
+    ]);
+  });
+});
+
+describe("GET /products/:id", () => {
+  test("should return a product with its variants and images", async () => {
+    const bat = await createProduct({ name: "Cricket Bat" });
+
+    const res = await request(app).get(`/products/${bat.id}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      name: "Cricket Bat",
+      price: "10.00",
+      variants: [],
+      images: [],
+    });
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const res = await request(app).get("/products/999");
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error).toMatchObject({
+      code: "NOT_FOUND",
+      message: "Product not found",
+    });
+  });
+});
+
+describe("POST /products", () => {
+  test("should create a product without stock", async () => {
+    const staff = await createUser({ role: "staff" });
+    const cricket = await createCategory();
+
+    const res = await request(app)
+      .post("/products")
+      .set(authHeader(staff))
+      .send({ name: "Cricket Bat", price: 49.99, category_id: cricket.id });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      name: "Cricket Bat",
+      price: 49.99,
+      stock_quantity: 0,
+      sku: null,
+    });
+
+    const get = await request(app).get(`/products/${res.body.id}`);
+    expect(get.body).toHaveProperty("price", "49.99");
+  });
+
+  test("should require a login and permission", async () => {
+    const customer = await createUser();
+    const cricket = await createCategory();
+    const body = { name: "Cricket Bat", price: 49.99, category_id: cricket.id };
+
+    const anonymous = await request(app).post("/products").send(body);
+    expect(anonymous.statusCode).toEqual(401);
+
+    const res = await request(app)
+      .post("/products")
+      .set(authHeader(customer))
+      .send(body);
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should reject an invalid body", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/products")
+      .set(authHeader(staff))
+      .send({ name: "Cricket Bat", price: 0 });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details.map((detail) => detail.field)).toEqual([
+      "category_id",
+      "price",
+    ]);
+  });
+
+  test("should reject an unknown category", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/products")
+      .set(authHeader(staff))
+      .send({ name: "Cricket Bat", price: 49.99, category_id: 999 });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Category does not exist",
+    });
+  });
+
+  test("should reject a SKU that is taken", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct({ sku: "BAT-1" });
+
+    const res = await request(app)
+      .post("/products")
+      .set(authHeader(staff))
+      .send({
+        name: "Another Bat",
+        price: 49.99,
+        category_id: bat.category_id,
+        sku: "BAT-1",
+      });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error).toMatchObject({
+      code: "CONFLICT",
+      message: "SKU BAT-1 is already in use.",
+    });
+  });
+});
+
+describe("PUT /products/:id", () => {
+  test("should only change the given fields", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct({ name: "Cricket Bat" });
+
+    const res = await request(app)
+      .put(`/products/${bat.id}`)
+      .set(authHeader(staff))
+      .send({ price: 12.5 });
+    expect(res.statusCode).toEqual(200);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toMatchObject({ name: "Cricket Bat", price: "12.50" });
+  });
+
+  test("should let watchers know about a price drop", async () => {
+    const staff = await createUser({ role: "staff" });
+    const customer = await createUser();
+    const bat = await createProduct({ price: "20.00" });
+    await db.query(
+      "INSERT INTO product_watches (user_id, product_id) VALUES (?, ?)",
+      [customer.id, bat.id]
+    );
+
+    await request(app)
+      .put(`/products/${bat.id}`)
+      .set(authHeader(staff))
+      .send({ price: 15 });
+
+    const [events] = await db.query(
+      "SELECT type, old_price, new_price FROM watch_events WHERE user_id = ?",
+      [customer.id]
+    );
+    expect(events).toEqual([
+      { type: "price_drop", old_price: "20.00", new_price: "15.00" },
+    ]);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .put("/products/999")
+      .set(authHeader(staff))
+      .send({ price: 12.5 });
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("DELETE /products/:id", () => {
+  test("should delete a product", async () => {
+    const admin = await createUser({ role: "admin" });
+    const bat = await createProduct();
+
+    const res = await request(app)
+      .delete(`/products/${bat.id}`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(204);
+
+    const restore = await request(app)
+      .post(`/products/${bat.id}/restore`)
+      .set(authHeader(admin));
+    expect(restore.statusCode).toEqual(404);
+  });
+
+  test("should be reserved to admins", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct();
+
+    const res = await request(app)
+      .delete(`/products/${bat.id}`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should hide and restore a soft-deleted product", async () => {
+    const admin = await createUser({ role: "admin" });
+    const bat = await createProduct();
+
+    const del = await request(app)
+      .delete(`/products/${bat.id}?soft=true`)
+      .set(authHeader(admin));
+    expect(del.statusCode).toEqual(204);
+    expect((await request(app).get(`/products/${bat.id}`)).statusCode).toEqual(
+      404
+    );
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/restore`)
+      .set(authHeader(admin));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty("deleted_at", null);
+    expect((await request(app).get(`/products/${bat.id}`)).statusCode).toEqual(
+      200
+    );
+  });
+});
+
+describe("POST /products/batch", () => {
+  test("should keep none of an atomic batch with a failure", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct({ price: "10.00" });
+
+    const res = await request(app)
+      .post("/products/batch")
+      .set(authHeader(staff))
+      .send({
+        operations: [
+          { op: "update", id: bat.id, product: { price: 8 } },
+          { op: "update", id: 999, product: { price: 8 } },
+        ],
+      });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      details: { committed: false, failed: 1 },
+    });
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("price", "10.00");
+  });
+
+  test("should keep the successful operations of a partial batch", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct({ price: "10.00" });
+
+    const res = await request(app)
+      .post("/products/batch")
+      .set(authHeader(staff))
+      .send({
+        mode: "partial",
+        operations: [
+          { op: "update", id: bat.id, product: { price: 8 } },
+          { op: "delete", id: bat.id },
+        ],
+      });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.results.map((result) => result.status)).toEqual([200, 403]);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("price", "8.00");
+  });
+});
+
+describe("CSV import and export", () => {
+  test("should import products and export them again", async () => {
+    const staff = await createUser({ role: "staff" });
+    const cricket = await createCategory({ name: "Cricket" });
+
+    const csv = [
+      "sku,name,price,category_id",
+      `BAT-1,Cricket Bat,49.99,${cricket.id}`,
+      `BALL-1,Cricket Ball,9.99,${cricket.id}`,
+    ].join("\n");
+    const dryRun = await request(app)
+      .post("/products/import?dry_run=true")
+      .set(authHeader(staff))
+      .set("Content-Type", "text/csv")
+      .send(csv);
+    expect(dryRun.statusCode).toEqual(200);
+    expect(dryRun.body).toMatchObject({ dry_run: true, created: 2 });
+    expect((await request(app).get("/products")).body.meta.total).toEqual(0);
+
+    const res = await request(app)
+      .post("/products/import")
+      .set(authHeader(staff))
+      .set("Content-Type", "text/csv")
+      .send(csv);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ created: 2, failed: 0 });
+
+    const exported = await request(app)
+      .get("/products/export")
+      .set(authHeader(staff));
+    expect(exported.statusCode).toEqual(200);
+    const lines = exported.text.trim().split(/\r?\n/);
+    expect(lines[0]).toEqual(
+      "id,sku,name,description,price,category_id,category,reorder_threshold,stock_quantity"
+    );
+    expect(lines.slice(1).map((line) => line.split(",")[1])).toEqual([
+      "BAT-1",
+      "BALL-1",
+    ]);
+  });
+
+  test("should import nothing when a row is invalid", async () => {
+    const staff = await createUser({ role: "staff" });
+    const cricket = await createCategory({ name: "Cricket" });
+
+    const res = await request(app)
+      .post("/products/import")
+      .set(authHeader(staff))
+      .set("Content-Type", "text/csv")
+      .send(
+        [
+          "sku,name,price,category_id",
+          `BAT-1,Bat,49.99,${cricket.id}`,
+          `BALL-1,Ball,0,${cricket.id}`,
+        ].join("\n")
+      );
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error).toMatchObject({
+      code: "VALIDATION_ERROR",
+      message: "Some rows are invalid. Nothing was imported.",
+      details: {
+        created: 1,
+        failed: 1,
+        rows: [
+          { row: 2, action: "create" },
+          { row: 3, error: "price must be greater than 0" },
+        ],
+      },
+    });
+    expect((await request(app).get("/products")).body.meta.total).toEqual(0);
+  });
+});
@@ -0,0 +1,90 @@
+// evaluatePromotion needs no database; keep the module from connecting
+jest.mock("../configs/db", () => ({}));
+
+const { evaluatePromotion } = require("../utils/promotions");
+
+const NOW = new Date("2026-06-15T12:00:00Z");
+
+const promotion = (overrides) => ({
+  code: "SUMMER10",
+  type: "percent",
+  amount: "10.00",
+  min_order_value: null,
+  starts_at: null,
+  ends_at: null,
+  usage_limit: null,
+  times_used: 0,
+  ...overrides,
+});
+
+describe("evaluatePromotion", () => {
+  test("should take a percentage off the eligible subtotal", () => {
+    expect(
+      evaluatePromotion(
+        promotion(),
+        { subtotal: 10000, eligibleSubtotal: 4999 },
+        NOW
+      )
+    ).toEqual({ amount: 500 });
+  });
+
+  test("should cap a fixed discount at the eligible subtotal", () => {
+    const fixed = promotion({ type: "fixed", amount: "25.00" });
+    expect(
+      evaluatePromotion(fixed, { subtotal: 6000, eligibleSubtotal: 6000 }, NOW)
+    ).toEqual({ amount: 2500 });
+    expect(
+      evaluatePromotion(fixed, { subtotal: 6000, eligibleSubtotal: 1500 }, NOW)
+    ).toEqual({ amount: 1500 });
+  });
+
+  test("should reject codes outside their validity window", () => {
+    const totals = { subtotal: 5000, eligibleSubtotal: 5000 };
+    expect(
+      evaluatePromotion(
+        promotion({ starts_at: "2026-07-01T00:00:00Z" }),
+        totals,
+        NOW
+      ).reason
+    ).toEqual("not_started");
+    expect(
+      evaluatePromotion(
+        promotion({ ends_at: "2026-06-15T12:00:00Z" }),
+        totals,
+        NOW
+      ).reason
+    ).toEqual("expired");
+  });
+
+  test("should reject codes that have been used up", () => {
+    const result = evaluatePromotion(
+      promotion({ usage_limit: 3, times_used: 3 }),
+      { subtotal: 5000, eligibleSubtotal: 5000 },
+      NOW
+    );
+    expect(result).toEqual({
+      reason: "usage_limit_reached",
+      error: "Discount code has reached its usage limit",
+    });
+  });
+
+  test("should reject orders below the minimum value", () => {
+    const result = evaluatePromotion(
+      promotion({ min_order_value: "50.00" }),
+      { subtotal: 4999, eligibleSubtotal: 4999 },
+      NOW
+    );
+    expect(result.reason).toEqual("min_order_not_met");
+    expect(result.min_order_value).toEqual("50.00");
+  });
+
+  test("should reject codes that apply to none of the items", () => {
+    expect(
+      evaluatePromotion(
+        promotion(),
+        { subtotal: 5000, eligibleSubtotal: 0 },
+        NOW
+      ).reason
+    ).toEqual("not_applicable");
+  });
+});
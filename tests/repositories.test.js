@@ -0,0 +1,85 @@
+// Record the queries the repositories send instead of running them
+jest.mock("../configs/db", () => ({ query: jest.fn() }));
+
+const db = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const categoryRepository = require("../repositories/categoryRepository");
+
+beforeEach(() => db.query.mockReset());
+
+describe("productRepository", () => {
+  test("should lock the row on the given connection", async () => {
+    const conn = { query: jest.fn(async () => [[{ id: 3 }]]) };
+
+    expect(
+      await productRepository.findById(3, { db: conn, lock: true })
+    ).toEqual({ id: 3 });
+    expect(conn.query.mock.calls[0][0]).toMatch(/FOR UPDATE$/);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test("should not query for empty ID or SKU lists", async () => {
+    expect(await productRepository.findByIds([])).toEqual([]);
+    expect(await productRepository.findBySkus([])).toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test("should only bind an offset when one is given", async () => {
+    db.query.mockResolvedValue([[]]);
+
+    await productRepository.findMany({
+      conditions: ["price <= ?"],
+      params: [10],
+      orderBy: "id ASC",
+      limit: 20,
+    });
+    expect(db.query.mock.calls[0][0]).not.toMatch(/OFFSET/);
+    expect(db.query.mock.calls[0][1]).toEqual([10, 20]);
+  });
+
+  test("should lock rows in ID order", async () => {
+    const conn = { query: jest.fn(async () => [[]]) };
+
+    await productRepository.findByIds([5, 3], { db: conn, lock: true });
+    expect(conn.query.mock.calls[0][0]).toMatch(/ORDER BY id FOR UPDATE$/);
+  });
+
+  test("should take a removed rating out of both totals", async () => {
+    db.query.mockResolvedValue([{}]);
+
+    await productRepository.adjustRating(3, 4, -1);
+    expect(db.query.mock.calls[0][1]).toEqual([-1, -4, 3]);
+  });
+
+  test("should map the images of a product to their storage keys", async () => {
+    db.query.mockResolvedValue([[{ storage_key: "a.png" }]]);
+
+    expect(await productRepository.findImageKeys(3)).toEqual(["a.png"]);
+  });
+
+  test("should treat an update without changes as found", async () => {
+    expect(await productRepository.update(3, {})).toBe(true);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe("categoryRepository", () => {
+  test("should not query for an empty ID list", async () => {
+    expect(await categoryRepository.findByIds([])).toEqual([]);
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test("should map the subtree to its IDs", async () => {
+    db.query.mockResolvedValue([[{ id: 2 }, { id: 5 }]]);
+
+    expect(await categoryRepository.findSubtreeIds(2)).toEqual([2, 5]);
+  });
+
+  test("should drop the depth of ancestors", async () => {
+    db.query.mockResolvedValue([[{ id: 1, name: "Sports", depth: 1 }]]);
+
+    expect(await categoryRepository.findAncestors(2)).toEqual([
+      { id: 1, name: "Sports" },
+    ]);
+  });
+});
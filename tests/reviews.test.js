@@ -0,0 +1,221 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Review a product as a new user
+const review = async (product, rating, comment = "Does the job") => {
+  const user = await createUser();
+  const res = await request(app)
+    .post(`/products/${product.id}/reviews`)
+    .set(authHeader(user))
+    .send({ rating, comment });
+  return res.body;
+};
+
+describe("POST /products/:id/reviews", () => {
+  test("should review a product and update its rating", async () => {
+    const user = await createUser({ name: "Alice" });
+    const bat = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews`)
+      .set(authHeader(user))
+      .send({ rating: 4, comment: "  Solid bat  " });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      product_id: bat.id,
+      user_id: user.id,
+      user_name: "Alice",
+      rating: 4,
+      comment: "Solid bat",
+      hidden_at: null,
+    });
+
+    await review(bat, 5);
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toMatchObject({ rating_average: "4.50", rating_count: 2 });
+
+    const list = await request(app).get("/products");
+    expect(list.body.data[0]).toMatchObject({
+      rating_average: "4.50",
+      rating_count: 2,
+    });
+  });
+
+  test("should let each user review a product once", async () => {
+    const user = await createUser();
+    const bat = await createProduct();
+    const body = { rating: 4, comment: "Solid bat" };
+    await request(app)
+      .post(`/products/${bat.id}/reviews`)
+      .set(authHeader(user))
+      .send(body);
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews`)
+      .set(authHeader(user))
+      .send(body);
+    expect(res.statusCode).toEqual(409);
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toHaveProperty("rating_count", 1);
+  });
+
+  test.each([
+    { case: "a rating below 1", rating: 0 },
+    { case: "a rating above 5", rating: 6 },
+    { case: "a fractional rating", rating: 3.5 },
+  ])("should reject $case", async ({ rating }) => {
+    const user = await createUser();
+    const bat = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews`)
+      .set(authHeader(user))
+      .send({ rating, comment: "Solid bat" });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ field: "rating" }),
+    ]);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const user = await createUser();
+
+    const res = await request(app)
+      .post("/products/999/reviews")
+      .set(authHeader(user))
+      .send({ rating: 4, comment: "Solid bat" });
+    expect(res.statusCode).toEqual(404);
+  });
+
+  test("should require a login", async () => {
+    const bat = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews`)
+      .send({ rating: 4, comment: "Solid bat" });
+    expect(res.statusCode).toEqual(401);
+  });
+});
+
+describe("GET /products/:id/reviews", () => {
+  test("should list the newest reviews first, a page at a time", async () => {
+    const bat = await createProduct();
+    const first = await review(bat, 3);
+    const second = await review(bat, 5);
+    const third = await review(bat, 1);
+
+    const res = await request(app).get(
+      `/products/${bat.id}/reviews?page=1&limit=2`
+    );
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.data.map((r) => r.id)).toEqual([third.id, second.id]);
+    expect(res.body.meta).toMatchObject({ total: 3 });
+
+    const next = await request(app).get(
+      `/products/${bat.id}/reviews?page=2&limit=2`
+    );
+    expect(next.body.data.map((r) => r.id)).toEqual([first.id]);
+  });
+
+  test("should sort by rating", async () => {
+    const bat = await createProduct();
+    await review(bat, 3);
+    await review(bat, 5);
+    await review(bat, 1);
+
+    const res = await request(app).get(
+      `/products/${bat.id}/reviews?sort=-rating`
+    );
+    expect(res.body.data.map((r) => r.rating)).toEqual([5, 3, 1]);
+  });
+
+  test("should reject an unknown sort", async () => {
+    const bat = await createProduct();
+
+    const res = await request(app).get(`/products/${bat.id}/reviews?sort=name`);
+    expect(res.statusCode).toEqual(400);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const res = await request(app).get("/products/999/reviews");
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("hiding reviews", () => {
+  test("should take a hidden review out of the list and the rating", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct();
+    const spam = await review(bat, 1);
+    await review(bat, 5);
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(staff))
+      .send({ reason: "Spam" });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      hidden_at: expect.any(String),
+      hidden_reason: "Spam",
+    });
+
+    // Hiding it again changes nothing
+    await request(app)
+      .post(`/products/${bat.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(staff));
+
+    const list = await request(app).get(`/products/${bat.id}/reviews`);
+    expect(list.body.data.map((r) => r.rating)).toEqual([5]);
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toMatchObject({ rating_average: "5.00", rating_count: 1 });
+  });
+
+  test("should bring an unhidden review back", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct();
+    const spam = await review(bat, 1);
+    await review(bat, 5);
+    await request(app)
+      .post(`/products/${bat.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(staff));
+
+    const res = await request(app)
+      .delete(`/products/${bat.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({ hidden_at: null, hidden_reason: null });
+
+    const get = await request(app).get(`/products/${bat.id}`);
+    expect(get.body).toMatchObject({ rating_average: "3.00", rating_count: 2 });
+  });
+
+  test("should be reserved to moderators", async () => {
+    const customer = await createUser();
+    const bat = await createProduct();
+    const spam = await review(bat, 1);
+
+    const res = await request(app)
+      .post(`/products/${bat.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(customer));
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should answer 404 for a review of another product", async () => {
+    const staff = await createUser({ role: "staff" });
+    const bat = await createProduct();
+    const ball = await createProduct();
+    const spam = await review(bat, 1);
+
+    const res = await request(app)
+      .post(`/products/${ball.id}/reviews/${spam.id}/hide`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(404);
+  });
+});
@@ -0,0 +1,35 @@
+const { extractTerms, booleanQuery, highlight } = require("../utils/search");
+
+describe("extractTerms", () => {
+  test("should drop boolean operators and duplicates", () => {
+    expect(extractTerms('+Cricket -"bat*" cricket (pads)')).toEqual([
+      "cricket",
+      "bat",
+      "pads",
+    ]);
+  });
+});
+
+describe("booleanQuery", () => {
+  test("should require every term as a prefix", () => {
+    expect(booleanQuery(["crick", "bat"])).toEqual("+crick* +bat*");
+  });
+});
+
+describe("highlight", () => {
+  test("should mark words starting with a term", () => {
+    expect(highlight("Cricket Bats and acrobats", ["bat", "crick"])).toEqual(
+      "<mark>Cricket</mark> <mark>Bats</mark> and acrobats"
+    );
+  });
+
+  test("should escape HTML around the matches", () => {
+    expect(highlight("<b>Bat</b> & ball", ["bat", "amp"])).toEqual(
+      "&lt;b&gt;<mark>Bat</mark>&lt;/b&gt; &amp; ball"
+    );
+  });
+
+  test("should leave missing descriptions alone", () => {
+    expect(highlight(null, ["bat"])).toBeNull();
+  });
+});
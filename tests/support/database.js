@@ -0,0 +1,58 @@
+const mysql = require("mysql2/promise");
+const db = require("../../configs/db");
+const { migrate } = require("../../migrations");
+
+// Open a connection to the MySQL server without selecting a database, for
+// creating and dropping the test database
+const connectServer = () =>
+  mysql.createConnection({
+    host: process.env.DB_HOST,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+  });
+
+// Run a statement on the server, e.g. CREATE DATABASE
+const onServer = async (sql) => {
+  const server = await connectServer();
+  try {
+    await server.query(sql);
+  } finally {
+    await server.end();
+  }
+};
+
+// Empty every table but the migrations record, restarting IDs from 1
+const resetDatabase = () =>
+  db.transaction(async (conn) => {
+    const [tables] = await conn.query(
+      "SELECT table_name AS name FROM information_schema.tables WHERE table_schema = DATABASE() AND table_name <> 'schema_migrations'"
+    );
+    await conn.query("SET FOREIGN_KEY_CHECKS = 0");
+    for (const { name } of tables) {
+      await conn.query(`TRUNCATE TABLE \`${name}\``);
+    }
+    await conn.query("SET FOREIGN_KEY_CHECKS = 1");
+  });
+
+// Give the calling test file a freshly migrated database, emptied before
+// each test and dropped once the file is done. Call it at the top level of
+// a test file.
+const useTestDatabase = () => {
+  const name = process.env.DB_NAME;
+
+  beforeAll(async () => {
+    // A run that crashed may have left its database behind
+    await onServer(`DROP DATABASE IF EXISTS \`${name}\``);
+    await onServer(`CREATE DATABASE \`${name}\``);
+    await migrate(db);
+  }, 30000);
+
+  beforeEach(() => resetDatabase());
+
+  afterAll(async () => {
+    await db.close();
+    await onServer(`DROP DATABASE IF EXISTS \`${name}\``);
+  });
+};
+
+module.exports = { useTestDatabase, resetDatabase };
@@ -0,0 +1,11 @@
+// Runs before each test file, ahead of any module that reads the environment.
+// Every Jest worker gets a database of its own, named after DB_TEST_NAME
+// (default: DB_NAME with a _test suffix), so test files running in parallel
+// never see each other's rows and the development database is never touched.
+require("dotenv").config();
+
+const base = process.env.DB_TEST_NAME || `${process.env.DB_NAME}_test`;
+process.env.DB_NAME = `${base}_${process.env.JEST_WORKER_ID || 1}`;
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+// Keep the request logs out of the test output; set LOG_LEVEL to see them
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "silent";
@@ -0,0 +1,74 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const db = require("../../configs/db");
+const userRepository = require("../../repositories/userRepository");
+const categoryRepository = require("../../repositories/categoryRepository");
+const productRepository = require("../../repositories/productRepository");
+const { signAccessToken } = require("../../utils/tokens");
+
+// Builders for the rows tests need. Each fills in unique defaults, takes
+// overrides for the fields a test cares about and resolves to the row as
+// stored.
+
+let sequence = 0;
+const nextId = () => ++sequence;
+
+// Create a verified user with a signed-in session. The result carries the
+// plain password and an access token for the Authorization header.
+const createUser = async (overrides = {}) => {
+  const n = nextId();
+  const fields = {
+    name: `User ${n}`,
+    email: `user${n}@example.com`,
+    pass: "password123",
+    role: "customer",
+    ...overrides,
+  };
+  const id = await userRepository.create({
+    ...fields,
+    pass: await bcrypt.hash(fields.pass, 4),
+  });
+  await userRepository.markEmailVerified(id);
+
+  const sessionId = crypto.randomUUID();
+  await db.query("INSERT INTO sessions (id, user_id) VALUES (?, ?)", [
+    sessionId,
+    id,
+  ]);
+  return {
+    ...fields,
+    id,
+    token: signAccessToken({ id, role: fields.role }, sessionId),
+  };
+};
+
+// Create a category, at the top level unless parent_id is given
+const createCategory = async (overrides = {}) => {
+  const id = await categoryRepository.create({
+    name: `Category ${nextId()}`,
+    parent_id: null,
+    ...overrides,
+  });
+  return categoryRepository.findById(id);
+};
+
+// Create a product, in a new category unless category_id is given
+const createProduct = async (overrides = {}) => {
+  const n = nextId();
+  const fields = {
+    name: `Product ${n}`,
+    description: null,
+    price: "10.00",
+    sku: `SKU-${n}`,
+    ...overrides,
+  };
+  if (fields.category_id === undefined) {
+    fields.category_id = (await createCategory()).id;
+  }
+  return productRepository.findById(await productRepository.create(fields));
+};
+
+// The Authorization header for a user made by createUser
+const authHeader = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+module.exports = { createUser, createCategory, createProduct, authHeader };
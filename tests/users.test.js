@@ -0,0 +1,86 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+describe("PUT /users/:id/role", () => {
+  test("should change a user's role", async () => {
+    const admin = await createUser({ role: "admin" });
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/users/${user.id}/role`)
+      .set(authHeader(admin))
+      .send({ role: "staff" });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual({ id: user.id, role: "staff" });
+  });
+
+  test("should apply a demotion to tokens issued before it", async () => {
+    const admin = await createUser({ role: "admin" });
+    const staff = await createUser({ role: "staff" });
+    const product = await createProduct();
+
+    await request(app)
+      .put(`/users/${staff.id}/role`)
+      .set(authHeader(admin))
+      .send({ role: "customer" });
+
+    const res = await request(app)
+      .put(`/products/${product.id}`)
+      .set(authHeader(staff))
+      .send({ name: "Renamed" });
+    expect(res.statusCode).toEqual(403);
+    expect(res.body.error.code).toEqual("FORBIDDEN");
+  });
+
+  test("should not let admins change their own role", async () => {
+    const admin = await createUser({ role: "admin" });
+
+    const res = await request(app)
+      .put(`/users/${admin.id}/role`)
+      .set(authHeader(admin))
+      .send({ role: "customer" });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual("You cannot change your own role");
+  });
+
+  test("should only let admins change roles", async () => {
+    const staff = await createUser({ role: "staff" });
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/users/${user.id}/role`)
+      .set(authHeader(staff))
+      .send({ role: "admin" });
+    expect(res.statusCode).toEqual(403);
+  });
+
+  test("should reject an unknown role", async () => {
+    const admin = await createUser({ role: "admin" });
+    const user = await createUser();
+
+    const res = await request(app)
+      .put(`/users/${user.id}/role`)
+      .set(authHeader(admin))
+      .send({ role: "owner" });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual([
+      expect.objectContaining({ field: "role" }),
+    ]);
+  });
+
+  test("should answer 404 for an unknown user", async () => {
+    const admin = await createUser({ role: "admin" });
+
+    const res = await request(app)
+      .put("/users/999/role")
+      .set(authHeader(admin))
+      .send({ role: "staff" });
+    expect(res.statusCode).toEqual(404);
+  });
+});
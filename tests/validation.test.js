@@ -0,0 +1,226 @@
+const schemas = require("../schemas");
+const { validateValue, formatErrors } = require("../utils/validation");
+const { validate } = require("../middlewares/validateMiddleware");
+const { ValidationError } = require("../utils/errors");
+
+describe("validateValue", () => {
+  test("should accept a valid body", () => {
+    expect(
+      validateValue(schemas.ProductInput, {
+        name: "Cricket Ball",
+        price: 19.99,
+        category_id: 1,
+        sku: null,
+      })
+    ).toEqual([]);
+  });
+
+  test("should report every invalid field", () => {
+    expect(
+      validateValue(schemas.ProductInput, {
+        name: " ",
+        price: 0,
+        category_id: "1",
+        reorder_threshold: -1,
+      })
+    ).toEqual([
+      { field: "name", message: "must not be blank" },
+      { field: "price", message: "must be greater than 0" },
+      { field: "category_id", message: "must be an integer" },
+      { field: "reorder_threshold", message: "must be at least 0" },
+    ]);
+  });
+
+  test("should only require fields of complete bodies", () => {
+    expect(validateValue(schemas.ProductUpdate, {})).toEqual([]);
+    expect(validateValue(schemas.ProductInput, {})).toEqual([
+      { field: "name", message: "is required" },
+      { field: "price", message: "is required" },
+      { field: "category_id", message: "is required" },
+    ]);
+  });
+
+  test("should follow references into nested items", () => {
+    expect(
+      validateValue(schemas.OrderInput, {
+        items: [
+          { product_id: 1, quantity: 2 },
+          { product_id: 2, variant_id: "x", quantity: 100 },
+        ],
+      })
+    ).toEqual([
+      { field: "items[1].variant_id", message: "must be an integer or null" },
+      { field: "items[1].quantity", message: "must be at most 99" },
+    ]);
+    expect(validateValue(schemas.OrderInput, { items: [] })).toEqual([
+      { field: "items", message: "must not be empty" },
+    ]);
+  });
+
+  test("should check enums, patterns and formats", () => {
+    const errors = validateValue(schemas.PromotionInput, {
+      code: "a",
+      type: "bogo",
+      amount: 5,
+      ends_at: "next week",
+    });
+    expect(errors.map((error) => error.field)).toEqual([
+      "code",
+      "type",
+      "ends_at",
+    ]);
+    expect(errors[1].message).toEqual("must be one of percent, fixed");
+    expect(
+      validateValue(schemas.RegisterInput, {
+        name: "Ann",
+        email: "ann",
+        pass: "short",
+      })
+    ).toEqual([
+      { field: "email", message: "must be a valid email address" },
+      { field: "pass", message: "must be at least 8 characters long" },
+    ]);
+  });
+
+  test("should keep amounts of money within DECIMAL(10, 2)", () => {
+    expect(
+      validateValue(schemas.ProductUpdate, { price: 99999999.99 })
+    ).toEqual([]);
+    expect(validateValue(schemas.ProductUpdate, { price: 100000000 })).toEqual([
+      { field: "price", message: "must be at most 99999999.99" },
+    ]);
+    expect(
+      validateValue(schemas.ProductVariantUpdate, { price: 9.999 })
+    ).toEqual([
+      { field: "price", message: "must have at most 2 decimal places" },
+    ]);
+    expect(
+      validateValue(schemas.PromotionInput, {
+        code: "SAVE10",
+        type: "fixed",
+        amount: 0.001,
+        min_order_value: 1e9,
+      })
+    ).toEqual([
+      { field: "amount", message: "must have at most 2 decimal places" },
+      { field: "min_order_value", message: "must be at most 99999999.99" },
+    ]);
+  });
+
+  test("should check the values of free-form objects", () => {
+    expect(
+      validateValue(schemas.ProductVariantInput, { sku: "S-1", options: {} })
+    ).toEqual([{ field: "options", message: "must not be empty" }]);
+    expect(
+      validateValue(schemas.ProductVariantInput, {
+        sku: "S-1",
+        options: { size: 42 },
+      })
+    ).toEqual([{ field: "options.size", message: "must be a string" }]);
+  });
+});
+
+describe("formatErrors", () => {
+  test("should join the errors into one message", () => {
+    expect(
+      formatErrors([
+        { field: "name", message: "is required" },
+        { field: "price", message: "must be a number" },
+      ])
+    ).toEqual("name is required; price must be a number");
+  });
+});
+
+describe("validate", () => {
+  const run = (schemaName, body) => {
+    const next = jest.fn();
+    validate(schemaName)({ body }, {}, next);
+    return next;
+  };
+
+  test("should pass valid bodies on", () => {
+    const next = run("WatchInput", { product_id: 3 });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("should reject invalid bodies with a ValidationError listing the problems", () => {
+    const next = run("CartItemInput", undefined);
+    const [err] = next.mock.calls[0];
+    expect(err).toBeInstanceOf(ValidationError);
+    expect(err).toMatchObject({
+      status: 400,
+      message: "Invalid request body",
+      details: [{ field: "product_id", message: "is required" }],
+    });
+  });
+
+  test("should reject bodies that are not objects", () => {
+    const [err] = run("WatchInput", [1]).mock.calls[0];
+    expect(err.details).toEqual([
+      { field: "body", message: "must be an object" },
+    ]);
+  });
+
+  test("should check path and query parameters before the body", () => {
+    const check = (req) => {
+      const next = jest.fn();
+      validate("ProductId", "ProductSoftDelete", "WatchInput")(
+        { params: {}, query: {}, ...req },
+        {},
+        next
+      );
+      return next.mock.calls[0];
+    };
+
+    expect(check({ params: { id: "7" }, body: { product_id: 3 } })).toEqual([]);
+    expect(
+      check({ params: { id: "7" }, query: { soft: "true" }, body: {} })[0]
+    ).toMatchObject({ message: "Invalid request body" });
+    expect(
+      check({ params: { id: "abc" }, query: { soft: "yes" }, body: {} })[0]
+    ).toMatchObject({
+      status: 400,
+      message: "Invalid request parameters",
+      details: [
+        { field: "id", message: "must be an integer" },
+        { field: "soft", message: "must be true or false" },
+      ],
+    });
+    expect(check({ params: { id: "0" } })[0].details).toEqual([
+      { field: "id", message: "must be at least 1" },
+    ]);
+  });
+
+  test("should report every invalid, unknown or repeated query parameter", () => {
+    const check = (query) => {
+      const next = jest.fn();
+      validate("Page", "Limit", "ProductSort")({ params: {}, query }, {}, next);
+      return next.mock.calls[0];
+    };
+
+    expect(check({ page: "2", limit: "100", sort: "-price" })).toEqual([]);
+    expect(
+      check({
+        page: "0",
+        limit: "abc",
+        sort: ["name", "price"],
+        colour: "red",
+      })[0]
+    ).toMatchObject({
+      message: "Invalid request parameters",
+      details: [
+        { field: "page", message: "must be at least 1" },
+        { field: "limit", message: "must be an integer" },
+        { field: "sort", message: "must be given once" },
+        { field: "colour", message: "is not allowed" },
+      ],
+    });
+    expect(check({ limit: "101" })[0].details).toEqual([
+      { field: "limit", message: "must be at most 100" },
+    ]);
+  });
+
+  test("should fail fast on unknown schemas", () => {
+    expect(() => validate("NoSuchSchema")).toThrow("Unknown schema");
+  });
+});
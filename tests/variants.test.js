@@ -0,0 +1,339 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Create a variant through the API as a staff user
+const createVariant = async (product, body) => {
+  const staff = await createUser({ role: "staff" });
+  const res = await request(app)
+    .post(`/products/${product.id}/variants`)
+    .set(authHeader(staff))
+    .send(body);
+  return res.body;
+};
+
+describe("POST /products/:id/variants", () => {
+  test("should create a variant", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct({ name: "Running Shoe" });
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({
+        sku: "SHOE-42-BLK",
+        options: { size: "42", color: "black" },
+        price: 89.5,
+        stock_quantity: 3,
+      });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      product_id: shoe.id,
+      sku: "SHOE-42-BLK",
+      options: { size: "42", color: "black" },
+      price: "89.50",
+      stock_quantity: 3,
+    });
+
+    const get = await request(app).get(`/products/${shoe.id}`);
+    expect(get.body.variants).toEqual([
+      expect.objectContaining({ id: res.body.id, sku: "SHOE-42-BLK" }),
+    ]);
+  });
+
+  test("should record the initial stock in the ledger", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-42", options: { size: "42" }, stock_quantity: 4 });
+    // Nothing to record without stock
+    await createVariant(shoe, { sku: "SHOE-43", options: { size: "43" } });
+
+    const history = await request(app)
+      .get(`/products/${shoe.id}/stock-history`)
+      .set(authHeader(staff));
+    expect(history.body.data).toEqual([
+      expect.objectContaining({
+        type: "receipt",
+        variant_id: variant.body.id,
+        quantity_change: 4,
+        reason: "Initial stock",
+        user_id: staff.id,
+      }),
+    ]);
+  });
+
+  test("should reject a SKU that is already in use", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const boot = await createProduct();
+    await createVariant(shoe, { sku: "SIZE-42", options: { size: "42" } });
+
+    const res = await request(app)
+      .post(`/products/${boot.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SIZE-42", options: { size: "42" } });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.message).toEqual("SKU SIZE-42 is already in use.");
+  });
+
+  test("should reject an option combination the product already has", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    await createVariant(shoe, {
+      sku: "SHOE-1",
+      options: { Color: "Red", size: "9" },
+    });
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-2", options: { size: "9", color: "red" } });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.message).toEqual(
+      "A variant with options size=9, color=red already exists for this product."
+    );
+  });
+
+  test("should reject an invalid body", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ options: {} });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.details).toEqual(
+      expect.arrayContaining([
+        { field: "sku", message: "is required" },
+        { field: "options", message: "must not be empty" },
+      ])
+    );
+  });
+
+  test("should reject a blank option name", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-1", options: { " ": "42" } });
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.error.message).toEqual(
+      "Each variant option must have a non-empty name."
+    );
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const staff = await createUser({ role: "staff" });
+
+    const res = await request(app)
+      .post("/products/999/variants")
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-1", options: { size: "42" } });
+    expect(res.statusCode).toEqual(404);
+  });
+
+  test("should require permission to update products", async () => {
+    const customer = await createUser();
+    const shoe = await createProduct();
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/variants`)
+      .set(authHeader(customer))
+      .send({ sku: "SHOE-1", options: { size: "42" } });
+    expect(res.statusCode).toEqual(403);
+  });
+});
+
+describe("GET /products/:id/variants", () => {
+  test("should list the variants of a product", async () => {
+    const shoe = await createProduct();
+    await createVariant(shoe, { sku: "SHOE-41", options: { size: "41" } });
+    await createVariant(shoe, { sku: "SHOE-42", options: { size: "42" } });
+
+    const res = await request(app).get(`/products/${shoe.id}/variants`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.map((variant) => variant.sku)).toEqual([
+      "SHOE-41",
+      "SHOE-42",
+    ]);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const res = await request(app).get("/products/999/variants");
+    expect(res.statusCode).toEqual(404);
+  });
+});
+
+describe("PUT /products/:id/variants/:variantId", () => {
+  test("should update the given fields", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+      stock_quantity: 2,
+    });
+
+    const res = await request(app)
+      .put(`/products/${shoe.id}/variants/${variant.id}`)
+      .set(authHeader(staff))
+      .send({ price: 79 });
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toMatchObject({
+      sku: "SHOE-42",
+      price: "79.00",
+      stock_quantity: 2,
+    });
+  });
+
+  test("should not change the stock outside the stock ledger", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .put(`/products/${shoe.id}/variants/${variant.id}`)
+      .set(authHeader(staff))
+      .send({ stock_quantity: 50 });
+    expect(res.statusCode).toEqual(400);
+
+    const get = await request(app).get(`/products/${shoe.id}/variants`);
+    expect(get.body[0]).toHaveProperty("stock_quantity", 0);
+  });
+
+  test("should reject the SKU of another variant", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    await createVariant(shoe, { sku: "SHOE-41", options: { size: "41" } });
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .put(`/products/${shoe.id}/variants/${variant.id}`)
+      .set(authHeader(staff))
+      .send({ sku: "SHOE-41" });
+    expect(res.statusCode).toEqual(409);
+  });
+
+  test("should answer 404 for a variant of another product", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const boot = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .put(`/products/${boot.id}/variants/${variant.id}`)
+      .set(authHeader(staff))
+      .send({ price: 79 });
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error.message).toEqual("Variant not found");
+  });
+});
+
+describe("DELETE /products/:id/variants/:variantId", () => {
+  test("should delete a variant", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .delete(`/products/${shoe.id}/variants/${variant.id}`)
+      .set(authHeader(staff));
+    expect(res.statusCode).toEqual(204);
+
+    const again = await request(app)
+      .delete(`/products/${shoe.id}/variants/${variant.id}`)
+      .set(authHeader(staff));
+    expect(again.statusCode).toEqual(404);
+  });
+});
+
+describe("POST /products/:id/stock-adjustments with variant_id", () => {
+  test("should move the stock of the variant and record it", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/stock-adjustments`)
+      .set(authHeader(staff))
+      .send({ type: "receipt", quantity: 6, variant_id: variant.id });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toMatchObject({
+      variant_id: variant.id,
+      quantity_change: 6,
+      stock_quantity: 6,
+    });
+
+    const variants = await request(app).get(`/products/${shoe.id}/variants`);
+    expect(variants.body[0]).toHaveProperty("stock_quantity", 6);
+    const product = await request(app).get(`/products/${shoe.id}`);
+    expect(product.body).toHaveProperty("stock_quantity", 0);
+
+    const history = await request(app)
+      .get(`/products/${shoe.id}/stock-history`)
+      .set(authHeader(staff));
+    expect(history.body.data).toEqual([
+      expect.objectContaining({ variant_id: variant.id, quantity_change: 6 }),
+    ]);
+  });
+
+  test("should not take the variant below zero", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+      stock_quantity: 1,
+    });
+
+    const res = await request(app)
+      .post(`/products/${shoe.id}/stock-adjustments`)
+      .set(authHeader(staff))
+      .send({ type: "sale", quantity: 2, variant_id: variant.id });
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.details).toEqual({ stock_quantity: 1 });
+  });
+
+  test("should answer 404 for a variant of another product", async () => {
+    const staff = await createUser({ role: "staff" });
+    const shoe = await createProduct();
+    const boot = await createProduct();
+    const variant = await createVariant(shoe, {
+      sku: "SHOE-42",
+      options: { size: "42" },
+    });
+
+    const res = await request(app)
+      .post(`/products/${boot.id}/stock-adjustments`)
+      .set(authHeader(staff))
+      .send({ type: "receipt", quantity: 1, variant_id: variant.id });
+    expect(res.statusCode).toEqual(404);
+    expect(res.body.error.message).toEqual("Variant not found");
+  });
+});
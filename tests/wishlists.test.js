@@ -0,0 +1,285 @@
+const request = require("supertest");
+const { createApp } = require("../app");
+const { useTestDatabase } = require("./support/database");
+const { createUser, createProduct, authHeader } = require("./support/fixtures");
+
+useTestDatabase();
+
+const app = createApp();
+
+// Create a wishlist through the API
+const createWishlist = async (user, name = "Birthday") => {
+  const res = await request(app)
+    .post("/wishlists")
+    .set(authHeader(user))
+    .send({ name });
+  return res.body;
+};
+
+// Add a product to a wishlist through the API
+const addItem = (user, wishlist, product) =>
+  request(app)
+    .post(`/wishlists/${wishlist.id}/items`)
+    .set(authHeader(user))
+    .send({ product_id: product.id });
+
+describe("wishlists", () => {
+  test("should create a wishlist and add products to it", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ name: "Bat" });
+
+    const created = await request(app)
+      .post("/wishlists")
+      .set(authHeader(user))
+      .send({ name: "Birthday" });
+    expect(created.statusCode).toEqual(201);
+    expect(created.body).toMatchObject({
+      name: "Birthday",
+      share_url: null,
+      items: [],
+    });
+
+    const res = await addItem(user, created.body, bat);
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.items).toEqual([
+      expect.objectContaining({ product_id: bat.id, name: "Bat" }),
+    ]);
+
+    const list = await request(app).get("/wishlists").set(authHeader(user));
+    expect(list.body).toEqual([
+      expect.objectContaining({ id: created.body.id, item_count: 1 }),
+    ]);
+  });
+
+  test("should reject a name the user already uses", async () => {
+    const user = await createUser();
+    await createWishlist(user, "Birthday");
+
+    const res = await request(app)
+      .post("/wishlists")
+      .set(authHeader(user))
+      .send({ name: "Birthday" });
+    expect(res.statusCode).toEqual(409);
+  });
+
+  test("should reject a product that is already on the wishlist", async () => {
+    const user = await createUser();
+    const bat = await createProduct();
+    const wishlist = await createWishlist(user);
+    await addItem(user, wishlist, bat);
+
+    const res = await addItem(user, wishlist, bat);
+    expect(res.statusCode).toEqual(409);
+    expect(res.body.error.message).toEqual(
+      "Product is already on this wishlist"
+    );
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const user = await createUser();
+    const wishlist = await createWishlist(user);
+
+    const res = await addItem(user, wishlist, { id: 999 });
+    expect(res.statusCode).toEqual(404);
+  });
+
+  test("should keep wishlists private to their owner", async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const bat = await createProduct();
+    const wishlist = await createWishlist(user);
+
+    const get = await request(app)
+      .get(`/wishlists/${wishlist.id}`)
+      .set(authHeader(other));
+    expect(get.statusCode).toEqual(404);
+
+    const add = await addItem(other, wishlist, bat);
+    expect(add.statusCode).toEqual(404);
+
+    const del = await request(app)
+      .delete(`/wishlists/${wishlist.id}`)
+      .set(authHeader(other));
+    expect(del.statusCode).toEqual(404);
+  });
+
+  test("should share a read-only link until sharing stops", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ name: "Bat" });
+    const wishlist = await createWishlist(user, "Birthday");
+    await addItem(user, wishlist, bat);
+
+    const share = await request(app)
+      .post(`/wishlists/${wishlist.id}/share`)
+      .set(authHeader(user));
+    expect(share.statusCode).toEqual(200);
+    const path = new URL(share.body.share_url).pathname;
+
+    const shared = await request(app).get(path);
+    expect(shared.statusCode).toEqual(200);
+    expect(shared.body).toEqual({
+      name: "Birthday",
+      items: [expect.objectContaining({ product_id: bat.id })],
+    });
+
+    await request(app)
+      .delete(`/wishlists/${wishlist.id}/share`)
+      .set(authHeader(user));
+    expect((await request(app).get(path)).statusCode).toEqual(404);
+  });
+
+  test("should drop deleted products and hide soft-deleted ones", async () => {
+    const admin = await createUser({ role: "admin" });
+    const user = await createUser();
+    const bat = await createProduct({ name: "Bat" });
+    const ball = await createProduct({ name: "Ball" });
+    const wishlist = await createWishlist(user);
+    await addItem(user, wishlist, bat);
+    await addItem(user, wishlist, ball);
+
+    const del = await request(app)
+      .delete(`/products/${bat.id}`)
+      .set(authHeader(admin));
+    expect(del.statusCode).toEqual(204);
+    await request(app)
+      .delete(`/products/${ball.id}?soft=true`)
+      .set(authHeader(admin));
+
+    const hidden = await request(app)
+      .get(`/wishlists/${wishlist.id}`)
+      .set(authHeader(user));
+    expect(hidden.body.items).toEqual([]);
+
+    await request(app)
+      .post(`/products/${ball.id}/restore`)
+      .set(authHeader(admin));
+    const restored = await request(app)
+      .get(`/wishlists/${wishlist.id}`)
+      .set(authHeader(user));
+    expect(restored.body.items.map((item) => item.name)).toEqual(["Ball"]);
+  });
+
+  test("should remove a product from a wishlist", async () => {
+    const user = await createUser();
+    const bat = await createProduct();
+    const wishlist = await createWishlist(user);
+    await addItem(user, wishlist, bat);
+
+    const res = await request(app)
+      .delete(`/wishlists/${wishlist.id}/items/${bat.id}`)
+      .set(authHeader(user));
+    expect(res.statusCode).toEqual(204);
+
+    const again = await request(app)
+      .delete(`/wishlists/${wishlist.id}/items/${bat.id}`)
+      .set(authHeader(user));
+    expect(again.statusCode).toEqual(404);
+  });
+
+  test("should require a login", async () => {
+    const res = await request(app).get("/wishlists");
+    expect(res.statusCode).toEqual(401);
+  });
+});
+
+describe("watches", () => {
+  // The watch events of a user, newest first
+  const watchEvents = async (user) => {
+    const res = await request(app).get("/watches/events").set(authHeader(user));
+    return res.body.data;
+  };
+
+  test("should watch a product once", async () => {
+    const user = await createUser();
+    const bat = await createProduct({ name: "Bat" });
+
+    for (let i = 0; i < 2; i++) {
+      const res = await request(app)
+        .post("/watches")
+        .set(authHeader(user))
+        .send({ product_id: bat.id });
+      expect(res.statusCode).toEqual(204);
+    }
+
+    const res = await request(app).get("/watches").set(authHeader(user));
+    expect(res.body).toEqual([
+      expect.objectContaining({ product_id: bat.id, name: "Bat" }),
+    ]);
+  });
+
+  test("should record a price drop but not a price rise", async () => {
+    const staff = await createUser({ role: "staff" });
+    const user = await createUser();
+    const bat = await createProduct({ price: "10.00" });
+    await request(app)
+      .post("/watches")
+      .set(authHeader(user))
+      .send({ product_id: bat.id });
+
+    for (const price of [12, 8]) {
+      await request(app)
+        .put(`/products/${bat.id}`)
+        .set(authHeader(staff))
+        .send({ price });
+    }
+
+    expect(await watchEvents(user)).toEqual([
+      expect.objectContaining({
+        type: "price_drop",
+        product_id: bat.id,
+        old_price: "12.00",
+        new_price: "8.00",
+      }),
+    ]);
+  });
+
+  test("should record a product coming back in stock", async () => {
+    const staff = await createUser({ role: "staff" });
+    const user = await createUser();
+    const bat = await createProduct({ stock_quantity: 0 });
+    await request(app)
+      .post("/watches")
+      .set(authHeader(user))
+      .send({ product_id: bat.id });
+
+    for (let i = 0; i < 2; i++) {
+      await request(app)
+        .post(`/products/${bat.id}/stock-adjustments`)
+        .set(authHeader(staff))
+        .send({ type: "receipt", quantity: 3 });
+    }
+
+    expect(await watchEvents(user)).toEqual([
+      expect.objectContaining({ type: "back_in_stock", product_id: bat.id }),
+    ]);
+  });
+
+  test("should stop watching a product", async () => {
+    const user = await createUser();
+    const bat = await createProduct();
+    await request(app)
+      .post("/watches")
+      .set(authHeader(user))
+      .send({ product_id: bat.id });
+
+    const res = await request(app)
+      .delete(`/watches/${bat.id}`)
+      .set(authHeader(user));
+    expect(res.statusCode).toEqual(204);
+
+    const again = await request(app)
+      .delete(`/watches/${bat.id}`)
+      .set(authHeader(user));
+    expect(again.statusCode).toEqual(404);
+  });
+
+  test("should answer 404 for an unknown product", async () => {
+    const user = await createUser();
+
+    const res = await request(app)
+      .post("/watches")
+      .set(authHeader(user))
+      .send({ product_id: 999 });
+    expect(res.statusCode).toEqual(404);
+  });
+});
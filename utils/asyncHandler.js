@@ -0,0 +1,7 @@
+// Wrap an async route handler or middleware so that a rejected promise is
+// passed to next, where the error middleware answers it, instead of leaving
+// the request hanging
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = { asyncHandler };
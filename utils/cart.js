@@ -0,0 +1,132 @@
+const db = require("../configs/db");
+const { generateOpaqueToken, hashToken } = require("./tokens");
+const { loadCatalogRows } = require("./pricing");
+
+// Most units of one product or variant a cart line can hold
+const MAX_ITEM_QUANTITY = 99;
+
+// Anonymous carts are identified by an opaque token sent in this header
+const CART_TOKEN_HEADER = "X-Cart-Token";
+
+// Look up the cart of a user, or the anonymous cart a token belongs to
+const findCart = async ({ userId, token }) => {
+  if (!userId && !token) return undefined;
+  const [carts] = userId
+    ? await db.query("SELECT id, user_id FROM carts WHERE user_id = ?", [
+        userId,
+      ])
+    : await db.query(
+        "SELECT id, user_id FROM carts WHERE token_hash = ? AND user_id IS NULL",
+        [hashToken(token)]
+      );
+  return carts[0];
+};
+
+// Create a cart for a user, or an anonymous cart with a fresh token. Returns
+// the cart, with the raw token for anonymous carts.
+const createCart = async ({ userId }) => {
+  if (userId) {
+    try {
+      const [result] = await db.query(
+        "INSERT INTO carts (user_id) VALUES (?)",
+        [userId]
+      );
+      return { id: result.insertId, user_id: userId };
+    } catch (err) {
+      // Another request created the user's cart first
+      if (err.code === "ER_DUP_ENTRY") return findCart({ userId });
+      throw err;
+    }
+  }
+
+  const token = generateOpaqueToken();
+  const [result] = await db.query("INSERT INTO carts (token_hash) VALUES (?)", [
+    hashToken(token),
+  ]);
+  return { id: result.insertId, user_id: null, token };
+};
+
+// Move the items of an anonymous cart into the user's cart. Lines for the same
+// product and variant are combined, keeping the price the user's cart already
+// holds, up to MAX_ITEM_QUANTITY and the stock left. A combined line is never
+// made smaller than the user's own, and lines of products that are out of
+// stock or gone are dropped. The anonymous cart is removed afterwards. Both
+// carts stay locked until the merge is done, so a second login with the same
+// token finds nothing left to merge.
+const mergeCart = (token, userId) =>
+  db.transaction(async (conn) => {
+    const [guestCarts] = await conn.query(
+      "SELECT id FROM carts WHERE token_hash = ? AND user_id IS NULL FOR UPDATE",
+      [hashToken(token)]
+    );
+    if (!guestCarts.length) return;
+    const guestCart = guestCarts[0];
+
+    const [userCarts] = await conn.query(
+      "SELECT id FROM carts WHERE user_id = ? FOR UPDATE",
+      [userId]
+    );
+    if (!userCarts.length) {
+      // Nothing to merge with, so the anonymous cart simply becomes the user's
+      await conn.query(
+        "UPDATE carts SET user_id = ?, token_hash = NULL WHERE id = ?",
+        [userId, guestCart.id]
+      );
+      return;
+    }
+    const userCart = userCarts[0];
+
+    const [items] = await conn.query(
+      "SELECT id, product_id, variant_id, quantity FROM cart_items WHERE cart_id = ? ORDER BY id FOR UPDATE",
+      [guestCart.id]
+    );
+    if (!items.length) {
+      await conn.query("DELETE FROM carts WHERE id = ?", [guestCart.id]);
+      return;
+    }
+
+    const { products, variants } = await loadCatalogRows(items, { db: conn });
+    // Products that were deleted since count as out of stock
+    const stockOf = (item) => {
+      const product = products.find((row) => row.id === item.product_id);
+      if (!product) return 0;
+      if (item.variant_id === null) return product.stock_quantity;
+      const variant = variants.find((row) => row.id === item.variant_id);
+      return variant ? variant.stock_quantity : 0;
+    };
+
+    for (const item of items) {
+      const [existing] = await conn.query(
+        "SELECT id, quantity FROM cart_items WHERE cart_id = ? AND product_id = ? AND variant_id <=> ? FOR UPDATE",
+        [userCart.id, item.product_id, item.variant_id]
+      );
+      const owned = existing.length ? existing[0].quantity : 0;
+      const quantity = Math.max(
+        owned,
+        Math.min(owned + item.quantity, MAX_ITEM_QUANTITY, stockOf(item))
+      );
+
+      if (existing.length) {
+        await conn.query("UPDATE cart_items SET quantity = ? WHERE id = ?", [
+          quantity,
+          existing[0].id,
+        ]);
+      } else if (quantity > 0) {
+        await conn.query(
+          "UPDATE cart_items SET cart_id = ?, quantity = ? WHERE id = ?",
+          [userCart.id, quantity, item.id]
+        );
+      }
+    }
+
+    // Lines that were not moved go with the cart (ON DELETE CASCADE)
+    await conn.query("DELETE FROM carts WHERE id = ?", [guestCart.id]);
+  });
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  MAX_ITEM_QUANTITY,
+  findCart,
+  createCart,
+  mergeCart,
+};
@@ -0,0 +1,71 @@
+const db = require("../configs/db");
+const schemas = require("../schemas");
+const { validateValue, formatErrors } = require("./validation");
+
+// Look up a variant belonging to the given product
+const findVariant = async (productId, variantId) => {
+  const [variants] = await db.query(
+    "SELECT id, product_id, sku, options, price, stock_quantity FROM product_variants WHERE id = ? AND product_id = ?",
+    [variantId, productId]
+  );
+  return variants[0];
+};
+
+// Validate the fields of a product against the schema of the create
+// endpoint or, with partial set, the update endpoint. Used for products that
+// do not arrive as a request body, such as CSV rows and batch operations.
+// Returns an error message or null.
+const validateProduct = (fields, partial = false) => {
+  const errors = validateValue(
+    schemas[partial ? "ProductUpdate" : "ProductInput"],
+    fields
+  );
+  return errors.length ? formatErrors(errors) : null;
+};
+
+// Check one operation of a product batch: { op: "create", product },
+// { op: "update", id, product } or { op: "delete", id, soft }. The types were
+// checked against the ProductBatch schema with the rest of the request; the
+// product fields get the same defaults and validation as in createProduct and
+// updateProduct. Returns { op, id, fields, soft } or { error }.
+const parseBatchOperation = ({ op, id, product, soft = false }) => {
+  if (op !== "create" && id === undefined) return { error: "id is required" };
+  if (op === "delete") return { op, id, soft };
+  if (product === undefined) return { error: "product is required" };
+
+  let fields;
+  if (op === "create") {
+    const {
+      name,
+      description = null,
+      price,
+      category_id,
+      reorder_threshold = 0,
+      sku = null,
+    } = product;
+    fields = { name, description, price, category_id, reorder_threshold, sku };
+  } else {
+    const { name, description, price, category_id, reorder_threshold, sku } =
+      product;
+    // Only the fields that were provided are changed
+    fields = Object.fromEntries(
+      Object.entries({
+        name,
+        description,
+        price,
+        category_id,
+        reorder_threshold,
+        sku,
+      }).filter(([, value]) => value !== undefined)
+    );
+  }
+
+  const error = validateProduct(fields, op === "update");
+  return error ? { error } : { op, id, fields };
+};
+
+module.exports = {
+  findVariant,
+  validateProduct,
+  parseBatchOperation,
+};
@@ -0,0 +1,36 @@
+// Recursive CTE selecting the IDs of a category and all of its descendants.
+// Bind the root category ID to the placeholder.
+const SUBTREE_SQL = `WITH RECURSIVE subtree AS (
+    SELECT id FROM categories WHERE id = ?
+    UNION ALL
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )
+  SELECT id FROM subtree`;
+
+// Recursive CTE selecting the ancestors of a category, nearest first, with
+// their distance from it. Bind the category ID to the placeholder.
+const ANCESTORS_SQL = `WITH RECURSIVE ancestors AS (
+    SELECT id, name, parent_id, 0 AS depth FROM categories WHERE id = ?
+    UNION ALL
+    SELECT c.id, c.name, c.parent_id, a.depth + 1
+      FROM categories c JOIN ancestors a ON c.id = a.parent_id
+  )
+  SELECT id, name, parent_id, depth FROM ancestors WHERE depth > 0`;
+
+// Nest a flat list of categories under their parents. Categories whose parent
+// is missing from the list are treated as roots.
+const buildTree = (categories) => {
+  const nodes = new Map(
+    categories.map((category) => [category.id, { ...category, children: [] }])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+module.exports = { SUBTREE_SQL, ANCESTORS_SQL, buildTree };
@@ -0,0 +1,81 @@
+const { Transform, pipeline } = require("stream");
+
+// Parse CSV text (RFC 4180: comma separated, fields optionally quoted with
+// doubled quotes inside) into an array of records, each an array of strings.
+// Blank lines are skipped. Returns { records } or { error }.
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip a byte order mark
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") records.push(record);
+    record = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) return { error: "The file ends inside a quoted field." };
+  endRecord();
+
+  return { records };
+};
+
+// Format values as one CSV line. null and undefined become empty fields.
+const formatCsvRow = (values) =>
+  values
+    .map((value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]|^\s|\s$/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+    })
+    .join(",") + "\r\n";
+
+// Stream the rows of a query to the response as a CSV download, one line per
+// row, without holding the whole result in memory. query is a mysql2 query
+// started without a callback. Resolves once the last row is sent.
+const streamCsv = (res, query, { filename, columns }) =>
+  new Promise((resolve, reject) => {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    const toCsv = new Transform({
+      writableObjectMode: true,
+      transform(row, encoding, callback) {
+        callback(null, formatCsvRow(columns.map((column) => row[column])));
+      },
+    });
+    toCsv.push(formatCsvRow(columns));
+
+    pipeline(query.stream(), toCsv, res, (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+
+module.exports = { parseCsv, formatCsvRow, streamCsv };
@@ -0,0 +1,133 @@
+// Errors that carry the HTTP response they should produce. Handlers throw
+// them and the error middleware answers with the error envelope:
+// { error: { code, message, details, request_id } }
+class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// The request is malformed or breaks a rule of the API
+class ValidationError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+// The request lacks valid credentials
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication token is required", details) {
+    super(message, { status: 401, code: "UNAUTHORIZED", details });
+  }
+}
+
+// The user is known but not allowed to do this
+class ForbiddenError extends AppError {
+  constructor(
+    message = "You do not have permission to perform this action",
+    details
+  ) {
+    super(message, { status: 403, code: "FORBIDDEN", details });
+  }
+}
+
+// The resource does not exist, or the user may not know that it does
+class NotFoundError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 404, code: "NOT_FOUND", details });
+  }
+}
+
+// The request clashes with the current state of a resource
+class ConflictError extends AppError {
+  constructor(message, details) {
+    super(message, { status: 409, code: "CONFLICT", details });
+  }
+}
+
+// MySQL errors that are the client's doing rather than a fault of the
+// server, by error code
+const MYSQL_ERRORS = {
+  ER_DUP_ENTRY: {
+    status: 409,
+    code: "DUPLICATE_ENTRY",
+    message: "A record with the same unique value already exists.",
+  },
+  ER_ROW_IS_REFERENCED: {
+    status: 409,
+    code: "RECORD_IN_USE",
+    message: "The record is still referenced by other records.",
+  },
+  ER_NO_REFERENCED_ROW: {
+    status: 400,
+    code: "INVALID_REFERENCE",
+    message: "A record referred to does not exist.",
+  },
+  ER_DATA_TOO_LONG: {
+    status: 400,
+    code: "VALIDATION_ERROR",
+    message: "A value is too long.",
+  },
+  ER_CHECK_CONSTRAINT_VIOLATED: {
+    status: 400,
+    code: "VALIDATION_ERROR",
+    message: "A value is out of the allowed range.",
+  },
+  ER_WARN_DATA_OUT_OF_RANGE: {
+    status: 400,
+    code: "VALIDATION_ERROR",
+    message: "A value is out of the allowed range.",
+  },
+};
+// MySQL 5.5 and later use these variants of the foreign key errors
+MYSQL_ERRORS.ER_ROW_IS_REFERENCED_2 = MYSQL_ERRORS.ER_ROW_IS_REFERENCED;
+MYSQL_ERRORS.ER_NO_REFERENCED_ROW_2 = MYSQL_ERRORS.ER_NO_REFERENCED_ROW;
+
+// Turn any error into an AppError. Errors the client caused, like MySQL
+// constraint violations and unparsable request bodies, keep their meaning;
+// anything else becomes a 500 that does not reveal its cause.
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  const mysql = MYSQL_ERRORS[err.code];
+  if (mysql) return new AppError(mysql.message, mysql);
+
+  // Errors raised by the body parsers
+  if (err.type === "entity.parse.failed") {
+    return new AppError("Request body is not valid JSON.", {
+      status: 400,
+      code: "INVALID_JSON",
+    });
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large.", {
+      status: 413,
+      code: "PAYLOAD_TOO_LARGE",
+    });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code: "BAD_REQUEST",
+    });
+  }
+
+  return new AppError("Internal server error");
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  toAppError,
+};
@@ -0,0 +1,79 @@
+const database = require("../configs/db");
+const { getDriver } = require("../storage");
+
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Accepted image types, recognised by the first bytes of the file rather than
+// the client-supplied content type
+const IMAGE_TYPES = [
+  {
+    contentType: "image/jpeg",
+    extension: "jpg",
+    matches: (data) =>
+      data.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  {
+    contentType: "image/png",
+    extension: "png",
+    matches: (data) =>
+      data
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    contentType: "image/webp",
+    extension: "webp",
+    matches: (data) =>
+      data.subarray(0, 4).toString("latin1") === "RIFF" &&
+      data.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+];
+
+// Work out the type of an uploaded image. Returns an entry of IMAGE_TYPES, or
+// undefined if the data is not an accepted image.
+const detectImageType = (data) =>
+  IMAGE_TYPES.find((type) => type.matches(data));
+
+// Turn an image row into its API representation, with the storage key
+// replaced by a URL
+const presentImage = ({ storage_key, ...image }) => ({
+  ...image,
+  is_primary: Boolean(image.is_primary),
+  url: getDriver().url(storage_key),
+});
+
+// Load the images of a product in display order
+const findImages = async (productId, { db = database } = {}) => {
+  const [images] = await db.query(
+    "SELECT id, product_id, storage_key, content_type, size_bytes, alt_text, position, is_primary, created_at FROM product_images WHERE product_id = ? ORDER BY position, id",
+    [productId]
+  );
+  return images.map(presentImage);
+};
+
+// Add the URL of each product's primary image as image_url
+const withImageUrls = async (products) => {
+  if (!products.length) return products;
+  const [images] = await database.query(
+    "SELECT product_id, storage_key FROM product_images WHERE product_id IN (?) AND is_primary",
+    [products.map((product) => product.id)]
+  );
+  const keys = new Map(
+    images.map((image) => [image.product_id, image.storage_key])
+  );
+  return products.map((product) => ({
+    ...product,
+    image_url: keys.has(product.id)
+      ? getDriver().url(keys.get(product.id))
+      : null,
+  }));
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  IMAGE_TYPES,
+  detectImageType,
+  presentImage,
+  findImages,
+  withImageUrls,
+};
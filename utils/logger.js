@@ -0,0 +1,99 @@
+const { AsyncLocalStorage } = require("async_hooks");
+require("dotenv").config();
+
+// Lines below the level set by LOG_LEVEL are dropped; silent drops them all
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields whose values never reach the logs, matched case-insensitively and
+// ignoring underscores and dashes, so refresh_token and refreshToken match
+const SENSITIVE_KEYS = new Set([
+  "pass",
+  "password",
+  "token",
+  "refreshtoken",
+  "accesstoken",
+  "authorization",
+  "cookie",
+  "setcookie",
+  "secret",
+  "clientsecret",
+  "xpaymentsignature",
+]);
+
+// JWTs are redacted wherever they appear, e.g. in a URL or an error message
+const JWT_PATTERN = /eyJ[\w-]*\.[\w-]+\.[\w-]+/g;
+
+const REDACTED = "[REDACTED]";
+
+// Holds { requestId } while a request is handled, so every line logged on
+// its behalf carries the request ID without passing it around
+const requestContext = new AsyncLocalStorage();
+
+const isSensitive = (key) =>
+  SENSITIVE_KEYS.has(key.toLowerCase().replace(/[_-]/g, ""));
+
+// Copy a value for logging with sensitive fields and JWTs replaced. Errors
+// become plain objects, since JSON.stringify would drop their message.
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === "string") return value.replace(JWT_PATTERN, REDACTED);
+  if (typeof value === "bigint") return value.toString();
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Date) return value.toISOString();
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, seen));
+
+  const source =
+    value instanceof Error
+      ? {
+          name: value.name,
+          message: value.message,
+          code: value.code,
+          stack: value.stack,
+          ...value,
+          // mysql2 errors carry the query with its values filled in
+          sql: undefined,
+        }
+      : value;
+  const copy = {};
+  for (const [key, field] of Object.entries(source)) {
+    if (field === undefined) continue;
+    copy[key] = isSensitive(key) ? REDACTED : redact(field, seen);
+  }
+  return copy;
+};
+
+// Create a logger writing one JSON object per line, e.g.
+// {"time":"...","level":"info","msg":"Request completed","request_id":"...","status":200}
+const createLogger = ({
+  level = process.env.LOG_LEVEL || "info",
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  const threshold = LEVELS[level] || LEVELS.info;
+
+  const log = (lineLevel, msg, fields = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+    const context = requestContext.getStore();
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: lineLevel,
+        msg,
+        ...(context && { request_id: context.requestId }),
+        ...redact(fields),
+      })
+    );
+  };
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact, requestContext, LEVELS };
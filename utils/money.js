@@ -0,0 +1,11 @@
+// Amounts are added up in integer cents so that totals do not pick up floating
+// point errors. DECIMAL columns arrive from mysql2 as strings.
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// The largest amount a DECIMAL(10, 2) column holds
+const MAX_AMOUNT = 99999999.99;
+
+// Format an amount in cents as a decimal string
+const formatCents = (cents) => (cents / 100).toFixed(2);
+
+module.exports = { MAX_AMOUNT, toCents, formatCents };
@@ -0,0 +1,117 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Cursors are opaque to clients: base64url-encoded JSON of the position.
+const encodeCursor = (payload) =>
+  Buffer.from(JSON.stringify(payload)).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return payload && typeof payload === "object" ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Read page/limit or cursor/limit pagination from a query string checked
+// against the Page, Limit and Cursor parameters. Returns { limit, page } or
+// { limit, cursor }, or { error } as { field, message } if the cursor cannot
+// be used.
+const parsePagination = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+  if (query.cursor !== undefined) {
+    if (query.page !== undefined) {
+      return {
+        error: { field: "cursor", message: "cannot be combined with page" },
+      };
+    }
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: { field: "cursor", message: "is invalid" } };
+    return { limit, cursor };
+  }
+
+  return { limit, page: query.page === undefined ? 1 : Number(query.page) };
+};
+
+// Build a link to the current endpoint with the same query string, replacing
+// the pagination parameters with the given ones.
+const buildLink = (req, params) => {
+  const query = new URLSearchParams(req.query);
+  query.delete("page");
+  query.delete("cursor");
+  for (const [key, value] of Object.entries(params)) {
+    query.set(key, value);
+  }
+  return `${req.originalUrl.split("?")[0]}?${query}`;
+};
+
+// Build the keyset condition and ordering that continue a listing sorted by
+// `column` (with id as tie-breaker) from a cursor. Walking backwards flips both
+// the comparison and the ordering; callers reverse the fetched rows.
+const keyset = (column, direction, cursor) => {
+  const backwards = cursor.d === "prev";
+  const ascending = (direction === "ASC") !== backwards;
+  const op = ascending ? ">" : "<";
+  const order = ascending ? "ASC" : "DESC";
+
+  if (column === "id") {
+    return { sql: `id ${op} ?`, params: [cursor.id], order, backwards };
+  }
+  return {
+    sql: `(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`,
+    params: [cursor.v, cursor.v, cursor.id],
+    order,
+    backwards,
+  };
+};
+
+// Wrap a page of offset-paginated rows in the standard list envelope.
+// nextCursor, when given, lets the client switch to cursor pagination.
+const pageEnvelope = (req, rows, { total, page, limit, nextCursor }) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    data: rows,
+    meta: {
+      total,
+      page,
+      limit,
+      total_pages: totalPages,
+      next_cursor: nextCursor,
+    },
+    links: {
+      self: buildLink(req, { page, limit }),
+      next:
+        page < totalPages ? buildLink(req, { page: page + 1, limit }) : null,
+      prev: page > 1 ? buildLink(req, { page: page - 1, limit }) : null,
+    },
+  };
+};
+
+// Wrap a page of cursor-paginated rows in the standard list envelope.
+const cursorEnvelope = (
+  req,
+  rows,
+  { total, limit, cursor, nextCursor, prevCursor }
+) => ({
+  data: rows,
+  meta: { total, limit, next_cursor: nextCursor, prev_cursor: prevCursor },
+  links: {
+    self: buildLink(req, { cursor, limit }),
+    next: nextCursor ? buildLink(req, { cursor: nextCursor, limit }) : null,
+    prev: prevCursor ? buildLink(req, { cursor: prevCursor, limit }) : null,
+  },
+});
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parsePagination,
+  buildLink,
+  keyset,
+  pageEnvelope,
+  cursorEnvelope,
+};
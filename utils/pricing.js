@@ -0,0 +1,139 @@
+const database = require("../configs/db");
+const productRepository = require("../repositories/productRepository");
+const { toCents } = require("./money");
+const { ConflictError, NotFoundError, ValidationError } = require("./errors");
+
+const MAX_LINE_QUANTITY = 99;
+
+// The price a customer pays for a product, or for one of its variants
+const unitPrice = (product, variant) =>
+  variant && variant.price !== null ? variant.price : product.price;
+
+// Combine the lines of a list of { product_id, variant_id, quantity } items,
+// as checked by the LineItem schema, that are for the same product and
+// variant. Returns { lines } or { error }.
+const parseLineItems = (items) => {
+  const lines = new Map();
+  for (const { product_id, variant_id = null, quantity } of items) {
+    const key = `${product_id}:${variant_id}`;
+    const line = lines.get(key) || { product_id, variant_id, quantity: 0 };
+    line.quantity += quantity;
+    if (line.quantity > MAX_LINE_QUANTITY) {
+      return {
+        error: `At most ${MAX_LINE_QUANTITY} units of an item can be ordered.`,
+      };
+    }
+    lines.set(key, line);
+  }
+  return { lines: [...lines.values()] };
+};
+
+// Match parsed lines with the product and variant rows they refer to and price
+// them. withVariants lists the products that have variants, which must be
+// ordered by variant. With checkStock, lines exceeding the stock are reported.
+// Returns { items, total } in cents, or throws an error describing why the
+// lines cannot be priced.
+const priceLines = (
+  lines,
+  { products, variants, withVariants },
+  { checkStock = false } = {}
+) => {
+  const productsById = new Map(products.map((p) => [p.id, p]));
+  const variantsById = new Map(variants.map((v) => [v.id, v]));
+  const hasVariants = new Set(withVariants.map((row) => row.product_id));
+
+  const items = [];
+  const shortages = [];
+  for (const line of lines) {
+    const product = productsById.get(line.product_id);
+    if (!product) {
+      throw new NotFoundError("Product not found", {
+        product_id: line.product_id,
+      });
+    }
+
+    let variant = null;
+    if (line.variant_id !== null) {
+      variant = variantsById.get(line.variant_id);
+      if (!variant || variant.product_id !== product.id) {
+        throw new NotFoundError("Variant not found", {
+          variant_id: line.variant_id,
+        });
+      }
+    } else if (hasVariants.has(product.id)) {
+      throw new ValidationError(
+        "A variant must be selected for this product.",
+        { product_id: product.id }
+      );
+    }
+
+    const stock = variant ? variant.stock_quantity : product.stock_quantity;
+    if (checkStock && line.quantity > stock) {
+      shortages.push({
+        product_id: product.id,
+        variant_id: line.variant_id,
+        requested: line.quantity,
+        stock_quantity: stock,
+      });
+      continue;
+    }
+
+    items.push({
+      ...line,
+      product_name: product.name,
+      sku: variant ? variant.sku : null,
+      unit_cents: toCents(unitPrice(product, variant)),
+    });
+  }
+
+  if (shortages.length) {
+    throw new ConflictError("Insufficient stock", { shortages });
+  }
+
+  const total = items.reduce(
+    (sum, item) => sum + item.unit_cents * item.quantity,
+    0
+  );
+  return { items, total };
+};
+
+// Load the catalog rows that parsed lines refer to. Pass a transaction's
+// connection and lock to hold the rows until it ends; rows are locked in ID
+// order so that concurrent transactions cannot deadlock on them.
+const loadCatalogRows = async (lines, { db = database, lock = false } = {}) => {
+  const forUpdate = lock ? " FOR UPDATE" : "";
+
+  const productIds = [...new Set(lines.map((l) => l.product_id))].sort(
+    (a, b) => a - b
+  );
+  const variantIds = lines
+    .map((l) => l.variant_id)
+    .filter((id) => id !== null)
+    .sort((a, b) => a - b);
+
+  const products = await productRepository.findByIds(productIds, { db, lock });
+  const [variants] = variantIds.length
+    ? await db.query(
+        `SELECT id, product_id, sku, price, stock_quantity FROM product_variants WHERE id IN (?) ORDER BY id${forUpdate}`,
+        [variantIds]
+      )
+    : [[]];
+  const [withVariants] = await db.query(
+    "SELECT product_id FROM product_variants WHERE product_id IN (?) GROUP BY product_id",
+    [productIds]
+  );
+  return { products, variants, withVariants };
+};
+
+// Price parsed lines at the current catalog prices
+const priceItems = async (lines) =>
+  priceLines(lines, await loadCatalogRows(lines));
+
+module.exports = {
+  MAX_LINE_QUANTITY,
+  unitPrice,
+  parseLineItems,
+  priceLines,
+  loadCatalogRows,
+  priceItems,
+};
@@ -0,0 +1,182 @@
+const { validateProduct } = require("./catalog");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns of the product CSV, in export order. stock_quantity is exported for
+// reference but ignored on import: stock only changes through the stock ledger.
+const PRODUCT_CSV_COLUMNS = [
+  "id",
+  "sku",
+  "name",
+  "description",
+  "price",
+  "category_id",
+  "category",
+  "reorder_threshold",
+  "stock_quantity",
+];
+
+// Check the header row of an import. Returns { columns } with the normalised
+// column names, or { error }.
+const parseHeader = (header) => {
+  const columns = header.map((column) => column.trim().toLowerCase());
+  const unknown = columns.find(
+    (column) => !PRODUCT_CSV_COLUMNS.includes(column)
+  );
+  if (unknown !== undefined) {
+    return {
+      error: `Unknown column "${unknown}". Columns must be among ${PRODUCT_CSV_COLUMNS.join(
+        ", "
+      )}.`,
+    };
+  }
+  const duplicate = columns.find(
+    (column, index) => columns.indexOf(column) !== index
+  );
+  if (duplicate) return { error: `Column "${duplicate}" appears twice.` };
+  if (!["id", "sku", "name"].some((column) => columns.includes(column))) {
+    return { error: "The file needs an id, sku or name column." };
+  }
+  return { columns };
+};
+
+// Helper function to turn a numeric cell into a number, leaving anything else
+// for validation to reject
+const toNumber = (cell) => (/^-?\d+(\.\d+)?$/.test(cell) ? Number(cell) : cell);
+
+// Build a lookup from lower-cased category name to the IDs of the categories
+// with that name
+const indexCategories = (categories) => {
+  const byName = new Map();
+  for (const category of categories) {
+    const key = category.name.trim().toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), category.id]);
+  }
+  return { ids: new Set(categories.map((category) => category.id)), byName };
+};
+
+// Read one data row of an import. Empty cells are treated as not given, so
+// updates keep the current value. Category names are resolved to IDs;
+// category_id wins when both are given. Returns { id, sku, fields } or
+// { error }.
+const parseProductRow = (columns, cells, categories) => {
+  if (cells.length !== columns.length) {
+    return {
+      error: `Row has ${cells.length} cells but the header has ${columns.length}.`,
+    };
+  }
+  const record = {};
+  columns.forEach((column, index) => {
+    const cell = cells[index].trim();
+    if (cell !== "") record[column] = cell;
+  });
+
+  const id = record.id === undefined ? undefined : toNumber(record.id);
+  if (id !== undefined && (!Number.isInteger(id) || id <= 0)) {
+    return { error: "id must be a positive integer." };
+  }
+
+  const fields = {
+    sku: record.sku,
+    name: record.name,
+    description: record.description,
+    price: record.price === undefined ? undefined : toNumber(record.price),
+    reorder_threshold:
+      record.reorder_threshold === undefined
+        ? undefined
+        : toNumber(record.reorder_threshold),
+  };
+
+  if (record.category_id !== undefined) {
+    fields.category_id = toNumber(record.category_id);
+    if (
+      Number.isInteger(fields.category_id) &&
+      !categories.ids.has(fields.category_id)
+    ) {
+      return { error: "Category does not exist" };
+    }
+  } else if (record.category !== undefined) {
+    const matches = categories.byName.get(record.category.toLowerCase()) || [];
+    if (!matches.length) {
+      return { error: `Category "${record.category}" does not exist.` };
+    }
+    if (matches.length > 1) {
+      return {
+        error: `Several categories are named "${record.category}"; use category_id instead.`,
+      };
+    }
+    fields.category_id = matches[0];
+  }
+
+  return {
+    id,
+    sku: fields.sku,
+    fields: Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined)
+    ),
+  };
+};
+
+// Decide what to do with each parsed row, given the existing products it
+// refers to. Rows with an id update that product; rows with the SKU of an
+// existing product update it; other rows create a product. Every row is
+// validated with the same rules as createProduct or updateProduct. Returns
+// a plan entry per row: { action, product, fields } or { error }.
+const planImport = (rows, { byId, bySku }) => {
+  const seen = new Set();
+  const skuOwners = new Map();
+
+  return rows.map((row) => {
+    if (row.error) return row;
+    const { id, sku, fields } = row;
+
+    let product;
+    if (id !== undefined) {
+      product = byId.get(id);
+      if (!product) return { error: `Product ${id} not found.` };
+      const owner = sku !== undefined && bySku.get(sku);
+      if (owner && owner.id !== product.id) {
+        return { error: `SKU ${sku} is already in use.` };
+      }
+    } else if (sku !== undefined && bySku.has(sku)) {
+      product = bySku.get(sku);
+      if (product.deleted_at) {
+        return { error: `SKU ${sku} belongs to a deleted product.` };
+      }
+    }
+
+    const key = product ? `id:${product.id}` : sku && `sku:${sku}`;
+    if (key && seen.has(key)) {
+      return { error: "The same product appears in an earlier row." };
+    }
+    if (key) seen.add(key);
+    const owner = fields.sku !== undefined && skuOwners.get(fields.sku);
+    if (owner && owner !== key) {
+      return { error: `SKU ${fields.sku} is used by an earlier row.` };
+    }
+    if (fields.sku !== undefined) skuOwners.set(fields.sku, key);
+
+    if (product) {
+      const error = validateProduct(fields, true);
+      return error ? { error } : { action: "update", product, fields };
+    }
+
+    const created = {
+      description: null,
+      reorder_threshold: 0,
+      sku: null,
+      ...fields,
+    };
+    const error = validateProduct(created);
+    return error ? { error } : { action: "create", fields: created };
+  });
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  PRODUCT_CSV_COLUMNS,
+  parseHeader,
+  indexCategories,
+  parseProductRow,
+  planImport,
+};
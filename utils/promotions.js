@@ -0,0 +1,174 @@
+const database = require("../configs/db");
+const { toCents, formatCents } = require("./money");
+const { ValidationError } = require("./errors");
+
+const PROMOTION_TYPES = ["percent", "fixed"];
+
+// Why a discount code cannot be used, with the message shown to customers
+const REJECTIONS = {
+  not_found: "Discount code does not exist",
+  not_started: "Discount code is not valid yet",
+  expired: "Discount code has expired",
+  usage_limit_reached: "Discount code has reached its usage limit",
+  min_order_not_met: "Order subtotal is below the minimum for this code",
+  not_applicable: "Discount code does not apply to any item in the order",
+};
+
+// Products among the bound IDs that a restricted promotion applies to: those
+// listed on it, and those in its categories or their subcategories. Bind the
+// promotion ID, the product IDs and the promotion ID again.
+const ELIGIBLE_PRODUCTS_SQL = `WITH RECURSIVE eligible_categories AS (
+    SELECT category_id AS id FROM promotion_categories WHERE promotion_id = ?
+    UNION ALL
+    SELECT c.id FROM categories c JOIN eligible_categories e ON c.parent_id = e.id
+  )
+  SELECT id FROM products
+   WHERE id IN (?)
+     AND (id IN (SELECT product_id FROM promotion_products WHERE promotion_id = ?)
+          OR category_id IN (SELECT id FROM eligible_categories))`;
+
+// Helper function to build the rejection for a reason
+const rejection = (reason, details) => ({
+  reason,
+  error: REJECTIONS[reason],
+  ...details,
+});
+
+// Helper function to attach the products and categories a promotion is
+// restricted to
+const withRestrictions = async (db, promotion) => {
+  const [products] = await db.query(
+    "SELECT product_id FROM promotion_products WHERE promotion_id = ? ORDER BY product_id",
+    [promotion.id]
+  );
+  const [categories] = await db.query(
+    "SELECT category_id FROM promotion_categories WHERE promotion_id = ? ORDER BY category_id",
+    [promotion.id]
+  );
+  return {
+    ...promotion,
+    product_ids: products.map((row) => row.product_id),
+    category_ids: categories.map((row) => row.category_id),
+  };
+};
+
+// Load a promotion by ID with the products and categories it is restricted to
+const findPromotion = async (id, { db = database } = {}) => {
+  const [promotions] = await db.query("SELECT * FROM promotions WHERE id = ?", [
+    id,
+  ]);
+  return promotions.length ? withRestrictions(db, promotions[0]) : undefined;
+};
+
+// Load a promotion by code, case-insensitively. Pass a transaction's
+// connection and lock to hold the row, e.g. while counting a use.
+const findPromotionByCode = async (
+  code,
+  { db = database, lock = false } = {}
+) => {
+  const [promotions] = await db.query(
+    `SELECT * FROM promotions WHERE code = ?${lock ? " FOR UPDATE" : ""}`,
+    [String(code).trim().toUpperCase()]
+  );
+  return promotions.length ? withRestrictions(db, promotions[0]) : undefined;
+};
+
+// Check a promotion against an order and work out the discount in cents.
+// subtotal is the whole order, eligibleSubtotal the part the promotion applies
+// to. Returns { amount } or a rejection { reason, error }.
+const evaluatePromotion = (
+  promotion,
+  { subtotal, eligibleSubtotal },
+  now = new Date()
+) => {
+  if (promotion.starts_at && now < new Date(promotion.starts_at)) {
+    return rejection("not_started");
+  }
+  if (promotion.ends_at && now >= new Date(promotion.ends_at)) {
+    return rejection("expired");
+  }
+  if (
+    promotion.usage_limit !== null &&
+    promotion.times_used >= promotion.usage_limit
+  ) {
+    return rejection("usage_limit_reached");
+  }
+  if (
+    promotion.min_order_value !== null &&
+    subtotal < toCents(promotion.min_order_value)
+  ) {
+    return rejection("min_order_not_met", {
+      min_order_value: formatCents(toCents(promotion.min_order_value)),
+    });
+  }
+  if (eligibleSubtotal === 0) return rejection("not_applicable");
+
+  const amount =
+    promotion.type === "percent"
+      ? Math.round((eligibleSubtotal * Number(promotion.amount)) / 100)
+      : Math.min(toCents(promotion.amount), eligibleSubtotal);
+  return { amount };
+};
+
+// Apply a discount code to priced items (see utils/pricing). Returns
+// { promotion, discount } with the discount line, or a rejection.
+const applyDiscountCode = async (
+  code,
+  priced,
+  { db = database, lock = false } = {}
+) => {
+  const promotion = await findPromotionByCode(code, { db, lock });
+  if (!promotion) return rejection("not_found");
+
+  let eligible = priced.items;
+  const restricted =
+    promotion.product_ids.length > 0 || promotion.category_ids.length > 0;
+  if (restricted) {
+    const [rows] = await db.query(ELIGIBLE_PRODUCTS_SQL, [
+      promotion.id,
+      priced.items.map((item) => item.product_id),
+      promotion.id,
+    ]);
+    const eligibleIds = new Set(rows.map((row) => row.id));
+    eligible = priced.items.filter((item) => eligibleIds.has(item.product_id));
+  }
+
+  const eligibleSubtotal = eligible.reduce(
+    (sum, item) => sum + item.unit_cents * item.quantity,
+    0
+  );
+  const result = evaluatePromotion(promotion, {
+    subtotal: priced.total,
+    eligibleSubtotal,
+  });
+  if (result.reason) return result;
+
+  return {
+    promotion,
+    discount: {
+      code: promotion.code,
+      description: promotion.description,
+      type: promotion.type,
+      value: promotion.amount,
+      amount_cents: result.amount,
+      product_ids: restricted
+        ? [...new Set(eligible.map((item) => item.product_id))]
+        : null,
+    },
+  };
+};
+
+// The error a rejected discount code is answered with, e.g.
+// { code: "VALIDATION_ERROR", message: "Discount code has expired", details: { reason: "expired" } }
+const rejectionError = ({ reason, error, ...details }) =>
+  new ValidationError(error, { reason, ...details });
+
+module.exports = {
+  PROMOTION_TYPES,
+  REJECTIONS,
+  findPromotion,
+  findPromotionByCode,
+  evaluatePromotion,
+  applyDiscountCode,
+  rejectionError,
+};
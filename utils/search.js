@@ -0,0 +1,43 @@
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+const MAX_TERMS = 10;
+
+// Split free text into lowercase search terms, dropping anything MySQL's
+// boolean full-text syntax would treat as an operator.
+const extractTerms = (text) =>
+  [
+    ...new Set((text.match(TERM_PATTERN) || []).map((t) => t.toLowerCase())),
+  ].slice(0, MAX_TERMS);
+
+// Build a boolean-mode AGAINST expression requiring every term, each matched
+// as a prefix so partially typed words still hit ("crick" -> "cricket").
+const booleanQuery = (terms) => terms.map((term) => `+${term}*`).join(" ");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap every word starting with one of the terms in <mark> tags. All text is
+// HTML-escaped so the result is safe to render.
+const highlight = (text, terms) => {
+  if (text === null || text === undefined) return text;
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.join("|")})[\\p{L}\\p{N}]*`,
+    "giu"
+  );
+
+  const source = String(text);
+  let result = "";
+  let lastIndex = 0;
+  for (const match of source.matchAll(pattern)) {
+    result += escapeHtml(source.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return result + escapeHtml(source.slice(lastIndex));
+};
+
+module.exports = { extractTerms, booleanQuery, highlight };
@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ACCESS_TOKEN_TTL = "1h";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Sign a short-lived access token bound to a session so it can be rejected
+// once that session is revoked.
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Refresh, email verification and password reset tokens are opaque random
+// strings; only their hash is stored.
+const generateOpaqueToken = () => crypto.randomBytes(48).toString("hex");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+module.exports = {
+  signAccessToken,
+  generateOpaqueToken,
+  hashToken,
+  refreshTokenExpiry,
+};
@@ -0,0 +1,254 @@
+const schemas = require("../schemas");
+
+// Named formats, the type of value each applies to, and what to say when a
+// value does not match
+const FORMATS = {
+  email: {
+    type: "string",
+    test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: "must be a valid email address",
+  },
+  "date-time": {
+    type: "string",
+    test: (value) => !isNaN(new Date(value)),
+    message: "must be an ISO 8601 date, e.g. 2025-06-01T00:00:00Z",
+  },
+  "non-blank": {
+    type: "string",
+    test: (value) => value.trim().length > 0,
+    message: "must not be blank",
+  },
+  // Amounts of money, stored as DECIMAL(10, 2)
+  decimal: {
+    type: "number",
+    test: (value) => /^-?\d+(\.\d{1,2})?$/.test(String(value)),
+    message: "must have at most 2 decimal places",
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "true or false",
+  array: "an array",
+  object: "an object",
+};
+
+// Helper function to follow a reference to a schema in the registry
+const resolve = (schema) => {
+  if (!schema.$ref) return schema;
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  if (!schemas[name]) throw new Error(`Unknown schema: ${schema.$ref}`);
+  return schemas[name];
+};
+
+// Helper function to name a nested field, e.g. items[0].quantity
+const fieldName = (parent, key) =>
+  typeof key === "number"
+    ? `${parent}[${key}]`
+    : parent === "body"
+    ? key
+    : `${parent}.${key}`;
+
+// Check a value against a schema written in the subset of OpenAPI 3.0 used in
+// schemas/. Returns every problem found as { field, message }; the list is
+// empty when the value is valid.
+const validateValue = (schema, value, field = "body") => {
+  schema = resolve(schema);
+
+  if (value === null) {
+    return schema.nullable || !schema.type
+      ? []
+      : [{ field, message: `must be ${TYPE_NAMES[schema.type]}` }];
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    return [
+      {
+        field,
+        message: `must be ${TYPE_NAMES[schema.type]}${
+          schema.nullable ? " or null" : ""
+        }`,
+      },
+    ];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    const message =
+      schema.enum.length === 1
+        ? `must be ${schema.enum[0]}`
+        : `must be one of ${schema.enum.join(", ")}`;
+    return [{ field, message }];
+  }
+
+  const errors = [];
+  const fail = (message) => errors.push({ field, message });
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters long`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum && value <= schema.minimum) {
+        fail(`must be greater than ${schema.minimum}`);
+      } else if (value < schema.minimum) {
+        fail(`must be at least ${schema.minimum}`);
+      }
+    }
+    if (schema.maximum !== undefined) {
+      if (schema.exclusiveMaximum && value >= schema.maximum) {
+        fail(`must be less than ${schema.maximum}`);
+      } else if (value > schema.maximum) {
+        fail(`must be at most ${schema.maximum}`);
+      }
+    }
+  }
+
+  const format = FORMATS[schema.format];
+  if (format && typeof value === format.type && !format.test(value)) {
+    fail(format.message);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(
+        schema.minItems === 1
+          ? "must not be empty"
+          : `must have at least ${schema.minItems} items`
+      );
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(
+          ...validateValue(schema.items, item, fieldName(field, index))
+        )
+      );
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    // Properties set to undefined count as missing, so objects built from
+    // destructured fields can be checked as they are
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: fieldName(field, key), message: "is required" });
+      }
+    }
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      fail(
+        schema.minProperties === 1
+          ? "must not be empty"
+          : `must have at least ${schema.minProperties} properties`
+      );
+    }
+    for (const key of keys) {
+      const property = schema.properties && schema.properties[key];
+      if (property) {
+        errors.push(
+          ...validateValue(property, value[key], fieldName(field, key))
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          field: fieldName(field, key),
+          message: "is not allowed",
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateValue(
+            schema.additionalProperties,
+            value[key],
+            fieldName(field, key)
+          )
+        );
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Helper function to read a path or query parameter, which arrives as a
+// string, as the type its schema declares. Values that do not parse are left
+// for validateValue to reject.
+const parseParameter = (schema, value) => {
+  if (typeof value !== "string") return value;
+  if (
+    (schema.type === "integer" || schema.type === "number") &&
+    /^-?\d+(\.\d+)?$/.test(value)
+  ) {
+    return Number(value);
+  }
+  if (schema.type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+};
+
+// Check the value a request gives for a parameter described by an OpenAPI
+// parameter object, e.g. from schemas/parameters.js. Returns every problem
+// found as { field, message }, with the parameter's name as the field.
+const validateParameter = (parameter, req) => {
+  const values = parameter.in === "path" ? req.params : req.query;
+  const value = values[parameter.name];
+  if (value === undefined) {
+    return parameter.required
+      ? [{ field: parameter.name, message: "is required" }]
+      : [];
+  }
+  // A repeated query parameter arrives as an array
+  if (typeof value !== "string") {
+    return [{ field: parameter.name, message: "must be given once" }];
+  }
+  return validateValue(
+    parameter.schema,
+    parseParameter(parameter.schema, value),
+    parameter.name
+  );
+};
+
+// Report the query parameters of a request that are not among the given
+// names as { field, message }
+const checkUnknownParameters = (names, query) =>
+  Object.keys(query)
+    .filter((key) => !names.includes(key))
+    .map((key) => ({ field: key, message: "is not allowed" }));
+
+// Turn a list of problems into a single message, e.g. for a row of an import
+const formatErrors = (errors) =>
+  errors.map(({ field, message }) => `${field} ${message}`).join("; ");
+
+module.exports = {
+  validateValue,
+  validateParameter,
+  checkUnknownParameters,
+  formatErrors,
+};
@@ -0,0 +1,26 @@
+const db = require("../configs/db");
+
+const WATCH_EVENT_TYPES = {
+  PRICE_DROP: "price_drop",
+  BACK_IN_STOCK: "back_in_stock",
+};
+
+// Record a price drop event for every user watching the product
+const recordPriceDrop = async (productId, oldPrice, newPrice) => {
+  await db.query(
+    `INSERT INTO watch_events (user_id, product_id, type, old_price, new_price)
+     SELECT user_id, product_id, ?, ?, ? FROM product_watches WHERE product_id = ?`,
+    [WATCH_EVENT_TYPES.PRICE_DROP, oldPrice, newPrice, productId]
+  );
+};
+
+// Record a back-in-stock event for every user watching the product
+const recordBackInStock = async (productId) => {
+  await db.query(
+    `INSERT INTO watch_events (user_id, product_id, type)
+     SELECT user_id, product_id, ? FROM product_watches WHERE product_id = ?`,
+    [WATCH_EVENT_TYPES.BACK_IN_STOCK, productId]
+  );
+};
+
+module.exports = { WATCH_EVENT_TYPES, recordPriceDrop, recordBackInStock };